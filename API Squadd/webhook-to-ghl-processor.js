@@ -1,9 +1,12 @@
 import 'dotenv/config';
-import { searchGHLContactByPhone } from './tests/search-contact-by-phone.js';
-import { addNoteToGHLContact } from './tests/add-note.js';
+import ghlClient from '../src/services/ghl-client.js';
+import contactIdCache from '../src/services/contact-id-cache.js';
 import { processRecordingTranscription, formatTranscriptionForGHL } from '../src/services/transcription-service.js';
-import { uploadAudioToConversation } from '../src/services/ghl-conversation-service.js';
+import { logCallToConversation } from '../src/services/ghl-conversation-service.js';
 import { generateSmartCueCard, sendCueCard } from '../src/services/cuecard-service.js';
+import opportunityAutomationService from '../src/services/opportunity-automation-service.js';
+import outboundWebhookDispatcher from '../src/services/outbound-webhook-dispatcher.js';
+import { renderNote, buildCallContext } from '../src/services/note-templates.js';
 
 /**
  * CloudTalk Webhook → GHL Integration Processor
@@ -35,7 +38,7 @@ export async function processCloudTalkWebhook(webhookPayload, webhookType = 'cal
     console.log(`📞 Searching GHL contact for phone: ${phoneNumber}`);
 
     // Step 1: Search for contact in GHL
-    const contact = await searchGHLContactByPhone(phoneNumber);
+    const contact = await contactIdCache.findGhlContact(phoneNumber);
 
     if (!contact) {
       console.log(`⚠️ Nessun contatto trovato in GHL per il numero ${phoneNumber}`);
@@ -101,6 +104,7 @@ export async function processCloudTalkWebhook(webhookPayload, webhookType = 'cal
     return {
       success: false,
       error: error.message,
+      cause: error,
       webhookType: webhookType,
       payload: webhookPayload
     };
@@ -114,14 +118,18 @@ async function processRecordingReady(contact, payload) {
   console.log('🎙️ Processing call recording ready...');
 
   let noteText = ``;
+  const callContext = buildCallContext(payload);
 
   let transcriptionResult = null;
+  let opportunityResult = null;
+  let appointmentWebhookResult = null;
+  let conversationResult = null;
 
   // Try to transcribe the recording
   if (payload.recording_url) {
     console.log('🎤 Attempting to transcribe recording...');
 
-    const transcription = await processRecordingTranscription(payload.recording_url);
+    const transcription = await processRecordingTranscription(payload.recording_url, { callId: payload.call_id });
 
     if (transcription.success) {
       console.log('✅ Transcription completed successfully!');
@@ -142,65 +150,30 @@ async function processRecordingReady(contact, payload) {
           console.log('🤖 AI rilevato segreteria dal contenuto');
         }
 
-        noteText = `📵 RISPONDE SEGRETERIA - CLOUDTALK`;
-
-        const result = await addNoteToGHLContact(contact.id, noteText);
-
-        // 🆕 SEGRETERIA: Invia webhook a GoHighLevel
-        let ghlWebhookResult = null;
-        try {
-          const ghlWebhookUrl = 'https://services.leadconnectorhq.com/hooks/DfxGoORmPoL5Z1OcfYJM/webhook-trigger/873baa5c-928e-428a-ac68-498d954a9ff7';
-
-          const ghlPayload = {
-            event_type: 'cloudtalk_call_processed',
-            call_type: 'voicemail',
-            timestamp: new Date().toISOString(),
-            call_id: payload.call_id,
-            recording_url: payload.recording_url,
-            internal_number: payload.internal_number,
-            external_number: payload.external_number,
-            agent_id: payload.agent_id,
-            contact_id: contact.id,
-            detection_method: isEmptyTranscription ? 'empty_transcription' : 'ai_analysis',
-            transcription_length: transcriptionText?.length || 0,
-            webhook_received_at: new Date().toISOString(),
-            source: 'cloudtalk_middleware'
-          };
-
-          console.log('📤 Inviando webhook a GHL per SEGRETERIA');
-          console.log('📋 Payload GHL:', JSON.stringify(ghlPayload, null, 2));
-
-          const ghlResponse = await fetch(ghlWebhookUrl, {
-            method: 'POST',
-            headers: {
-              'Content-Type': 'application/json',
-              'User-Agent': 'CloudTalk-Middleware/1.0'
-            },
-            body: JSON.stringify(ghlPayload)
-          });
-
-          if (ghlResponse.ok) {
-            const ghlResponseData = await ghlResponse.text();
-            ghlWebhookResult = {
-              success: true,
-              message: 'Segreteria webhook inviato a GoHighLevel con successo',
-              response: ghlResponseData
-            };
-            console.log('✅ Webhook GHL per SEGRETERIA inviato con successo:', ghlResponse.status);
-          } else {
-            const errorText = await ghlResponse.text();
-            throw new Error(`GHL webhook failed: ${ghlResponse.status} - ${errorText}`);
-          }
-
-        } catch (ghlWebhookError) {
-          console.error('❌ GHL Webhook per segreteria failed:', ghlWebhookError.message);
-
-          ghlWebhookResult = {
-            success: false,
-            error: ghlWebhookError.message,
-            message: 'GHL webhook failed but note processing continues'
-          };
-        }
+        noteText = renderNote('voicemail', {
+          ...callContext,
+          recording_url: payload.recording_url,
+          detection_method: isEmptyTranscription ? 'empty_transcription' : 'ai_analysis'
+        });
+
+        const result = await ghlClient.addContactNote(contact.id, noteText);
+
+        // SEGRETERIA: evento voicemail ai webhook configurati (trigger GHL)
+        const ghlWebhookResult = await outboundWebhookDispatcher.dispatch('voicemail', {
+          event_type: 'cloudtalk_call_processed',
+          call_type: 'voicemail',
+          timestamp: new Date().toISOString(),
+          call_id: payload.call_id,
+          recording_url: payload.recording_url,
+          internal_number: payload.internal_number,
+          external_number: payload.external_number,
+          agent_id: payload.agent_id,
+          contact_id: contact.id,
+          detection_method: isEmptyTranscription ? 'empty_transcription' : 'ai_analysis',
+          transcription_length: transcriptionText?.length || 0,
+          webhook_received_at: new Date().toISOString(),
+          source: 'cloudtalk_middleware'
+        }, { correlationId: payload._correlationId || `voicemail-${payload.call_id}` });
 
         return {
           action: 'voicemail_detected',
@@ -211,31 +184,52 @@ async function processRecordingReady(contact, payload) {
           isVoicemail: true,
           transcriptionText: transcriptionText,
           transcription: transcriptionResult,
-          ghlWebhookResult: ghlWebhookResult || { success: false, reason: 'Not processed' }
+          ghlWebhookResult: ghlWebhookResult
         };
       }
       
       // Chiamata normale - procedi con upload audio e trascrizione completa
       console.log('📞 Chiamata normale rilevata, procedo con upload completo');
 
-      // Try to upload audio directly to conversation
-      console.log('📤 Attempting to upload audio to GHL conversation...');
+      // Esito dell'analisi AI → opportunità GHL (stage, tag categoria, valore, campi)
+      opportunityResult = await opportunityAutomationService.applyCallOutcome(contact, aiAnalysisResult, {
+        callId: payload.call_id
+      });
+
+      if (aiAnalysisResult?.call_outcome?.appuntamento_fissato === true) {
+        appointmentWebhookResult = await outboundWebhookDispatcher.dispatch('appointment_booked', {
+          event_type: 'cloudtalk_appointment_booked',
+          timestamp: new Date().toISOString(),
+          call_id: payload.call_id,
+          recording_url: payload.recording_url,
+          internal_number: payload.internal_number,
+          external_number: payload.external_number,
+          agent_id: payload.agent_id,
+          contact_id: contact.id,
+          contact_name: `${contact.firstName || ''} ${contact.lastName || ''}`.trim(),
+          opportunity_id: opportunityResult?.opportunityId || null,
+          lead_category: aiAnalysisResult.coaching?.riassunto?.categoria_lead || null,
+          sentiment: aiAnalysisResult.sentiment || null,
+          lead_info: aiAnalysisResult.lead_info || null,
+          source: 'cloudtalk_middleware'
+        }, { correlationId: payload._correlationId || `appointment-${payload.call_id}` });
+      }
+
+      // Chiamata risposta nella conversazione del contatto (GHL_CONVERSATION_LOGGING)
+      console.log('📤 Logging call in GHL conversation...');
 
-      const uploadResult = await uploadAudioToConversation(
-        contact.id,
-        transcription.result.audioBuffer,
-        formatTranscriptionForGHL(transcription.result),
-        payload.call_id,
-        payload.recording_url
-      );
+      conversationResult = await logCallToConversation(contact, payload, {
+        transcriptionText: formatTranscriptionForGHL(transcription.result, callContext),
+        audioBuffer: transcription.result.audioBuffer
+      });
 
-      if (uploadResult.success) {
-        console.log('✅ Audio uploaded successfully to conversation!');
+      if (conversationResult.success && conversationResult.result) {
+        console.log('✅ Call logged in conversation!');
 
         // Add success note (formatTranscriptionForGHL already includes correct checkmark)
-        noteText = formatTranscriptionForGHL(transcription.result);
+        noteText = formatTranscriptionForGHL(transcription.result, callContext);
 
-        const result = await addNoteToGHLContact(contact.id, noteText);
+        const result = await ghlClient.addContactNote(contact.id, noteText);
 
         return {
           action: 'note_added_with_audio_upload',
@@ -244,37 +238,40 @@ async function processRecordingReady(contact, payload) {
           recordingUrl: payload.recording_url,
           transcriptionSuccess: true,
           audioUploadSuccess: true,
-          conversationId: uploadResult.result.conversationId,
-          fileUrl: uploadResult.result.fileUrl,
-          transcription: transcriptionResult
+          conversationId: conversationResult.result.conversationId,
+          fileUrl: conversationResult.result.fileUrl,
+          conversationMessage: conversationResult,
+          transcription: transcriptionResult,
+          opportunity: opportunityResult,
+          appointmentWebhook: appointmentWebhookResult
         };
 
-      } else {
-        console.log(`⚠️ Audio upload failed: ${uploadResult.error}`);
+      } else if (!conversationResult.success) {
+        console.log(`⚠️ Audio upload failed: ${conversationResult.error}`);
 
         // Fallback to regular note with transcription
-        noteText = `⚠️ Upload audio fallito: ${uploadResult.error}
+        noteText = `${renderNote('upload-failed', { error: conversationResult.error })}
 
-${formatTranscriptionForGHL(transcription.result)}`;
+${formatTranscriptionForGHL(transcription.result, callContext)}`;
+      } else {
+        noteText = formatTranscriptionForGHL(transcription.result, callContext);
       }
 
     } else {
       console.log(`⚠️ Transcription failed: ${transcription.error}`);
-      noteText = `⚠️ Trascrizione automatica fallita: ${transcription.error}
-
-📞 Call ID: ${payload.call_id}
-🔗 Recording URL: ${payload.recording_url}
-🎧 Clicca sul link sopra per ascoltare la registrazione`;
+      noteText = renderNote('recording-available', {
+        ...callContext,
+        recording_url: payload.recording_url,
+        error: transcription.error
+      });
+      conversationResult = await logCallToConversation(contact, payload);
     }
   } else {
-    noteText = `✅ Registrazione disponibile per la revisione
-
-📞 Call ID: ${payload.call_id}
-🔗 Recording URL: ${payload.recording_url}
-🎧 Clicca sul link sopra per ascoltare la registrazione`;
+    noteText = renderNote('recording-available', { ...callContext, recording_url: payload.recording_url });
+    conversationResult = await logCallToConversation(contact, payload);
   }
 
-  const result = await addNoteToGHLContact(contact.id, noteText);
+  const result = await ghlClient.addContactNote(contact.id, noteText);
 
   return {
     action: 'note_added_with_transcription',
@@ -282,7 +279,10 @@ ${formatTranscriptionForGHL(transcription.result)}`;
     callId: payload.call_id,
     recordingUrl: payload.recording_url,
     transcriptionSuccess: !!transcriptionResult,
-    transcription: transcriptionResult
+    transcription: transcriptionResult,
+    conversationMessage: conversationResult,
+    opportunity: opportunityResult,
+    appointmentWebhook: appointmentWebhookResult
   };
 }
 
@@ -309,7 +309,7 @@ ${transcriptionUrl ? `🔗 URL Trascrizione: ${transcriptionUrl}` : ''}
 
 ✅ Trascrizione completata e disponibile per la revisione`;
 
-  const result = await addNoteToGHLContact(contact.id, noteText);
+  const result = await ghlClient.addContactNote(contact.id, noteText);
 
   return {
     action: 'transcription_added',
@@ -335,7 +335,7 @@ async function processNewTag(contact, payload) {
 
 ✅ Tag applicato automaticamente dal sistema CloudTalk`;
 
-  const result = await addNoteToGHLContact(contact.id, noteText);
+  const result = await ghlClient.addContactNote(contact.id, noteText);
 
   return {
     action: 'tag_note_added',
@@ -359,7 +359,7 @@ async function processNewNote(contact, payload) {
 
 ✅ Nota sincronizzata da CloudTalk`;
 
-  const result = await addNoteToGHLContact(contact.id, noteText);
+  const result = await ghlClient.addContactNote(contact.id, noteText);
 
   return {
     action: 'note_synced',
@@ -384,7 +384,7 @@ async function processContactUpdate(contact, payload) {
 
 ✅ Aggiornamento sincronizzato da CloudTalk`;
 
-  const result = await addNoteToGHLContact(contact.id, noteText);
+  const result = await ghlClient.addContactNote(contact.id, noteText);
 
   return {
     action: 'update_logged',
@@ -400,17 +400,9 @@ async function processCallStarted(contact, payload) {
   console.log('📞 Processing call started...');
 
   // Step 1: Log chiamata iniziata
-  const noteText = `📞 CHIAMATA INIZIATA - CLOUDTALK
-
-📞 Call ID: ${payload.call_id}
-📱 Numero chiamante: ${payload.external_number}
-👤 Agente: ${payload.agent_name || payload.agent_id || 'N/A'}
-🕐 Ora inizio: ${new Date().toLocaleString('it-IT')}
-📋 Tipo: ${payload.call_type || 'Non specificato'}
-
-⏳ Chiamata in corso...`;
+  const noteText = renderNote('call-started', { ...buildCallContext(payload), call_type: payload.call_type });
 
-  const noteResult = await addNoteToGHLContact(contact.id, noteText);
+  const noteResult = await ghlClient.addContactNote(contact.id, noteText);
 
   // Step 2: Genera e invia Smart CueCard se abbiamo call_uuid
   let cueCardResult = null;
@@ -476,15 +468,15 @@ async function processCallEnded(contact, payload) {
 
   if (isNoAnswer) {
     // Chiamata senza risposta
-    noteText = `📵 TENTATIVO SENZA RISPOSTA - CLOUDTALK`;
+    noteText = renderNote('missed-call', buildCallContext(payload));
     action = 'no_answer_logged';
   } else {
     // Chiamata effettivamente terminata
-    noteText = `📞 CHIAMATA TERMINATA - CLOUDTALK\n\n📞 Call ID: ${callId}\n📱 Numero: ${payload.external_number}\n👤 Agente: ${payload.agent_name || payload.agent_id || 'N/A'}\n⏱️ Durata: ${duration}\n📊 Stato: ${status}\n🕐 Ora fine: ${new Date().toLocaleString('it-IT')}\n\n✅ Chiamata completata`;
+    noteText = renderNote('call-ended', { ...buildCallContext(payload), duration, status });
     action = 'call_end_logged';
   }
 
-  const result = await addNoteToGHLContact(contact.id, noteText);
+  const result = await ghlClient.addContactNote(contact.id, noteText);
 
   // REMOVED: Duplicate GHL webhook sending
   // This was causing DOUBLE webhook sending when used with handleCallEndedWebhook()
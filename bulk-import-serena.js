@@ -1,5 +1,6 @@
 import { makeCloudTalkRequest } from './API CloudTalk/config.js';
 import fs from 'fs';
+import { toE164 } from './src/utils/phone-numbers.js';
 
 /**
  * BULK Import script per contatti Serena
@@ -25,10 +26,15 @@ function parseCSV(filePath) {
   
   const contacts = dataLines.map((line, index) => {
     const [name, phone, email] = line.split(',');
+    const e164 = toE164(phone);
+    
+    if (phone?.trim() && !e164) {
+      console.log(`⚠️  Riga ${index + 1}: numero non valido "${phone.trim()}" - contatto saltato`);
+    }
     
     return {
       name: name?.trim(),
-      phone: phone?.trim(),
+      phone: e164,
       email: email?.trim(),
       csvIndex: index + 1
     };
@@ -112,7 +118,7 @@ function createBulkOperations(contacts, tagId, customFieldId) {
         name: contact.name,
         company: "Import Serena 24 Sept",
         ContactNumber: [
-          { public_number: contact.phone } // Usa il numero come stringa con +
+          { public_number: contact.phone } // Numero E.164 come stringa con +
         ]
       }
     };
@@ -9,6 +9,7 @@
 
 import { SmartAgentDetector } from './smart-agent-detector.js';
 import { makeCloudTalkRequest } from './API CloudTalk/config.js';
+import callbackLeadQueue from './src/services/callback-lead-queue.js';
 
 class EnhancedLeadToCallService {
   constructor() {
@@ -236,17 +237,28 @@ class EnhancedLeadToCallService {
 
   /**
    * Schedule callback when agent becomes available
+   * The lead waits in the persistent callback queue, drained by the server poller
    */
   async scheduleCallbackWhenAvailable(leadData, contact) {
-    // This would integrate with a queue system
     console.log('📅 Scheduling callback when agent becomes available');
 
+    const queued = await callbackLeadQueue.enqueue(leadData, {
+      contactId: contact?.id,
+      reason: 'NO_AGENTS_AVAILABLE'
+    });
+
+    if (!queued.success) {
+      return { success: false, action: 'scheduled_callback', error: queued.error };
+    }
+
     return {
       success: true,
       action: 'scheduled_callback',
-      message: 'Lead scheduled for callback when agent available',
+      message: 'Lead queued for callback when an agent is available',
       contact: contact,
-      estimatedCallback: new Date(Date.now() + 15 * 60 * 1000) // 15 minutes
+      queueId: queued.id,
+      position: queued.position,
+      expiresAt: queued.expiresAt
     };
   }
 
@@ -267,16 +279,28 @@ class EnhancedLeadToCallService {
 
   /**
    * Add to manual handling queue
+   * Stored in the callback queue with status "manual": the poller leaves it to an operator
    */
   async addToQueueForManualHandling(leadData, contact) {
     console.log('📝 Adding to manual handling queue');
 
+    const queued = await callbackLeadQueue.enqueue(leadData, {
+      contactId: contact?.id,
+      reason: 'MANUAL_HANDLING',
+      manual: true
+    });
+
+    if (!queued.success) {
+      return { success: false, action: 'manual_queue', error: queued.error };
+    }
+
     return {
       success: true,
       action: 'manual_queue',
       message: 'Lead added to manual handling queue',
       contact: contact,
-      priority: leadData.priority || 'normal'
+      queueId: queued.id,
+      priority: queued.priority
     };
   }
 
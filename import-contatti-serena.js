@@ -1,6 +1,7 @@
 import { makeCloudTalkRequest } from './API CloudTalk/config.js';
 import fs from 'fs';
 import path from 'path';
+import { toE164 } from './src/utils/phone-numbers.js';
 
 /**
  * Import script per contatti Serena
@@ -31,10 +32,15 @@ function parseCSV(filePath) {
   
   const contacts = dataLines.map((line, index) => {
     const [name, phone, email] = line.split(',');
+    const e164 = toE164(phone);
+    
+    if (phone?.trim() && !e164) {
+      console.log(`⚠️  Riga ${index + 1}: numero non valido "${phone.trim()}" - contatto saltato`);
+    }
     
     return {
       name: name?.trim(),
-      phone: phone?.trim(),
+      phone: e164,
       email: email?.trim(),
       csvIndex: index + 1
     };
@@ -50,16 +56,11 @@ function parseCSV(filePath) {
 async function createContact(contact, tagId = null, customFieldId = null) {
   console.log(`\n👤 Creazione contatto: ${contact.name}`);
   
-  // Pulisci il numero di telefono - rimuovi solo il +
-  let cleanPhone = contact.phone;
-  if (cleanPhone.startsWith('+')) {
-    cleanPhone = cleanPhone.substring(1); // Rimuovi solo il +
-  }
-  
+  // Numero E.164 senza + (l'API vuole un intero)
   const requestBody = {
     name: contact.name,
     ContactNumber: [{
-      public_number: parseInt(cleanPhone, 10) // Deve essere un numero intero
+      public_number: parseInt(contact.phone.slice(1), 10)
     }]
   };
   
@@ -0,0 +1,89 @@
+import 'dotenv/config';
+import webhookReplayService from './src/services/webhook-replay-service.js';
+
+/**
+ * Replay dei webhook salvati in webhook-payloads attraverso la pipeline live
+ *
+ * Uso:
+ *   node replay-webhooks.js --provider cloudtalk --type call-ended --from 2025-09-17 --to 2025-09-18
+ *   node replay-webhooks.js --file cloudtalk/call-recording-ready.txt --limit 5
+ *   node replay-webhooks.js --provider ghl --type new-contact --live
+ *
+ * Di default è un DRY-RUN: mostra cosa farebbe ogni handler senza chiamare
+ * CloudTalk, GHL o Google Sheets. Con --live i payload vengono processati davvero.
+ * I webhook CloudTalk vengono messi sulla webhook job queue: li processa il worker
+ * del server in esecuzione (stesso database data/webhook-jobs.db).
+ */
+
+function parseArgs(argv) {
+  const options = { files: [], dryRun: true };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const next = () => argv[++i];
+
+    switch (arg) {
+      case '--provider': options.provider = next(); break;
+      case '--type': options.webhookType = next(); break;
+      case '--from': options.from = next(); break;
+      case '--to': options.to = next(); break;
+      case '--file': options.files.push(next()); break;
+      case '--limit': options.limit = parseInt(next()) || null; break;
+      case '--live': options.dryRun = false; break;
+      case '--dry-run': options.dryRun = true; break;
+      case '--json': options.json = true; break;
+      default:
+        throw new Error(`Argomento sconosciuto: ${arg}`);
+    }
+  }
+
+  if (options.files.length === 0) {
+    delete options.files;
+  }
+  return options;
+}
+
+async function replayWebhooks() {
+  let options;
+  try {
+    options = parseArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    console.error('Uso: node replay-webhooks.js [--provider p] [--type t] [--from data] [--to data] [--file path]... [--limit n] [--live] [--json]');
+    process.exit(1);
+  }
+
+  if (!options.dryRun && !options.provider && !options.files) {
+    console.error('❌ Un replay --live richiede almeno --provider o --file');
+    process.exit(1);
+  }
+
+  console.log(`🔁 Replay webhook ${options.dryRun ? '(DRY-RUN)' : '⚠️ LIVE'}`);
+
+  const report = await webhookReplayService.replay(options);
+
+  if (options.json) {
+    console.log(JSON.stringify(report, null, 2));
+  } else {
+    for (const result of report.results) {
+      const icon = { planned: '📝', replayed: '✅', skipped: '⏭️', failed: '❌' }[result.status];
+      console.log(`\n${icon} ${result.receivedAt} ${result.provider}/${result.webhookType} → ${result.status}`);
+      if (result.reason) console.log(`   Motivo: ${result.reason}`);
+      if (result.error) console.log(`   Errore: ${result.error}`);
+      if (result.jobId) console.log(`   Job: #${result.jobId}`);
+      (result.actions || []).forEach(action => console.log(`   - ${action}`));
+    }
+
+    report.errors.forEach(error => console.log(`\n⚠️ ${error.file || error.provider}: ${error.error}`));
+    console.log(`\n📊 Totali: ${JSON.stringify(report.totals)}`);
+  }
+
+  const failed = report.totals.failed > 0;
+  process.exit(failed ? 1 : 0);
+}
+
+if (import.meta.url === `file://${process.argv[1]}`) {
+  replayWebhooks();
+}
+
+export { replayWebhooks };
@@ -6,13 +6,35 @@ import { logRequest, logError, log } from './logger.js';
 import { config } from './config.js';
 import recordingsRouter from './routes/recordings.js';
 import ghlWebhooksRouter from './routes/ghl-webhooks.js';
+import agentSchedulesRouter from './routes/agent-schedules.js';
 import cloudtalkWebhooksRouter from './routes/cloudtalk-webhooks.js';
 import googleSheetsWebhooksRouter from './routes/google-sheets-webhooks.js';
+import adminRouter from './routes/admin.js';
 import googleSheetsQueueService from './services/google-sheets-queue-service.js';
+import webhookJobQueue from './services/webhook-job-queue.js';
+import { initCampaignRules } from './services/campaign-rules.js';
+import { initNoteTemplates } from './services/note-templates.js';
+import { initPromptRegistry } from './services/prompt-registry.js';
+import { initPiiRedaction } from './services/pii-redaction-service.js';
+import leadCadenceScheduler from './services/lead-cadence-scheduler.js';
+import callbackLeadQueue from './services/callback-lead-queue.js';
+import outboundWebhookDispatcher from './services/outbound-webhook-dispatcher.js';
+
+// Campaign progression rules, note templates, analysis prompts and PII redaction are validated before accepting traffic
+try {
+  initCampaignRules();
+  initNoteTemplates();
+  initPromptRegistry();
+  initPiiRedaction();
+} catch (error) {
+  logError(error.message);
+  process.exit(1);
+}
 
 const app = express();
 
-app.use(express.json());
+// Keep the raw body around for webhook signature verification
+app.use(express.json({ verify: (req, _res, buf) => { req.rawBody = buf; } }));
 app.use((req, _res, next) => { logRequest(req); next(); });
 
 // Basic health check
@@ -21,6 +43,9 @@ app.get('/health', (_req, res) => res.json({ ok: true }));
 // Recordings management routes
 app.use('/api/recordings', recordingsRouter);
 
+// Agent schedules (admin token, mounted before the signed GHL webhook router)
+app.use('/api/ghl-webhooks/agents', agentSchedulesRouter);
+
 // GoHighLevel webhook routes
 app.use('/api/ghl-webhooks', ghlWebhooksRouter);
 
@@ -30,6 +55,9 @@ app.use('/api/cloudtalk-webhooks', cloudtalkWebhooksRouter);
 // Google Sheets webhook routes
 app.use('/api/google-sheets-webhooks', googleSheetsWebhooksRouter);
 
+// Admin routes (webhook jobs, dead-letter, payload replay, campaign rules, cadence)
+app.use('/api/admin', adminRouter);
+
 // Minimal proxy route: forwards any method/path under /api to TARGET_URL
 app.use('/api', createProxyMiddleware());
 
@@ -52,4 +80,24 @@ app.listen(config.port, () => {
   if (!queueHealth.configuration.googleSheetsConfigured) {
     log('⚠️  Set GOOGLE_SHEETS_APPS_SCRIPT_URL environment variable to enable Google Sheets tracking');
   }
+
+  // Start the durable webhook job worker
+  webhookJobQueue.start().catch(error => {
+    logError(`❌ Impossibile avviare il webhook job worker: ${error.message}`);
+  });
+
+  // Start the retry cadence poller (only with LEAD_CADENCE_ENABLED=true)
+  leadCadenceScheduler.start().catch(error => {
+    logError(`❌ Impossibile avviare il lead cadence scheduler: ${error.message}`);
+  });
+
+  // Drain leads waiting for a free agent
+  callbackLeadQueue.start().catch(error => {
+    logError(`❌ Impossibile avviare la coda callback lead: ${error.message}`);
+  });
+
+  // Retry of outbound webhook deliveries (missed_call, voicemail, ...)
+  outboundWebhookDispatcher.start().catch(error => {
+    logError(`❌ Impossibile avviare il worker dei webhook in uscita: ${error.message}`);
+  });
 });
@@ -0,0 +1,502 @@
+import express from 'express';
+import { logError, log } from '../logger.js';
+import { requireAdminToken } from '../utils/admin-auth.js';
+import webhookJobQueue from '../services/webhook-job-queue.js';
+import webhookReplayService from '../services/webhook-replay-service.js';
+import { getCampaignRulesStatus, reloadCampaignRules } from '../services/campaign-rules.js';
+import leadCadenceScheduler from '../services/lead-cadence-scheduler.js';
+import callbackLeadQueue from '../services/callback-lead-queue.js';
+import contactSyncService from '../services/contact-sync-service.js';
+import outboundWebhookDispatcher from '../services/outbound-webhook-dispatcher.js';
+import piiVault from '../services/pii-vault.js';
+import { getPromptRegistryStatus } from '../services/prompt-registry.js';
+
+const router = express.Router();
+
+/**
+ * Admin API - operational endpoints (webhook jobs, dead-letter, payload replay, campaign rules, cadence, callback queue, contact sync, outbound webhooks, unredacted transcripts)
+ * Protected by ADMIN_API_TOKEN via x-admin-token header or Authorization: Bearer
+ */
+
+router.use(requireAdminToken);
+
+function parseJobId(req, res, errorCode = 'INVALID_JOB_ID') {
+  const jobId = parseInt(req.params.id);
+  if (!Number.isInteger(jobId)) {
+    res.status(400).json({
+      success: false,
+      error: errorCode,
+      timestamp: new Date().toISOString()
+    });
+    return null;
+  }
+  return jobId;
+}
+
+/**
+ * Lista job webhook
+ * GET /api/admin/jobs?status=&provider=&type=&limit=&offset=
+ */
+router.get('/jobs', async (req, res) => {
+  try {
+    const jobs = await webhookJobQueue.listJobs({
+      status: req.query.status,
+      provider: req.query.provider,
+      webhookType: req.query.type,
+      limit: parseInt(req.query.limit) || 50,
+      offset: parseInt(req.query.offset) || 0
+    });
+
+    res.json({
+      success: true,
+      totalFound: jobs.length,
+      jobs: jobs,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logError(`❌ Errore lista job webhook: ${error.message}`);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * Statistiche coda
+ * GET /api/admin/jobs/stats
+ */
+router.get('/jobs/stats', async (req, res) => {
+  try {
+    res.json({
+      service: 'Webhook Job Queue',
+      ...(await webhookJobQueue.getStats()),
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logError(`❌ Errore statistiche coda webhook: ${error.message}`);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * Dettaglio job
+ * GET /api/admin/jobs/:id
+ */
+router.get('/jobs/:id', async (req, res) => {
+  const jobId = parseJobId(req, res);
+  if (jobId === null) return;
+
+  try {
+    const job = await webhookJobQueue.getJob(jobId);
+    if (!job) {
+      return res.status(404).json({ success: false, error: 'JOB_NOT_FOUND', jobId });
+    }
+    res.json({ success: true, job });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * Dead-letter: job che hanno esaurito i tentativi
+ * GET /api/admin/dead-letter?provider=&type=&limit=
+ */
+router.get('/dead-letter', async (req, res) => {
+  try {
+    const jobs = await webhookJobQueue.listJobs({
+      status: 'dead',
+      provider: req.query.provider,
+      webhookType: req.query.type,
+      limit: parseInt(req.query.limit) || 50,
+      offset: parseInt(req.query.offset) || 0
+    });
+
+    res.json({
+      success: true,
+      totalFound: jobs.length,
+      jobs: jobs,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logError(`❌ Errore lista dead-letter: ${error.message}`);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * Replay di tutti i job dead-letter
+ * POST /api/admin/dead-letter/replay-all
+ */
+router.post('/dead-letter/replay-all', async (req, res) => {
+  try {
+    const replayed = await webhookJobQueue.replayAllDead();
+    log(`🛠️ Admin: replay di ${replayed} job dead-letter`);
+
+    res.json({
+      success: true,
+      replayed: replayed,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * Replay di un singolo job
+ * POST /api/admin/dead-letter/:id/replay
+ */
+router.post('/dead-letter/:id/replay', async (req, res) => {
+  const jobId = parseJobId(req, res);
+  if (jobId === null) return;
+
+  try {
+    const replayed = await webhookJobQueue.replayJob(jobId);
+    if (!replayed) {
+      return res.status(404).json({
+        success: false,
+        error: 'JOB_NOT_REPLAYABLE',
+        message: 'Job not found or still pending/processing',
+        jobId
+      });
+    }
+
+    log(`🛠️ Admin: replay job webhook #${jobId}`);
+    res.json({ success: true, jobId, timestamp: new Date().toISOString() });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * Scarta un job dead-letter
+ * DELETE /api/admin/dead-letter/:id
+ */
+router.delete('/dead-letter/:id', async (req, res) => {
+  const jobId = parseJobId(req, res);
+  if (jobId === null) return;
+
+  try {
+    const discarded = await webhookJobQueue.discardJob(jobId);
+    if (!discarded) {
+      return res.status(404).json({ success: false, error: 'JOB_NOT_FOUND', jobId });
+    }
+
+    log(`🗑️ Admin: job dead-letter #${jobId} scartato`);
+    res.json({ success: true, jobId, timestamp: new Date().toISOString() });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * Replay dei payload salvati in webhook-payloads attraverso la pipeline live
+ * POST /api/admin/replay
+ * Body: { provider, type, from, to, files: [...], limit, dryRun }
+ * dryRun è true di default: per il replay reale passare dryRun: false
+ */
+router.post('/replay', async (req, res) => {
+  const { provider, type, from, to, files, limit } = req.body || {};
+  const dryRun = req.body?.dryRun !== false;
+
+  if (files !== undefined && !Array.isArray(files)) {
+    return res.status(400).json({
+      success: false,
+      error: 'INVALID_FILES',
+      message: 'files must be an array of paths relative to webhook-payloads',
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  for (const [name, value] of [['from', from], ['to', to]]) {
+    if (value && Number.isNaN(Date.parse(value))) {
+      return res.status(400).json({
+        success: false,
+        error: 'INVALID_DATE',
+        message: `${name} is not a valid date`,
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+
+  // Un replay reale senza filtri rimanderebbe l'intero storico
+  if (!dryRun && !provider && !(files && files.length > 0)) {
+    return res.status(400).json({
+      success: false,
+      error: 'REPLAY_FILTER_REQUIRED',
+      message: 'A live replay needs at least a provider or a files list',
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  try {
+    log(`🛠️ Admin: replay webhook ${dryRun ? '(dry-run)' : 'LIVE'} ${JSON.stringify({ provider, type, from, to, files, limit })}`);
+
+    const report = await webhookReplayService.replay({
+      provider,
+      webhookType: type,
+      from,
+      to,
+      files,
+      limit: parseInt(limit) || null,
+      dryRun
+    });
+
+    res.json({ ...report, timestamp: new Date().toISOString() });
+  } catch (error) {
+    logError(`❌ Errore replay webhook: ${error.message}`);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * Campaign rules attive
+ * GET /api/admin/campaign-rules
+ */
+router.get('/campaign-rules', (req, res) => {
+  res.json({
+    success: true,
+    ...getCampaignRulesStatus(),
+    timestamp: new Date().toISOString()
+  });
+});
+
+/**
+ * Ricarica le campaign rules dal file senza riavvio
+ * POST /api/admin/campaign-rules/reload
+ */
+router.post('/campaign-rules/reload', (req, res) => {
+  const result = reloadCampaignRules();
+
+  if (!result.success) {
+    return res.status(422).json({
+      success: false,
+      error: 'INVALID_CAMPAIGN_RULES',
+      validationErrors: result.errors,
+      activeSource: result.source,
+      message: 'Previous rules are still active',
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  log(`🛠️ Admin: campaign rules ricaricate da ${result.source}`);
+  res.json({
+    success: true,
+    ...getCampaignRulesStatus(),
+    timestamp: new Date().toISOString()
+  });
+});
+
+/**
+ * Versioni dei prompt di analisi, versione attiva e candidata A/B per fase
+ * GET /api/admin/prompts
+ */
+router.get('/prompts', (req, res) => {
+  res.json({
+    success: true,
+    ...getPromptRegistryStatus(),
+    timestamp: new Date().toISOString()
+  });
+});
+
+/**
+ * Lead pianificati dal cadence scheduler
+ * GET /api/admin/cadence?status=scheduled&limit=50
+ */
+router.get('/cadence', async (req, res) => {
+  try {
+    const stats = await leadCadenceScheduler.getStats();
+    const leads = stats.enabled
+      ? await leadCadenceScheduler.listLeads({ status: req.query.status, limit: parseInt(req.query.limit) || 50 })
+      : [];
+
+    res.json({
+      success: true,
+      ...stats,
+      leads,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logError(`❌ Errore lettura cadence: ${error.message}`);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * Lead in coda callback (in attesa di un agente libero o in gestione manuale)
+ * GET /api/admin/callback-queue?status=pending&limit=50
+ */
+router.get('/callback-queue', async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      ...(await callbackLeadQueue.getStats()),
+      leads: await callbackLeadQueue.listLeads({ status: req.query.status, limit: parseInt(req.query.limit) || 50 }),
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logError(`❌ Errore lettura coda callback: ${error.message}`);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * Stato sync contatti CloudTalk ↔ GHL (link, ultima riconciliazione, conflitti recenti)
+ * GET /api/admin/contact-sync?limit=20
+ */
+router.get('/contact-sync', async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      ...(await contactSyncService.getStats()),
+      recentConflicts: await contactSyncService.listConflicts({ limit: parseInt(req.query.limit) || 20 }),
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logError(`❌ Errore lettura sync contatti: ${error.message}`);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * Avvia la riconciliazione completa dei contatti in background
+ * POST /api/admin/contact-sync/reconcile
+ * Body: { dryRun?: boolean (default true), limit?: number }
+ */
+router.post('/contact-sync/reconcile', (req, res) => {
+  const dryRun = req.body?.dryRun !== false;
+  const limit = parseInt(req.body?.limit) || null;
+
+  if (!dryRun && !contactSyncService.isEnabled()) {
+    return res.status(400).json({
+      success: false,
+      error: 'CONTACT_SYNC_DISABLED',
+      message: 'Set CONTACT_SYNC_ENABLED=true to write changes, or run with dryRun',
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  if (contactSyncService.reconciliation.running) {
+    return res.status(409).json({
+      success: false,
+      error: 'RECONCILIATION_RUNNING',
+      reconciliation: contactSyncService.reconciliation,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  contactSyncService.reconcileAll({ dryRun, limit })
+    .catch(error => logError(`❌ Errore riconciliazione contatti: ${error.message}`));
+
+  log(`🛠️ Admin: riconciliazione contatti avviata (dryRun: ${dryRun}${limit ? `, limit: ${limit}` : ''})`);
+  res.status(202).json({
+    success: true,
+    dryRun,
+    limit,
+    message: 'Reconciliation started - follow progress on GET /api/admin/contact-sync',
+    timestamp: new Date().toISOString()
+  });
+});
+
+
+/**
+ * Delivery log dei webhook in uscita (missed_call, voicemail, appointment_booked, lead_stage_changed)
+ * GET /api/admin/outbound-deliveries?status=&event=&destination=&limit=&offset=
+ */
+router.get('/outbound-deliveries', async (req, res) => {
+  try {
+    const deliveries = await outboundWebhookDispatcher.listDeliveries({
+      status: req.query.status,
+      event: req.query.event,
+      destination: req.query.destination,
+      limit: parseInt(req.query.limit) || 50,
+      offset: parseInt(req.query.offset) || 0
+    });
+
+    res.json({
+      success: true,
+      ...(await outboundWebhookDispatcher.getStats()),
+      totalFound: deliveries.length,
+      deliveries: deliveries,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logError(`❌ Errore lettura webhook in uscita: ${error.message}`);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * Dettaglio delivery
+ * GET /api/admin/outbound-deliveries/:id
+ */
+router.get('/outbound-deliveries/:id', async (req, res) => {
+  const deliveryId = parseJobId(req, res, 'INVALID_DELIVERY_ID');
+  if (deliveryId === null) return;
+
+  try {
+    const delivery = await outboundWebhookDispatcher.getDelivery(deliveryId);
+    if (!delivery) {
+      return res.status(404).json({ success: false, error: 'DELIVERY_NOT_FOUND', deliveryId });
+    }
+    res.json({ success: true, delivery });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * Rimette in coda un delivery fallito
+ * POST /api/admin/outbound-deliveries/:id/retry
+ */
+router.post('/outbound-deliveries/:id/retry', async (req, res) => {
+  const deliveryId = parseJobId(req, res, 'INVALID_DELIVERY_ID');
+  if (deliveryId === null) return;
+
+  try {
+    const retried = await outboundWebhookDispatcher.retryDelivery(deliveryId);
+    if (!retried) {
+      return res.status(404).json({
+        success: false,
+        error: 'DELIVERY_NOT_RETRYABLE',
+        message: 'Delivery not found or not failed',
+        deliveryId
+      });
+    }
+
+    log(`🛠️ Admin: webhook in uscita #${deliveryId} rimesso in coda`);
+    res.json({ success: true, deliveryId, timestamp: new Date().toISOString() });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * Trascrizione originale (non redatta) di una chiamata, dalla copia cifrata locale
+ * GET /api/admin/transcripts/:callId/unredacted
+ */
+router.get('/transcripts/:callId/unredacted', async (req, res) => {
+  const { callId } = req.params;
+
+  if (!piiVault.isConfigured()) {
+    return res.status(503).json({
+      success: false,
+      error: 'PII_VAULT_NOT_CONFIGURED',
+      message: 'Set PII_ENCRYPTION_KEY to keep and read unredacted transcripts'
+    });
+  }
+
+  try {
+    const unredacted = await piiVault.get(callId);
+    if (!unredacted) {
+      return res.status(404).json({ success: false, error: 'TRANSCRIPT_NOT_FOUND', callId });
+    }
+
+    // Accesso ai dati personali sempre tracciato
+    log(`🔓 Admin: letta trascrizione non redatta chiamata ${callId} (${req.ip})`);
+    res.json({ success: true, ...unredacted });
+  } catch (error) {
+    logError(`❌ Errore lettura trascrizione non redatta chiamata ${callId}: ${error.message}`);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+export default router;
@@ -0,0 +1,158 @@
+import express from 'express';
+import { logError } from '../logger.js';
+import { requireAdminToken } from '../utils/admin-auth.js';
+import agentScheduleService from '../services/agent-schedule-service.js';
+
+const router = express.Router();
+
+/**
+ * Agent schedules - turni, pause e assenze usati dalla distribuzione lead
+ * Montato su /api/ghl-webhooks/agents, protetto da ADMIN_API_TOKEN
+ */
+
+router.use(requireAdminToken);
+
+/**
+ * Lista schedule con stato turno attuale
+ * GET /api/ghl-webhooks/agents
+ */
+router.get('/', async (req, res) => {
+  try {
+    const schedules = await agentScheduleService.listSchedules();
+    const agents = [];
+
+    for (const [agentId, schedule] of Object.entries(schedules)) {
+      agents.push({
+        agentId,
+        ...schedule,
+        current: await agentScheduleService.getShiftStatus(agentId)
+      });
+    }
+
+    res.json({
+      success: true,
+      totalFound: agents.length,
+      agents,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logError(`❌ Errore lista turni agenti: ${error.message}`);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * Schedule di un agente
+ * GET /api/ghl-webhooks/agents/:agentId/schedule
+ */
+router.get('/:agentId/schedule', async (req, res) => {
+  try {
+    const schedule = await agentScheduleService.getSchedule(req.params.agentId);
+    if (!schedule) {
+      return res.status(404).json({ success: false, error: 'SCHEDULE_NOT_FOUND', agentId: req.params.agentId });
+    }
+
+    res.json({
+      success: true,
+      agentId: req.params.agentId,
+      schedule,
+      current: await agentScheduleService.getShiftStatus(req.params.agentId),
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * Crea o sostituisce turni e pause
+ * PUT /api/ghl-webhooks/agents/:agentId/schedule
+ * Body: { timeZone, shifts: { "1": "09:00-13:00,14:00-18:00" }, breaks: [{ window, days }] }
+ */
+router.put('/:agentId/schedule', async (req, res) => {
+  try {
+    const result = await agentScheduleService.setSchedule(req.params.agentId, req.body);
+    if (!result.success) {
+      return res.status(400).json({
+        success: false,
+        error: 'INVALID_SCHEDULE',
+        validationErrors: result.errors,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    res.json({
+      success: true,
+      agentId: req.params.agentId,
+      schedule: result.schedule,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logError(`❌ Errore salvataggio turni agente ${req.params.agentId}: ${error.message}`);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * Rimuove lo schedule (agente sempre disponibile)
+ * DELETE /api/ghl-webhooks/agents/:agentId/schedule
+ */
+router.delete('/:agentId/schedule', async (req, res) => {
+  try {
+    const deleted = await agentScheduleService.deleteSchedule(req.params.agentId);
+    if (!deleted) {
+      return res.status(404).json({ success: false, error: 'SCHEDULE_NOT_FOUND', agentId: req.params.agentId });
+    }
+
+    res.json({ success: true, agentId: req.params.agentId, timestamp: new Date().toISOString() });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * Aggiunge un'assenza
+ * POST /api/ghl-webhooks/agents/:agentId/time-off
+ * Body: { from: "2026-08-10", to: "2026-08-21", reason: "Ferie" }
+ */
+router.post('/:agentId/time-off', async (req, res) => {
+  try {
+    const result = await agentScheduleService.addTimeOff(req.params.agentId, req.body);
+    if (!result.success) {
+      return res.status(result.notFound ? 404 : 400).json({
+        success: false,
+        error: result.notFound ? 'SCHEDULE_NOT_FOUND' : 'INVALID_TIME_OFF',
+        validationErrors: result.errors,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      agentId: req.params.agentId,
+      timeOff: result.timeOff,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * Rimuove un'assenza
+ * DELETE /api/ghl-webhooks/agents/:agentId/time-off/:timeOffId
+ */
+router.delete('/:agentId/time-off/:timeOffId', async (req, res) => {
+  try {
+    const removed = await agentScheduleService.removeTimeOff(req.params.agentId, req.params.timeOffId);
+    if (!removed) {
+      return res.status(404).json({ success: false, error: 'TIME_OFF_NOT_FOUND', timeOffId: req.params.timeOffId });
+    }
+
+    res.json({ success: true, agentId: req.params.agentId, timeOffId: req.params.timeOffId, timestamp: new Date().toISOString() });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+export default router;
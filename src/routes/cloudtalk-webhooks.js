@@ -1,25 +1,40 @@
 import express from 'express';
 import { processCloudTalkWebhook } from '../../API Squadd/webhook-to-ghl-processor.js';
 import { logRequest, logError, log } from '../logger.js';
-import { saveWebhookPayload } from '../utils/webhook-payload-logger.js';
-import { isWebhookAlreadyProcessed, markWebhookAsProcessed } from '../utils/webhook-deduplication.js';
+import { saveWebhookPayload, redactWebhookHeaders } from '../utils/webhook-payload-logger.js';
+import { isWebhookAlreadyProcessed, markWebhookAsProcessed, getWebhookCacheStats } from '../utils/webhook-deduplication.js';
+import { verifyWebhookSignature, getWebhookAuthStats } from '../utils/webhook-signature.js';
+import { requireAdminToken } from '../utils/admin-auth.js';
 import { validateAndEnhanceWebhookPayload, extractDeduplicationKey, logValidationSummary } from '../utils/webhook-validation.js';
 import { processCallEndedWebhook } from '../services/cloudtalk-campaign-automation.js';
-import { addNoteToGHLContact } from '../../API Squadd/tests/add-note.js';
+import ghlClient from '../services/ghl-client.js';
 import googleSheetsService from '../services/google-sheets-service.js';
+import webhookJobQueue, { TerminalJobError } from '../services/webhook-job-queue.js';
+import contactSyncService from '../services/contact-sync-service.js';
+import contactIdCache from '../services/contact-id-cache.js';
+import outboundWebhookDispatcher from '../services/outbound-webhook-dispatcher.js';
+import { renderNote, buildCallContext } from '../services/note-templates.js';
 
 const router = express.Router();
 
+// Webhooks are processed asynchronously by the durable job worker
+webhookJobQueue.registerHandler('cloudtalk', processWebhookJob);
+
+// Authenticate every inbound CloudTalk webhook (HMAC or static token)
+router.use(verifyWebhookSignature('cloudtalk'));
+
 // CloudTalk Webhooks → GHL Integration
 
 /**
- * Generic webhook processor with enhanced validation
+ * Generic webhook receiver with enhanced validation
+ * Validates, deduplicates and stores the webhook as a durable job, then
+ * acknowledges immediately: processing happens in the job worker.
  */
-async function handleWebhook(req, res, webhookType) {
+async function handleWebhook(req, res, webhookType, { rejectInvalid = true } = {}) {
   const timestamp = new Date().toISOString();
 
   log(`📞 [${timestamp}] CloudTalk Webhook: ${webhookType.toUpperCase()}`);
-  log(`📡 Headers: ${JSON.stringify(req.headers, null, 2)}`);
+  log(`📡 Headers: ${JSON.stringify(redactWebhookHeaders(req.headers), null, 2)}`);
   log(`📋 Payload: ${JSON.stringify(req.body, null, 2)}`);
 
   // STEP 1: Validate and enhance webhook payload
@@ -33,7 +48,7 @@ async function handleWebhook(req, res, webhookType) {
   const deduplicationKey = extractDeduplicationKey(enhancedPayload, webhookType);
   const callId = enhancedPayload.call_id; // This is guaranteed to exist after validation
 
-  if (isWebhookAlreadyProcessed(callId, webhookType)) {
+  if (await isWebhookAlreadyProcessed(callId, webhookType)) {
     log(`🔄 Skipping duplicate webhook: ${deduplicationKey}`);
     return res.json({
       success: true,
@@ -46,8 +61,8 @@ async function handleWebhook(req, res, webhookType) {
     });
   }
 
-  // STEP 3: Reject invalid webhooks (optional - can be made permissive)
-  if (!validation.isValid) {
+  // STEP 3: Reject invalid webhooks (call-ended stays permissive)
+  if (rejectInvalid && !validation.isValid) {
     logError(`❌ Rejecting invalid webhook: ${validation.errors.join(', ')}`);
     return res.status(400).json({
       success: false,
@@ -68,40 +83,34 @@ async function handleWebhook(req, res, webhookType) {
   }
 
   try {
-    // STEP 5: Process webhook with our GHL integration using ENHANCED payload
-    log(`🔄 Processing with enhanced payload (call_id: ${enhancedPayload.call_id})`);
-    const result = await processCloudTalkWebhook(enhancedPayload, webhookType);
-
-    if (result.success) {
-      // Mark webhook as processed to prevent duplicates
-      if (callId) {
-        markWebhookAsProcessed(callId, webhookType);
+    // STEP 5: Store as durable job - the worker runs the GHL integration
+    const jobId = await webhookJobQueue.enqueue({
+      provider: 'cloudtalk',
+      webhookType: webhookType,
+      payload: {
+        ...enhancedPayload,
+        _receivedAt: timestamp,
+        _validationWarnings: validation.warnings
       }
+    });
 
-      log(`✅ Webhook ${webhookType} processato con successo!`);
-      log(`👤 Contatto: ${result.contact.name} (${result.contact.id})`);
-      log(`📝 Azione: ${result.result.action}`);
-
-      res.json({
-        success: true,
-        message: `CloudTalk webhook ${webhookType} processed successfully`,
-        timestamp: timestamp,
-        contact: result.contact,
-        result: result.result
-      });
-    } else {
-      logError(`❌ Webhook ${webhookType} fallito: ${result.error || result.reason}`);
-
-      res.status(400).json({
-        success: false,
-        error: result.error || result.reason,
-        webhookType: webhookType,
-        timestamp: timestamp
-      });
+    // The job is durable from here on: CloudTalk retries must not enqueue it twice
+    if (callId) {
+      await markWebhookAsProcessed(callId, webhookType);
     }
 
+    res.status(202).json({
+      success: true,
+      message: `CloudTalk webhook ${webhookType} accepted for processing`,
+      jobId: jobId,
+      callId: callId,
+      webhookType: webhookType,
+      timestamp: timestamp,
+      validationWarnings: validation.warnings
+    });
+
   } catch (error) {
-    logError(`💥 Errore nel processamento webhook ${webhookType}: ${error.message}`);
+    logError(`💥 Errore mettendo in coda webhook ${webhookType}: ${error.message}`);
 
     res.status(500).json({
       success: false,
@@ -113,309 +122,257 @@ async function handleWebhook(req, res, webhookType) {
 }
 
 /**
- * Handler specializzato per webhook call-ended con Campaign Automation
- * Integra il processo esistente con la logica di progressione campagne
- * UPDATED: Now uses enhanced validation to prevent undefined call_id issues
+ * Job handler for CloudTalk webhooks (runs in the webhook job worker)
+ * Throws on failure so the queue retries with backoff or dead-letters the job.
+ * @param {Object} enhancedPayload - Validated payload stored with the job
+ * @param {string} webhookType - Type of webhook
+ * @returns {Promise<Object>} Compact processing result stored on the job
  */
-async function handleCallEndedWebhook(req, res) {
-  const timestamp = new Date().toISOString();
-  const webhookType = 'call-ended';
+async function processWebhookJob(enhancedPayload, webhookType) {
+  if (webhookType === 'call-ended') {
+    return await processCallEndedJob(enhancedPayload);
+  }
 
-  log(`📞 [${timestamp}] CloudTalk Webhook: CALL-ENDED (Analytics API Logic)`);
-  log(`📡 Headers: ${JSON.stringify(req.headers, null, 2)}`);
-  log(`📋 Payload: ${JSON.stringify(req.body, null, 2)}`);
+  // Campi contatto allineati su GHL prima della nota del processor
+  let contactSync = null;
+  if (webhookType === 'contact-updated') {
+    await contactIdCache.handleContactUpdated('cloudtalk', {
+      phone: enhancedPayload.external_number,
+      contactId: enhancedPayload.contact_id
+    });
+    contactSync = await contactSyncService.syncFromCloudTalk(enhancedPayload);
+    if (!contactSync.success) {
+      throw new Error(`Sync contatto fallita: ${contactSync.error}`);
+    }
+  }
 
-  // STEP 1: Validate and enhance webhook payload
-  const validation = validateAndEnhanceWebhookPayload(req.body, webhookType);
-  logValidationSummary(validation, webhookType);
+  log(`🔄 Processing with enhanced payload (call_id: ${enhancedPayload.call_id})`);
+  const result = await processCloudTalkWebhook(enhancedPayload, webhookType);
 
-  // Use enhanced payload for processing
-  const enhancedPayload = validation.enhancedPayload;
+  if (!result.success) {
+    const message = `Webhook ${webhookType} fallito: ${result.error || result.reason}`;
+    // Contatto inesistente o richiesta rifiutata (4xx): ritentare non cambia l'esito
+    if (result.reason === 'contact_not_found') {
+      throw new TerminalJobError(message);
+    }
+    throw new Error(message, { cause: result.cause });
+  }
+
+  log(`✅ Webhook ${webhookType} processato con successo!`);
+  log(`👤 Contatto: ${result.contact.name} (${result.contact.id})`);
+  log(`📝 Azione: ${result.result.action}`);
+
+  return {
+    success: true,
+    contact: result.contact,
+    action: result.result.action,
+    noteId: result.result.noteId || null,
+    contactSync: contactSync && {
+      skipped: contactSync.skipped || false,
+      reason: contactSync.reason || null,
+      cloudtalkChanges: contactSync.cloudtalkChanges?.length || 0,
+      ghlChanges: contactSync.ghlChanges?.length || 0,
+      conflicts: contactSync.conflicts?.length || 0
+    }
+  };
+}
+
+/**
+ * Processing specializzato per webhook call-ended con Campaign Automation
+ * Integra il processo esistente con la logica di progressione campagne
+ * @param {Object} enhancedPayload - Validated payload stored with the job
+ * @returns {Promise<Object>} Processing result
+ */
+async function processCallEndedJob(enhancedPayload) {
+  const webhookType = 'call-ended';
+  const timestamp = enhancedPayload._receivedAt || new Date().toISOString();
   const correlationId = enhancedPayload._correlationId;
 
+  log(`📞 [${timestamp}] Processing CALL-ENDED job (Analytics API Logic)`);
   log(`🔗 Enhanced Correlation ID: ${correlationId}`);
 
-  // STEP 2: Check for duplicate webhook using validated data
-  const deduplicationKey = extractDeduplicationKey(enhancedPayload, webhookType);
-  const callId = enhancedPayload.call_id; // Guaranteed to exist after validation
-
-  if (isWebhookAlreadyProcessed(callId, webhookType)) {
-    log(`🔄 Skipping duplicate webhook: ${deduplicationKey}`);
-    return res.json({
-      success: true,
-      message: 'Webhook already processed (duplicate)',
-      callId: callId,
-      webhookType: webhookType,
-      timestamp: timestamp,
-      deduplicationKey: deduplicationKey
-    });
+  // 🆕 ANALYTICS API LOGIC: Get real call status from CloudTalk Analytics API
+  log(`🔍 Analyzing call using CloudTalk Analytics API...`);
+  const { analyzeCall } = await import('../services/cloudtalk-analytics-service.js');
+  const callAnalysis = await analyzeCall(enhancedPayload);
+  
+  log(`📊 Call analysis result:`);
+  log(`   - Success: ${callAnalysis.success}`);
+  log(`   - Status: ${callAnalysis.status}`);
+  log(`   - Is missed: ${callAnalysis.isMissed}`);
+  log(`   - Reason: ${callAnalysis.reason}`);
+  if (callAnalysis.fallback) {
+    log(`   ⚠️ Used fallback logic due to: ${callAnalysis.analyticsError}`);
   }
 
-  // Save webhook payload to JSON file
-  const saveResult = await saveWebhookPayload('cloudtalk', webhookType, req.body, req.headers);
-  if (saveResult.success) {
-    log(`💾 Payload salvato in: ${saveResult.filepath}`);
-  } else {
-    logError(`❌ Errore salvando payload: ${saveResult.error}`);
-  }
+  const isMissedCall = callAnalysis.isMissed;
+  const callStatus = callAnalysis.status;
 
-  try {
-    // 🆕 ANALYTICS API LOGIC: Get real call status from CloudTalk Analytics API
-    log(`🔍 Analyzing call using CloudTalk Analytics API...`);
-    const { analyzeCall } = await import('../services/cloudtalk-analytics-service.js');
-    const callAnalysis = await analyzeCall(enhancedPayload);
+  if (isMissedCall) {
+    // ❌ CHIAMATA PERSA: Invia webhook a GHL + Campaign Automation
+    log(`❌ MISSED CALL detected (${callStatus}) - Processing with GHL webhook`);
     
-    log(`📊 Call analysis result:`);
-    log(`   - Success: ${callAnalysis.success}`);
-    log(`   - Status: ${callAnalysis.status}`);
-    log(`   - Is missed: ${callAnalysis.isMissed}`);
-    log(`   - Reason: ${callAnalysis.reason}`);
-    if (callAnalysis.fallback) {
-      log(`   ⚠️ Used fallback logic due to: ${callAnalysis.analyticsError}`);
-    }
-
-    const isMissedCall = callAnalysis.isMissed;
-    const callStatus = callAnalysis.status;
-
-    if (isMissedCall) {
-      // ❌ CHIAMATA PERSA: Invia webhook a GHL + Campaign Automation
-      log(`❌ MISSED CALL detected (${callStatus}) - Processing with GHL webhook`);
-      
-      // 1. PRIMA: Invia webhook a GoHighLevel
-      let ghlWebhookResult = null;
-      try {
-        const ghlWebhookUrl = 'https://services.leadconnectorhq.com/hooks/DfxGoORmPoL5Z1OcfYJM/webhook-trigger/873baa5c-928e-428a-ac68-498d954a9ff7';
-        
-        // Prepara payload per GHL con tutti i dati della chiamata + analytics data
-        const ghlPayload = {
-          event_type: 'cloudtalk_call_ended',
-          call_type: 'missed',
-          timestamp: timestamp,
-          call_uuid: enhancedPayload.call_uuid,
-          call_id: enhancedPayload.call_id,
-          internal_number: enhancedPayload.internal_number,
-          external_number: enhancedPayload.external_number,
-          agent_id: enhancedPayload.agent_id,
-          agent_first_name: enhancedPayload.agent_first_name,
-          agent_last_name: enhancedPayload.agent_last_name,
-          contact_id: enhancedPayload.contact_id,
-          call_attempts: enhancedPayload['# di tentativi di chiamata'] || enhancedPayload.call_attempts,
-          is_missed_call: true,
-          webhook_received_at: timestamp,
-          source: 'cloudtalk_middleware',
-          // Analytics data
-          cloudtalk_status: callAnalysis.status,
-          talking_time: callAnalysis.talkingTime || 0,
-          total_time: callAnalysis.totalTime || 0,
-          direction: callAnalysis.direction,
-          recorded: callAnalysis.recorded,
-          analytics_success: callAnalysis.success,
-          validation_applied: validation.warnings.length > 0 ? validation.warnings : null
-        };
-        
-        log(`📤 Inviando webhook a GHL per MISSED CALL: ${ghlWebhookUrl}`);
-        log(`📋 Payload GHL: ${JSON.stringify(ghlPayload, null, 2)}`);
-        
-        const ghlResponse = await fetch(ghlWebhookUrl, {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json',
-            'User-Agent': 'CloudTalk-Middleware/1.0'
-          },
-          body: JSON.stringify(ghlPayload)
-        });
-        
-        if (ghlResponse.ok) {
-          const ghlResponseData = await ghlResponse.text();
-          ghlWebhookResult = {
-            success: true,
-            message: 'Missed call webhook inviato a GoHighLevel con successo',
-            response: ghlResponseData
-          };
-          log(`✅ Webhook GHL per MISSED CALL inviato con successo: ${ghlResponse.status}`);
-        } else {
-          const errorText = await ghlResponse.text();
-          throw new Error(`GHL webhook failed: ${ghlResponse.status} - ${errorText}`);
+    // 1. PRIMA: Evento missed_call ai webhook configurati (trigger GHL)
+    const ghlWebhookResult = await outboundWebhookDispatcher.dispatch('missed_call', {
+      event_type: 'cloudtalk_call_ended',
+      call_type: 'missed',
+      timestamp: timestamp,
+      call_uuid: enhancedPayload.call_uuid,
+      call_id: enhancedPayload.call_id,
+      internal_number: enhancedPayload.internal_number,
+      external_number: enhancedPayload.external_number,
+      agent_id: enhancedPayload.agent_id,
+      agent_first_name: enhancedPayload.agent_first_name,
+      agent_last_name: enhancedPayload.agent_last_name,
+      contact_id: enhancedPayload.contact_id,
+      call_attempts: enhancedPayload['# di tentativi di chiamata'] || enhancedPayload.call_attempts,
+      is_missed_call: true,
+      webhook_received_at: timestamp,
+      source: 'cloudtalk_middleware',
+      // Analytics data
+      cloudtalk_status: callAnalysis.status,
+      talking_time: callAnalysis.talkingTime || 0,
+      total_time: callAnalysis.totalTime || 0,
+      direction: callAnalysis.direction,
+      recorded: callAnalysis.recorded,
+      analytics_success: callAnalysis.success,
+      validation_applied: enhancedPayload._validationWarnings?.length > 0 ? enhancedPayload._validationWarnings : null
+    }, { correlationId });
+
+    // 2. SECONDA: Esegui Campaign Automation (priorità alta) using enhanced payload
+    let campaignResult = null;
+    try {
+      campaignResult = await processCallEndedWebhook(enhancedPayload, correlationId, { callOutcome: 'missed' });
+
+      if (campaignResult.success) {
+        log(`✅ Campaign Automation completata con successo per MISSED CALL!`);
+        log(`👤 Contatto: ${campaignResult.contact?.name} (${campaignResult.contact?.id})`);
+        log(`🔢 Tentativi: ${campaignResult.attempts?.previous} → ${campaignResult.attempts?.new}`);
+
+        if (campaignResult.campaign) {
+          log(`📈 Campagna spostata: ${campaignResult.campaign.source} → ${campaignResult.campaign.target}`);
         }
-        
-      } catch (ghlWebhookError) {
-        logError(`❌ GHL Webhook failed: ${ghlWebhookError.message}`);
-        
-        ghlWebhookResult = {
-          success: false,
-          error: ghlWebhookError.message,
-          message: 'GHL webhook failed but call processing continues'
-        };
-      }
 
-      // 2. SECONDA: Esegui Campaign Automation (priorità alta) using enhanced payload
-      let campaignResult = null;
-      try {
-        campaignResult = await processCallEndedWebhook(enhancedPayload, correlationId);
+        // 3. TERZA: Crea nota per MISSED CALL nel contatto GHL
+        try {
+          const noteText = renderNote('missed-call', {
+            ...buildCallContext(enhancedPayload),
+            call_attempts: campaignResult.attempts?.new ?? null
+          });
+          log(`📝 Creando nota per MISSED CALL: "${noteText}"`);
 
-        if (campaignResult.success) {
-          log(`✅ Campaign Automation completata con successo per MISSED CALL!`);
-          log(`👤 Contatto: ${campaignResult.contact?.name} (${campaignResult.contact?.id})`);
-          log(`🔢 Tentativi: ${campaignResult.attempts?.previous} → ${campaignResult.attempts?.new}`);
+          // Trova il contatto GHL per creare la nota (separato da Campaign Automation)
+          const phoneNumber = enhancedPayload.external_number;
+          const ghlContact = await contactIdCache.findGhlContact(phoneNumber);
 
-          if (campaignResult.campaign) {
-            log(`📈 Campagna spostata: ${campaignResult.campaign.source} → ${campaignResult.campaign.target}`);
+          if (!ghlContact) {
+            throw new Error(`Contatto GHL non trovato per ${phoneNumber}`);
           }
 
-          // 3. TERZA: Crea nota per MISSED CALL nel contatto GHL
-          try {
-            const noteText = '📵 TENTATIVO SENZA RISPOSTA - CLOUDTALK';
-            log(`📝 Creando nota per MISSED CALL: "${noteText}"`);
-
-            // Trova il contatto GHL per creare la nota (separato da Campaign Automation)
-            const phoneNumber = enhancedPayload.external_number;
-            const { searchGHLContactByPhone } = await import('../../API Squadd/tests/search-contact-by-phone.js');
-            const ghlContact = await searchGHLContactByPhone(phoneNumber);
-
-            if (!ghlContact) {
-              throw new Error(`Contatto GHL non trovato per ${phoneNumber}`);
-            }
-
-            log(`📞 Contatto GHL trovato: ${ghlContact.firstName} ${ghlContact.lastName} (${ghlContact.id})`);
-            const noteResult = await addNoteToGHLContact(ghlContact.id, noteText);
-
-            if (noteResult && noteResult.id) {
-              log(`✅ Nota creata con successo per MISSED CALL! ID: ${noteResult.id}`);
-              campaignResult.noteCreated = {
-                success: true,
-                noteId: noteResult.id,
-                noteText: noteText
-              };
-            } else {
-              log(`⚠️ Nota creata ma risposta anomala: ${JSON.stringify(noteResult)}`);
-              campaignResult.noteCreated = {
-                success: true,
-                noteText: noteText,
-                response: noteResult
-              };
-            }
-          } catch (noteError) {
-            logError(`❌ Errore creando nota per MISSED CALL: ${noteError.message}`);
+          log(`📞 Contatto GHL trovato: ${ghlContact.firstName} ${ghlContact.lastName} (${ghlContact.id})`);
+          const noteResult = await ghlClient.addContactNote(ghlContact.id, noteText);
+
+          if (noteResult && noteResult.id) {
+            log(`✅ Nota creata con successo per MISSED CALL! ID: ${noteResult.id}`);
             campaignResult.noteCreated = {
-              success: false,
-              error: noteError.message,
-              noteText: '📵 TENTATIVO SENZA RISPOSTA - CLOUDTALK'
+              success: true,
+              noteId: noteResult.id,
+              noteText: noteText
+            };
+          } else {
+            log(`⚠️ Nota creata ma risposta anomala: ${JSON.stringify(noteResult)}`);
+            campaignResult.noteCreated = {
+              success: true,
+              noteText: noteText,
+              response: noteResult
             };
           }
-        } else {
-          log(`⚠️ Campaign Automation saltata: ${campaignResult.reason}`);
+        } catch (noteError) {
+          logError(`❌ Errore creando nota per MISSED CALL: ${noteError.message}`);
+          campaignResult.noteCreated = {
+            success: false,
+            error: noteError.message
+          };
         }
-        
-      } catch (campaignError) {
-        logError(`❌ Campaign Automation fallita: ${campaignError.message}`);
-        
-        // Se campaign automation fallisce, rispondi 500 per retry
-        return res.status(500).json({
-          success: false,
-          error: 'Campaign automation failed for missed call',
-          details: campaignError.message,
-          webhookType: webhookType,
-          timestamp: timestamp,
-          retryable: true
-        });
-      }
-
-      // 3. Mark webhook as processed (solo se campaign automation ok)
-      if (callId) {
-        markWebhookAsProcessed(callId, webhookType);
-      }
-
-      // 4. Risposta finale per MISSED CALL
-      const response = {
-        success: true,
-        call_type: 'missed',
-        call_status: callStatus,
-        message: 'MISSED CALL processed with GHL webhook forwarding, Campaign Automation, and Note Creation',
-        timestamp: timestamp,
-        analytics: callAnalysis,
-        ghlWebhookForwarding: ghlWebhookResult || { success: false, reason: 'Not processed' },
-        campaignAutomation: campaignResult || { success: false, reason: 'Not processed' },
-        noteCreation: campaignResult?.noteCreated || { success: false, reason: 'Not processed' }
-      };
-      
-      // Include contact info if available from campaign automation
-      if (campaignResult?.contact) {
-        response.contact = campaignResult.contact;
+      } else {
+        log(`⚠️ Campaign Automation saltata: ${campaignResult.reason}`);
       }
       
-      log(`🎉 MISSED CALL webhook processing completed successfully!`);
-      res.json(response);
+    } catch (campaignError) {
+      logError(`❌ Campaign Automation fallita: ${campaignError.message}`);
       
-    } else {
-      // ✅ CHIAMATA RISPOSTA: Solo Campaign Automation, aspetta recording
-      log(`✅ ANSWERED CALL detected (${callStatus}) - Processing WITHOUT GHL webhook, waiting for recording`);
+      // Se campaign automation fallisce, il job viene ritentato con backoff
+      throw new Error(`Campaign automation failed for missed call: ${campaignError.message}`, { cause: campaignError });
+    }
+
+    // 4. Risposta finale per MISSED CALL
+    const response = {
+      success: true,
+      call_type: 'missed',
+      call_status: callStatus,
+      message: 'MISSED CALL processed with GHL webhook forwarding, Campaign Automation, and Note Creation',
+      timestamp: timestamp,
+      analytics: callAnalysis,
+      ghlWebhookForwarding: ghlWebhookResult,
+      campaignAutomation: campaignResult || { success: false, reason: 'Not processed' },
+      noteCreation: campaignResult?.noteCreated || { success: false, reason: 'Not processed' }
+    };
+    
+    // Include contact info if available from campaign automation
+    if (campaignResult?.contact) {
+      response.contact = campaignResult.contact;
+    }
+    
+    log(`🎉 MISSED CALL webhook processing completed successfully!`);
+    return response;
+    
+  } else {
+    // ✅ CHIAMATA RISPOSTA: Solo Campaign Automation, aspetta recording
+    log(`✅ ANSWERED CALL detected (${callStatus}) - Processing WITHOUT GHL webhook, waiting for recording`);
+    
+    // 1. Esegui solo Campaign Automation (senza webhook GHL) using enhanced payload
+    let campaignResult = null;
+    try {
+      campaignResult = await processCallEndedWebhook(enhancedPayload, correlationId, { callOutcome: 'answered' });
       
-      // 1. Esegui solo Campaign Automation (senza webhook GHL) using enhanced payload
-      let campaignResult = null;
-      try {
-        campaignResult = await processCallEndedWebhook(enhancedPayload, correlationId);
+      if (campaignResult.success) {
+        log(`✅ Campaign Automation completata con successo per ANSWERED CALL!`);
+        log(`👤 Contatto: ${campaignResult.contact?.name} (${campaignResult.contact?.id})`);
+        log(`🔢 Tentativi: ${campaignResult.attempts?.previous} → ${campaignResult.attempts?.new}`);
         
-        if (campaignResult.success) {
-          log(`✅ Campaign Automation completata con successo per ANSWERED CALL!`);
-          log(`👤 Contatto: ${campaignResult.contact?.name} (${campaignResult.contact?.id})`);
-          log(`🔢 Tentativi: ${campaignResult.attempts?.previous} → ${campaignResult.attempts?.new}`);
-          
-          if (campaignResult.campaign) {
-            log(`📈 Campagna spostata: ${campaignResult.campaign.source} → ${campaignResult.campaign.target}`);
-          }
-        } else {
-          log(`⚠️ Campaign Automation saltata: ${campaignResult.reason}`);
+        if (campaignResult.campaign) {
+          log(`📈 Campagna spostata: ${campaignResult.campaign.source} → ${campaignResult.campaign.target}`);
         }
-        
-      } catch (campaignError) {
-        logError(`❌ Campaign Automation fallita: ${campaignError.message}`);
-        
-        // Se campaign automation fallisce, rispondi 500 per retry
-        return res.status(500).json({
-          success: false,
-          error: 'Campaign automation failed for answered call',
-          details: campaignError.message,
-          webhookType: webhookType,
-          timestamp: timestamp,
-          retryable: true
-        });
+      } else {
+        log(`⚠️ Campaign Automation saltata: ${campaignResult.reason}`);
       }
       
-      // 2. Mark webhook as processed (solo se campaign automation ok)
-      if (callId) {
-        markWebhookAsProcessed(callId, webhookType);
-      }
-
-      // 3. Risposta finale per ANSWERED CALL (senza GHL webhook, aspetta recording)
-      const response = {
-        success: true,
-        call_type: 'answered',
-        call_status: callStatus,
-        message: 'ANSWERED CALL processed - waiting for recording (no GHL webhook sent)',
-        timestamp: timestamp,
-        analytics: callAnalysis,
-        ghlWebhookForwarding: { success: false, reason: 'Skipped for answered calls' },
-        campaignAutomation: campaignResult || { success: false, reason: 'Not processed' }
-      };
+    } catch (campaignError) {
+      logError(`❌ Campaign Automation fallita: ${campaignError.message}`);
       
-      // Include contact info if available from campaign automation
-      if (campaignResult?.contact) {
-        response.contact = campaignResult.contact;
-      }
-      
-      log(`🎉 ANSWERED CALL webhook processing completed - waiting for recording!`);
-      res.json(response);
+      // Se campaign automation fallisce, il job viene ritentato con backoff
+      throw new Error(`Campaign automation failed for answered call: ${campaignError.message}`, { cause: campaignError });
     }
     
-  } catch (error) {
-    logError(`💥 Errore nel processamento call-ended webhook: ${error.message}`);
-
-    res.status(500).json({
-      success: false,
-      error: error.message,
-      webhookType: webhookType,
-      timestamp: timestamp
-    });
+    // 3. Risposta finale per ANSWERED CALL (senza GHL webhook, aspetta recording)
+    const response = {
+      success: true,
+      call_type: 'answered',
+      call_status: callStatus,
+      message: 'ANSWERED CALL processed - waiting for recording (no GHL webhook sent)',
+      timestamp: timestamp,
+      analytics: callAnalysis,
+      ghlWebhookForwarding: { success: false, reason: 'Skipped for answered calls' },
+      campaignAutomation: campaignResult || { success: false, reason: 'Not processed' }
+    };
+    
+    // Include contact info if available from campaign automation
+    if (campaignResult?.contact) {
+      response.contact = campaignResult.contact;
+    }
+    
+    log(`🎉 ANSWERED CALL webhook processing completed - waiting for recording!`);
+    return response;
   }
 }
 
@@ -429,7 +386,7 @@ async function handleCallStartedWebhook(req, res) {
   const webhookType = 'call-started';
 
   log(`📞 [${timestamp}] CloudTalk Webhook: CALL-STARTED (Logging Only)`);
-  log(`📡 Headers: ${JSON.stringify(req.headers, null, 2)}`);
+  log(`📡 Headers: ${JSON.stringify(redactWebhookHeaders(req.headers), null, 2)}`);
   log(`📋 Payload: ${JSON.stringify(req.body, null, 2)}`);
 
   // STEP 1: Validate and enhance webhook payload
@@ -446,7 +403,7 @@ async function handleCallStartedWebhook(req, res) {
   const deduplicationKey = extractDeduplicationKey(enhancedPayload, webhookType);
   const callId = enhancedPayload.call_id; // Guaranteed to exist after validation
 
-  if (isWebhookAlreadyProcessed(callId, webhookType)) {
+  if (await isWebhookAlreadyProcessed(callId, webhookType)) {
     log(`🔄 Skipping duplicate webhook: ${deduplicationKey}`);
     return res.json({
       success: true,
@@ -469,7 +426,7 @@ async function handleCallStartedWebhook(req, res) {
   try {
     // Mark webhook as processed (solo logging, niente Google Sheets)
     if (callId) {
-      markWebhookAsProcessed(callId, webhookType);
+      await markWebhookAsProcessed(callId, webhookType);
     }
 
     log(`📋 Call-started webhook received - CloudTalk will handle Google Sheets directly`);
@@ -538,7 +495,7 @@ router.post('/call-started', async (req, res) => {
  * POST /api/cloudtalk-webhooks/call-ended
  */
 router.post('/call-ended', async (req, res) => {
-  await handleCallEndedWebhook(req, res);
+  await handleWebhook(req, res, 'call-ended', { rejectInvalid: false });
 });
 
 /**
@@ -587,11 +544,22 @@ router.post('/generic', async (req, res) => {
  * Health check for CloudTalk webhooks
  * GET /api/cloudtalk-webhooks/health
  */
-router.get('/health', (req, res) => {
+router.get('/health', async (req, res) => {
+  let jobQueue;
+  try {
+    jobQueue = await webhookJobQueue.getStats();
+  } catch (error) {
+    jobQueue = { error: error.message };
+  }
+  const contactCache = await contactIdCache.getStats();
+
   res.json({
     service: 'CloudTalk → GHL Webhooks',
     status: 'active',
     timestamp: new Date().toISOString(),
+    authentication: getWebhookAuthStats('cloudtalk'),
+    jobQueue: jobQueue,
+    contactCache: contactCache,
     endpoints: [
       '/call-recording-ready',
       '/new-tag',
@@ -600,11 +568,39 @@ router.get('/health', (req, res) => {
       '/call-ended',
       '/new-note',
       '/transcription-ready',
-      '/generic'
+      '/generic',
+      '/dedup'
     ]
   });
 });
 
+/**
+ * Deduplication store inspection (admin token: the keys are CloudTalk call ids)
+ * GET /api/cloudtalk-webhooks/dedup
+ */
+router.get('/dedup', requireAdminToken, async (req, res) => {
+  try {
+    const stats = await getWebhookCacheStats();
+    const limit = parseInt(req.query.limit) || 100;
+
+    res.json({
+      service: 'CloudTalk Webhook Deduplication',
+      ...stats,
+      entries: stats.entries
+        .filter(entry => !req.query.type || entry.webhookType === req.query.type)
+        .slice(0, limit),
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logError(`❌ Errore recupero stato deduplicazione: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
 /**
  * Test endpoint
  * POST /api/cloudtalk-webhooks/test
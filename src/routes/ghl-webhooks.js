@@ -1,16 +1,27 @@
 import express from 'express';
 import { logRequest, logError, log } from '../logger.js';
 import { saveWebhookPayload } from '../utils/webhook-payload-logger.js';
+import { verifyWebhookSignature, getWebhookAuthStats } from '../utils/webhook-signature.js';
 import leadToCallService from '../services/lead-to-call-service.js';
+import callbackLeadQueue from '../services/callback-lead-queue.js';
+import leadOwnershipService from '../services/lead-ownership-service.js';
+import ghlCloudTalkSyncService from '../services/ghl-cloudtalk-sync-service.js';
+import contactSyncService from '../services/contact-sync-service.js';
+import contactIdCache from '../services/contact-id-cache.js';
 
 const router = express.Router();
 
-// GoHighLevel Webhooks (future implementation)
+// Esiti per cui il lead resta valido ma nessun agente può chiamarlo adesso
+const CALLBACK_QUEUE_STATUSES = ['NO_AGENTS_AVAILABLE', 'ALL_AGENTS_BUSY_OR_FAILED'];
+
+// Authenticate every inbound GHL webhook
+router.use(verifyWebhookSignature('ghl'));
 
 /**
- * Generic webhook handler for GHL/Squadd webhooks
+ * Handler per i webhook GHL → CloudTalk (tag, note, opportunità)
+ * @param {Function} syncHandler - (payload) => Promise<{success, skipped?, error?}>
  */
-async function handleGHLWebhook(req, res, webhookType) {
+async function handleGHLWebhook(req, res, webhookType, syncHandler) {
   const timestamp = new Date().toISOString();
 
   log(`👤 [${timestamp}] GHL Webhook: ${webhookType.toUpperCase()}`);
@@ -24,12 +35,18 @@ async function handleGHLWebhook(req, res, webhookType) {
     log(`❌ Errore salvando payload: ${saveResult.error}`);
   }
 
-  // TODO: Implement GHL → CloudTalk sync
-  res.json({
-    success: true,
-    message: `GHL ${webhookType} webhook received`,
+  const result = await syncHandler(req.body || {});
+
+  if (!result.success) {
+    logError(`❌ Sync GHL ${webhookType} → CloudTalk fallito: ${result.error}`);
+  }
+
+  res.status(result.success ? 200 : getHttpStatusFromError(result.error)).json({
+    ...result,
+    message: result.skipped
+      ? `GHL ${webhookType} webhook received - nothing to sync (${result.reason})`
+      : `GHL ${webhookType} webhook ${result.success ? 'synced to CloudTalk' : 'sync failed'}`,
     timestamp: timestamp,
-    note: 'Implementation pending',
     payloadSaved: saveResult.success
   });
 }
@@ -57,6 +74,29 @@ router.post('/new-contact', async (req, res) => {
 
     const processResult = await leadToCallService.processLeadToCallEnhanced(req.body);
 
+    // Nessun agente libero: il lead resta in coda callback invece di andare perso
+    let queueResult = null;
+    if (!processResult.success && CALLBACK_QUEUE_STATUSES.includes(processResult.finalStatus)) {
+      queueResult = await callbackLeadQueue.enqueue(req.body, {
+        contactId: processResult.steps?.contactCreation?.contactId,
+        reason: processResult.finalStatus
+      });
+    }
+
+    // Link CloudTalk ↔ GHL per la sync contatti e per la cache id contatti
+    const createdContactId = processResult.steps?.contactCreation?.contactId;
+    await contactIdCache.set(req.body.phone, {
+      ghlContactId: req.body.contact_id,
+      cloudtalkContactId: createdContactId
+    });
+    if (createdContactId && req.body.contact_id) {
+      contactSyncService.linkContacts({
+        phone: req.body.phone,
+        cloudtalkContactId: createdContactId,
+        ghlContactId: req.body.contact_id
+      }).catch(error => logError(`⚠️ Errore link contatto per sync: ${error.message}`));
+    }
+
     if (processResult.success) {
       // Successo completo
       res.json({
@@ -92,6 +132,34 @@ router.post('/new-contact', async (req, res) => {
 
       log(finalMessage);
 
+    } else if (queueResult?.success) {
+      // Lead in attesa di un agente: verrà chiamato dal poller della coda
+      res.status(202).json({
+        success: true,
+        message: 'Nessun agente disponibile - Lead in coda callback',
+        processId: processResult.processId,
+        queued: true,
+        callInitiated: false,
+        reason: processResult.finalStatus,
+        callbackQueue: {
+          id: queueResult.id,
+          priority: queueResult.priority,
+          position: queueResult.position,
+          expiresAt: queueResult.expiresAt
+        },
+        timestamp: timestamp,
+        payloadSaved: saveResult.success,
+        steps: {
+          contactCreated: processResult.steps?.contactCreation?.success || false,
+          agentSelected: processResult.steps?.agentDistribution?.success || false,
+          callStarted: false,
+          fallbackAttempts: processResult.steps?.fallbackAttempts?.length || 0
+        },
+        availableAgents: processResult.steps?.agentDistribution?.availableAgents || 0
+      });
+
+      log(`📥 Lead ${req.body.phone} in coda callback #${queueResult.id} (${processResult.finalStatus}, posizione ${queueResult.position})`);
+
     } else {
       // Errore nel processo
       const errorStatus = getHttpStatusFromError(processResult.finalStatus);
@@ -139,35 +207,49 @@ router.post('/new-contact', async (req, res) => {
 });
 
 /**
- * New tag webhook from GHL
+ * New tag webhook from GHL - tag mappati aggiunti al contatto CloudTalk
  * POST /api/ghl-webhooks/new-tag
  */
 router.post('/new-tag', async (req, res) => {
-  await handleGHLWebhook(req, res, 'new-tag');
+  await handleGHLWebhook(req, res, 'new-tag', payload => ghlCloudTalkSyncService.handleNewTag(payload));
 });
 
 /**
- * New note webhook from GHL
+ * New note webhook from GHL - nota copiata su CloudTalk (nota o activity)
  * POST /api/ghl-webhooks/new-note
  */
 router.post('/new-note', async (req, res) => {
-  await handleGHLWebhook(req, res, 'new-note');
+  await handleGHLWebhook(req, res, 'new-note', payload => ghlCloudTalkSyncService.handleNewNote(payload));
 });
 
 /**
- * Pipeline stage changed webhook from GHL
+ * Pipeline stage changed webhook from GHL - spostamento campagna / blacklist da mapping
  * POST /api/ghl-webhooks/pipeline-stage-changed
  */
 router.post('/pipeline-stage-changed', async (req, res) => {
-  await handleGHLWebhook(req, res, 'pipeline-stage-changed');
+  await handleGHLWebhook(req, res, 'pipeline-stage-changed',
+    payload => ghlCloudTalkSyncService.handleOpportunityChange(payload, 'pipeline-stage-changed'));
 });
 
 /**
- * Opportunity status changed webhook from GHL
+ * Opportunity status changed webhook from GHL - won/lost/... secondo il mapping
  * POST /api/ghl-webhooks/opportunity-status-changed
  */
 router.post('/opportunity-status-changed', async (req, res) => {
-  await handleGHLWebhook(req, res, 'opportunity-status-changed');
+  await handleGHLWebhook(req, res, 'opportunity-status-changed',
+    payload => ghlCloudTalkSyncService.handleOpportunityChange(payload, 'opportunity-status-changed'));
+});
+
+/**
+ * Contact updated webhook from GHL - sync bidirezionale dei campi contatto
+ * POST /api/ghl-webhooks/contact-updated
+ */
+router.post('/contact-updated', async (req, res) => {
+  await contactIdCache.handleContactUpdated('ghl', {
+    phone: req.body.phone || req.body.contact?.phone,
+    contactId: req.body.contact_id || req.body.contact?.id
+  });
+  await handleGHLWebhook(req, res, 'contact-updated', payload => contactSyncService.syncFromGhl(payload));
 });
 
 /**
@@ -178,7 +260,10 @@ function getHttpStatusFromError(errorType) {
     case 'NO_AGENTS_AVAILABLE':
       return 503; // Service Unavailable
     case 'MISSING_PHONE':
+    case 'MISSING_CONTACT_ID':
       return 400; // Bad Request
+    case 'CLOUDTALK_CONTACT_NOT_FOUND':
+      return 404; // Not Found
     case 'CONTACT_CREATION_FAILED':
       return 422; // Unprocessable Entity
     case 'AGENT_NOT_AVAILABLE':
@@ -201,6 +286,8 @@ router.get('/stats', async (req, res) => {
     res.json({
       service: 'GHL → CloudTalk Lead Distribution',
       ...stats,
+      callbackQueue: await callbackLeadQueue.getStats(),
+      leadOwnership: await leadOwnershipService.getStats(),
       uptime: process.uptime(),
       timestamp: new Date().toISOString()
     });
@@ -274,7 +361,7 @@ router.get('/recent-processes', async (req, res) => {
  */
 router.get('/health', async (req, res) => {
   try {
-    const stats = leadToCallService.getServiceStats();
+    const stats = await leadToCallService.getServiceStats();
     
     res.json({
       service: 'GHL → CloudTalk Webhooks',
@@ -284,16 +371,21 @@ router.get('/health', async (req, res) => {
         totalDistributions: stats.distributionStats.totalDistributions,
         lastDistribution: stats.distributionStats.lastDistribution
       },
+      callbackQueue: await callbackLeadQueue.getStats(),
+      authentication: getWebhookAuthStats('ghl'),
+      contactCache: await contactIdCache.getStats(),
       timestamp: new Date().toISOString(),
       endpoints: {
         '/new-contact': 'ACTIVE - Lead-to-Call automatico',
-        '/new-tag': 'placeholder',
-        '/new-note': 'placeholder', 
-        '/pipeline-stage-changed': 'placeholder',
-        '/opportunity-status-changed': 'placeholder',
+        '/new-tag': 'ACTIVE - Tag sincronizzati su CloudTalk',
+        '/new-note': 'ACTIVE - Note sincronizzate su CloudTalk',
+        '/pipeline-stage-changed': 'ACTIVE - Campagna/blacklist da mapping',
+        '/opportunity-status-changed': 'ACTIVE - Campagna/blacklist da mapping',
+        '/contact-updated': 'ACTIVE - Sync bidirezionale campi contatto',
         '/stats': 'ACTIVE - Statistiche distribuzione',
         '/analytics': 'ACTIVE - Analytics dettagliati',
         '/recent-processes': 'ACTIVE - Processi recenti',
+        '/agents': 'ACTIVE - Turni, pause e assenze agenti (admin token)',
         '/health': 'ACTIVE - Health check'
       }
     });
@@ -1,10 +1,14 @@
 import express from 'express';
 import { logRequest, logError, log } from '../logger.js';
 import { saveWebhookPayload } from '../utils/webhook-payload-logger.js';
+import { verifyWebhookSignature, getWebhookAuthStats } from '../utils/webhook-signature.js';
 import googleSheetsService from '../services/google-sheets-service.js';
 
 const router = express.Router();
 
+// Authenticate every inbound Google Sheets webhook
+router.use(verifyWebhookSignature('google-sheets'));
+
 /**
  * Google Sheets Webhook Handler
  * Sends call data to Google Sheets via Apps Script
@@ -192,6 +196,7 @@ router.get('/health', async (req, res) => {
       sheet_name: 'Call Sheet',
       connection_status: connectionStatus
     },
+    authentication: getWebhookAuthStats('google-sheets'),
     features: {
       auto_detection: true,
       bottom_to_top_search: true,
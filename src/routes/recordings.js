@@ -1,10 +1,15 @@
 import express from 'express';
 import RecordingManager from '../services/recording-manager.js';
+import transcriptStore from '../services/transcript-store.js';
+import { toSrt, toVtt } from '../utils/transcript-format.js';
 import { logError } from '../logger.js';
+import { requireAdminToken } from '../utils/admin-auth.js';
 
 const router = express.Router();
 const recordingManager = new RecordingManager();
 
+const TRANSCRIPT_FORMATS = ['json', 'srt', 'vtt'];
+
 // Initialize recording manager
 (async () => {
   try {
@@ -158,6 +163,57 @@ router.get('/:callId/audio', async (req, res) => {
   }
 });
 
+// GET /api/recordings/:callId/transcript?format=json|srt|vtt - Trascrizione con tempi e speaker
+// Protetta dal token admin: contiene il testo della chiamata
+router.get('/:callId/transcript', requireAdminToken, async (req, res) => {
+  try {
+    const { callId } = req.params;
+    const format = String(req.query.format || 'json').toLowerCase();
+
+    if (!TRANSCRIPT_FORMATS.includes(format)) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid format: ${format}`,
+        allowed: TRANSCRIPT_FORMATS
+      });
+    }
+
+    const stored = await transcriptStore.get(callId);
+    if (!stored) {
+      return res.status(404).json({
+        success: false,
+        error: 'Transcript not found',
+        call_id: callId
+      });
+    }
+
+    if (format === 'srt') {
+      res.set('Content-Type', 'application/x-subrip; charset=utf-8');
+      return res.send(toSrt(stored.transcript));
+    }
+    if (format === 'vtt') {
+      res.set('Content-Type', 'text/vtt; charset=utf-8');
+      return res.send(toVtt(stored.transcript));
+    }
+
+    res.json({
+      success: true,
+      call_id: stored.callId,
+      recording_url: stored.recordingUrl,
+      created_at: stored.createdAt,
+      data: stored.transcript
+    });
+
+  } catch (error) {
+    logError(error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get transcript',
+      message: error.message
+    });
+  }
+});
+
 // POST /api/recordings/:callId/download - Scarica e salva registrazione
 router.post('/:callId/download', async (req, res) => {
   try {
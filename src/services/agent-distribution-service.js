@@ -1,5 +1,8 @@
-import { makeCloudTalkRequest } from '../../API CloudTalk/config.js';
+import cloudTalkClient from './cloudtalk-client.js';
 import { log, logError } from '../logger.js';
+import { getDistributionConfig, resolveStrategy } from './distribution-strategies.js';
+import agentScheduleService from './agent-schedule-service.js';
+import leadOwnershipService from './lead-ownership-service.js';
 import fs from 'fs/promises';
 import path from 'path';
 
@@ -8,7 +11,7 @@ import path from 'path';
  * 
  * Features:
  * - Controllo disponibilità agenti real-time
- * - Distribuzione round robin
+ * - Strategie di distribuzione configurabili per source (vedi distribution-strategies.js)
  * - Persistenza stato distribuzione
  * - Gestione errori e fallback
  */
@@ -32,13 +35,19 @@ class AgentDistributionService {
       // Carica stato esistente o inizializza vuoto
       try {
         const stateData = await fs.readFile(this.stateFilePath, 'utf8');
-        this.lastDistributionState = JSON.parse(stateData);
+        this.lastDistributionState = {
+          lastCalledAt: {},
+          weightedCurrent: {},
+          ...JSON.parse(stateData)
+        };
         log(`🔄 Stato distribuzione caricato: ${this.lastDistributionState?.lastAgentId || 'nessuno'}`);
       } catch (error) {
         // File non esiste, inizializza stato vuoto
         this.lastDistributionState = {
           lastAgentId: null,
           lastDistributionTime: null,
+          lastCalledAt: {},
+          weightedCurrent: {},
           distributionHistory: []
         };
         await this.saveState();
@@ -71,20 +80,13 @@ class AgentDistributionService {
     try {
       log('🔍 Controllo disponibilità agenti CloudTalk...');
 
-      const response = await makeCloudTalkRequest('/agents/index.json');
-
-      if (!response?.data?.responseData?.data) {
-        throw new Error('Formato risposta agenti non valido');
-      }
-
-      const allAgents = response.data.responseData.data;
+      const allAgents = await cloudTalkClient.listAgents();
 
       // FIXED: Proper agent status filtering
       // "calling" = BUSY (exclude)
       // "offline" = OFFLINE (exclude) 
       // "online", "available" = AVAILABLE (include)
       const availableAgents = allAgents
-        .map(item => item.Agent)
         .filter(agent => {
           const status = agent.availability_status;
           
@@ -111,11 +113,14 @@ class AgentDistributionService {
           default_number: agent.default_number
         }));
 
+      // Agenti "online" ma fuori turno, in pausa o in ferie non ricevono lead
+      const agentsOnShift = await agentScheduleService.filterAgentsOnShift(availableAgents);
+
       // Additional safety check: verify each agent is truly not busy with active calls
       // (This double-checks our agent status detection)
       const finalAvailableAgents = [];
 
-      for (const agent of availableAgents) {
+      for (const agent of agentsOnShift) {
         const isBusy = await this.isAgentBusy(agent.id);
 
         if (!isBusy) {
@@ -127,7 +132,7 @@ class AgentDistributionService {
       }
 
       log(`📊 Trovati ${finalAvailableAgents.length} agenti veramente disponibili su ${allAgents.length} totali`);
-      log(`📈 Agenti con status available: ${availableAgents.length}`);
+      log(`📈 Agenti con status available: ${availableAgents.length} (in turno: ${agentsOnShift.length})`);
 
       return finalAvailableAgents;
 
@@ -146,20 +151,13 @@ class AgentDistributionService {
     try {
       // FIXED: Use agents API instead of calls API for real-time status
       // The calls API only shows completed calls, not active ones
-      const response = await makeCloudTalkRequest(`/agents/index.json?id=${agentId}`);
-
-      if (!response?.data?.responseData?.data) {
-        log(`⚠️  No agent data found for agent ${agentId}`);
-        return false; // No agent data means not busy (assume available)
-      }
+      const agent = await cloudTalkClient.getAgent(agentId);
 
-      const agents = response.data.responseData.data;
-      if (agents.length === 0) {
+      if (!agent) {
         log(`⚠️  Agent ${agentId} not found`);
-        return false;
+        return false; // No agent data means not busy (assume available)
       }
 
-      const agent = agents[0].Agent;
       const status = agent.availability_status;
 
       // CloudTalk availability_status values:
@@ -183,11 +181,12 @@ class AgentDistributionService {
   }
 
   /**
-   * Seleziona il prossimo agente usando round robin
+   * Seleziona il prossimo agente con la strategia configurata per il lead
    * @param {Array} availableAgents Lista agenti disponibili
+   * @param {Object} leadData Dati del lead (source, lingua, campagna per la strategia)
    * @returns {Object|null} Agente selezionato o null se nessuno disponibile
    */
-  selectNextAgent(availableAgents) {
+  selectNextAgent(availableAgents, leadData = {}) {
     if (!availableAgents || availableAgents.length === 0) {
       log('❌ Nessun agente disponibile per distribuzione');
       return null;
@@ -197,123 +196,131 @@ class AgentDistributionService {
       throw new Error('Servizio non inizializzato. Chiamare initialize() prima.');
     }
 
-    let selectedAgent = null;
-
-    if (availableAgents.length === 1) {
-      // Solo un agente disponibile
-      selectedAgent = availableAgents[0];
-      log(`👤 Solo un agente disponibile: ${selectedAgent.name}`);
-    } else {
-      // Round robin tra agenti disponibili
-      const lastAgentId = this.lastDistributionState.lastAgentId;
-      
-      if (!lastAgentId) {
-        // Prima distribuzione, prendi il primo
-        selectedAgent = availableAgents[0];
-        log(`🎯 Prima distribuzione, selezionato: ${selectedAgent.name}`);
-      } else {
-        // Trova l'ultimo agente e prendi il successivo
-        const lastAgentIndex = availableAgents.findIndex(agent => agent.id === lastAgentId);
-        
-        if (lastAgentIndex === -1) {
-          // L'ultimo agente non è più disponibile, prendi il primo
-          selectedAgent = availableAgents[0];
-          log(`🔄 Ultimo agente non disponibile, ripartendo dal primo: ${selectedAgent.name}`);
-        } else {
-          // Prendi il successivo (con wrap-around)
-          const nextIndex = (lastAgentIndex + 1) % availableAgents.length;
-          selectedAgent = availableAgents[nextIndex];
-          log(`➡️ Round robin: da ${availableAgents[lastAgentIndex].name} a ${selectedAgent.name}`);
-        }
-      }
-    }
-
-    // Aggiorna stato
-    this.lastDistributionState.lastAgentId = selectedAgent.id;
-    this.lastDistributionState.lastDistributionTime = new Date().toISOString();
-    
-    // Aggiungi alla history (mantieni solo ultimi 50)
-    this.lastDistributionState.distributionHistory.unshift({
-      agentId: selectedAgent.id,
-      agentName: selectedAgent.name,
-      timestamp: this.lastDistributionState.lastDistributionTime
-    });
-    
-    if (this.lastDistributionState.distributionHistory.length > 50) {
-      this.lastDistributionState.distributionHistory = this.lastDistributionState.distributionHistory.slice(0, 50);
-    }
+    const selection = this.selectAgentWithFallback(availableAgents, null, leadData);
+    this.recordDistribution(selection, leadData, availableAgents.length);
 
     // Salva stato
     this.saveState();
 
-    log(`✅ Agente selezionato: ${selectedAgent.name} (ID: ${selectedAgent.id})`);
-    return selectedAgent;
+    log(`✅ Agente selezionato: ${selection.agent.name} (ID: ${selection.agent.id}, strategia ${selection.strategy})`);
+    return selection.agent;
   }
 
   /**
-   * Smart agent selection with fallback - Enhanced round-robin + retry logic
+   * Selezione agente con la strategia risolta per il lead (round robin di default)
    * @param {Array} availableAgents Lista agenti disponibili
-   * @param {number} lastAgentId ID dell'ultimo agente usato
-   * @returns {Object} Agente selezionato con metadata fallback
+   * @param {number} lastAgentId ID dell'ultimo agente usato (default: dallo stato)
+   * @param {Object} leadData Dati del lead
+   * @returns {Object} Agente selezionato con strategia e metadata fallback
    */
-  selectAgentWithFallback(availableAgents, lastAgentId) {
+  selectAgentWithFallback(availableAgents, lastAgentId, leadData = {}) {
     if (!availableAgents || availableAgents.length === 0) {
-      return { agent: null, fallbackUsed: false, reason: 'NO_AGENTS_AVAILABLE' };
-    }
-
-    if (availableAgents.length === 1) {
-      return {
-        agent: availableAgents[0],
-        fallbackUsed: false,
-        reason: 'SINGLE_AGENT_AVAILABLE',
-        roundRobinApplied: false
-      };
+      return { agent: null, fallbackUsed: false, reason: 'NO_AGENTS_AVAILABLE', strategy: null };
     }
 
-    // Round robin logic
-    let selectedAgent = null;
-    let fallbackUsed = false;
-    let reason = '';
-
+    const config = getDistributionConfig();
+    const strategy = resolveStrategy(leadData, config);
     const currentLastAgentId = lastAgentId || this.lastDistributionState.lastAgentId;
 
-    if (!currentLastAgentId) {
-      // First distribution
-      selectedAgent = availableAgents[0];
-      reason = 'FIRST_DISTRIBUTION';
-    } else {
-      // Find last agent and select next
-      const lastAgentIndex = availableAgents.findIndex(agent => agent.id === currentLastAgentId);
-
-      if (lastAgentIndex === -1) {
-        // Last agent not available, fallback to first
-        selectedAgent = availableAgents[0];
-        reason = 'LAST_AGENT_UNAVAILABLE_FALLBACK_TO_FIRST';
-        fallbackUsed = true;
-      } else {
-        // Standard round-robin: next agent (with wrap-around)
-        const nextIndex = (lastAgentIndex + 1) % availableAgents.length;
-        selectedAgent = availableAgents[nextIndex];
-        reason = 'ROUND_ROBIN_NEXT_AGENT';
+    const state = { ...this.lastDistributionState, lastAgentId: currentLastAgentId };
+    const selection = strategy.select(availableAgents, { leadData, state, config });
 
-        if (nextIndex === 0) {
-          reason = 'ROUND_ROBIN_WRAPPED_TO_FIRST';
-        }
-      }
+    // Il weighted round robin aggiorna i propri contatori nello stato
+    if (state.weightedCurrent) {
+      this.lastDistributionState.weightedCurrent = state.weightedCurrent;
     }
 
-    log(`🎯 Smart Selection: ${selectedAgent.name} (${reason}${fallbackUsed ? ' - FALLBACK' : ''})`);
+    log(`🎯 Smart Selection [${strategy.name}]: ${selection.agent.name} (${selection.reason}${selection.fallbackUsed ? ' - FALLBACK' : ''})`);
 
     return {
-      agent: selectedAgent,
-      fallbackUsed: fallbackUsed,
-      reason: reason,
-      roundRobinApplied: true,
+      agent: selection.agent,
+      fallbackUsed: selection.fallbackUsed,
+      reason: selection.reason,
+      strategy: strategy.name,
+      roundRobinApplied: availableAgents.length > 1 && strategy.name === 'round-robin',
       lastAgentId: currentLastAgentId,
       availableCount: availableAgents.length
     };
   }
 
+  /**
+   * Selezione con ownership: il setter che ha già parlato col lead ha la precedenza.
+   * Owner offline, occupato o fuori turno → strategia configurata (fallback).
+   * @param {Array} availableAgents Lista agenti disponibili
+   * @param {Object} leadData Dati del lead
+   * @returns {Promise<Object>} Come selectAgentWithFallback
+   */
+  async selectAgentForLead(availableAgents, leadData = {}) {
+    let owner = null;
+    try {
+      owner = await leadOwnershipService.getOwner(leadData);
+    } catch (error) {
+      logError(`⚠️ Errore lettura owner lead, uso la strategia configurata: ${error.message}`);
+    }
+
+    const ownerAgent = owner && availableAgents.find(agent => String(agent.id) === owner.agentId);
+    if (ownerAgent) {
+      log(`🤝 Lead già seguito da ${ownerAgent.name}: assegnato allo stesso setter`);
+      return {
+        agent: ownerAgent,
+        fallbackUsed: false,
+        reason: 'STICKY_OWNER',
+        strategy: 'sticky-owner',
+        roundRobinApplied: false,
+        lastAgentId: this.lastDistributionState.lastAgentId,
+        availableCount: availableAgents.length
+      };
+    }
+
+    const selection = this.selectAgentWithFallback(availableAgents, null, leadData);
+    if (owner && selection.agent) {
+      log(`🔄 Owner ${owner.agentName || owner.agentId} non disponibile: ${selection.agent.name} via ${selection.strategy}`);
+      return {
+        ...selection,
+        fallbackUsed: true,
+        reason: `OWNER_UNAVAILABLE_${selection.reason}`,
+        previousOwnerId: owner.agentId
+      };
+    }
+    return selection;
+  }
+
+  /**
+   * Aggiorna stato e history dopo una selezione
+   * @param {Object} selection Risultato di selectAgentWithFallback
+   * @param {Object} leadData Dati del lead
+   * @param {number} totalAvailableAgents Agenti disponibili al momento della scelta
+   */
+  recordDistribution(selection, leadData, totalAvailableAgents) {
+    const timestamp = new Date().toISOString();
+
+    this.lastDistributionState.lastAgentId = selection.agent.id;
+    this.lastDistributionState.lastDistributionTime = timestamp;
+    this.lastDistributionState.lastCalledAt = {
+      ...this.lastDistributionState.lastCalledAt,
+      [selection.agent.id]: timestamp
+    };
+
+    this.lastDistributionState.distributionHistory.unshift({
+      agentId: selection.agent.id,
+      agentName: selection.agent.name,
+      timestamp: timestamp,
+      strategy: selection.strategy,
+      reason: selection.reason,
+      fallbackUsed: selection.fallbackUsed,
+      totalAvailableAgents: totalAvailableAgents,
+      leadInfo: {
+        phone: leadData.phone,
+        name: leadData.name || `${leadData.first_name || ''} ${leadData.last_name || ''}`.trim()
+      }
+    });
+
+    // Maintain history limit
+    if (this.lastDistributionState.distributionHistory.length > 50) {
+      this.lastDistributionState.distributionHistory = this.lastDistributionState.distributionHistory.slice(0, 50);
+    }
+  }
+
   /**
    * Enhanced lead distribution with smart fallback and retry logic
    * @param {Object} leadData Dati del lead da distribuire
@@ -341,8 +348,8 @@ class AgentDistributionService {
         };
       }
 
-      // 2. Smart agent selection with round-robin + fallback
-      const selectionResult = this.selectAgentWithFallback(availableAgents);
+      // 2. Sticky owner if available, otherwise the strategy configured for the lead
+      const selectionResult = await this.selectAgentForLead(availableAgents, leadData);
 
       if (!selectionResult.agent) {
         return {
@@ -355,29 +362,8 @@ class AgentDistributionService {
         };
       }
 
-      // 3. Update round-robin state
-      this.lastDistributionState.lastAgentId = selectionResult.agent.id;
-      this.lastDistributionState.lastDistributionTime = new Date().toISOString();
-
-      // Add to history with enhanced metadata
-      this.lastDistributionState.distributionHistory.unshift({
-        agentId: selectionResult.agent.id,
-        agentName: selectionResult.agent.name,
-        timestamp: this.lastDistributionState.lastDistributionTime,
-        reason: selectionResult.reason,
-        fallbackUsed: selectionResult.fallbackUsed,
-        totalAvailableAgents: availableAgents.length,
-        leadInfo: {
-          phone: leadData.phone,
-          name: leadData.name || `${leadData.first_name || ''} ${leadData.last_name || ''}`.trim()
-        }
-      });
-
-      // Maintain history limit
-      if (this.lastDistributionState.distributionHistory.length > 50) {
-        this.lastDistributionState.distributionHistory = this.lastDistributionState.distributionHistory.slice(0, 50);
-      }
-
+      // 3. Update distribution state and history (with the strategy used)
+      this.recordDistribution(selectionResult, leadData, availableAgents.length);
       await this.saveState();
 
       // 4. Return enhanced result
@@ -388,6 +374,7 @@ class AgentDistributionService {
         fallbackInfo: {
           fallbackUsed: selectionResult.fallbackUsed,
           reason: selectionResult.reason,
+          strategy: selectionResult.strategy,
           roundRobinApplied: selectionResult.roundRobinApplied
         },
         distributionInfo: {
@@ -441,6 +428,8 @@ class AgentDistributionService {
     this.lastDistributionState = {
       lastAgentId: null,
       lastDistributionTime: null,
+      lastCalledAt: {},
+      weightedCurrent: {},
       distributionHistory: []
     };
     await this.saveState();
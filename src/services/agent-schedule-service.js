@@ -0,0 +1,300 @@
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import { log, logError } from '../logger.js';
+import { parseBusinessWindows, getLocalDateTime } from '../utils/business-hours.js';
+
+/**
+ * Servizio turni agenti
+ *
+ * Turni settimanali, pause e assenze per agente, salvati in
+ * data/agent-schedules.json accanto allo stato della distribuzione.
+ * getAvailableAgents() scarta gli agenti fuori turno anche se CloudTalk li
+ * segnala "online" (es. agente che ha dimenticato il logout alle 20:00).
+ *
+ * Formato schedule per agente:
+ * {
+ *   "timeZone": "Europe/Rome",                       // opzionale
+ *   "shifts": { "1": "09:00-13:00,14:00-18:00", ... } // giorni ISO 1=lunedì ... 7=domenica
+ *   "breaks": [{ "window": "11:00-11:15", "days": [1, 2, 3, 4, 5] }],  // days opzionale
+ *   "timeOff": [{ "id": "...", "from": "2026-08-10", "to": "2026-08-21", "reason": "Ferie" }]
+ * }
+ * from/to accettano una data YYYY-MM-DD (giornate intere, incluse) o un timestamp ISO.
+ * Gli agenti senza schedule restano sempre disponibili (comportamento storico).
+ */
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-GB', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Valida uno schedule (senza timeOff, gestiti a parte)
+ * @returns {string[]} Errori (vuoto se valido)
+ */
+function validateSchedule(schedule) {
+  const errors = [];
+
+  if (!schedule || typeof schedule !== 'object' || Array.isArray(schedule)) {
+    return ['schedule must be an object'];
+  }
+
+  if (schedule.timeZone !== undefined && !isValidTimeZone(schedule.timeZone)) {
+    errors.push(`timeZone: unknown time zone "${schedule.timeZone}"`);
+  }
+
+  if (!schedule.shifts || typeof schedule.shifts !== 'object' || Array.isArray(schedule.shifts)) {
+    errors.push('shifts must be an object keyed by ISO weekday (1-7)');
+  } else {
+    Object.entries(schedule.shifts).forEach(([day, windows]) => {
+      if (!/^[1-7]$/.test(day)) {
+        errors.push(`shifts.${day}: weekday must be 1 (Monday) ... 7 (Sunday)`);
+        return;
+      }
+      try {
+        parseBusinessWindows(windows);
+      } catch (error) {
+        errors.push(`shifts.${day}: ${error.message}`);
+      }
+    });
+  }
+
+  if (schedule.breaks !== undefined) {
+    if (!Array.isArray(schedule.breaks)) {
+      errors.push('breaks must be an array');
+    } else {
+      schedule.breaks.forEach((pause, index) => {
+        try {
+          parseBusinessWindows(pause?.window);
+        } catch (error) {
+          errors.push(`breaks[${index}].window: ${error.message}`);
+        }
+        if (pause?.days !== undefined && (!Array.isArray(pause.days) || pause.days.some(day => !(day >= 1 && day <= 7)))) {
+          errors.push(`breaks[${index}].days must be an array of ISO weekdays (1-7)`);
+        }
+      });
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Valida un'assenza
+ * @returns {string[]} Errori (vuoto se valida)
+ */
+function validateTimeOff(entry) {
+  const errors = [];
+
+  if (!entry || typeof entry !== 'object') {
+    return ['time-off must be an object'];
+  }
+
+  ['from', 'to'].forEach(field => {
+    if (typeof entry[field] !== 'string' || Number.isNaN(Date.parse(entry[field]))) {
+      errors.push(`${field} must be a date (YYYY-MM-DD) or an ISO timestamp`);
+    }
+  });
+
+  if (errors.length === 0 && Date.parse(entry.from) > Date.parse(entry.to)) {
+    errors.push('from must not be after to');
+  }
+
+  return errors;
+}
+
+function windowContains(windows, minutes) {
+  return parseBusinessWindows(windows).some(window => minutes >= window.start && minutes < window.end);
+}
+
+function isInTimeOff(entry, now, local) {
+  const from = DATE_ONLY.test(entry.from) ? entry.from <= local.date : Date.parse(entry.from) <= now.getTime();
+  const to = DATE_ONLY.test(entry.to) ? local.date <= entry.to : now.getTime() < Date.parse(entry.to);
+  return from && to;
+}
+
+class AgentScheduleService {
+  constructor() {
+    this.filePath = path.join(process.cwd(), 'data', 'agent-schedules.json');
+    this.schedules = null;
+  }
+
+  /**
+   * Carica gli schedule da disco (una sola volta)
+   */
+  async initialize() {
+    if (this.schedules) return;
+
+    try {
+      const data = await fs.readFile(this.filePath, 'utf8');
+      this.schedules = JSON.parse(data).agents || {};
+      log(`🗓️ Turni agenti caricati: ${Object.keys(this.schedules).length} agenti`);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logError(`❌ Errore lettura turni agenti (${this.filePath}): ${error.message}`);
+      }
+      this.schedules = {};
+    }
+  }
+
+  async saveSchedules() {
+    await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+    await fs.writeFile(this.filePath, JSON.stringify({ agents: this.schedules }, null, 2));
+  }
+
+  async listSchedules() {
+    await this.initialize();
+    return this.schedules;
+  }
+
+  async getSchedule(agentId) {
+    await this.initialize();
+    return this.schedules[String(agentId)] || null;
+  }
+
+  /**
+   * Crea o sostituisce turni e pause di un agente (le assenze restano)
+   * @returns {Promise<Object>} { success, schedule } o { success: false, errors }
+   */
+  async setSchedule(agentId, schedule) {
+    const errors = validateSchedule(schedule);
+    if (errors.length > 0) {
+      return { success: false, errors };
+    }
+
+    await this.initialize();
+    const existing = this.schedules[String(agentId)];
+    this.schedules[String(agentId)] = {
+      timeZone: schedule.timeZone || 'Europe/Rome',
+      shifts: schedule.shifts,
+      breaks: schedule.breaks || [],
+      timeOff: existing?.timeOff || [],
+      updatedAt: new Date().toISOString()
+    };
+    await this.saveSchedules();
+
+    log(`🗓️ Turni aggiornati per agente ${agentId}`);
+    return { success: true, schedule: this.schedules[String(agentId)] };
+  }
+
+  /**
+   * Rimuove lo schedule: l'agente torna sempre disponibile
+   */
+  async deleteSchedule(agentId) {
+    await this.initialize();
+    if (!this.schedules[String(agentId)]) {
+      return false;
+    }
+
+    delete this.schedules[String(agentId)];
+    await this.saveSchedules();
+    log(`🗓️ Turni rimossi per agente ${agentId}`);
+    return true;
+  }
+
+  /**
+   * Aggiunge un'assenza (ferie, permesso, malattia...)
+   * @returns {Promise<Object>} { success, timeOff } o { success: false, errors }
+   */
+  async addTimeOff(agentId, entry) {
+    const errors = validateTimeOff(entry);
+    if (errors.length > 0) {
+      return { success: false, errors };
+    }
+
+    await this.initialize();
+    const schedule = this.schedules[String(agentId)];
+    if (!schedule) {
+      return { success: false, errors: [`agent ${agentId} has no schedule`], notFound: true };
+    }
+
+    const timeOff = {
+      id: crypto.randomUUID(),
+      from: entry.from,
+      to: entry.to,
+      reason: entry.reason || null
+    };
+    schedule.timeOff.push(timeOff);
+    schedule.updatedAt = new Date().toISOString();
+    await this.saveSchedules();
+
+    log(`🏖️ Assenza aggiunta per agente ${agentId}: ${timeOff.from} → ${timeOff.to}`);
+    return { success: true, timeOff };
+  }
+
+  async removeTimeOff(agentId, timeOffId) {
+    await this.initialize();
+    const schedule = this.schedules[String(agentId)];
+    const index = schedule ? schedule.timeOff.findIndex(entry => entry.id === timeOffId) : -1;
+    if (index === -1) {
+      return false;
+    }
+
+    schedule.timeOff.splice(index, 1);
+    schedule.updatedAt = new Date().toISOString();
+    await this.saveSchedules();
+    return true;
+  }
+
+  /**
+   * Verifica se un agente è in turno
+   * @returns {Promise<Object>} { onShift, reason } - reason: NO_SCHEDULE | ON_SHIFT | TIME_OFF | ON_BREAK | OFF_SHIFT
+   */
+  async getShiftStatus(agentId, now = new Date()) {
+    const schedule = await this.getSchedule(agentId);
+    if (!schedule) {
+      return { onShift: true, reason: 'NO_SCHEDULE' };
+    }
+
+    const local = getLocalDateTime(now, schedule.timeZone);
+
+    if (schedule.timeOff.some(entry => isInTimeOff(entry, now, local))) {
+      return { onShift: false, reason: 'TIME_OFF' };
+    }
+
+    const shift = schedule.shifts[String(local.weekday)];
+    if (!shift || !windowContains(shift, local.minutes)) {
+      return { onShift: false, reason: 'OFF_SHIFT' };
+    }
+
+    const onBreak = schedule.breaks.some(pause =>
+      (!pause.days || pause.days.includes(local.weekday)) && windowContains(pause.window, local.minutes)
+    );
+    if (onBreak) {
+      return { onShift: false, reason: 'ON_BREAK' };
+    }
+
+    return { onShift: true, reason: 'ON_SHIFT' };
+  }
+
+  /**
+   * Filtra gli agenti fuori turno
+   * @param {Array} agents Agenti (con id e name)
+   * @returns {Promise<Array>} Agenti in turno
+   */
+  async filterAgentsOnShift(agents, now = new Date()) {
+    const onShift = [];
+
+    for (const agent of agents) {
+      const status = await this.getShiftStatus(agent.id, now);
+      if (status.onShift) {
+        onShift.push(agent);
+      } else {
+        log(`🗓️ Agente ${agent.name} (${agent.id}) escluso: ${status.reason}`);
+      }
+    }
+
+    return onShift;
+  }
+}
+
+// Istanza singleton
+const agentScheduleService = new AgentScheduleService();
+
+export default agentScheduleService;
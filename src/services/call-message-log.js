@@ -0,0 +1,73 @@
+import path from 'path';
+import { SqliteStore } from '../utils/sqlite-store.js';
+
+/**
+ * Call Message Log
+ *
+ * Registro persistente call_id → messaggio di chiamata pubblicato nella
+ * conversazione GHL. Serve a rendere idempotente la pubblicazione: un webhook
+ * recording-ready ripetuto o un job ritentato non duplica il messaggio.
+ */
+
+function getConfig() {
+  return {
+    dbPath: process.env.CALL_MESSAGES_DB_PATH || path.join(process.cwd(), 'data', 'call-messages.db')
+  };
+}
+
+class CallMessageLog extends SqliteStore {
+  constructor() {
+    super(() => getConfig().dbPath);
+  }
+
+  async setup() {
+    await this.run(`
+      CREATE TABLE IF NOT EXISTS call_messages (
+        call_id TEXT PRIMARY KEY,
+        contact_id TEXT NOT NULL,
+        conversation_id TEXT NOT NULL,
+        message_id TEXT,
+        direction TEXT,
+        created_at TEXT NOT NULL
+      )
+    `);
+  }
+
+  /**
+   * Messaggio già pubblicato per la chiamata
+   * @returns {Promise<Object|null>} { callId, contactId, conversationId, messageId, direction, createdAt }
+   */
+  async get(callId) {
+    await this.init();
+    const [row] = await this.all('SELECT * FROM call_messages WHERE call_id = ?', [String(callId)]);
+    if (!row) return null;
+
+    return {
+      callId: row.call_id,
+      contactId: row.contact_id,
+      conversationId: row.conversation_id,
+      messageId: row.message_id,
+      direction: row.direction,
+      createdAt: row.created_at
+    };
+  }
+
+  /**
+   * Registra il messaggio pubblicato per la chiamata
+   * @returns {Promise<boolean>} false se la chiamata era già registrata
+   */
+  async record({ callId, contactId, conversationId, messageId = null, direction = null }) {
+    await this.init();
+    const changes = await this.run(
+      `INSERT OR IGNORE INTO call_messages (call_id, contact_id, conversation_id, message_id, direction, created_at)
+       VALUES (?, ?, ?, ?, ?, ?)`,
+      [String(callId), contactId, conversationId, messageId, direction, new Date().toISOString()]
+    );
+    return changes > 0;
+  }
+}
+
+// Istanza singleton
+const callMessageLog = new CallMessageLog();
+
+export default callMessageLog;
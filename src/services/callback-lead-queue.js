@@ -0,0 +1,349 @@
+import path from 'path';
+import { log, logError } from '../logger.js';
+import { SqliteStore } from '../utils/sqlite-store.js';
+import agentDistributionService from './agent-distribution-service.js';
+import leadToCallService from './lead-to-call-service.js';
+import leadOwnershipService from './lead-ownership-service.js';
+
+/**
+ * Callback Lead Queue
+ *
+ * Quando /new-contact non trova agenti liberi il lead non viene perso: finisce
+ * in questa coda persistente (SQLite) con una priorità e una scadenza.
+ * Un poller controlla agentDistributionService.getAvailableAgents() e appena
+ * un agente è libero chiama il lead con makeAutomaticCallWithFallback.
+ *
+ * Priorità: 1 = alta, 2 = normale, 3 = bassa (come la Google Sheets queue)
+ * Stato: pending → dialing → dialed | pending (agenti di nuovo occupati) | failed
+ *        pending → expired (scadenza superata)
+ *        manual (gestione manuale, il poller non li chiama)
+ */
+
+const PRIORITY_LABELS = { high: 1, normal: 2, low: 3 };
+
+function getConfig() {
+  return {
+    dbPath: process.env.CALLBACK_QUEUE_DB_PATH || path.join(process.cwd(), 'data', 'callback-leads.db'),
+    ttlMinutes: parseInt(process.env.CALLBACK_QUEUE_TTL_MINUTES) || 120,
+    pollIntervalMs: parseInt(process.env.CALLBACK_QUEUE_POLL_INTERVAL_MS) || 15000
+  };
+}
+
+/**
+ * Normalizza la priorità del lead ("high" | "normal" | "low" | 1-3)
+ */
+function normalizePriority(priority) {
+  if (typeof priority === 'string' && PRIORITY_LABELS[priority.toLowerCase()]) {
+    return PRIORITY_LABELS[priority.toLowerCase()];
+  }
+  const numeric = parseInt(priority);
+  return numeric >= 1 && numeric <= 3 ? numeric : PRIORITY_LABELS.normal;
+}
+
+class CallbackLeadQueue extends SqliteStore {
+  constructor() {
+    super(() => getConfig().dbPath);
+    this.timer = null;
+    this.polling = false;
+  }
+
+  async setup() {
+    await this.run(`
+      CREATE TABLE IF NOT EXISTS callback_leads (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        phone TEXT NOT NULL,
+        name TEXT,
+        contact_id TEXT,
+        lead_data TEXT NOT NULL,
+        priority INTEGER NOT NULL DEFAULT 2,
+        status TEXT NOT NULL,
+        reason TEXT,
+        attempts INTEGER NOT NULL DEFAULT 0,
+        last_error TEXT,
+        agent_id TEXT,
+        enqueued_at INTEGER NOT NULL,
+        expires_at INTEGER NOT NULL,
+        dialed_at INTEGER,
+        updated_at INTEGER NOT NULL
+      )
+    `);
+    await this.run('CREATE INDEX IF NOT EXISTS idx_callback_leads_next ON callback_leads (status, priority, enqueued_at)');
+
+    // Lead rimasti in "dialing" dopo un riavvio tornano in coda
+    await this.run(`UPDATE callback_leads SET status = 'pending' WHERE status = 'dialing'`);
+  }
+
+  /**
+   * Mette un lead in attesa di un agente libero
+   * Lo stesso numero già in coda non viene duplicato: si aggiornano dati e priorità.
+   * @param {Object} leadData - Dati lead GHL (serve almeno phone)
+   * @param {Object} options
+   * @param {string|number} options.priority - "high" | "normal" | "low" o 1-3 (default leadData.priority)
+   * @param {string|number} options.contactId - Contatto CloudTalk già creato
+   * @param {string} options.reason - Motivo (es. NO_AGENTS_AVAILABLE)
+   * @param {number} options.ttlMinutes - Scadenza in minuti (default CALLBACK_QUEUE_TTL_MINUTES)
+   * @param {boolean} options.manual - Coda di gestione manuale: il poller non chiama il lead
+   * @returns {Promise<Object>} { success, id, priority, expiresAt, position, duplicate }
+   */
+  async enqueue(leadData, { priority, contactId = null, reason = null, ttlMinutes, manual = false } = {}) {
+    try {
+      if (!leadData?.phone) {
+        throw new Error('MISSING_PHONE: Numero telefono mancante nel lead');
+      }
+
+      await this.init();
+      const now = Date.now();
+      const normalizedPriority = normalizePriority(priority ?? leadData.priority);
+      const expiresAt = now + (ttlMinutes || getConfig().ttlMinutes) * 60 * 1000;
+      const status = manual ? 'manual' : 'pending';
+      const name = `${leadData.first_name || ''} ${leadData.last_name || ''}`.trim() || leadData.full_name || leadData.name || null;
+
+      const existing = await this.all(
+        `SELECT id, priority FROM callback_leads WHERE phone = ? AND status IN ('pending', 'manual') LIMIT 1`,
+        [String(leadData.phone)]
+      );
+
+      let id;
+      let effectivePriority = normalizedPriority;
+      if (existing.length > 0) {
+        id = existing[0].id;
+        effectivePriority = Math.min(existing[0].priority, normalizedPriority);
+        await this.run(
+          `UPDATE callback_leads SET name = ?, contact_id = COALESCE(?, contact_id), lead_data = ?, priority = ?,
+             status = ?, reason = COALESCE(?, reason), expires_at = ?, updated_at = ? WHERE id = ?`,
+          [name, contactId ? String(contactId) : null, JSON.stringify(leadData), effectivePriority, status, reason, expiresAt, now, id]
+        );
+        log(`📥 Lead ${name || leadData.phone} già in coda callback (#${id}): aggiornato`);
+      } else {
+        id = await this.insert(
+          `INSERT INTO callback_leads (phone, name, contact_id, lead_data, priority, status, reason, enqueued_at, expires_at, updated_at)
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+          [String(leadData.phone), name, contactId ? String(contactId) : null, JSON.stringify(leadData),
+            normalizedPriority, status, reason, now, expiresAt, now]
+        );
+        log(`📥 Lead ${name || leadData.phone} in coda callback #${id} (priorità ${normalizedPriority}, ${manual ? 'gestione manuale' : 'in attesa agente'})`);
+      }
+
+      const position = await this.all(
+        `SELECT COUNT(*) AS count FROM callback_leads
+         WHERE status = 'pending' AND (priority < ? OR (priority = ? AND id <= ?))`,
+        [effectivePriority, effectivePriority, id]
+      );
+
+      return {
+        success: true,
+        id,
+        status,
+        priority: effectivePriority,
+        expiresAt: new Date(expiresAt).toISOString(),
+        position: manual ? null : position[0].count,
+        duplicate: existing.length > 0
+      };
+    } catch (error) {
+      logError(`❌ Errore inserimento lead in coda callback: ${error.message}`);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Avvia il poller che svuota la coda
+   */
+  async start() {
+    await this.init();
+    if (this.timer) return;
+
+    const { pollIntervalMs } = getConfig();
+    this.timer = setInterval(() => this.drain(), pollIntervalMs);
+    this.timer.unref();
+    log(`📥 Callback lead queue avviata (poll ${pollIntervalMs}ms)`);
+    this.drain();
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Segna come scaduti i lead oltre la scadenza
+   * @returns {Promise<number>} Lead scaduti
+   */
+  async expireOverdue() {
+    const expired = await this.run(
+      `UPDATE callback_leads SET status = 'expired', updated_at = ? WHERE status = 'pending' AND expires_at <= ?`,
+      [Date.now(), Date.now()]
+    );
+    if (expired > 0) {
+      logError(`⌛ ${expired} lead in coda callback scaduti senza agente disponibile`);
+    }
+    return expired;
+  }
+
+  /**
+   * Un giro del poller: scade i lead vecchi e assegna un lead per agente libero
+   */
+  async drain() {
+    if (this.polling) return;
+    this.polling = true;
+
+    try {
+      await this.expireOverdue();
+
+      const waiting = await this.all(
+        `SELECT * FROM callback_leads WHERE status = 'pending' ORDER BY priority ASC, enqueued_at ASC LIMIT 20`
+      );
+      // Nessuna chiamata a CloudTalk se la coda è vuota
+      if (waiting.length === 0) return;
+
+      let agents = await agentDistributionService.getAvailableAgents();
+      if (agents.length === 0) {
+        log(`⏳ Coda callback: ${waiting.length} lead in attesa, nessun agente libero`);
+        return;
+      }
+
+      for (const lead of waiting) {
+        if (agents.length === 0) break;
+
+        const result = await this.dialLead(lead, agents);
+        if (result === null) continue;
+
+        if (result.success) {
+          agents = agents.filter(agent => agent.id !== result.finalAgent.id);
+        } else if (result.error === 'ALL_AGENTS_BUSY_OR_FAILED') {
+          // Gli agenti si sono occupati nel frattempo: si riprova al prossimo giro
+          break;
+        }
+      }
+    } catch (error) {
+      logError(`❌ Errore poller coda callback: ${error.message}`);
+    } finally {
+      this.polling = false;
+    }
+  }
+
+  /**
+   * Chiama un lead in coda con il primo agente libero (fallback sugli altri)
+   * @returns {Promise<Object|null>} Risultato makeAutomaticCallWithFallback, null se il lead è già stato preso
+   */
+  async dialLead(lead, agents) {
+    const claimed = await this.run(
+      `UPDATE callback_leads SET status = 'dialing', attempts = attempts + 1, updated_at = ? WHERE id = ? AND status = 'pending'`,
+      [Date.now(), lead.id]
+    );
+    if (claimed === 0) return null;
+
+    const leadData = JSON.parse(lead.lead_data);
+    const waitSeconds = Math.round((Date.now() - lead.enqueued_at) / 1000);
+    log(`📞 Coda callback: chiamo ${lead.name || lead.phone} (#${lead.id}) dopo ${waitSeconds}s di attesa`);
+
+    // L'owner del lead, se libero, chiama per primo
+    const candidates = await leadOwnershipService.preferOwner(agents, leadData);
+
+    let result;
+    try {
+      result = await leadToCallService.makeAutomaticCallWithFallback(candidates[0], lead.phone, leadData, candidates);
+    } catch (error) {
+      result = { success: false, error: 'PROCESS_ERROR', message: error.message };
+    }
+
+    if (result.success) {
+      await this.run(
+        `UPDATE callback_leads SET status = 'dialed', agent_id = ?, dialed_at = ?, last_error = NULL, updated_at = ? WHERE id = ?`,
+        [String(result.finalAgent.id), Date.now(), Date.now(), lead.id]
+      );
+      log(`✅ Coda callback: ${result.finalAgent.name} chiamerà ${lead.phone} (#${lead.id})`);
+      leadOwnershipService.assignOwner(leadData, result.finalAgent);
+      return result;
+    }
+
+    // Agenti occupati o errore temporaneo: il lead resta in coda fino alla scadenza
+    const retryable = ['ALL_AGENTS_BUSY_OR_FAILED', 'AGENT_BUSY', 'AGENT_NOT_AVAILABLE', 'PROCESS_ERROR'].includes(result.error);
+    await this.run(
+      `UPDATE callback_leads SET status = ?, last_error = ?, updated_at = ? WHERE id = ?`,
+      [retryable ? 'pending' : 'failed', `${result.error}: ${result.message}`, Date.now(), lead.id]
+    );
+    logError(`⚠️ Coda callback: chiamata fallita per #${lead.id} (${result.error})${retryable ? ', resta in coda' : ''}`);
+    return result;
+  }
+
+  /**
+   * Lista lead in coda
+   * @param {Object} filters - { status, limit }
+   */
+  async listLeads({ status = null, limit = 50 } = {}) {
+    await this.init();
+    const rows = status
+      ? await this.all('SELECT * FROM callback_leads WHERE status = ? ORDER BY priority ASC, enqueued_at ASC LIMIT ?', [status, limit])
+      : await this.all('SELECT * FROM callback_leads ORDER BY updated_at DESC LIMIT ?', [limit]);
+
+    return rows.map(row => ({
+      id: row.id,
+      phone: row.phone,
+      name: row.name,
+      contactId: row.contact_id,
+      priority: row.priority,
+      status: row.status,
+      reason: row.reason,
+      attempts: row.attempts,
+      lastError: row.last_error,
+      agentId: row.agent_id,
+      enqueuedAt: new Date(row.enqueued_at).toISOString(),
+      expiresAt: new Date(row.expires_at).toISOString(),
+      dialedAt: row.dialed_at ? new Date(row.dialed_at).toISOString() : null
+    }));
+  }
+
+  /**
+   * Profondità coda e tempi di attesa
+   */
+  async getStats() {
+    await this.init();
+    const config = getConfig();
+    const now = Date.now();
+
+    const statusRows = await this.all('SELECT status, COUNT(*) AS count FROM callback_leads GROUP BY status');
+    const byStatus = {};
+    statusRows.forEach(row => { byStatus[row.status] = row.count; });
+
+    const priorityRows = await this.all(
+      `SELECT priority, COUNT(*) AS count, MIN(enqueued_at) AS oldest FROM callback_leads WHERE status = 'pending' GROUP BY priority`
+    );
+    const byPriority = {};
+    let oldestPending = null;
+    priorityRows.forEach(row => {
+      byPriority[row.priority] = row.count;
+      oldestPending = oldestPending === null ? row.oldest : Math.min(oldestPending, row.oldest);
+    });
+
+    // Attesa media dei lead chiamati nelle ultime 24 ore
+    const waitRows = await this.all(
+      `SELECT COUNT(*) AS count, AVG(dialed_at - enqueued_at) AS avgWait, MAX(dialed_at - enqueued_at) AS maxWait
+       FROM callback_leads WHERE status = 'dialed' AND dialed_at >= ?`,
+      [now - 24 * 60 * 60 * 1000]
+    );
+
+    return {
+      pollerRunning: !!this.timer,
+      depth: byStatus.pending || 0,
+      byStatus,
+      byPriority,
+      waitTimes: {
+        oldestPendingSeconds: oldestPending !== null ? Math.round((now - oldestPending) / 1000) : null,
+        dialedLast24h: waitRows[0].count,
+        averageWaitSeconds: waitRows[0].avgWait !== null ? Math.round(waitRows[0].avgWait / 1000) : null,
+        maxWaitSeconds: waitRows[0].maxWait !== null ? Math.round(waitRows[0].maxWait / 1000) : null
+      },
+      configuration: {
+        ttlMinutes: config.ttlMinutes,
+        pollIntervalMs: config.pollIntervalMs
+      }
+    };
+  }
+}
+
+// Istanza singleton
+const callbackLeadQueue = new CallbackLeadQueue();
+
+export default callbackLeadQueue;
@@ -1,4 +1,4 @@
-import { makeCloudTalkRequest } from '../../API CloudTalk/config.js';
+import cloudTalkClient, { CloudTalkNotFoundError } from './cloudtalk-client.js';
 import { logAutomation } from './cloudtalk-campaign-automation.js';
 
 /**
@@ -25,11 +25,9 @@ async function isContactInCampaign(contactId, campaignId, correlationId) {
   try {
     // API CloudTalk per ottenere contatti in una campagna
     // GET /campaigns/{campaignId}/contacts.json
-    const endpoint = `/campaigns/${campaignId}/contacts.json`;
-    const response = await makeCloudTalkRequest(endpoint);
+    const contacts = await cloudTalkClient.getCampaignContacts(campaignId);
     
-    if (response.data?.responseData?.data) {
-      const contacts = response.data.responseData.data;
+    if (contacts.length > 0) {
       const isAssigned = contacts.some(item => 
         item.Contact && item.Contact.id.toString() === contactId.toString()
       );
@@ -49,7 +47,7 @@ async function isContactInCampaign(contactId, campaignId, correlationId) {
     
   } catch (error) {
     // Se l'endpoint non esiste (404) o non è implementato, assumiamo false
-    if (error.message.includes('404')) {
+    if (error instanceof CloudTalkNotFoundError) {
       logAutomation('warn', correlationId, {
         action: 'campaign_contacts_api_not_available',
         campaign_id: campaignId,
@@ -86,27 +84,19 @@ async function addContactToCampaign(campaignId, contactId, correlationId) {
   try {
     // API CloudTalk per aggiungere contatto a campagna
     // POST /campaigns/{campaignId}/contacts.json
-    const endpoint = `/campaigns/${campaignId}/contacts.json`;
-    const requestBody = {
-      contact_id: contactId
-    };
-    
-    const response = await makeCloudTalkRequest(endpoint, {
-      method: 'POST',
-      body: JSON.stringify(requestBody)
-    });
+    const response = await cloudTalkClient.addContactToCampaign(campaignId, contactId);
     
     logAutomation('info', correlationId, {
       action: 'contact_added_to_campaign',
       contact_id: contactId,
       campaign_id: campaignId,
-      response_status: response.data?.responseData?.status
+      response_status: response?.status
     });
     
     return true;
     
   } catch (error) {
-    if (error.message.includes('404')) {
+    if (error instanceof CloudTalkNotFoundError) {
       logAutomation('warn', correlationId, {
         action: 'add_campaign_contact_api_not_available',
         campaign_id: campaignId,
@@ -144,23 +134,19 @@ async function removeContactFromCampaign(campaignId, contactId, correlationId) {
   try {
     // API CloudTalk per rimuovere contatto da campagna
     // DELETE /campaigns/{campaignId}/contacts/{contactId}.json
-    const endpoint = `/campaigns/${campaignId}/contacts/${contactId}.json`;
-    
-    const response = await makeCloudTalkRequest(endpoint, {
-      method: 'DELETE'
-    });
+    const response = await cloudTalkClient.removeContactFromCampaign(campaignId, contactId);
     
     logAutomation('info', correlationId, {
       action: 'contact_removed_from_campaign',
       contact_id: contactId,
       campaign_id: campaignId,
-      response_status: response.data?.responseData?.status
+      response_status: response?.status
     });
     
     return true;
     
   } catch (error) {
-    if (error.message.includes('404')) {
+    if (error instanceof CloudTalkNotFoundError) {
       logAutomation('warn', correlationId, {
         action: 'remove_campaign_contact_api_not_available',
         campaign_id: campaignId,
@@ -177,8 +163,8 @@ async function removeContactFromCampaign(campaignId, contactId, correlationId) {
       error: error.message
     });
     
-    // Se il contatto non è nella campagna (404), consideralo successo
-    if (error.message.includes('404') || error.message.includes('not found')) {
+    // Se il contatto non è nella campagna, consideralo successo
+    if (error.message.includes('not found')) {
       return true;
     }
     
@@ -0,0 +1,333 @@
+import fs from 'fs';
+import path from 'path';
+import { log } from '../logger.js';
+import { createConfigFile } from '../utils/config-file.js';
+
+/**
+ * Campaign Progression Rules
+ *
+ * Regole dichiarative per la progressione dei lead in base ai tentativi di chiamata.
+ * Il file JSON o YAML (CAMPAIGN_RULES_PATH, default config/campaign-rules.json,
+ * .yaml o .yml; formato dall'estensione) definisce uno o più funnel, ognuno con
+ * un numero qualsiasi di stage (esempio YAML: config/campaign-rules.example.yaml):
+ *
+ * {
+ *   "version": 1,
+ *   "tagMode": "replace",            // "replace": i tag del contatto diventano addTags
+ *                                    // (negli stage dei funnel con match, addTags deve includere il tag del funnel)
+ *                                    // "merge": (tag attuali - removeTags) + addTags
+ *   "funnels": [{
+ *     "name": "default",
+ *     "match": { "tags": ["..."] },  // opzionale: funnel usato se il contatto ha uno di questi tag
+ *     "stages": [{
+ *       "name": "follow-up",
+ *       "minAttempts": 3,
+ *       "maxAttempts": 9,            // opzionale: senza limite superiore se assente
+ *       "addTags": ["Follow Up"],
+ *       "removeTags": ["Nuovi Lead"],
+ *       "moveCampaign": { "from": "Nuovi Lead", "to": "Follow Up" },  // opzionale
+ *       "ghlWebhook": { "url": "https://services.leadconnectorhq.com/hooks/..." },  // opzionale, consegnato come evento lead_stage_changed
+ *       "cadence": { "spacingMinutes": 1440 }  // opzionale: { "stop": true } = nessun altro tentativo
+ *     }]
+ *   }]
+ * }
+ *
+ * Spostamenti di campagna e webhook GHL scattano solo quando il contatto entra nello stage.
+ * Senza file vengono usate le regole storiche (1-2 / 3-9 / 10+ tentativi).
+ * Il file viene validato all'avvio e riletto quando cambia (src/utils/config-file.js):
+ * una versione non valida viene scartata e restano attive le regole precedenti.
+ */
+
+// Soglie storiche, usate dalle regole di default
+const THRESHOLDS = {
+  FOLLOW_UP: 3,         // A 3 tentativi: cambia a "Follow Up"
+  MANCATA_RISPOSTA: 10  // A 10 tentativi: cambia a "Mancata Risposta"
+};
+
+// Nomi tag campagne (configurabili via ENV)
+const CAMPAIGN_TAGS = {
+  NUOVI_LEAD: process.env.CLOUDTALK_TAG_NUOVI_LEAD || 'Nuovi Lead',
+  FOLLOW_UP: process.env.CLOUDTALK_TAG_FOLLOW_UP || 'Follow Up',
+  MANCATA_RISPOSTA: process.env.CLOUDTALK_TAG_MANCATA_RISPOSTA || 'Mancata Risposta'
+};
+
+const TAG_MODES = ['replace', 'merge'];
+
+/**
+ * Regole di default: stesso comportamento della logica hard-coded originale
+ */
+function buildDefaultRules() {
+  return {
+    version: 1,
+    tagMode: 'replace',
+    funnels: [
+      {
+        name: 'default',
+        stages: [
+          {
+            name: 'nuovi-lead',
+            minAttempts: 1,
+            maxAttempts: THRESHOLDS.FOLLOW_UP - 1,
+            addTags: [CAMPAIGN_TAGS.NUOVI_LEAD],
+            removeTags: [],
+            cadence: { spacingMinutes: 120 }
+          },
+          {
+            name: 'follow-up',
+            minAttempts: THRESHOLDS.FOLLOW_UP,
+            maxAttempts: THRESHOLDS.MANCATA_RISPOSTA - 1,
+            addTags: [CAMPAIGN_TAGS.FOLLOW_UP],
+            removeTags: [CAMPAIGN_TAGS.NUOVI_LEAD],
+            cadence: { spacingMinutes: 1440 }
+          },
+          {
+            name: 'mancata-risposta',
+            minAttempts: THRESHOLDS.MANCATA_RISPOSTA,
+            addTags: [CAMPAIGN_TAGS.MANCATA_RISPOSTA],
+            removeTags: [CAMPAIGN_TAGS.FOLLOW_UP],
+            cadence: { stop: true }
+          }
+        ]
+      }
+    ]
+  };
+}
+
+const RULES_FILES = ['campaign-rules.json', 'campaign-rules.yaml', 'campaign-rules.yml'];
+
+/**
+ * CAMPAIGN_RULES_PATH, altrimenti il primo file presente in config/ (JSON o YAML)
+ */
+function getRulesPath() {
+  if (process.env.CAMPAIGN_RULES_PATH) {
+    return path.resolve(process.env.CAMPAIGN_RULES_PATH);
+  }
+  const candidates = RULES_FILES.map(file => path.resolve('config', file));
+  return candidates.find(candidate => fs.existsSync(candidate)) || candidates[0];
+}
+
+function isStringArray(value) {
+  return Array.isArray(value) && value.every(item => typeof item === 'string' && item.trim() !== '');
+}
+
+/**
+ * Valida una configurazione di regole
+ * @param {Object} rules - Regole da validare
+ * @returns {{valid: boolean, errors: string[]}}
+ */
+function validateCampaignRules(rules) {
+  const errors = [];
+
+  if (!rules || typeof rules !== 'object' || Array.isArray(rules)) {
+    return { valid: false, errors: ['Rules must be a JSON object'] };
+  }
+
+  if (rules.version !== 1) {
+    errors.push(`Unsupported version: ${rules.version} (expected 1)`);
+  }
+
+  if (rules.tagMode !== undefined && !TAG_MODES.includes(rules.tagMode)) {
+    errors.push(`tagMode must be one of: ${TAG_MODES.join(', ')}`);
+  }
+
+  if (!Array.isArray(rules.funnels) || rules.funnels.length === 0) {
+    errors.push('funnels must be a non-empty array');
+    return { valid: false, errors };
+  }
+
+  const funnelNames = new Set();
+  let fallbackFunnels = 0;
+
+  rules.funnels.forEach((funnel, funnelIndex) => {
+    const where = `funnels[${funnelIndex}]`;
+
+    if (!funnel || typeof funnel.name !== 'string' || funnel.name.trim() === '') {
+      errors.push(`${where}.name is required`);
+    } else if (funnelNames.has(funnel.name)) {
+      errors.push(`${where}.name "${funnel.name}" is duplicated`);
+    } else {
+      funnelNames.add(funnel.name);
+    }
+
+    if (funnel?.match === undefined) {
+      fallbackFunnels++;
+    } else if (!funnel.match || !isStringArray(funnel.match.tags) || funnel.match.tags.length === 0) {
+      errors.push(`${where}.match.tags must be a non-empty array of tag names`);
+    }
+
+    if (!Array.isArray(funnel?.stages) || funnel.stages.length === 0) {
+      errors.push(`${where}.stages must be a non-empty array`);
+      return;
+    }
+
+    const stageNames = new Set();
+    const ranges = [];
+
+    funnel.stages.forEach((stage, stageIndex) => {
+      const stageWhere = `${where}.stages[${stageIndex}]`;
+
+      if (!stage || typeof stage.name !== 'string' || stage.name.trim() === '') {
+        errors.push(`${stageWhere}.name is required`);
+      } else if (stageNames.has(stage.name)) {
+        errors.push(`${stageWhere}.name "${stage.name}" is duplicated`);
+      } else {
+        stageNames.add(stage.name);
+      }
+
+      if (!Number.isInteger(stage?.minAttempts) || stage.minAttempts < 1) {
+        errors.push(`${stageWhere}.minAttempts must be an integer >= 1`);
+      }
+      if (stage?.maxAttempts !== undefined && (!Number.isInteger(stage.maxAttempts) || stage.maxAttempts < stage.minAttempts)) {
+        errors.push(`${stageWhere}.maxAttempts must be an integer >= minAttempts`);
+      }
+
+      for (const key of ['addTags', 'removeTags']) {
+        if (stage?.[key] !== undefined && !isStringArray(stage[key])) {
+          errors.push(`${stageWhere}.${key} must be an array of tag names`);
+        }
+      }
+
+      // Il tag del funnel sceglie il funnel al prossimo tentativo: se sparisce il lead passa al fallback
+      const funnelTags = isStringArray(funnel.match?.tags) ? funnel.match.tags : [];
+      if (funnelTags.length > 0) {
+        const removed = isStringArray(stage?.removeTags) ? stage.removeTags.filter(tag => funnelTags.includes(tag)) : [];
+        if (removed.length > 0) {
+          errors.push(`${stageWhere}.removeTags must not remove the funnel tag (${removed.join(', ')})`);
+        }
+        const added = isStringArray(stage?.addTags) ? stage.addTags : [];
+        if ((rules.tagMode ?? 'replace') === 'replace' && !added.some(tag => funnelTags.includes(tag))) {
+          errors.push(`${stageWhere}.addTags must include the funnel tag (${funnelTags.join(' or ')}) with tagMode "replace"`);
+        }
+      }
+
+      if (stage?.moveCampaign !== undefined) {
+        const move = stage.moveCampaign;
+        if (!move || typeof move.to !== 'string' || move.to.trim() === '') {
+          errors.push(`${stageWhere}.moveCampaign.to is required`);
+        }
+        if (move?.from !== undefined && typeof move.from !== 'string') {
+          errors.push(`${stageWhere}.moveCampaign.from must be a campaign name`);
+        }
+      }
+
+      if (stage?.ghlWebhook !== undefined && !/^https?:\/\//.test(stage.ghlWebhook?.url || '')) {
+        errors.push(`${stageWhere}.ghlWebhook.url must be an http(s) URL`);
+      }
+
+      if (stage?.cadence !== undefined) {
+        const cadence = stage.cadence;
+        const validSpacing = Number.isInteger(cadence?.spacingMinutes) && cadence.spacingMinutes > 0;
+        if (!cadence || (cadence.stop !== true && !validSpacing)) {
+          errors.push(`${stageWhere}.cadence must be { "spacingMinutes": <minutes> } or { "stop": true }`);
+        }
+      }
+
+      if (Number.isInteger(stage?.minAttempts)) {
+        ranges.push({ name: stage.name, min: stage.minAttempts, max: stage.maxAttempts ?? Infinity });
+      }
+    });
+
+    // Gli intervalli di tentativi non devono sovrapporsi
+    ranges.sort((a, b) => a.min - b.min);
+    for (let i = 1; i < ranges.length; i++) {
+      if (ranges[i].min <= ranges[i - 1].max) {
+        errors.push(`${where}: stages "${ranges[i - 1].name}" and "${ranges[i].name}" have overlapping attempt ranges`);
+      }
+    }
+  });
+
+  if (fallbackFunnels > 1) {
+    errors.push('Only one funnel can omit "match" (the fallback funnel)');
+  }
+
+  return { valid: errors.length === 0, errors };
+}
+
+const rulesFile = createConfigFile({
+  name: 'Campaign rules',
+  getPath: getRulesPath,
+  buildDefault: buildDefaultRules,
+  validate: rules => validateCampaignRules(rules).errors,
+  build: rules => ({ tagMode: 'replace', ...rules }),
+  describe: (rules, rulesPath) => {
+    const stageCount = rules.funnels.reduce((total, funnel) => total + funnel.stages.length, 0);
+    return `📋 Campaign rules caricate da ${rulesPath}: ${rules.funnels.length} funnel, ${stageCount} stage`;
+  }
+});
+
+/**
+ * Ricarica le regole (mantiene le precedenti se il nuovo file non è valido)
+ * @returns {{success: boolean, source: string, errors?: string[]}}
+ */
+function reloadCampaignRules() {
+  const result = rulesFile.reload();
+  return { ...result, source: getCampaignRulesStatus().source };
+}
+
+/**
+ * Valida e carica le regole all'avvio; il file viene poi riletto quando cambia
+ * @throws {Error} se il file presente all'avvio non è valido
+ */
+function initCampaignRules() {
+  const rulesPath = getRulesPath();
+  const errors = rulesFile.check();
+  if (errors.length > 0) {
+    throw new Error(`Invalid campaign rules in ${rulesPath}: ${errors.join('; ')}`);
+  }
+
+  rulesFile.get();
+  if (!rulesFile.getStatus().path) {
+    log(`📋 Campaign rules: file ${rulesPath} non trovato, uso regole di default`);
+  }
+
+  return getCampaignRulesStatus();
+}
+
+/**
+ * Trova funnel e stage per un numero di tentativi
+ * @param {number} attempts - Numero di tentativi
+ * @param {string[]} contactTags - Tag attuali del contatto (per la scelta del funnel)
+ * @returns {{funnel: Object, stage: Object|null}|null}
+ */
+function resolveCampaignStage(attempts, contactTags = []) {
+  const { funnels } = getCampaignRules();
+
+  const funnel = funnels.find(candidate => candidate.match?.tags.some(tag => contactTags.includes(tag))) ||
+    funnels.find(candidate => !candidate.match);
+
+  if (!funnel) {
+    return null;
+  }
+
+  const stage = funnel.stages.find(candidate =>
+    attempts >= candidate.minAttempts && attempts <= (candidate.maxAttempts ?? Infinity)
+  ) || null;
+
+  return { funnel, stage };
+}
+
+function getCampaignRules() {
+  return rulesFile.get();
+}
+
+function getCampaignRulesStatus() {
+  const rules = getCampaignRules();
+  const { path: source, loadedAt, lastError } = rulesFile.getStatus();
+  return {
+    source: source || 'default',
+    loadedAt,
+    lastError,
+    rules
+  };
+}
+
+export {
+  THRESHOLDS,
+  CAMPAIGN_TAGS,
+  validateCampaignRules,
+  reloadCampaignRules,
+  initCampaignRules,
+  resolveCampaignStage,
+  getCampaignRules,
+  getCampaignRulesStatus
+};
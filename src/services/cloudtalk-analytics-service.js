@@ -1,4 +1,5 @@
 import dotenv from 'dotenv';
+import cloudTalkClient from './cloudtalk-client.js';
 dotenv.config();
 
 /**
@@ -6,16 +7,6 @@ dotenv.config();
  * Fetches call details from CloudTalk Analytics API to get real call status
  */
 
-// Helper function to get CloudTalk auth header
-function getCloudTalkAuthHeader() {
-  if (!process.env.CLOUDTALK_API_KEY_ID || !process.env.CLOUDTALK_API_SECRET) {
-    throw new Error('CLOUDTALK_API_KEY_ID and CLOUDTALK_API_SECRET not found in environment variables');
-  }
-
-  const credentials = Buffer.from(`${process.env.CLOUDTALK_API_KEY_ID}:${process.env.CLOUDTALK_API_SECRET}`).toString('base64');
-  return `Basic ${credentials}`;
-}
-
 /**
  * Get call details from CloudTalk Analytics API
  * @param {string|number} callId - The call ID from the webhook
@@ -25,21 +16,7 @@ export async function getCallDetails(callId) {
   try {
     console.log(`📡 Fetching call details for call_id: ${callId}`);
 
-    const response = await fetch(`https://analytics-api.cloudtalk.io/api/calls/${callId}`, {
-      method: 'GET',
-      headers: {
-        'Authorization': getCloudTalkAuthHeader(),
-        'Content-Type': 'application/json',
-        'Accept': 'application/json'
-      }
-    });
-
-    if (!response.ok) {
-      const errorText = await response.text();
-      throw new Error(`CloudTalk Analytics API failed: ${response.status} - ${errorText}`);
-    }
-
-    const callDetails = await response.json();
+    const callDetails = await cloudTalkClient.getCallDetails(callId);
 
     console.log(`✅ Call details retrieved successfully`);
     console.log(`   - Status: ${callDetails.status}`);
@@ -1,9 +1,11 @@
-import { getContacts } from '../../API CloudTalk/GET/get-contacts.js';
-import { getContactDetails } from '../../API CloudTalk/GET/get-contact-details.js';
-import { getCampaigns } from '../../API CloudTalk/GET/get-campaigns.js';
-import { editContact } from '../../API CloudTalk/POST/post-edit-contact.js';
-import { searchGHLContactByPhone } from '../../API Squadd/tests/search-contact-by-phone.js';
+import cloudTalkClient, { CloudTalkNotFoundError } from './cloudtalk-client.js';
+import contactIdCache from './contact-id-cache.js';
+import { normalizePhone, phonesMatch, maskPhone } from '../utils/phone-numbers.js';
 import { log, logError } from '../logger.js';
+import { THRESHOLDS, CAMPAIGN_TAGS, resolveCampaignStage, getCampaignRules } from './campaign-rules.js';
+import { moveBetweenCampaigns } from './campaign-contact-management.js';
+import leadCadenceScheduler from './lead-cadence-scheduler.js';
+import outboundWebhookDispatcher from './outbound-webhook-dispatcher.js';
 import fs from 'fs';
 import path from 'path';
 
@@ -17,23 +19,10 @@ import path from 'path';
  * 1. Riceve webhook call-ended
  * 2. Cerca contatto per numero di telefono o contact_id
  * 3. Legge e incrementa campo "# di tentativi di chiamata"
- * 4. Controlla soglie (3 → Lead Recenti, 10 → Mancata Risposta)
- * 5. Sposta tra campagne se necessario
+ * 4. Sceglie lo stage dalle campaign rules (default: 1-2 / 3-9 / 10+ tentativi)
+ * 5. Aggiorna i tag e, all'ingresso nello stage, sposta tra campagne / notifica GHL
  */
 
-// Configurazione soglie per cambio tag
-const THRESHOLDS = {
-  FOLLOW_UP: 3,         // A 3 tentativi: cambia a "Follow Up"  
-  MANCATA_RISPOSTA: 10  // A 10 tentativi: cambia a "Mancata Risposta"
-};
-
-// Nomi tag campagne (configurabili via ENV)
-const CAMPAIGN_TAGS = {
-  NUOVI_LEAD: process.env.CLOUDTALK_TAG_NUOVI_LEAD || 'Nuovi Lead',
-  FOLLOW_UP: process.env.CLOUDTALK_TAG_FOLLOW_UP || 'Follow Up', 
-  MANCATA_RISPOSTA: process.env.CLOUDTALK_TAG_MANCATA_RISPOSTA || 'Mancata Risposta'
-};
-
 // Campo custom per tentativi
 const ATTEMPTS_FIELD_KEY = process.env.TOTAL_ATTEMPTS_FIELD_KEY || '# di tentativi di chiamata';
 
@@ -114,113 +103,80 @@ function extractPhoneFromWebhook(webhookPayload) {
 }
 
 /**
- * Normalizza numero di telefono in formato E.164
- * Gestisce numeri italiani con e senza prefisso +
+ * Numeri di un elemento CloudTalk { Contact, ContactNumber } (ContactNumber può essere oggetto o array)
+ * @returns {string[]}
  */
-function normalizePhone(rawPhone) {
-  if (!rawPhone) return null;
-  
-  let phone = rawPhone.toString().trim();
-  
-  logAutomation('info', 'normalize-phone', {
-    action: 'normalize_phone_start',
-    input: phone
-  });
-  
-  // Se inizia già con +, è probabile sia E.164
-  if (phone.startsWith('+')) {
-    logAutomation('info', 'normalize-phone', {
-      action: 'phone_already_normalized',
-      result: phone
-    });
-    return phone;
-  }
-  
-  // Se inizia con 393 (Italia mobile), aggiungi +
-  if (phone.startsWith('393')) {
-    const normalized = '+' + phone;
-    logAutomation('info', 'normalize-phone', {
-      action: 'normalized_italian_mobile',
-      input: phone,
-      result: normalized
-    });
-    return normalized;
-  }
-  
-  // Se inizia con 39 (Italia), aggiungi +
-  if (phone.startsWith('39') && phone.length >= 10) {
-    const normalized = '+' + phone;
-    logAutomation('info', 'normalize-phone', {
-      action: 'normalized_italian',
-      input: phone,
-      result: normalized
-    });
-    return normalized;
-  }
-  
-  // Altri paesi o numeri lunghi senza +
-  if (phone.length >= 10 && !phone.startsWith('+')) {
-    const normalized = '+' + phone;
-    logAutomation('info', 'normalize-phone', {
-      action: 'normalized_generic',
-      input: phone,
-      result: normalized
-    });
-    return normalized; 
+function getContactNumbers(item) {
+  const numbers = [].concat(item.ContactNumber || []).map(number => number?.public_number || number);
+  return [...numbers, ...(item.Contact?.contact_numbers || [])].filter(Boolean).map(String);
+}
+
+/**
+ * Dettagli completi del contatto CloudTalk (custom fields, tag e numeri)
+ * @returns {Promise<Object|null>} null se il contatto non esiste più
+ */
+async function fetchContactDetails(contactId) {
+  let contactDetails;
+  try {
+    contactDetails = await cloudTalkClient.getContact(contactId);
+  } catch (error) {
+    if (error instanceof CloudTalkNotFoundError) return null;
+    throw error;
   }
-  
-  logAutomation('warn', 'normalize-phone', {
-    action: 'phone_normalization_failed',
-    input: phone,
-    result: phone
-  });
-  
-  return phone;
+
+  const fullContact = contactDetails.Contact;
+  const contactAttributes = contactDetails.ContactAttribute || [];
+
+  return {
+    id: fullContact.id,
+    name: fullContact.name,
+    contact_attributes: contactAttributes,
+    ...fullContact,
+    tags: (contactDetails.ContactsTag || []).map(tag => tag.name),
+    phone_numbers: getContactNumbers(contactDetails)
+  };
 }
 
 /**
  * Cerca contatto per numero di telefono
- * Usa API esistente get-contacts con keyword search
+ * L'id trovato resta nella cache contatti: le ricerche successive leggono il contatto per id
+ * e lo scartano se non ha più quel numero
  */
 async function getContactByPhone(phone, correlationId) {
   const normalizedPhone = normalizePhone(phone);
-  
+
   logAutomation('info', correlationId, {
     action: 'search_contact',
     phone_original: phone,
     phone_normalized: normalizedPhone
   });
-  
+
+  return contactIdCache.resolve(
+    'cloudtalk',
+    normalizedPhone,
+    fetchContactDetails,
+    () => searchContactByPhone(normalizedPhone, correlationId),
+    contact => contact.phone_numbers.some(number => phonesMatch(number, normalizedPhone))
+  );
+}
+
+/**
+ * Ricerca contatto per numero di telefono
+ * Usa API esistente get-contacts con keyword search
+ */
+async function searchContactByPhone(normalizedPhone, correlationId) {
   try {
     // Cerca per numero esatto nelle API CloudTalk (per Campaign Automation)
-    const response = await getContacts({ keyword: normalizedPhone, limit: 10 });
+    const items = await cloudTalkClient.searchContacts(normalizedPhone, { limit: 10 });
     
-    if (response?.responseData?.data) {
+    if (items.length > 0) {
       // Trova contatto che ha questo numero nei contact_numbers
-      for (const item of response.responseData.data) {
+      for (const item of items) {
         const contact = item.Contact;
-        const contactNumbers = item.ContactNumber || [];
-        
-        // Gestisci diversi formati di ritorno API
-        const numbersToCheck = [];
-        
-        if (Array.isArray(contactNumbers)) {
-          numbersToCheck.push(...contactNumbers);
-        } else if (contactNumbers && contactNumbers.public_number) {
-          numbersToCheck.push(contactNumbers);
-        }
-        
-        // Aggiungi anche i numeri da contact_numbers se presente nell'oggetto Contact
-        if (contact.contact_numbers && Array.isArray(contact.contact_numbers)) {
-          contact.contact_numbers.forEach(num => {
-            numbersToCheck.push({ public_number: num });
-          });
-        }
-        
         // Controlla se il contatto ha questo numero
-        for (const numberData of numbersToCheck) {
-          const contactPhone = normalizePhone(numberData.public_number || numberData);
-          if (contactPhone === normalizedPhone) {
+        for (const number of getContactNumbers(item)) {
+          const contactPhone = normalizePhone(number);
+          if (phonesMatch(contactPhone, normalizedPhone)) {
             logAutomation('info', correlationId, {
               action: 'contact_found',
               contact_id: contact.id,
@@ -234,16 +190,7 @@ async function getContactByPhone(phone, correlationId) {
               contact_id: contact.id
             });
             
-            const contactDetails = await getContactDetails(contact.id);
-            const fullContact = contactDetails.responseData.Contact;
-            const contactAttributes = contactDetails.responseData.ContactAttribute || [];
-            
-            return {
-              id: fullContact.id,
-              name: fullContact.name,
-              contact_attributes: contactAttributes,
-              ...fullContact
-            };
+            return await fetchContactDetails(contact.id);
           }
         }
       }
@@ -253,7 +200,7 @@ async function getContactByPhone(phone, correlationId) {
     logAutomation('warn', correlationId, {
       action: 'contact_not_found',
       phone: normalizedPhone,
-      search_results: response?.responseData?.itemsCount || 0
+      search_results: items.length
     });
     
     return null;
@@ -322,7 +269,7 @@ async function updateContactCustomField(contactId, fieldKey, value, correlationI
     if (existingContact.company) updateData.company = existingContact.company;
     if (existingContact.industry) updateData.industry = existingContact.industry;
     
-    await editContact(contactId, updateData);
+    await cloudTalkClient.editContact(contactId, updateData);
     
     logAutomation('info', correlationId, {
       action: 'custom_field_updated',
@@ -367,26 +314,23 @@ async function getCampaignIdByName(campaignName, correlationId) {
   
   // Cerca campagna
   try {
-    const response = await getCampaigns({ limit: 100 });
-    
-    if (response?.responseData?.data) {
-      for (const item of response.responseData.data) {
-        const campaign = item.Campaign;
-        if (campaign.name === campaignName) {
-          // Salva in cache
-          campaignCache.set(cacheKey, {
-            id: campaign.id,
-            timestamp: now
-          });
-          
-          logAutomation('info', correlationId, {
-            action: 'campaign_found',
-            campaign_name: campaignName,
-            campaign_id: campaign.id
-          });
-          
-          return campaign.id;
-        }
+    // Tutte le pagine: la campagna può non essere tra le prime 100
+    for await (const item of cloudTalkClient.iterateCampaigns()) {
+      const campaign = item.Campaign;
+      if (campaign.name === campaignName) {
+        // Salva in cache
+        campaignCache.set(cacheKey, {
+          id: campaign.id,
+          timestamp: now
+        });
+        
+        logAutomation('info', correlationId, {
+          action: 'campaign_found',
+          campaign_name: campaignName,
+          campaign_id: campaign.id
+        });
+        
+        return campaign.id;
       }
     }
     
@@ -409,7 +353,8 @@ async function getCampaignIdByName(campaignName, correlationId) {
 
 /**
  * Gestisce i tag delle campagne basandosi sul numero di tentativi
- * Sostituisce la logica di spostamento tra campagne usando i tag CloudTalk
+ * Lo stage viene scelto dalle campaign rules (config/campaign-rules.json); all'ingresso
+ * in un nuovo stage esegue anche lo spostamento di campagna e il webhook GHL configurati
  */
 async function manageCampaignTags(contactId, currentAttempts, contactData, correlationId) {
   try {
@@ -420,39 +365,54 @@ async function manageCampaignTags(contactId, currentAttempts, contactData, corre
       contact_name: contactData?.name
     });
     
-    // Determina quali tag assegnare in base ai tentativi
-    let targetTags = [];
-    let removedTags = [];
-    let addedTags = [];
-    
-    if (currentAttempts >= 1 && currentAttempts <= 2) {
-      // 1-2 tentativi: Tag "Nuovi Lead"
-      targetTags = [CAMPAIGN_TAGS.NUOVI_LEAD];
-      addedTags = [CAMPAIGN_TAGS.NUOVI_LEAD];
-    } else if (currentAttempts >= 3 && currentAttempts <= 9) {
-      // 3-9 tentativi: Tag "Follow Up" (rimuovi "Nuovi Lead")
-      targetTags = [CAMPAIGN_TAGS.FOLLOW_UP];
-      removedTags = [CAMPAIGN_TAGS.NUOVI_LEAD];
-      addedTags = [CAMPAIGN_TAGS.FOLLOW_UP];
-    } else if (currentAttempts >= 10) {
-      // 10+ tentativi: Tag "Mancata Risposta" (rimuovi "Follow Up")
-      targetTags = [CAMPAIGN_TAGS.MANCATA_RISPOSTA];
-      removedTags = [CAMPAIGN_TAGS.FOLLOW_UP];
-      addedTags = [CAMPAIGN_TAGS.MANCATA_RISPOSTA];
+    // Determina funnel e stage in base ai tentativi
+    const contactTags = contactData?.tags || [];
+    const resolved = resolveCampaignStage(currentAttempts, contactTags);
+    const stage = resolved?.stage;
+    
+    if (!stage) {
+      return {
+        success: true,
+        updated: false,
+        reason: 'No tag changes required at this attempt count'
+      };
+    }
+    
+    const previousStage = resolveCampaignStage(currentAttempts - 1, contactTags)?.stage;
+    const enteredStage = previousStage?.name !== stage.name;
+    const removedTags = stage.removeTags || [];
+    const addedTags = stage.addTags || [];
+    
+    let targetTags;
+    if (getCampaignRules().tagMode === 'merge') {
+      // merge: mantiene gli altri tag del contatto
+      targetTags = [...new Set([...contactTags.filter(tag => !removedTags.includes(tag)), ...addedTags])];
+    } else {
+      // replace: il contatto resta solo con i tag dello stage
+      targetTags = addedTags;
     }
     
+    const stageInfo = {
+      funnel: resolved.funnel.name,
+      stage: stage.name,
+      previousStage: previousStage?.name || null,
+      entered: enteredStage
+    };
+    
+    let updateResult = { success: true };
     if (targetTags.length > 0) {
       logAutomation('info', correlationId, {
         action: 'campaign_tags_update_required',
         contact_id: contactId,
         attempts: currentAttempts,
+        ...stageInfo,
         removed_tags: removedTags,
         added_tags: addedTags,
         final_tags: targetTags
       });
       
       // Aggiorna i tag del contatto
-      const updateResult = await updateContactTags(contactId, targetTags, contactData, correlationId);
+      updateResult = await updateContactTags(contactId, targetTags, contactData, correlationId);
       
       if (updateResult.success) {
         logAutomation('info', correlationId, {
@@ -461,33 +421,77 @@ async function manageCampaignTags(contactId, currentAttempts, contactData, corre
           attempts: currentAttempts,
           updated_tags: targetTags
         });
-        
-        return {
-          success: true,
-          updated: true,
-          removedTags,
-          addedTags,
-          finalTags: targetTags
-        };
       } else {
         logAutomation('error', correlationId, {
           action: 'campaign_tags_update_failed',
           contact_id: contactId,
           error: updateResult.error
         });
-        
-        return {
-          success: false,
-          updated: false,
-          error: updateResult.error
-        };
       }
     }
     
+    // Azioni di ingresso nello stage (una sola volta per stage)
+    let campaignMove = null;
+    let ghlWebhook = null;
+    
+    if (enteredStage && stage.moveCampaign) {
+      campaignMove = await moveBetweenCampaigns(
+        contactId,
+        stage.moveCampaign.from || null,
+        stage.moveCampaign.to,
+        correlationId,
+        getCampaignIdByName
+      );
+      campaignMove = { source: stage.moveCampaign.from || null, target: stage.moveCampaign.to, ...campaignMove };
+    }
+    
+    if (enteredStage) {
+      // Evento lead_stage_changed: destinazioni di config/outbound-webhooks.json + webhook dello stage
+      ghlWebhook = await outboundWebhookDispatcher.dispatch('lead_stage_changed', {
+        event_type: 'cloudtalk_campaign_stage_entered',
+        timestamp: new Date().toISOString(),
+        contact_id: contactId,
+        contact_name: contactData?.name,
+        phone: contactData?.phone || null,
+        attempts: currentAttempts,
+        funnel: stageInfo.funnel,
+        stage: stageInfo.stage,
+        previous_stage: stageInfo.previousStage,
+        tags: targetTags,
+        source: 'cloudtalk_middleware'
+      }, {
+        correlationId,
+        extraDestinations: stage.ghlWebhook ? [{ name: `campaign-stage:${stage.name}`, url: stage.ghlWebhook.url }] : []
+      });
+
+      logAutomation(ghlWebhook.success ? 'info' : 'error', correlationId, {
+        action: ghlWebhook.success ? 'stage_webhook_sent' : 'stage_webhook_failed',
+        stage: stageInfo.stage,
+        deliveries: ghlWebhook.deliveries.length,
+        error: ghlWebhook.error || ghlWebhook.deliveries.find(delivery => delivery.error)?.error
+      });
+    }
+    
+    if (!updateResult.success) {
+      return {
+        success: false,
+        updated: false,
+        error: updateResult.error,
+        ...stageInfo,
+        campaignMove,
+        ghlWebhook
+      };
+    }
+    
     return {
       success: true,
-      updated: false,
-      reason: 'No tag changes required at this attempt count'
+      updated: targetTags.length > 0,
+      removedTags,
+      addedTags,
+      finalTags: targetTags,
+      ...stageInfo,
+      campaignMove,
+      ghlWebhook
     };
     
   } catch (error) {
@@ -511,18 +515,6 @@ async function manageCampaignTags(contactId, currentAttempts, contactData, corre
  */
 async function updateContactTags(contactId, tags, contactData, correlationId) {
   try {
-    // Usa le credenziali CloudTalk esistenti
-    const apiKeyId = process.env.CLOUDTALK_API_KEY_ID;
-    const apiSecret = process.env.CLOUDTALK_API_SECRET;
-    
-    if (!apiKeyId || !apiSecret) {
-      throw new Error('CLOUDTALK_API_KEY_ID and CLOUDTALK_API_SECRET not configured');
-    }
-    
-    // Crea header Basic Auth come nel sistema esistente
-    const credentials = Buffer.from(`${apiKeyId}:${apiSecret}`).toString('base64');
-    const authHeader = `Basic ${credentials}`;
-    
     // Prepara richiesta bulk API per aggiornare i tag del contatto
     const bulkData = [{
       action: "edit_contact",
@@ -539,59 +531,35 @@ async function updateContactTags(contactId, tags, contactData, correlationId) {
       contact_id: contactId,
       tags: tags,
       bulk_data: bulkData,
-      api_url: 'https://my.cloudtalk.io/api/bulk/contacts.json'
+      api_path: '/bulk/contacts.json'
     });
     
-    const response = await fetch('https://my.cloudtalk.io/api/bulk/contacts.json', {
-      method: 'POST',
-      headers: {
-        'Authorization': authHeader,
-        'Content-Type': 'application/json',
-        'Accept': 'application/json'
-      },
-      body: JSON.stringify(bulkData)
-    });
+    const responseData = await cloudTalkClient.bulkContacts(bulkData);
     
-    const responseData = await response.json();
+    logAutomation('info', correlationId, {
+      action: 'tag_update_response_success',
+      contact_id: contactId,
+      response_data: responseData
+    });
     
-    if (response.ok && responseData.responseData) {
-      logAutomation('info', correlationId, {
-        action: 'tag_update_response_success',
-        contact_id: contactId,
-        status: response.status,
-        response_data: responseData.responseData
-      });
-      
-      return {
-        success: true,
-        status: response.status,
-        data: responseData.responseData
-      };
-    } else {
-      logAutomation('error', correlationId, {
-        action: 'tag_update_response_error',
-        contact_id: contactId,
-        status: response.status,
-        error: responseData
-      });
-      
-      return {
-        success: false,
-        status: response.status,
-        error: responseData?.responseData?.message || 'Unknown error'
-      };
-    }
+    return {
+      success: true,
+      status: responseData?.status,
+      data: responseData
+    };
     
   } catch (error) {
     logAutomation('error', correlationId, {
       action: 'tag_update_request_error',
       contact_id: contactId,
       tags: tags,
+      status: error.status,
       error: error.message
     });
     
     return {
       success: false,
+      status: error.status,
       error: error.message
     };
   }
@@ -602,9 +570,11 @@ async function updateContactTags(contactId, tags, contactData, correlationId) {
  * 
  * @param {Object} webhookPayload - Payload del webhook
  * @param {string} correlationId - ID per tracciamento (es. call_uuid)
+ * @param {Object} options
+ * @param {string} options.callOutcome - 'missed' o 'answered' (per la cadenza dei richiami)
  * @returns {Object} Risultato del processing
  */
-async function processCallEndedWebhook(webhookPayload, correlationId) {
+async function processCallEndedWebhook(webhookPayload, correlationId, { callOutcome = 'missed' } = {}) {
   const startTime = Date.now();
   
   logAutomation('info', correlationId, {
@@ -628,15 +598,20 @@ async function processCallEndedWebhook(webhookPayload, correlationId) {
     let contact = null;
     
     if (webhookPayload.contact_id) {
-      // TODO: implementare getContactById se necessario
       logAutomation('info', correlationId, {
         action: 'contact_id_provided',
         contact_id: webhookPayload.contact_id
       });
+      contact = await fetchContactDetails(webhookPayload.contact_id);
+      if (contact) {
+        await contactIdCache.set(normalizePhone(phoneNumber), { cloudtalkContactId: contact.id });
+      }
     }
     
-    // Per ora cerchiamo sempre per numero di telefono
-    contact = await getContactByPhone(phoneNumber, correlationId);
+    // Senza contact_id (o id non più valido) si cerca per numero di telefono
+    if (!contact) {
+      contact = await getContactByPhone(phoneNumber, correlationId);
+    }
     
     if (!contact) {
       logAutomation('warn', correlationId, {
@@ -665,7 +640,7 @@ async function processCallEndedWebhook(webhookPayload, correlationId) {
     await updateContactCustomField(contact.id, ATTEMPTS_FIELD_KEY, newValue, correlationId, contact);
     
     // 5. Gestisce i tag delle campagne basandosi sui tentativi
-    const tagResult = await manageCampaignTags(contact.id, newValue, contact, correlationId);
+    const tagResult = await manageCampaignTags(contact.id, newValue, { ...contact, phone: phoneNumber }, correlationId);
     let tagsUpdated = false;
     let tagChanges = null;
     
@@ -688,18 +663,47 @@ async function processCallEndedWebhook(webhookPayload, correlationId) {
       });
     }
     
-    // 6. Risultato finale
+    // 6. Pianifica il prossimo tentativo (cadence scheduler)
+    let cadence = null;
+    if (leadCadenceScheduler.isEnabled()) {
+      try {
+        cadence = await leadCadenceScheduler.scheduleAfterCall({
+          contactId: contact.id,
+          name: contact.name,
+          phone: phoneNumber,
+          attempts: newValue,
+          funnel: tagResult.funnel || null,
+          stage: tagResult.stage || null,
+          answered: callOutcome === 'answered'
+        });
+        
+        await updateContactCustomField(contact.id, leadCadenceScheduler.getFieldKey(), cadence.fieldValue, correlationId, contact);
+      } catch (error) {
+        // Come per i tag: non blocca il processo, i tentativi sono già aggiornati
+        logAutomation('warn', correlationId, {
+          action: 'cadence_schedule_failed_but_continuing',
+          contact_id: contact.id,
+          error: error.message
+        });
+        cadence = { ...cadence, success: false, error: error.message };
+      }
+    }
+    
+    // 7. Risultato finale
     const duration = Date.now() - startTime;
     
     logAutomation('info', correlationId, {
       action: 'process_complete',
       outcome: 'success',
       contact_id: contact.id,
-      phone_masked: phoneNumber.replace(/\d(?=\d{4})/g, '*'),
+      phone_masked: maskPhone(phoneNumber),
       attempts_prev: currentValue,
       attempts_new: newValue,
       tags_updated: tagsUpdated,
       tag_changes: tagChanges,
+      funnel: tagResult.funnel || null,
+      stage: tagResult.stage || null,
+      next_attempt_at: cadence?.nextAttemptAt || null,
       duration_ms: duration
     });
     
@@ -715,6 +719,15 @@ async function processCallEndedWebhook(webhookPayload, correlationId) {
         new: newValue
       },
       tags: tagChanges,
+      stage: tagResult.stage ? {
+        funnel: tagResult.funnel,
+        name: tagResult.stage,
+        previous: tagResult.previousStage,
+        entered: tagResult.entered
+      } : null,
+      campaign: tagResult.campaignMove,
+      ghlWebhook: tagResult.ghlWebhook || null,
+      cadence: cadence,
       duration: duration
     };
     
@@ -735,7 +748,6 @@ async function processCallEndedWebhook(webhookPayload, correlationId) {
 export {
   processCallEndedWebhook,
   getContactByPhone,
-  normalizePhone,
   updateContactCustomField,
   manageCampaignTags,
   updateContactTags,
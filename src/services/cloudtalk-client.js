@@ -0,0 +1,490 @@
+import { log, logError } from '../logger.js';
+import { parsePhone } from '../utils/phone-numbers.js';
+
+/**
+ * CloudTalk API Client
+ *
+ * Client unico per le API CloudTalk con Basic auth (CLOUDTALK_API_KEY_ID /
+ * CLOUDTALK_API_SECRET). Basi supportate:
+ * - api:       https://my.cloudtalk.io/api            (contatti, chiamate, agenti, campagne)
+ * - platform:  https://platform-api.cloudtalk.io/api  (cuecard)
+ * - v1:        https://api.cloudtalk.io/v1            (AI: trascrizioni, summary...)
+ * - analytics: https://analytics-api.cloudtalk.io/api (dettagli chiamata)
+ *
+ * - Le risposte della base api sono { responseData: { status, data, pageCount... } }:
+ *   getPage() e paginate() le spacchettano, gli iteratori scorrono tutte le pagine
+ * - 429: attende Retry-After / X-CloudTalkAPI-ResetTime e riprova
+ * - 5xx ed errori di rete: retry con backoff esponenziale, solo per le richieste
+ *   idempotenti (GET/PUT/DELETE o retryable: true). Click-to-call, note e
+ *   creazione contatti riprovano solo il 429: con un 5xx o un timeout la
+ *   richiesta potrebbe essere già stata eseguita (es. una seconda chiamata al lead)
+ * - Errori tipizzati: CloudTalkAuthError, CloudTalkNotFoundError,
+ *   CloudTalkRateLimitError, CloudTalkValidationError (tutti CloudTalkApiError
+ *   con status, path e body), anche quando CloudTalk risponde 200 con
+ *   responseData.status di errore
+ */
+
+const BASE_URLS = {
+  api: 'https://my.cloudtalk.io/api',
+  platform: 'https://platform-api.cloudtalk.io/api',
+  v1: 'https://api.cloudtalk.io/v1',
+  analytics: 'https://analytics-api.cloudtalk.io/api'
+};
+const DEFAULT_PAGE_SIZE = 100;
+const MAX_BACKOFF_MS = 30000;
+
+export class CloudTalkApiError extends Error {
+  constructor(message, { status = null, path = null, body = null } = {}) {
+    super(message);
+    this.name = 'CloudTalkApiError';
+    this.status = status;
+    this.path = path;
+    this.body = body;
+  }
+}
+
+export class CloudTalkAuthError extends CloudTalkApiError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'CloudTalkAuthError';
+  }
+}
+
+export class CloudTalkNotFoundError extends CloudTalkApiError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'CloudTalkNotFoundError';
+  }
+}
+
+export class CloudTalkRateLimitError extends CloudTalkApiError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'CloudTalkRateLimitError';
+  }
+}
+
+export class CloudTalkValidationError extends CloudTalkApiError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'CloudTalkValidationError';
+  }
+}
+
+function createApiError(status, path, body) {
+  const message = `CloudTalk ${status} ${path}: ${typeof body === 'string' ? body : JSON.stringify(body)}`;
+  const details = { status, path, body };
+
+  if (status === 401 || status === 403) return new CloudTalkAuthError(message, details);
+  if (status === 404) return new CloudTalkNotFoundError(message, details);
+  if (status === 429) return new CloudTalkRateLimitError(message, details);
+  if (status === 400 || status === 406 || status === 422) return new CloudTalkValidationError(message, details);
+  return new CloudTalkApiError(message, details);
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+export class CloudTalkClient {
+  /**
+   * @param {Object} options
+   * @param {string} options.apiKeyId - Default CLOUDTALK_API_KEY_ID
+   * @param {string} options.apiSecret - Default CLOUDTALK_API_SECRET
+   * @param {Object} options.baseUrls - Override delle basi (api, platform, v1, analytics)
+   * @param {number} options.maxRetries - Tentativi extra su 429 / 5xx / errori di rete
+   * @param {number} options.retryBaseMs - Backoff base (raddoppiato ad ogni tentativo)
+   */
+  constructor({ apiKeyId, apiSecret, baseUrls = {}, maxRetries = 3, retryBaseMs = 1000 } = {}) {
+    this.apiKeyId = apiKeyId;
+    this.apiSecret = apiSecret;
+    this.baseUrls = { ...BASE_URLS, ...baseUrls };
+    this.maxRetries = maxRetries;
+    this.retryBaseMs = retryBaseMs;
+    this.rateLimitResetAt = 0;
+    this.lastRateLimit = null;
+  }
+
+  // Credenziali lette ad ogni richiesta: il client può essere creato prima di dotenv
+  getAuthHeader(path) {
+    const apiKeyId = this.apiKeyId || process.env.CLOUDTALK_API_KEY_ID;
+    const apiSecret = this.apiSecret || process.env.CLOUDTALK_API_SECRET;
+    if (!apiKeyId || !apiSecret) {
+      throw new CloudTalkAuthError('CLOUDTALK_API_KEY_ID e CLOUDTALK_API_SECRET non configurate', { path });
+    }
+    return `Basic ${Buffer.from(`${apiKeyId}:${apiSecret}`).toString('base64')}`;
+  }
+
+  /**
+   * Registra i rate-limit header della risposta (X-CloudTalkAPI-*)
+   */
+  trackRateLimit(response) {
+    const remaining = response.headers.get('x-cloudtalkapi-remaining');
+    if (remaining === null) return;
+
+    const resetTime = parseInt(response.headers.get('x-cloudtalkapi-resettime'));
+    this.lastRateLimit = {
+      remaining: parseInt(remaining),
+      limit: parseInt(response.headers.get('x-cloudtalkapi-limit')) || null,
+      resetAt: resetTime > 0 ? new Date(resetTime * 1000).toISOString() : null
+    };
+
+    if (this.lastRateLimit.remaining <= 0 && resetTime > 0) {
+      this.rateLimitResetAt = resetTime * 1000;
+      log(`⏳ CloudTalk rate limit esaurito: prossima richiesta dopo ${this.lastRateLimit.resetAt}`);
+    }
+  }
+
+  /**
+   * Attesa prima del prossimo tentativo (Retry-After o reset del rate limit se presenti)
+   */
+  getRetryDelay(response, attempt) {
+    const retryAfter = response?.headers.get('retry-after');
+    if (retryAfter && !Number.isNaN(parseFloat(retryAfter))) {
+      return parseFloat(retryAfter) * 1000;
+    }
+    if (response?.status === 429) {
+      const resetTime = parseInt(response.headers.get('x-cloudtalkapi-resettime'));
+      if (resetTime > 0) {
+        return Math.min(Math.max(resetTime * 1000 - Date.now(), 0), MAX_BACKOFF_MS);
+      }
+    }
+    return Math.min(this.retryBaseMs * Math.pow(2, attempt), MAX_BACKOFF_MS);
+  }
+
+  /**
+   * Richiesta autenticata
+   * @param {string} method - Metodo HTTP
+   * @param {string} path - Path API (es. /contacts/index.json)
+   * @param {Object} options
+   * @param {string} options.base - api | platform | v1 | analytics (default api)
+   * @param {Object} options.query - Query string
+   * @param {Object|Array} options.body - Body JSON
+   * @param {boolean} options.binary - Restituisce { buffer, contentType } invece del JSON
+   * @param {number[]} options.retryStatuses - Status extra da ritentare (es. 424 per le cuecard)
+   * @param {boolean} options.retryable - Retry su 5xx / errori di rete (default: metodo diverso da POST)
+   * @returns {Promise<Object>} Risposta JSON
+   * @throws {CloudTalkApiError}
+   */
+  async request(method, path, { base = 'api', query = null, body = undefined, binary = false, retryStatuses = [], retryable = method !== 'POST' } = {}) {
+    const baseUrl = this.baseUrls[base];
+    if (!baseUrl) {
+      throw new CloudTalkApiError(`Base CloudTalk sconosciuta: ${base}`, { path });
+    }
+
+    const url = new URL(`${baseUrl}${path}`);
+    Object.entries(query || {}).forEach(([key, value]) => {
+      if (value !== undefined && value !== null && value !== '') {
+        url.searchParams.append(key, value);
+      }
+    });
+
+    const headers = {
+      'Authorization': this.getAuthHeader(path),
+      'Accept': binary ? '*/*' : 'application/json'
+    };
+    if (body !== undefined) {
+      headers['Content-Type'] = 'application/json';
+    }
+
+    for (let attempt = 0; ; attempt++) {
+      const waitMs = this.rateLimitResetAt - Date.now();
+      if (waitMs > 0) {
+        await sleep(Math.min(waitMs, MAX_BACKOFF_MS));
+      }
+
+      let response;
+      try {
+        response = await fetch(url, {
+          method,
+          headers,
+          body: body === undefined ? undefined : JSON.stringify(body)
+        });
+      } catch (error) {
+        if (!retryable || attempt >= this.maxRetries) {
+          throw new CloudTalkApiError(`CloudTalk ${method} ${path}: ${error.message}`, { path });
+        }
+        const delay = this.getRetryDelay(null, attempt);
+        logError(`⚠️ CloudTalk ${method} ${path} errore di rete (${error.message}), retry tra ${delay}ms`);
+        await sleep(delay);
+        continue;
+      }
+
+      this.trackRateLimit(response);
+
+      if (response.ok) {
+        if (binary) {
+          return {
+            buffer: Buffer.from(await response.arrayBuffer()),
+            contentType: response.headers.get('content-type')
+          };
+        }
+
+        const text = await response.text();
+        const data = text ? JSON.parse(text) : {};
+
+        // La base api può rispondere 200 con l'errore in responseData.status
+        const innerStatus = Number(data?.responseData?.status);
+        if (innerStatus >= 400) {
+          throw createApiError(innerStatus, path, data.responseData);
+        }
+        return data;
+      }
+
+      const retry = response.status === 429
+        || (retryable && response.status >= 500)
+        || retryStatuses.includes(response.status);
+      if (retry && attempt < this.maxRetries) {
+        const delay = this.getRetryDelay(response, attempt);
+        logError(`⚠️ CloudTalk ${method} ${path} → ${response.status}, retry ${attempt + 1}/${this.maxRetries} tra ${delay}ms`);
+        await sleep(delay);
+        continue;
+      }
+
+      const errorText = await response.text();
+      let errorBody = errorText;
+      try {
+        errorBody = JSON.parse(errorText);
+      } catch (parseError) {
+        // Body non JSON: si tiene il testo
+      }
+      throw createApiError(response.status, path, errorBody?.responseData || errorBody);
+    }
+  }
+
+  /**
+   * Una pagina di un endpoint index.json
+   * @returns {Promise<{items: Array, pageNumber: number, pageCount: number, itemsCount: number}>}
+   */
+  async getPage(path, query = {}) {
+    const data = await this.request('GET', path, { query });
+    const page = data.responseData || {};
+    return {
+      items: page.data || [],
+      pageNumber: parseInt(page.pageNumber) || 1,
+      pageCount: parseInt(page.pageCount) || 1,
+      itemsCount: parseInt(page.itemsCount) || 0
+    };
+  }
+
+  /**
+   * Scorre tutte le pagine di un endpoint index.json
+   * @param {string} path - Es. /contacts/index.json
+   * @param {Object} options
+   * @param {Object} options.query - Filtri
+   * @param {number} options.pageSize - Elementi per pagina (max 1000)
+   * @param {number} options.maxPages - Limite pagine (default tutte)
+   * @yields {Object} Elemento così come restituito da CloudTalk (es. { Contact, ContactNumber })
+   */
+  async *paginate(path, { query = {}, pageSize = DEFAULT_PAGE_SIZE, maxPages = Infinity } = {}) {
+    for (let pageNumber = 1; pageNumber <= maxPages; pageNumber++) {
+      const page = await this.getPage(path, { ...query, limit: pageSize, page: pageNumber });
+      yield* page.items;
+
+      if (page.items.length === 0 || pageNumber >= page.pageCount) {
+        return;
+      }
+    }
+  }
+
+  // ===== Iteratori =====
+
+  iterateContacts(query = {}, options = {}) {
+    return this.paginate('/contacts/index.json', { ...options, query });
+  }
+
+  iterateCalls(query = {}, options = {}) {
+    return this.paginate('/calls/index.json', { ...options, query });
+  }
+
+  iterateAgents(query = {}, options = {}) {
+    return this.paginate('/agents/index.json', { ...options, query });
+  }
+
+  iterateCampaigns(query = {}, options = {}) {
+    return this.paginate('/campaigns/index.json', { ...options, query });
+  }
+
+  /**
+   * Tutti gli elementi di un iteratore in un array
+   */
+  async collect(iterator) {
+    const items = [];
+    for await (const item of iterator) {
+      items.push(item);
+    }
+    return items;
+  }
+
+  // ===== Agents =====
+
+  /**
+   * Tutti gli agenti (oggetti Agent)
+   */
+  async listAgents(query = {}) {
+    const items = await this.collect(this.iterateAgents(query));
+    return items.map(item => item.Agent);
+  }
+
+  async getAgent(agentId) {
+    const { items } = await this.getPage('/agents/index.json', { id: agentId });
+    return items[0]?.Agent || null;
+  }
+
+  // ===== Contacts =====
+
+  /**
+   * Ricerca contatti per keyword (prima pagina)
+   */
+  async searchContacts(keyword, { limit = 10 } = {}) {
+    const { items } = await this.getPage('/contacts/index.json', { keyword, limit });
+    return items;
+  }
+
+  /**
+   * Dettaglio contatto (Contact, ContactNumber, ContactAttribute, ContactsTag...)
+   * @throws {CloudTalkNotFoundError}
+   */
+  async getContact(contactId) {
+    const data = await this.request('GET', `/contacts/show/${contactId}.json`);
+    return data.responseData;
+  }
+
+  async createContact(contactData) {
+    // PUT ma non idempotente: ogni richiesta crea un contatto
+    const data = await this.request('PUT', '/contacts/add.json', { body: contactData, retryable: false });
+    return data.responseData || data;
+  }
+
+  async editContact(contactId, contactData) {
+    const data = await this.request('POST', `/contacts/edit/${contactId}.json`, { body: contactData, retryable: true });
+    return data.responseData || data;
+  }
+
+  /**
+   * Aggiunge tag al contatto senza toccare quelli esistenti
+   * @param {string[]} tags - Nomi dei tag (creati se non esistono)
+   */
+  async addContactTags(contactId, tags) {
+    const data = await this.request('PUT', `/contacts/addTags/${contactId}.json`, { body: { tags } });
+    return data.responseData || data;
+  }
+
+  /**
+   * API bulk contatti
+   * @param {Array<{action: string, command_id: string, data: Object}>} commands
+   */
+  async bulkContacts(commands) {
+    const data = await this.request('POST', '/bulk/contacts.json', { body: commands });
+    return data.responseData || data;
+  }
+
+  /**
+   * Aggiunge una nota al contatto (bulk add_note)
+   */
+  async addContactNote(contactId, note, userId = null) {
+    return this.bulkContacts([{
+      action: 'add_note',
+      command_id: `note-${contactId}-${Date.now()}`,
+      data: { contact_id: parseInt(contactId), note, user_id: userId }
+    }]);
+  }
+
+  /**
+   * Aggiunge un'activity al contatto (bulk add_activity)
+   * @param {Object} activity - { name, type, activity_date, description, activity_author, external_id, external_url }
+   */
+  async addContactActivity(contactId, activity) {
+    return this.bulkContacts([{
+      action: 'add_activity',
+      command_id: `activity-${contactId}-${Date.now()}`,
+      data: { contact_id: parseInt(contactId), ...activity }
+    }]);
+  }
+
+  // ===== Blacklist =====
+
+  /**
+   * Aggiunge un numero alla blacklist
+   * @param {string} phone - Numero (E.164 o nazionale nella regione predefinita)
+   * @param {string} type - "all" (entrambe le direzioni) o "incoming"
+   * @throws {CloudTalkValidationError} Numero non valido (nessuna chiamata API)
+   */
+  async addToBlacklist(phone, type = 'all') {
+    const parsed = parsePhone(phone);
+    if (!parsed.valid) {
+      throw new CloudTalkValidationError(`Numero non valido per la blacklist: ${phone} (${parsed.reason})`, {
+        path: '/blacklist/add.json'
+      });
+    }
+
+    const data = await this.request('PUT', '/blacklist/add.json', {
+      body: { public_number: Number(parsed.e164.slice(1)), type }
+    });
+    return data.responseData || data;
+  }
+
+  // ===== Calls =====
+
+  /**
+   * Click-to-call: squilla l'agente, poi chiama il numero.
+   * Niente retry su 5xx / errori di rete: la chiamata potrebbe essere già partita.
+   */
+  async createCall(agentId, calleeNumber) {
+    const data = await this.request('POST', '/calls/create.json', {
+      body: { agent_id: parseInt(agentId), callee_number: calleeNumber }
+    });
+    return data.responseData || data;
+  }
+
+  /**
+   * Registrazione audio della chiamata
+   * @returns {Promise<{buffer: Buffer, contentType: string}>}
+   */
+  async downloadCallRecording(callId) {
+    return this.request('GET', `/calls/recording/${callId}.json`, { binary: true });
+  }
+
+  /**
+   * Dettagli chiamata dall'Analytics API (status reale, tempi, direction)
+   */
+  async getCallDetails(callId) {
+    return this.request('GET', `/calls/${callId}`, { base: 'analytics' });
+  }
+
+  // ===== Campaigns =====
+
+  async getCampaignContacts(campaignId) {
+    const { items } = await this.getPage(`/campaigns/${campaignId}/contacts.json`);
+    return items;
+  }
+
+  async addContactToCampaign(campaignId, contactId) {
+    const data = await this.request('POST', `/campaigns/${campaignId}/contacts.json`, {
+      body: { contact_id: contactId }
+    });
+    return data.responseData || data;
+  }
+
+  async removeContactFromCampaign(campaignId, contactId) {
+    const data = await this.request('DELETE', `/campaigns/${campaignId}/contacts/${contactId}.json`);
+    return data.responseData || data;
+  }
+
+  // ===== Platform API =====
+
+  /**
+   * Invia una CueCard all'agente durante la chiamata.
+   * 424 = chiamata non ancora pronta: ritentato con backoff.
+   */
+  async sendCueCard(cueCard) {
+    return this.request('POST', '/cuecards', { base: 'platform', body: cueCard, retryStatuses: [424] });
+  }
+
+  getRateLimitStatus() {
+    return this.lastRateLimit;
+  }
+}
+
+// Istanza condivisa configurata da ENV
+const cloudTalkClient = new CloudTalkClient();
+
+export default cloudTalkClient;
@@ -1,23 +1,16 @@
 import RecordingManager from './recording-manager.js';
 import { config } from '../config.js';
+import cloudTalkClient from './cloudtalk-client.js';
 
 class CloudTalkRecordingService {
   constructor() {
     this.recordingManager = new RecordingManager();
-    this.apiKeyId = process.env.CLOUDTALK_API_KEY_ID;
-    this.apiSecret = process.env.CLOUDTALK_API_SECRET;
-    this.baseUrl = 'https://my.cloudtalk.io/api';
   }
 
   async init() {
     await this.recordingManager.init();
   }
 
-  createAuthHeader() {
-    const credentials = Buffer.from(`${this.apiKeyId}:${this.apiSecret}`).toString('base64');
-    return `Basic ${credentials}`;
-  }
-
   async downloadAndSaveRecording(callId, callMetadata = {}) {
     try {
       // Verifica se la registrazione esiste già
@@ -33,24 +26,8 @@ class CloudTalkRecordingService {
 
       console.log(`📥 Downloading recording for call ${callId}...`);
 
-      // Chiama l'API CloudTalk per ottenere la registrazione
-      const url = `${this.baseUrl}/calls/recording/${callId}.json`;
-
-      const response = await fetch(url, {
-        method: 'GET',
-        headers: {
-          'Authorization': this.createAuthHeader(),
-          'Content-Type': 'application/json'
-        }
-      });
-
-      if (!response.ok) {
-        throw new Error(`CloudTalk API error: ${response.status} ${response.statusText}`);
-      }
-
-      // Ottieni il buffer audio
-      const audioBuffer = await response.arrayBuffer();
-      const audioBufferNode = Buffer.from(audioBuffer);
+      // Chiama l'API CloudTalk per ottenere la registrazione (file audio binario)
+      const { buffer: audioBufferNode } = await cloudTalkClient.downloadCallRecording(callId);
 
       console.log(`💾 Saving recording ${callId} (${audioBufferNode.length} bytes)`);
 
@@ -71,67 +48,14 @@ class CloudTalkRecordingService {
 
     } catch (error) {
       console.error(`❌ Failed to download recording ${callId}:`, error.message);
-
-      // Se il problema è che il file non è JSON (è un file audio binario), è normale
-      if (error.message.includes('Unexpected token')) {
-        // In questo caso, proviamo a trattarlo come dati binari
-        try {
-          const url = `${this.baseUrl}/calls/recording/${callId}.json`;
-
-          const response = await fetch(url, {
-            method: 'GET',
-            headers: {
-              'Authorization': this.createAuthHeader()
-            }
-          });
-
-          if (!response.ok) {
-            throw new Error(`CloudTalk API error: ${response.status} ${response.statusText}`);
-          }
-
-          const audioBuffer = await response.arrayBuffer();
-          const audioBufferNode = Buffer.from(audioBuffer);
-
-          const result = await this.recordingManager.downloadAndSaveRecording(
-            callId,
-            audioBufferNode,
-            callMetadata
-          );
-
-          return {
-            success: true,
-            downloaded: true,
-            data: result
-          };
-
-        } catch (binaryError) {
-          throw new Error(`Failed to download recording as binary: ${binaryError.message}`);
-        }
-      }
-
       throw error;
     }
   }
 
   async enhanceCallMetadataForRecording(callId) {
     try {
-      // Chiama l'API per ottenere dettagli della chiamata
-      const callDetailsUrl = `https://analytics-api.cloudtalk.io/api/calls/${callId}`;
-
-      const response = await fetch(callDetailsUrl, {
-        method: 'GET',
-        headers: {
-          'Authorization': this.createAuthHeader(),
-          'Content-Type': 'application/json'
-        }
-      });
-
-      if (!response.ok) {
-        console.warn(`⚠️  Could not fetch call details for ${callId}: ${response.status}`);
-        return {};
-      }
-
-      const callDetails = await response.json();
+      // Chiama l'Analytics API per ottenere dettagli della chiamata
+      const callDetails = await cloudTalkClient.getCallDetails(callId);
 
       return {
         duration: callDetails.talk_time || callDetails.duration,
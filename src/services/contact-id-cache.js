@@ -0,0 +1,276 @@
+import path from 'path';
+import { log, logError } from '../logger.js';
+import ghlClient, { GhlNotFoundError } from './ghl-client.js';
+import { normalizePhone, phonesMatch } from '../utils/phone-numbers.js';
+import { SqliteStore } from '../utils/sqlite-store.js';
+
+/**
+ * Contact ID Cache
+ *
+ * Indice persistente telefono → { ghlContactId, cloudtalkContactId }.
+ * Una chiamata genera più webhook (call-started, call-ended, recording, note...)
+ * e ognuno cercava il contatto per telefono su GHL e su CloudTalk.
+ * Con l'indice la ricerca per telefono si fa una volta; dopo basta il GET per id.
+ *
+ * - TTL: CONTACT_ID_CACHE_TTL_HOURS (default 24, 0 disabilita la cache)
+ * - invalidazione: webhook contact-updated (CloudTalk e GHL) e id non più esistente (404)
+ * - ricerche concorrenti per lo stesso telefono condividono la stessa richiesta
+ * - i contatti non trovati non vengono salvati (potrebbero essere creati a breve)
+ */
+
+const SIDES = {
+  ghl: 'ghl_contact_id',
+  cloudtalk: 'cloudtalk_contact_id'
+};
+
+function getConfig() {
+  const ttlHours = parseFloat(process.env.CONTACT_ID_CACHE_TTL_HOURS);
+  return {
+    dbPath: process.env.CONTACT_ID_CACHE_DB_PATH || path.join(process.cwd(), 'data', 'contact-id-cache.db'),
+    ttlHours: Number.isNaN(ttlHours) ? 24 : ttlHours
+  };
+}
+
+/**
+ * Chiave telefono (E.164): +39 333..., 0039333... e 333... sono lo stesso numero
+ */
+function toPhoneKey(phone) {
+  return normalizePhone(phone);
+}
+
+function createCounters() {
+  return { hits: 0, misses: 0, stale: 0, invalidations: 0, errors: 0 };
+}
+
+class ContactIdCache extends SqliteStore {
+  constructor() {
+    super(() => getConfig().dbPath);
+    this.inflight = new Map();
+    this.counters = { ghl: createCounters(), cloudtalk: createCounters() };
+  }
+
+  isEnabled() {
+    return getConfig().ttlHours > 0;
+  }
+
+  async setup() {
+    await this.run(`
+      CREATE TABLE IF NOT EXISTS contact_ids (
+        phone TEXT PRIMARY KEY,
+        ghl_contact_id TEXT,
+        ghl_cached_at INTEGER,
+        cloudtalk_contact_id TEXT,
+        cloudtalk_cached_at INTEGER
+      )
+    `);
+    await this.run('CREATE INDEX IF NOT EXISTS idx_contact_ids_ghl ON contact_ids (ghl_contact_id)');
+    await this.run('CREATE INDEX IF NOT EXISTS idx_contact_ids_cloudtalk ON contact_ids (cloudtalk_contact_id)');
+  }
+
+  /**
+   * Id in cache per il telefono (null se assente o scaduto)
+   * @param {'ghl'|'cloudtalk'} side
+   */
+  async get(side, phone) {
+    const key = toPhoneKey(phone);
+    if (!key || !this.isEnabled()) return null;
+
+    await this.init();
+    const column = SIDES[side];
+    const rows = await this.all(`SELECT ${column} AS id, ${side}_cached_at AS cachedAt FROM contact_ids WHERE phone = ?`, [key]);
+    if (!rows[0]?.id) return null;
+
+    if (Date.now() - rows[0].cachedAt > getConfig().ttlHours * 60 * 60 * 1000) {
+      this.counters[side].stale++;
+      return null;
+    }
+    return rows[0].id;
+  }
+
+  /**
+   * Salva gli id noti per un telefono (es. dopo la creazione del contatto in /new-contact)
+   * @param {string} phone
+   * @param {Object} ids - { ghlContactId?, cloudtalkContactId? }
+   */
+  async set(phone, { ghlContactId = null, cloudtalkContactId = null }) {
+    const key = toPhoneKey(phone);
+    if (!key || !this.isEnabled() || (!ghlContactId && !cloudtalkContactId)) return;
+
+    try {
+      await this.init();
+      const now = Date.now();
+      await this.run(
+        `INSERT INTO contact_ids (phone, ghl_contact_id, ghl_cached_at, cloudtalk_contact_id, cloudtalk_cached_at)
+         VALUES (?, ?, ?, ?, ?)
+         ON CONFLICT(phone) DO UPDATE SET
+           ghl_contact_id = COALESCE(excluded.ghl_contact_id, ghl_contact_id),
+           ghl_cached_at = COALESCE(excluded.ghl_cached_at, ghl_cached_at),
+           cloudtalk_contact_id = COALESCE(excluded.cloudtalk_contact_id, cloudtalk_contact_id),
+           cloudtalk_cached_at = COALESCE(excluded.cloudtalk_cached_at, cloudtalk_cached_at)`,
+        [
+          key,
+          ghlContactId ? String(ghlContactId) : null, ghlContactId ? now : null,
+          cloudtalkContactId ? String(cloudtalkContactId) : null, cloudtalkContactId ? now : null
+        ]
+      );
+    } catch (error) {
+      logError(`⚠️ Errore scrittura cache contatti per ${key}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Rimuove l'id di un lato, per telefono e/o per id contatto
+   * @param {'ghl'|'cloudtalk'} side
+   * @param {Object} match - { phone?, contactId? }
+   */
+  async invalidate(side, { phone = null, contactId = null }) {
+    const key = toPhoneKey(phone);
+    if (!key && !contactId) return 0;
+
+    try {
+      await this.init();
+      const column = SIDES[side];
+      const changes = await this.run(
+        `UPDATE contact_ids SET ${column} = NULL, ${side}_cached_at = NULL
+         WHERE ${column} IS NOT NULL AND (phone = ? OR ${column} = ?)`,
+        [key, contactId ? String(contactId) : null]
+      );
+      if (changes > 0) {
+        this.counters[side].invalidations += changes;
+        log(`🧹 Cache contatti ${side}: invalidato ${key || contactId}`);
+      }
+      return changes;
+    } catch (error) {
+      logError(`⚠️ Errore invalidazione cache contatti: ${error.message}`);
+      return 0;
+    }
+  }
+
+  /**
+   * Webhook contact-updated: il telefono del contatto può essere cambiato.
+   * Rimuove le associazioni precedenti e registra quella attuale (se il payload ha id e telefono).
+   * @param {'ghl'|'cloudtalk'} side
+   * @param {Object} contact - { phone?, contactId? }
+   */
+  async handleContactUpdated(side, { phone = null, contactId = null }) {
+    await this.invalidate(side, { phone, contactId });
+    if (phone && contactId) {
+      await this.set(phone, side === 'ghl' ? { ghlContactId: contactId } : { cloudtalkContactId: contactId });
+    }
+  }
+
+  /**
+   * Cerca l'id del contatto per telefono passando dalla cache.
+   * Le ricerche concorrenti per lo stesso telefono condividono la stessa promise.
+   * @param {'ghl'|'cloudtalk'} side
+   * @param {string} phone
+   * @param {Function} fetchById - (id) => contatto, null se l'id non esiste più
+   * @param {Function} searchByPhone - () => contatto o null (ricerca per telefono)
+   * @param {Function} matchesPhone - (contatto) => true se ha il telefono cercato; i contatti
+   *   che non corrispondono non vengono restituiti né messi in cache
+   * @returns {Promise<Object|null>} Contatto
+   */
+  async resolve(side, phone, fetchById, searchByPhone, matchesPhone = () => true) {
+    const key = toPhoneKey(phone);
+    if (!key) return searchByPhone();
+
+    const inflightKey = `${side}:${key}`;
+    if (this.inflight.has(inflightKey)) {
+      this.counters[side].hits++;
+      return this.inflight.get(inflightKey);
+    }
+
+    const promise = (async () => {
+      let cachedId = null;
+      try {
+        cachedId = await this.get(side, key);
+      } catch (error) {
+        this.counters[side].errors++;
+        logError(`⚠️ Errore lettura cache contatti: ${error.message}`);
+      }
+
+      if (cachedId) {
+        // Contatto eliminato o telefono cambiato: si cerca di nuovo
+        const contact = await fetchById(cachedId);
+        if (contact && matchesPhone(contact)) {
+          this.counters[side].hits++;
+          return contact;
+        }
+        await this.invalidate(side, { phone: key });
+      }
+
+      this.counters[side].misses++;
+      const contact = await searchByPhone();
+      if (!contact || !matchesPhone(contact)) {
+        return null;
+      }
+      if (contact.id) {
+        await this.set(key, side === 'ghl' ? { ghlContactId: contact.id } : { cloudtalkContactId: contact.id });
+      }
+      return contact;
+    })();
+
+    this.inflight.set(inflightKey, promise);
+    try {
+      return await promise;
+    } finally {
+      this.inflight.delete(inflightKey);
+    }
+  }
+
+  /**
+   * Contatto GHL per telefono (sostituisce ghlClient.findContactByPhone nei webhook)
+   * @returns {Promise<Object|null>}
+   */
+  async findGhlContact(phone) {
+    return this.resolve(
+      'ghl',
+      phone,
+      async (contactId) => {
+        try {
+          return await ghlClient.getContact(contactId);
+        } catch (error) {
+          if (error instanceof GhlNotFoundError) return null;
+          throw error;
+        }
+      },
+      () => ghlClient.findContactByPhone(phone),
+      contact => phonesMatch(contact.phone, phone)
+    );
+  }
+
+  async getStats() {
+    const config = getConfig();
+    const withRatio = (counters) => {
+      const lookups = counters.hits + counters.misses;
+      return { ...counters, hitRate: lookups > 0 ? Math.round((counters.hits / lookups) * 100) / 100 : null };
+    };
+
+    const stats = {
+      enabled: this.isEnabled(),
+      ttlHours: config.ttlHours,
+      ghl: withRatio(this.counters.ghl),
+      cloudtalk: withRatio(this.counters.cloudtalk)
+    };
+    if (!this.isEnabled()) return stats;
+
+    try {
+      await this.init();
+      const [row] = await this.all(
+        `SELECT COUNT(*) AS phones,
+           SUM(CASE WHEN ghl_contact_id IS NOT NULL THEN 1 ELSE 0 END) AS ghl,
+           SUM(CASE WHEN cloudtalk_contact_id IS NOT NULL THEN 1 ELSE 0 END) AS cloudtalk
+         FROM contact_ids`
+      );
+      stats.entries = { phones: row.phones, ghl: row.ghl || 0, cloudtalk: row.cloudtalk || 0 };
+    } catch (error) {
+      stats.error = error.message;
+    }
+    return stats;
+  }
+}
+
+// Istanza singleton
+const contactIdCache = new ContactIdCache();
+
+export default contactIdCache;
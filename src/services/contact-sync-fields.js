@@ -0,0 +1,232 @@
+import path from 'path';
+import { createConfigFile } from '../utils/config-file.js';
+
+/**
+ * Contact Sync Field Mapping
+ *
+ * Campi sincronizzati tra contatto CloudTalk e contatto GHL.
+ * File: CONTACT_SYNC_CONFIG_PATH (default config/contact-sync.json)
+ *
+ * {
+ *   "tieBreaker": "ghl",              // vincitore dei conflitti con timestamp uguali o mancanti
+ *   "fields": [
+ *     { "cloudtalk": "name", "ghl": "name" },
+ *     { "cloudtalk": "email", "ghl": "email" },
+ *     { "cloudtalk": "company", "ghl": "companyName" },
+ *     { "cloudtalk": "tags", "ghl": "tags", "direction": "cloudtalk-to-ghl" },
+ *     { "cloudtalk": "attribute:# di tentativi di chiamata", "ghl": "customField:<id>", "direction": "cloudtalk-to-ghl" }
+ *   ]
+ * }
+ *
+ * direction: "both" (default, last-writer-wins), "cloudtalk-to-ghl" o "ghl-to-cloudtalk"
+ * (la sorgente vince sempre). I tag vengono uniti: la sync li aggiunge, non li rimuove.
+ * Campi CloudTalk: name, email, tags, attribute:<titolo>
+ * e i campi del Contact (company, title, industry, website, address, city, zip, state).
+ * Campi GHL: name (firstName + lastName), tags, customField:<id> e i campi del
+ * contatto (firstName, lastName, email, companyName, website, address1, city, postalCode, state).
+ * Senza file si sincronizzano nome, email e azienda in entrambe le direzioni.
+ */
+
+const DIRECTIONS = ['both', 'cloudtalk-to-ghl', 'ghl-to-cloudtalk'];
+const SIDES = ['cloudtalk', 'ghl'];
+
+const CLOUDTALK_CONTACT_FIELDS = ['company', 'title', 'industry', 'website', 'address', 'city', 'zip', 'state'];
+const GHL_CONTACT_FIELDS = ['firstName', 'lastName', 'email', 'companyName', 'website', 'address1', 'city', 'postalCode', 'state'];
+
+function getConfigPath() {
+  return process.env.CONTACT_SYNC_CONFIG_PATH || path.join(process.cwd(), 'config', 'contact-sync.json');
+}
+
+function isValidCloudTalkField(field) {
+  return ['name', 'email', 'tags'].includes(field) || CLOUDTALK_CONTACT_FIELDS.includes(field) ||
+    (field.startsWith('attribute:') && field.length > 'attribute:'.length);
+}
+
+function isValidGhlField(field) {
+  return ['name', 'tags'].includes(field) || GHL_CONTACT_FIELDS.includes(field) ||
+    (field.startsWith('customField:') && field.length > 'customField:'.length);
+}
+
+/**
+ * Valida la configurazione dei campi
+ * @returns {string[]} Errori (vuoto se valida)
+ */
+function validateSyncFields(config) {
+  const errors = [];
+
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    return ['config must be an object'];
+  }
+
+  if (config.tieBreaker !== undefined && !SIDES.includes(config.tieBreaker)) {
+    errors.push(`tieBreaker must be one of ${SIDES.join(', ')}`);
+  }
+
+  if (!Array.isArray(config.fields) || config.fields.length === 0) {
+    errors.push('fields must be a non-empty array');
+    return errors;
+  }
+
+  config.fields.forEach((field, index) => {
+    if (typeof field?.cloudtalk !== 'string' || !isValidCloudTalkField(field.cloudtalk)) {
+      errors.push(`fields[${index}].cloudtalk: unknown CloudTalk field "${field?.cloudtalk}"`);
+    }
+    if (typeof field?.ghl !== 'string' || !isValidGhlField(field.ghl)) {
+      errors.push(`fields[${index}].ghl: unknown GHL field "${field?.ghl}"`);
+    }
+    if (field?.direction !== undefined && !DIRECTIONS.includes(field.direction)) {
+      errors.push(`fields[${index}].direction must be one of ${DIRECTIONS.join(', ')}`);
+    }
+    if ((field?.cloudtalk === 'tags') !== (field?.ghl === 'tags')) {
+      errors.push(`fields[${index}]: tags can only be mapped to tags`);
+    }
+  });
+
+  return errors;
+}
+
+function buildDefaultConfig() {
+  return {
+    tieBreaker: 'ghl',
+    fields: [
+      { cloudtalk: 'name', ghl: 'name', direction: 'both' },
+      { cloudtalk: 'email', ghl: 'email', direction: 'both' },
+      { cloudtalk: 'company', ghl: 'companyName', direction: 'both' }
+    ],
+    source: 'defaults'
+  };
+}
+
+const configFile = createConfigFile({
+  name: 'Configurazione sync contatti',
+  getPath: getConfigPath,
+  buildDefault: buildDefaultConfig,
+  validate: validateSyncFields,
+  build: (parsed, configPath) => ({
+    tieBreaker: parsed.tieBreaker || 'ghl',
+    fields: parsed.fields.map(field => ({ ...field, direction: field.direction || 'both' })),
+    source: configPath
+  }),
+  describe: (config, configPath) => `🔁 Campi sync contatti caricati da ${configPath}: ${config.fields.length} campi`
+});
+
+/**
+ * Configurazione attiva, riletta quando il file cambia.
+ * Un file non valido viene segnalato e resta attiva la configurazione precedente.
+ */
+function getSyncFieldsConfig() {
+  return configFile.get();
+}
+
+/**
+ * Valore confrontabile: stringhe trim, email minuscole, tag ordinati, vuoto = null
+ */
+function normalizeValue(field, value) {
+  if (field.cloudtalk === 'tags') {
+    const tags = (value || []).map(tag => String(tag).trim()).filter(Boolean);
+    return tags.length > 0 ? [...new Set(tags)].sort() : null;
+  }
+  if (value === undefined || value === null) return null;
+
+  const text = String(value).trim();
+  if (text === '') return null;
+  return field.cloudtalk === 'email' ? text.toLowerCase() : text;
+}
+
+function valuesEqual(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+function fieldKey(field) {
+  return `${field.cloudtalk}|${field.ghl}`;
+}
+
+/**
+ * Legge un campo dal dettaglio contatto CloudTalk (responseData di /contacts/show)
+ */
+function readCloudTalkField(details, field) {
+  const name = field.cloudtalk;
+  const contact = details?.Contact || {};
+
+  if (name === 'name') return contact.name;
+  if (name === 'email') return details?.ContactEmail?.[0]?.email;
+  if (name === 'tags') return (details?.ContactsTag || []).map(tag => tag.name);
+  if (name.startsWith('attribute:')) {
+    const title = name.slice('attribute:'.length);
+    return (details?.ContactAttribute || []).find(attribute => attribute.title === title)?.value;
+  }
+  return contact[name];
+}
+
+/**
+ * Scrive un campo nel body di /contacts/edit
+ * @returns {boolean} false se il campo non è scrivibile (attributo inesistente)
+ */
+function writeCloudTalkField(body, details, field, value) {
+  const name = field.cloudtalk;
+
+  if (name === 'name') {
+    body.name = value || '';
+  } else if (name === 'email') {
+    body.ContactEmail = value ? [{ email: value }] : [];
+  } else if (name === 'tags') {
+    body.ContactsTag = (value || []).map(tag => ({ name: tag }));
+  } else if (name.startsWith('attribute:')) {
+    const title = name.slice('attribute:'.length);
+    const attribute = (details?.ContactAttribute || []).find(candidate => candidate.title === title);
+    if (!attribute) return false;
+    body.ContactAttribute = [...(body.ContactAttribute || []), { attribute_id: attribute.attribute_id, value: value ?? '' }];
+  } else {
+    body[name] = value ?? '';
+  }
+  return true;
+}
+
+/**
+ * Legge un campo dal contatto GHL
+ */
+function readGhlField(contact, field) {
+  const name = field.ghl;
+
+  if (name === 'name') {
+    return [contact?.firstName, contact?.lastName].filter(Boolean).join(' ') || contact?.contactName;
+  }
+  if (name === 'tags') return contact?.tags || [];
+  if (name.startsWith('customField:')) {
+    const id = name.slice('customField:'.length);
+    return (contact?.customFields || []).find(customField => customField.id === id)?.value;
+  }
+  return contact?.[name];
+}
+
+/**
+ * Scrive un campo nel body di PUT /contacts/{id}
+ */
+function writeGhlField(body, field, value) {
+  const name = field.ghl;
+
+  if (name === 'name') {
+    const [firstName = '', ...rest] = (value || '').split(/\s+/);
+    body.firstName = firstName;
+    body.lastName = rest.join(' ');
+  } else if (name === 'tags') {
+    body.tags = value || [];
+  } else if (name.startsWith('customField:')) {
+    body.customFields = [...(body.customFields || []), { id: name.slice('customField:'.length), field_value: value ?? '' }];
+  } else {
+    body[name] = value ?? '';
+  }
+  return true;
+}
+
+export {
+  validateSyncFields,
+  getSyncFieldsConfig,
+  normalizeValue,
+  valuesEqual,
+  fieldKey,
+  readCloudTalkField,
+  writeCloudTalkField,
+  readGhlField,
+  writeGhlField
+};
@@ -0,0 +1,614 @@
+import path from 'path';
+import { log, logError } from '../logger.js';
+import cloudTalkClient from './cloudtalk-client.js';
+import ghlClient from './ghl-client.js';
+import contactIdCache from './contact-id-cache.js';
+import { getContactByPhone } from './cloudtalk-campaign-automation.js';
+import { normalizePhone } from '../utils/phone-numbers.js';
+import { SqliteStore } from '../utils/sqlite-store.js';
+import {
+  getSyncFieldsConfig,
+  normalizeValue,
+  valuesEqual,
+  fieldKey,
+  readCloudTalkField,
+  writeCloudTalkField,
+  readGhlField,
+  writeGhlField
+} from './contact-sync-fields.js';
+
+/**
+ * Contact Sync Service
+ *
+ * Sincronizzazione bidirezionale dei contatti CloudTalk ↔ GHL.
+ * - contact_links: CloudTalk contact id ↔ GHL contact id ↔ telefono normalizzato,
+ *   con lo snapshot degli ultimi valori sincronizzati per ogni campo
+ * - per ogni campo (config/contact-sync.json) il lato cambiato rispetto allo snapshot
+ *   viene copiato sull'altro; se sono cambiati entrambi vince l'ultima modifica
+ *   (Contact.modified CloudTalk vs dateUpdated GHL) e il conflitto viene registrato
+ *   in contact_sync_conflicts
+ * - incrementale: webhook CloudTalk contact-updated e GHL contact-updated
+ * - iniziale: reconcileAll() scorre tutti i contatti CloudTalk e li collega a GHL per telefono
+ *
+ * Le scritture fatte dalla sync generano a loro volta webhook di update:
+ * al giro successivo i valori coincidono e non viene scritto nulla.
+ */
+
+function getConfig() {
+  return {
+    enabled: process.env.CONTACT_SYNC_ENABLED === 'true',
+    dbPath: process.env.CONTACT_SYNC_DB_PATH || path.join(process.cwd(), 'data', 'contact-sync.db')
+  };
+}
+
+/**
+ * Chiave telefono (E.164)
+ */
+function toPhoneKey(phone) {
+  return normalizePhone(phone);
+}
+
+/**
+ * Primo numero di un contatto CloudTalk (ContactNumber può essere oggetto o array)
+ */
+function getCloudTalkPhone(item) {
+  const numbers = [].concat(item?.ContactNumber || []);
+  const number = numbers.find(candidate => candidate?.public_number) || null;
+  return number?.public_number || item?.Contact?.contact_numbers?.[0] || null;
+}
+
+function toTimestamp(value) {
+  const time = Date.parse(value);
+  return Number.isNaN(time) ? 0 : time;
+}
+
+function parseLink(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    phone: row.phone,
+    cloudtalkContactId: row.cloudtalk_contact_id,
+    ghlContactId: row.ghl_contact_id,
+    snapshot: row.snapshot ? JSON.parse(row.snapshot) : {},
+    lastSyncedAt: row.last_synced_at ? new Date(row.last_synced_at).toISOString() : null,
+    lastSyncTrigger: row.last_sync_trigger
+  };
+}
+
+function createReconciliationState() {
+  return {
+    running: false,
+    dryRun: null,
+    startedAt: null,
+    finishedAt: null,
+    processed: 0,
+    linked: 0,
+    updated: 0,
+    conflicts: 0,
+    skipped: 0,
+    errors: 0,
+    lastError: null
+  };
+}
+
+class ContactSyncService extends SqliteStore {
+  constructor() {
+    super(() => getConfig().dbPath);
+    this.reconciliation = createReconciliationState();
+  }
+
+  isEnabled() {
+    return getConfig().enabled;
+  }
+
+  async setup() {
+    await this.run(`
+      CREATE TABLE IF NOT EXISTS contact_links (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        phone TEXT UNIQUE,
+        cloudtalk_contact_id TEXT UNIQUE,
+        ghl_contact_id TEXT UNIQUE,
+        snapshot TEXT,
+        created_at INTEGER NOT NULL,
+        last_synced_at INTEGER,
+        last_sync_trigger TEXT
+      )
+    `);
+    await this.run(`
+      CREATE TABLE IF NOT EXISTS contact_sync_conflicts (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        link_id INTEGER NOT NULL,
+        field TEXT NOT NULL,
+        cloudtalk_value TEXT,
+        ghl_value TEXT,
+        previous_value TEXT,
+        winner TEXT NOT NULL,
+        cloudtalk_updated_at TEXT,
+        ghl_updated_at TEXT,
+        detected_at INTEGER NOT NULL
+      )
+    `);
+    await this.run('CREATE INDEX IF NOT EXISTS idx_contact_sync_conflicts_detected ON contact_sync_conflicts (detected_at)');
+  }
+
+  /**
+   * Link esistente per telefono, id CloudTalk o id GHL
+   * @returns {Promise<Object|null>}
+   */
+  async findLink({ phone = null, cloudtalkContactId = null, ghlContactId = null }) {
+    await this.init();
+    const rows = await this.all(
+      `SELECT * FROM contact_links
+       WHERE phone = ? OR cloudtalk_contact_id = ? OR ghl_contact_id = ?
+       ORDER BY last_synced_at DESC LIMIT 1`,
+      [toPhoneKey(phone), cloudtalkContactId ? String(cloudtalkContactId) : null, ghlContactId ? String(ghlContactId) : null]
+    );
+    return parseLink(rows[0]);
+  }
+
+  /**
+   * Crea o completa il link tra contatto CloudTalk e contatto GHL.
+   * Chiamato anche da /new-contact dopo la creazione del contatto CloudTalk.
+   *
+   * Telefono, id CloudTalk e id GHL sono UNIQUE: se uno dei valori appartiene
+   * già a un altro link (numero passato a un altro contatto, link parziali
+   * creati separatamente) l'altro link perde quel valore. Se non collega più
+   * due contatti viene eliminato e gli id rimasti vengono uniti al link
+   * aggiornato. Ogni caso è registrato in contact_sync_conflicts (field "link").
+   * @returns {Promise<Object>} Link aggiornato, con linkConflicts
+   */
+  async linkContacts({ phone = null, cloudtalkContactId = null, ghlContactId = null }) {
+    await this.init();
+    const phoneKey = toPhoneKey(phone);
+    const ctId = cloudtalkContactId ? String(cloudtalkContactId) : null;
+    const ghlId = ghlContactId ? String(ghlContactId) : null;
+
+    return this.transaction(async () => {
+      const rows = (await this.all(
+        `SELECT * FROM contact_links
+         WHERE phone = ? OR cloudtalk_contact_id = ? OR ghl_contact_id = ?
+         ORDER BY last_synced_at DESC`,
+        [phoneKey, ctId, ghlId]
+      )).map(parseLink);
+
+      // Link da aggiornare: quello con gli stessi id, altrimenti un link con lo
+      // stesso telefono che non appartiene ad altri contatti
+      const existing = rows.find(row => ctId && ghlId && row.cloudtalkContactId === ctId && row.ghlContactId === ghlId) ||
+        rows.find(row => ctId && row.cloudtalkContactId === ctId) ||
+        rows.find(row => ghlId && row.ghlContactId === ghlId) ||
+        rows.find(row => (!ctId || !row.cloudtalkContactId) && (!ghlId || !row.ghlContactId)) ||
+        null;
+
+      const target = {
+        phone: phoneKey || existing?.phone || null,
+        cloudtalkContactId: ctId || existing?.cloudtalkContactId || null,
+        ghlContactId: ghlId || existing?.ghlContactId || null
+      };
+
+      const linkConflicts = [];
+      for (const other of rows.filter(row => row.id !== existing?.id)) {
+        const remaining = {
+          phone: other.phone === target.phone ? null : other.phone,
+          cloudtalkContactId: other.cloudtalkContactId === target.cloudtalkContactId ? null : other.cloudtalkContactId,
+          ghlContactId: other.ghlContactId === target.ghlContactId ? null : other.ghlContactId
+        };
+
+        let resolution;
+        if (remaining.cloudtalkContactId && remaining.ghlContactId) {
+          await this.run(
+            'UPDATE contact_links SET phone = ?, cloudtalk_contact_id = ?, ghl_contact_id = ? WHERE id = ?',
+            [remaining.phone, remaining.cloudtalkContactId, remaining.ghlContactId, other.id]
+          );
+          resolution = 'detached';
+        } else {
+          await this.run('DELETE FROM contact_links WHERE id = ?', [other.id]);
+          Object.keys(target)
+            .filter(key => !target[key] && remaining[key])
+            .forEach(key => { target[key] = remaining[key]; });
+          resolution = 'merged';
+        }
+
+        linkConflicts.push({
+          linkId: other.id,
+          phone: other.phone,
+          cloudtalkContactId: other.cloudtalkContactId,
+          ghlContactId: other.ghlContactId,
+          resolution
+        });
+      }
+
+      let linkId;
+      if (existing) {
+        // Un contatto ricollegato a un'altra controparte riparte da snapshot vuoto
+        const relinked = (existing.cloudtalkContactId && existing.cloudtalkContactId !== target.cloudtalkContactId) ||
+          (existing.ghlContactId && existing.ghlContactId !== target.ghlContactId);
+
+        await this.run(
+          `UPDATE contact_links SET
+             phone = ?,
+             cloudtalk_contact_id = ?,
+             ghl_contact_id = ?,
+             snapshot = CASE WHEN ? THEN '{}' ELSE snapshot END
+           WHERE id = ?`,
+          [target.phone, target.cloudtalkContactId, target.ghlContactId, relinked ? 1 : 0, existing.id]
+        );
+        if (relinked) {
+          log(`🔗 Link contatto ${existing.id} aggiornato: CloudTalk ${target.cloudtalkContactId} ↔ GHL ${target.ghlContactId}`);
+        }
+        linkId = existing.id;
+      } else {
+        linkId = await this.insert(
+          `INSERT INTO contact_links (phone, cloudtalk_contact_id, ghl_contact_id, snapshot, created_at)
+           VALUES (?, ?, ?, '{}', ?)`,
+          [target.phone, target.cloudtalkContactId, target.ghlContactId, Date.now()]
+        );
+        log(`🔗 Contatti collegati: CloudTalk ${target.cloudtalkContactId} ↔ GHL ${target.ghlContactId} (${target.phone})`);
+      }
+
+      for (const conflict of linkConflicts) {
+        logError(`⚔️ Link contatto ${conflict.linkId} in conflitto con ${linkId} (CloudTalk ${conflict.cloudtalkContactId} ↔ GHL ${conflict.ghlContactId}, ${conflict.phone}) → ${conflict.resolution === 'merged' ? 'unito' : 'scollegato'}`);
+        await this.run(
+          `INSERT INTO contact_sync_conflicts
+             (link_id, field, cloudtalk_value, ghl_value, previous_value, winner, detected_at)
+           VALUES (?, 'link', ?, ?, ?, ?, ?)`,
+          [
+            linkId,
+            JSON.stringify(conflict.cloudtalkContactId), JSON.stringify(conflict.ghlContactId),
+            JSON.stringify({ linkId: conflict.linkId, phone: conflict.phone }),
+            conflict.resolution, Date.now()
+          ]
+        );
+      }
+
+      const rowsAfter = await this.all('SELECT * FROM contact_links WHERE id = ?', [linkId]);
+      return { ...parseLink(rowsAfter[0]), linkConflicts };
+    });
+  }
+
+  /**
+   * Confronta i due contatti campo per campo e allinea il lato rimasto indietro
+   * @param {Object} link - Link con cloudtalkContactId e ghlContactId
+   * @param {Object} options - { dryRun, trigger }
+   * @returns {Promise<Object>} { success, linkId, cloudtalkChanges, ghlChanges, conflicts, skippedFields }
+   */
+  async syncLink(link, { dryRun = false, trigger = 'manual' } = {}) {
+    const { fields, tieBreaker } = getSyncFieldsConfig();
+
+    const [ctDetails, ghlContact] = await Promise.all([
+      cloudTalkClient.getContact(link.cloudtalkContactId),
+      ghlClient.getContact(link.ghlContactId)
+    ]);
+    if (!ghlContact) {
+      return { success: false, linkId: link.id, error: 'GHL_CONTACT_NOT_FOUND' };
+    }
+
+    const ctUpdatedAt = ctDetails?.Contact?.modified || null;
+    const ghlUpdatedAt = ghlContact.dateUpdated || null;
+    const snapshot = { ...link.snapshot };
+
+    const ctBody = {};
+    const ghlBody = {};
+    const cloudtalkChanges = [];
+    const ghlChanges = [];
+    const conflicts = [];
+    const skippedFields = [];
+
+    for (const field of fields) {
+      const key = fieldKey(field);
+      const ctValue = normalizeValue(field, readCloudTalkField(ctDetails, field));
+      const ghlValue = normalizeValue(field, readGhlField(ghlContact, field));
+
+      if (valuesEqual(ctValue, ghlValue)) {
+        snapshot[key] = ctValue;
+        continue;
+      }
+
+      // Tag: unione dei due lati (la sync aggiunge tag, non li rimuove)
+      if (field.cloudtalk === 'tags') {
+        const merged = normalizeValue(field, [...(ctValue || []), ...(ghlValue || [])]);
+        if (field.direction !== 'ghl-to-cloudtalk' && !valuesEqual(ghlValue, merged)) {
+          writeGhlField(ghlBody, field, merged);
+          ghlChanges.push({ field: field.ghl, from: ghlValue, to: merged });
+        }
+        if (field.direction !== 'cloudtalk-to-ghl' && !valuesEqual(ctValue, merged)) {
+          writeCloudTalkField(ctBody, ctDetails, field, merged);
+          cloudtalkChanges.push({ field: field.cloudtalk, from: ctValue, to: merged });
+        }
+        snapshot[key] = merged;
+        continue;
+      }
+
+      let winner;
+      if (field.direction === 'cloudtalk-to-ghl') {
+        winner = 'cloudtalk';
+      } else if (field.direction === 'ghl-to-cloudtalk') {
+        winner = 'ghl';
+      } else {
+        const known = Object.prototype.hasOwnProperty.call(snapshot, key);
+        const ctChanged = !known || !valuesEqual(ctValue, snapshot[key]);
+        const ghlChanged = !known || !valuesEqual(ghlValue, snapshot[key]);
+
+        if (ctChanged && !ghlChanged) {
+          winner = 'cloudtalk';
+        } else if (ghlChanged && !ctChanged) {
+          winner = 'ghl';
+        } else if (!known && ctValue === null) {
+          // Primo allineamento: un valore vuoto non è un conflitto
+          winner = 'ghl';
+        } else if (!known && ghlValue === null) {
+          winner = 'cloudtalk';
+        } else {
+          const ctTime = toTimestamp(ctUpdatedAt);
+          const ghlTime = toTimestamp(ghlUpdatedAt);
+          winner = ctTime > ghlTime ? 'cloudtalk' : ghlTime > ctTime ? 'ghl' : tieBreaker;
+          conflicts.push({
+            field: key,
+            cloudtalkValue: ctValue,
+            ghlValue,
+            previousValue: known ? snapshot[key] : null,
+            winner
+          });
+        }
+      }
+
+      if (winner === 'cloudtalk') {
+        writeGhlField(ghlBody, field, ctValue);
+        ghlChanges.push({ field: field.ghl, from: ghlValue, to: ctValue });
+        snapshot[key] = ctValue;
+      } else if (writeCloudTalkField(ctBody, ctDetails, field, ghlValue)) {
+        cloudtalkChanges.push({ field: field.cloudtalk, from: ctValue, to: ghlValue });
+        snapshot[key] = ghlValue;
+      } else {
+        skippedFields.push({ field: field.cloudtalk, reason: 'CLOUDTALK_ATTRIBUTE_NOT_FOUND' });
+      }
+    }
+
+    const result = {
+      success: true,
+      linkId: link.id,
+      cloudtalkContactId: link.cloudtalkContactId,
+      ghlContactId: link.ghlContactId,
+      dryRun,
+      cloudtalkChanges,
+      ghlChanges,
+      conflicts,
+      skippedFields
+    };
+
+    if (dryRun) {
+      return result;
+    }
+
+    if (cloudtalkChanges.length > 0) {
+      // edit_contact richiede sempre il nome
+      await cloudTalkClient.editContact(link.cloudtalkContactId, {
+        name: ctDetails?.Contact?.name || '',
+        ...ctBody
+      });
+    }
+    if (ghlChanges.length > 0) {
+      await ghlClient.updateContact(link.ghlContactId, ghlBody);
+    }
+
+    const now = Date.now();
+    for (const conflict of conflicts) {
+      log(`⚔️ Conflitto sync contatto ${link.id} su ${conflict.field}: CloudTalk "${conflict.cloudtalkValue}" vs GHL "${conflict.ghlValue}" → vince ${conflict.winner}`);
+      await this.run(
+        `INSERT INTO contact_sync_conflicts
+           (link_id, field, cloudtalk_value, ghl_value, previous_value, winner, cloudtalk_updated_at, ghl_updated_at, detected_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          link.id, conflict.field,
+          JSON.stringify(conflict.cloudtalkValue), JSON.stringify(conflict.ghlValue), JSON.stringify(conflict.previousValue),
+          conflict.winner, ctUpdatedAt, ghlUpdatedAt, now
+        ]
+      );
+    }
+
+    await this.run(
+      'UPDATE contact_links SET snapshot = ?, last_synced_at = ?, last_sync_trigger = ? WHERE id = ?',
+      [JSON.stringify(snapshot), now, trigger, link.id]
+    );
+
+    if (cloudtalkChanges.length > 0 || ghlChanges.length > 0) {
+      log(`🔁 Sync contatto ${link.id} (${trigger}): ${cloudtalkChanges.length} campi → CloudTalk, ${ghlChanges.length} campi → GHL`);
+    }
+
+    return result;
+  }
+
+  /**
+   * Webhook CloudTalk contact-updated
+   * @param {Object} payload - { contact_id?, external_number }
+   */
+  async syncFromCloudTalk(payload) {
+    try {
+      if (!this.isEnabled()) {
+        return { success: true, skipped: true, reason: 'CONTACT_SYNC_DISABLED' };
+      }
+
+      const phone = payload.external_number || payload.phone || null;
+      const link = await this.findLink({ phone, cloudtalkContactId: payload.contact_id });
+
+      const cloudtalkContactId = payload.contact_id || link?.cloudtalkContactId ||
+        (phone ? (await getContactByPhone(phone, `contact-sync-${Date.now()}`))?.id : null);
+      if (!cloudtalkContactId) {
+        return { success: true, skipped: true, reason: 'CLOUDTALK_CONTACT_NOT_FOUND' };
+      }
+
+      const ghlContactId = link?.ghlContactId || (phone ? (await contactIdCache.findGhlContact(toPhoneKey(phone)))?.id : null);
+      if (!ghlContactId) {
+        return { success: true, skipped: true, reason: 'GHL_CONTACT_NOT_FOUND', cloudtalkContactId };
+      }
+
+      const linked = await this.linkContacts({ phone, cloudtalkContactId, ghlContactId });
+      return await this.syncLink(linked, { trigger: 'cloudtalk-webhook' });
+
+    } catch (error) {
+      logError(`❌ Errore sync contatto da CloudTalk: ${error.message}`);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Webhook GHL contact-updated
+   * @param {Object} payload - { contact_id, phone? }
+   */
+  async syncFromGhl(payload) {
+    try {
+      if (!this.isEnabled()) {
+        return { success: true, skipped: true, reason: 'CONTACT_SYNC_DISABLED' };
+      }
+
+      const ghlContactId = payload.contact_id || payload.contact?.id;
+      if (!ghlContactId) {
+        return { success: false, error: 'MISSING_CONTACT_ID' };
+      }
+
+      const link = await this.findLink({ ghlContactId });
+      let phone = payload.phone || payload.contact?.phone || link?.phone || null;
+      if (!phone) {
+        phone = (await ghlClient.getContact(ghlContactId))?.phone || null;
+      }
+
+      const cloudtalkContactId = link?.cloudtalkContactId ||
+        (phone ? (await getContactByPhone(phone, `contact-sync-${ghlContactId}`))?.id : null);
+      if (!cloudtalkContactId) {
+        return { success: true, skipped: true, reason: 'CLOUDTALK_CONTACT_NOT_FOUND', ghlContactId };
+      }
+
+      const linked = await this.linkContacts({ phone, cloudtalkContactId, ghlContactId });
+      return await this.syncLink(linked, { trigger: 'ghl-webhook' });
+
+    } catch (error) {
+      logError(`❌ Errore sync contatto da GHL: ${error.message}`);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Riconciliazione completa: tutti i contatti CloudTalk vengono collegati al contatto GHL
+   * con lo stesso telefono e allineati. In dryRun non scrive nulla (né sui CRM né sui link).
+   * @param {Object} options - { dryRun = true, limit }
+   * @returns {Promise<Object>} Stato finale della riconciliazione
+   */
+  async reconcileAll({ dryRun = true, limit = null } = {}) {
+    if (this.reconciliation.running) {
+      throw new Error('Riconciliazione già in corso');
+    }
+
+    this.reconciliation = {
+      ...createReconciliationState(),
+      running: true,
+      dryRun,
+      startedAt: new Date().toISOString()
+    };
+    const state = this.reconciliation;
+    log(`🔄 Riconciliazione contatti CloudTalk ↔ GHL avviata${dryRun ? ' (dry run)' : ''}`);
+
+    try {
+      await this.init();
+      for await (const item of cloudTalkClient.iterateContacts()) {
+        if (limit && state.processed >= limit) break;
+        state.processed++;
+
+        const cloudtalkContactId = item?.Contact?.id ? String(item.Contact.id) : null;
+        const phone = toPhoneKey(getCloudTalkPhone(item));
+        if (!cloudtalkContactId || !phone) {
+          state.skipped++;
+          continue;
+        }
+
+        try {
+          let link = await this.findLink({ phone, cloudtalkContactId });
+          const ghlContactId = link?.ghlContactId || (await contactIdCache.findGhlContact(phone))?.id;
+          if (!ghlContactId) {
+            state.skipped++;
+            continue;
+          }
+
+          if (dryRun) {
+            link = link || { id: null, cloudtalkContactId, ghlContactId, snapshot: {} };
+          } else {
+            link = await this.linkContacts({ phone, cloudtalkContactId, ghlContactId });
+          }
+          state.linked++;
+          state.conflicts += link.linkConflicts?.length || 0;
+
+          const result = await this.syncLink(link, { dryRun, trigger: 'reconciliation' });
+          if (result.cloudtalkChanges?.length > 0 || result.ghlChanges?.length > 0) state.updated++;
+          state.conflicts += result.conflicts?.length || 0;
+
+        } catch (error) {
+          state.errors++;
+          state.lastError = `${cloudtalkContactId}: ${error.message}`;
+          logError(`❌ Riconciliazione contatto CloudTalk ${cloudtalkContactId}: ${error.message}`);
+        }
+      }
+    } catch (error) {
+      state.errors++;
+      state.lastError = error.message;
+      logError(`❌ Riconciliazione contatti interrotta: ${error.message}`);
+    } finally {
+      state.running = false;
+      state.finishedAt = new Date().toISOString();
+    }
+
+    log(`✅ Riconciliazione contatti completata: ${state.processed} letti, ${state.linked} collegati, ${state.updated} aggiornati, ${state.conflicts} conflitti, ${state.errors} errori`);
+    return { ...state };
+  }
+
+  /**
+   * Ultimi conflitti registrati
+   */
+  async listConflicts({ limit = 50 } = {}) {
+    await this.init();
+    const rows = await this.all(
+      `SELECT c.*, l.phone, l.cloudtalk_contact_id, l.ghl_contact_id
+       FROM contact_sync_conflicts c LEFT JOIN contact_links l ON l.id = c.link_id
+       ORDER BY c.detected_at DESC LIMIT ?`,
+      [Math.min(limit, 500)]
+    );
+
+    return rows.map(row => ({
+      id: row.id,
+      linkId: row.link_id,
+      phone: row.phone,
+      cloudtalkContactId: row.cloudtalk_contact_id,
+      ghlContactId: row.ghl_contact_id,
+      field: row.field,
+      cloudtalkValue: JSON.parse(row.cloudtalk_value),
+      ghlValue: JSON.parse(row.ghl_value),
+      previousValue: JSON.parse(row.previous_value),
+      winner: row.winner,
+      cloudtalkUpdatedAt: row.cloudtalk_updated_at,
+      ghlUpdatedAt: row.ghl_updated_at,
+      detectedAt: new Date(row.detected_at).toISOString()
+    }));
+  }
+
+  async getStats() {
+    await this.init();
+    const [links] = await this.all(
+      `SELECT COUNT(*) AS total,
+         SUM(CASE WHEN cloudtalk_contact_id IS NOT NULL AND ghl_contact_id IS NOT NULL THEN 1 ELSE 0 END) AS complete
+       FROM contact_links`
+    );
+    const [conflicts] = await this.all('SELECT COUNT(*) AS total FROM contact_sync_conflicts');
+    const { fields, tieBreaker, source } = getSyncFieldsConfig();
+
+    return {
+      enabled: this.isEnabled(),
+      links: links.total,
+      completeLinks: links.complete || 0,
+      conflicts: conflicts.total,
+      reconciliation: { ...this.reconciliation },
+      configuration: { fields, tieBreaker, source }
+    };
+  }
+}
+
+// Istanza singleton
+const contactSyncService = new ContactSyncService();
+
+export default contactSyncService;
@@ -1,7 +1,7 @@
 import 'dotenv/config';
-import { searchGHLContactByPhone } from '../../API Squadd/tests/search-contact-by-phone.js';
-import { getContactNotes } from '../../API Squadd/tests/get-contact-notes.js';
-import { getCalls } from '../../API CloudTalk/GET/get-calls.js';
+import ghlClient from './ghl-client.js';
+import contactIdCache from './contact-id-cache.js';
+import cloudTalkClient, { CloudTalkNotFoundError } from './cloudtalk-client.js';
 
 /**
  * CloudTalk CueCard Service con integrazione GoHighLevel
@@ -19,7 +19,7 @@ export async function generateSmartCueCard(phoneNumber, callUuid = null) {
 
   try {
     // Step 1: Cerca contatto in GoHighLevel
-    const ghlContact = await searchGHLContactByPhone(phoneNumber);
+    const ghlContact = await contactIdCache.findGhlContact(phoneNumber);
     
     // Step 2: Ottieni storico chiamate CloudTalk  
     const callHistory = await getCallHistoryForPhone(phoneNumber);
@@ -32,7 +32,7 @@ export async function generateSmartCueCard(phoneNumber, callUuid = null) {
     if (ghlContact) {
       try {
         console.log(`📝 Recuperando note GHL per contatto: ${ghlContact.id}`);
-        ghlNotes = await getContactNotes(ghlContact.id);
+        ghlNotes = await ghlClient.getContactNotes(ghlContact.id);
       } catch (notesError) {
         console.log(`⚠️ Errore recupero note GHL: ${notesError.message}`);
         // Continua senza note se fallisce
@@ -203,14 +203,14 @@ async function getCallHistoryForPhone(phoneNumber) {
   try {
     console.log(`📞 Fetching call history for: ${phoneNumber}`);
     
-    const response = await getCalls({
+    const { items } = await cloudTalkClient.getPage('/calls/index.json', {
       public_external: phoneNumber,
       limit: 10,
       sort: 'desc'
     });
 
-    if (response.success && response.responseData?.data) {
-      return response.responseData.data.map(call => ({
+    if (items.length > 0) {
+      return items.map(call => ({
         id: call.Cdr?.id,
         date_time: call.Cdr?.date_time,
         status: call.Cdr?.status,
@@ -301,56 +301,22 @@ export async function sendCueCard(callUuid, cueCardData) {
     
     console.log('📋 CueCard data:', JSON.stringify(cueCardData, null, 2));
     
-    // Retry logic con backoff exponential per 424 errors
-    let response;
-    let attempt = 0;
-    const maxAttempts = 3;
+    // Usa formato corretto secondo documentazione ufficiale
+    // Invia l'array di ContentBlock direttamente come da API spec
+    const platformApiData = {
+      call_uuid: cueCardData.call_uuid,
+      type: cueCardData.type || 'info', 
+      title: cueCardData.title,
+      subtitle: cueCardData.subtitle || '',
+      content: cueCardData.content // Array di ContentBlock come richiesto dalla API
+    };
     
-    while (attempt < maxAttempts) {
-      attempt++;
-      console.log(`🚀 Attempt ${attempt}/${maxAttempts} - Sending CueCard...`);
-      
-      // Usa formato corretto secondo documentazione ufficiale
-      // Invia l'array di ContentBlock direttamente come da API spec
-      const platformApiData = {
-        call_uuid: cueCardData.call_uuid,
-        type: cueCardData.type || 'info', 
-        title: cueCardData.title,
-        subtitle: cueCardData.subtitle || '',
-        content: cueCardData.content // Array di ContentBlock come richiesto dalla API
-      };
-      
-      console.log(`📊 Platform API (formato corretto):`, JSON.stringify(platformApiData, null, 2));
-      
-      response = await fetch('https://platform-api.cloudtalk.io/api/cuecards', {
-        method: 'POST',
-        body: JSON.stringify(platformApiData),
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Basic ${Buffer.from(`${process.env.CLOUDTALK_API_KEY_ID}:${process.env.CLOUDTALK_API_SECRET}`).toString('base64')}`
-        }
-      });
-      
-      if (response.ok) {
-        console.log(`✅ CueCard inviata con successo al tentativo ${attempt}!`);
-        break;
-      }
-      
-      if (response.status === 424 && attempt < maxAttempts) {
-        const waitTime = Math.pow(2, attempt) * 1000; // 2s, 4s, 8s
-        console.log(`⚠️ Tentativo ${attempt} fallito (424), retry tra ${waitTime/1000}s...`);
-        await new Promise(resolve => setTimeout(resolve, waitTime));
-        continue;
-      }
-      
-      // Altri errori o ultimo tentativo
-      const errorText = await response.text();
-      throw new Error(`HTTP ${response.status}: ${errorText}`);
-    }
+    console.log(`📊 Platform API (formato corretto):`, JSON.stringify(platformApiData, null, 2));
     
-    console.log('✅ CueCard inviata con successo a CloudTalk!');
+    // Il client ritenta con backoff i 424 (chiamata non ancora registrata)
+    const responseData = await cloudTalkClient.sendCueCard(platformApiData);
     
-    const responseData = await response.json();
+    console.log('✅ CueCard inviata con successo a CloudTalk!');
     
     return {
       success: true,
@@ -360,7 +326,7 @@ export async function sendCueCard(callUuid, cueCardData) {
     
   } catch (error) {
     // Handle expected CloudTalk errors
-    if (error.response?.status === 404) {
+    if (error instanceof CloudTalkNotFoundError) {
       console.log('⚠️ CloudTalk CueCard endpoint non disponibile (404)');
       return {
         success: false,
@@ -369,7 +335,7 @@ export async function sendCueCard(callUuid, cueCardData) {
       };
     }
     
-    if (error.response?.status === 424) {
+    if (error.status === 424) {
       console.log('⚠️ Nessuna chiamata attiva trovata per CueCard (424)');
       return {
         success: false,
@@ -0,0 +1,285 @@
+import path from 'path';
+import { logError } from '../logger.js';
+import { createConfigFile } from '../utils/config-file.js';
+
+/**
+ * Agent Distribution Strategies
+ *
+ * Ogni strategia sceglie un agente tra quelli disponibili:
+ *   select(availableAgents, { leadData, state, config }) → { agent, reason, fallbackUsed }
+ * `state` è lo stato persistito di AgentDistributionService (lastAgentId,
+ * lastCalledAt, weightedCurrent...): le strategie possono aggiornarlo, il
+ * servizio lo salva dopo la distribuzione.
+ *
+ * Strategie disponibili:
+ * - round-robin:           agente successivo all'ultimo usato (comportamento storico)
+ * - weighted-round-robin:  round robin pesato (smooth, come nginx) sul "weight" degli agenti
+ * - least-recently-called: l'agente che non riceve un lead da più tempo
+ * - skill:                 agenti con skill che corrispondono a source / lingua / campagna
+ *                          del lead, poi round robin; senza match → round robin su tutti
+ *
+ * Configurazione (AGENT_DISTRIBUTION_CONFIG_PATH, default config/agent-distribution.json):
+ * {
+ *   "defaultStrategy": "round-robin",
+ *   "strategyBySource": { "facebook": "weighted-round-robin", "google-ads": "skill" },
+ *   "agents": { "123": { "weight": 3, "skills": ["facebook", "it", "fotovoltaico"], "ghlUserId": "..." } }
+ * }
+ * ghlUserId è l'utente GHL dell'agente, usato dalla lead ownership per l'assignedTo.
+ * Senza file si usa AGENT_DISTRIBUTION_STRATEGY (default round-robin) per tutti i lead.
+ */
+
+const DEFAULT_STRATEGY = 'round-robin';
+
+function getConfigPath() {
+  return process.env.AGENT_DISTRIBUTION_CONFIG_PATH || path.join(process.cwd(), 'config', 'agent-distribution.json');
+}
+
+function normalizeValue(value) {
+  return String(value).trim().toLowerCase();
+}
+
+/**
+ * Attributi del lead usati per la scelta della strategia e lo skill matching
+ * @returns {{source: string|null, language: string|null, campaign: string|null}}
+ */
+function getLeadAttributes(leadData = {}) {
+  const pick = (...values) => {
+    const found = values.find(value => value !== undefined && value !== null && String(value).trim() !== '');
+    return found !== undefined ? normalizeValue(found) : null;
+  };
+
+  return {
+    source: pick(leadData.source, leadData.contact_source, leadData.attributionSource?.source),
+    language: pick(leadData.language, leadData.customData?.language),
+    campaign: pick(
+      leadData.campaign,
+      leadData.utm_campaign,
+      leadData.attributionSource?.campaign,
+      leadData.attributionSource?.utmCampaign,
+      leadData.customData?.campaign
+    )
+  };
+}
+
+/**
+ * Round robin classico: l'agente successivo all'ultimo usato
+ */
+const roundRobinStrategy = {
+  name: 'round-robin',
+  select(availableAgents, { state }) {
+    if (availableAgents.length === 1) {
+      return { agent: availableAgents[0], reason: 'SINGLE_AGENT_AVAILABLE', fallbackUsed: false };
+    }
+
+    const lastAgentId = state.lastAgentId;
+    if (!lastAgentId) {
+      return { agent: availableAgents[0], reason: 'FIRST_DISTRIBUTION', fallbackUsed: false };
+    }
+
+    const lastAgentIndex = availableAgents.findIndex(agent => agent.id === lastAgentId);
+    if (lastAgentIndex === -1) {
+      return { agent: availableAgents[0], reason: 'LAST_AGENT_UNAVAILABLE_FALLBACK_TO_FIRST', fallbackUsed: true };
+    }
+
+    const nextIndex = (lastAgentIndex + 1) % availableAgents.length;
+    return {
+      agent: availableAgents[nextIndex],
+      reason: nextIndex === 0 ? 'ROUND_ROBIN_WRAPPED_TO_FIRST' : 'ROUND_ROBIN_NEXT_AGENT',
+      fallbackUsed: false
+    };
+  }
+};
+
+/**
+ * Smooth weighted round robin: ogni agente accumula il proprio peso,
+ * vince il valore più alto che viene poi ridotto del peso totale
+ */
+const weightedRoundRobinStrategy = {
+  name: 'weighted-round-robin',
+  select(availableAgents, { state, config }) {
+    const current = state.weightedCurrent || {};
+    const weightOf = agent => {
+      const weight = Number(config.agents[String(agent.id)]?.weight);
+      return weight > 0 ? weight : 1;
+    };
+
+    let totalWeight = 0;
+    let selected = null;
+    for (const agent of availableAgents) {
+      const weight = weightOf(agent);
+      totalWeight += weight;
+      current[agent.id] = (current[agent.id] || 0) + weight;
+      if (!selected || current[agent.id] > current[selected.id]) {
+        selected = agent;
+      }
+    }
+
+    current[selected.id] -= totalWeight;
+    state.weightedCurrent = current;
+
+    return { agent: selected, reason: `WEIGHTED_ROUND_ROBIN_WEIGHT_${weightOf(selected)}`, fallbackUsed: false };
+  }
+};
+
+/**
+ * L'agente che ha ricevuto un lead meno di recente (mai = prima di tutti)
+ */
+const leastRecentlyCalledStrategy = {
+  name: 'least-recently-called',
+  select(availableAgents, { state }) {
+    const lastCalledAt = state.lastCalledAt || {};
+    const timeOf = agent => (lastCalledAt[agent.id] ? Date.parse(lastCalledAt[agent.id]) : 0);
+
+    const selected = availableAgents.reduce((best, agent) => (timeOf(agent) < timeOf(best) ? agent : best));
+
+    return {
+      agent: selected,
+      reason: timeOf(selected) === 0 ? 'LEAST_RECENTLY_CALLED_NEVER_CALLED' : 'LEAST_RECENTLY_CALLED',
+      fallbackUsed: false
+    };
+  }
+};
+
+/**
+ * Skill matching: source, lingua e campagna del lead contro le skill degli agenti.
+ * Vincono gli agenti con più corrispondenze; tra pari si applica il round robin.
+ */
+const skillStrategy = {
+  name: 'skill',
+  select(availableAgents, context) {
+    const attributes = Object.values(getLeadAttributes(context.leadData)).filter(Boolean);
+
+    let bestScore = 0;
+    let candidates = [];
+    for (const agent of availableAgents) {
+      const skills = (context.config.agents[String(agent.id)]?.skills || []).map(normalizeValue);
+      const score = attributes.filter(attribute => skills.includes(attribute)).length;
+
+      if (score > bestScore) {
+        bestScore = score;
+        candidates = [agent];
+      } else if (score === bestScore && score > 0) {
+        candidates.push(agent);
+      }
+    }
+
+    if (candidates.length === 0) {
+      const fallback = roundRobinStrategy.select(availableAgents, context);
+      return { ...fallback, reason: `SKILL_NO_MATCH_${fallback.reason}`, fallbackUsed: true };
+    }
+
+    const selection = roundRobinStrategy.select(candidates, context);
+    return {
+      agent: selection.agent,
+      reason: `SKILL_MATCH_${bestScore}_OF_${attributes.length}`,
+      fallbackUsed: false
+    };
+  }
+};
+
+const STRATEGIES = {
+  [roundRobinStrategy.name]: roundRobinStrategy,
+  [weightedRoundRobinStrategy.name]: weightedRoundRobinStrategy,
+  [leastRecentlyCalledStrategy.name]: leastRecentlyCalledStrategy,
+  [skillStrategy.name]: skillStrategy
+};
+
+/**
+ * Valida la configurazione della distribuzione
+ * @returns {string[]} Errori (vuoto se valida)
+ */
+function validateDistributionConfig(config) {
+  const errors = [];
+
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    return ['config must be an object'];
+  }
+
+  if (config.defaultStrategy !== undefined && !STRATEGIES[config.defaultStrategy]) {
+    errors.push(`defaultStrategy: unknown strategy "${config.defaultStrategy}"`);
+  }
+
+  Object.entries(config.strategyBySource || {}).forEach(([source, strategy]) => {
+    if (!STRATEGIES[strategy]) {
+      errors.push(`strategyBySource.${source}: unknown strategy "${strategy}"`);
+    }
+  });
+
+  Object.entries(config.agents || {}).forEach(([agentId, profile]) => {
+    if (profile.weight !== undefined && !(Number(profile.weight) > 0)) {
+      errors.push(`agents.${agentId}.weight must be a positive number`);
+    }
+    if (profile.skills !== undefined && (!Array.isArray(profile.skills) || profile.skills.some(skill => typeof skill !== 'string'))) {
+      errors.push(`agents.${agentId}.skills must be an array of strings`);
+    }
+  });
+
+  return errors;
+}
+
+function buildDefaultConfig() {
+  return {
+    defaultStrategy: process.env.AGENT_DISTRIBUTION_STRATEGY || DEFAULT_STRATEGY,
+    strategyBySource: {},
+    agents: {},
+    source: 'defaults'
+  };
+}
+
+/**
+ * Configurazione da un file valido
+ */
+function buildConfig(parsed, configPath) {
+  const defaults = buildDefaultConfig();
+  const strategyBySource = {};
+  Object.entries(parsed.strategyBySource || {}).forEach(([source, strategy]) => {
+    strategyBySource[normalizeValue(source)] = strategy;
+  });
+
+  return {
+    defaultStrategy: parsed.defaultStrategy || defaults.defaultStrategy,
+    strategyBySource,
+    agents: parsed.agents || {},
+    source: configPath
+  };
+}
+
+const configFile = createConfigFile({
+  name: 'Configurazione distribuzione',
+  getPath: getConfigPath,
+  buildDefault: buildDefaultConfig,
+  validate: validateDistributionConfig,
+  build: buildConfig,
+  describe: (config, configPath) => `🎛️ Configurazione distribuzione caricata da ${configPath} (default: ${config.defaultStrategy})`
+});
+
+/**
+ * Configurazione attiva, riletta quando il file cambia.
+ * Un file non valido viene segnalato e resta attiva la configurazione precedente.
+ */
+function getDistributionConfig() {
+  return configFile.get();
+}
+
+/**
+ * Strategia da usare per un lead (per source, altrimenti default)
+ * @returns {Object} Strategia con select()
+ */
+function resolveStrategy(leadData, config = getDistributionConfig()) {
+  const { source } = getLeadAttributes(leadData);
+  const name = (source && config.strategyBySource[source]) || config.defaultStrategy;
+
+  if (!STRATEGIES[name]) {
+    logError(`⚠️ Strategia distribuzione sconosciuta "${name}", uso ${DEFAULT_STRATEGY}`);
+    return STRATEGIES[DEFAULT_STRATEGY];
+  }
+  return STRATEGIES[name];
+}
+
+export {
+  STRATEGIES,
+  getLeadAttributes,
+  validateDistributionConfig,
+  getDistributionConfig,
+  resolveStrategy
+};
@@ -0,0 +1,424 @@
+import { log, logError } from '../logger.js';
+import { normalizePhone, phonesMatch } from '../utils/phone-numbers.js';
+
+/**
+ * GoHighLevel API Client
+ *
+ * Client unico per le API GHL (services.leadconnectorhq.com): contatti, note,
+ * opportunità, conversazioni, utenti e custom field. Location id e token
+ * vengono dalla configurazione (GHL_LOCATION_ID, GHL_API_KEY).
+ *
+ * - 429: attende Retry-After / x-ratelimit-interval-milliseconds e riprova
+ * - x-ratelimit-remaining a 0: la richiesta successiva aspetta la finestra
+ * - 5xx ed errori di rete: retry con backoff esponenziale, solo per le richieste
+ *   idempotenti (GET/PUT/DELETE o retryable: true). Le POST che creano note,
+ *   conversazioni e messaggi riprovano solo il 429: con un 5xx o un timeout la
+ *   richiesta potrebbe essere già stata eseguita e un retry la duplicherebbe
+ * - Errori tipizzati: GhlAuthError, GhlNotFoundError, GhlRateLimitError,
+ *   GhlValidationError (tutti GhlApiError con status, path e body)
+ */
+
+const DEFAULT_BASE_URL = 'https://services.leadconnectorhq.com';
+const API_VERSION = '2021-07-28';
+const CONVERSATIONS_API_VERSION = '2021-04-15';
+const MAX_BACKOFF_MS = 30000;
+
+export class GhlApiError extends Error {
+  constructor(message, { status = null, path = null, body = null } = {}) {
+    super(message);
+    this.name = 'GhlApiError';
+    this.status = status;
+    this.path = path;
+    this.body = body;
+  }
+}
+
+export class GhlAuthError extends GhlApiError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'GhlAuthError';
+  }
+}
+
+export class GhlNotFoundError extends GhlApiError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'GhlNotFoundError';
+  }
+}
+
+export class GhlRateLimitError extends GhlApiError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'GhlRateLimitError';
+  }
+}
+
+export class GhlValidationError extends GhlApiError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'GhlValidationError';
+  }
+}
+
+function createApiError(status, path, body) {
+  const message = `GHL ${status} ${path}: ${typeof body === 'string' ? body : JSON.stringify(body)}`;
+  const details = { status, path, body };
+
+  if (status === 401 || status === 403) return new GhlAuthError(message, details);
+  if (status === 404) return new GhlNotFoundError(message, details);
+  if (status === 429) return new GhlRateLimitError(message, details);
+  if (status === 400 || status === 422) return new GhlValidationError(message, details);
+  return new GhlApiError(message, details);
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+export class GhlClient {
+  /**
+   * @param {Object} options
+   * @param {string} options.apiKey - Token GHL (default GHL_API_KEY)
+   * @param {string} options.locationId - Location GHL (default GHL_LOCATION_ID)
+   * @param {string} options.baseUrl - Base URL API
+   * @param {number} options.maxRetries - Tentativi extra su 429 / 5xx / errori di rete
+   * @param {number} options.retryBaseMs - Backoff base (raddoppiato ad ogni tentativo)
+   */
+  constructor({ apiKey, locationId, baseUrl = DEFAULT_BASE_URL, maxRetries = 3, retryBaseMs = 1000 } = {}) {
+    this.apiKey = apiKey;
+    this.locationId = locationId;
+    this.baseUrl = baseUrl;
+    this.maxRetries = maxRetries;
+    this.retryBaseMs = retryBaseMs;
+    this.rateLimitResetAt = 0;
+    this.lastRateLimit = null;
+  }
+
+  // Letti ad ogni richiesta: il client può essere creato prima di dotenv
+  getApiKey() {
+    return this.apiKey || process.env.GHL_API_KEY;
+  }
+
+  getLocationId() {
+    return this.locationId || process.env.GHL_LOCATION_ID;
+  }
+
+  /**
+   * Registra i rate-limit header della risposta
+   */
+  trackRateLimit(response) {
+    const remaining = response.headers.get('x-ratelimit-remaining');
+    if (remaining === null) return;
+
+    const intervalMs = parseInt(response.headers.get('x-ratelimit-interval-milliseconds')) || 10000;
+    this.lastRateLimit = {
+      remaining: parseInt(remaining),
+      max: parseInt(response.headers.get('x-ratelimit-max')) || null,
+      dailyRemaining: parseInt(response.headers.get('x-ratelimit-daily-remaining')) || null,
+      intervalMs
+    };
+
+    if (this.lastRateLimit.remaining <= 0) {
+      this.rateLimitResetAt = Date.now() + intervalMs;
+      log(`⏳ GHL rate limit esaurito: prossima richiesta tra ${intervalMs}ms`);
+    }
+  }
+
+  /**
+   * Attesa prima del prossimo tentativo (Retry-After se presente)
+   */
+  getRetryDelay(response, attempt) {
+    const retryAfter = response?.headers.get('retry-after');
+    if (retryAfter && !Number.isNaN(parseFloat(retryAfter))) {
+      return parseFloat(retryAfter) * 1000;
+    }
+    if (response?.status === 429) {
+      const intervalMs = parseInt(response.headers.get('x-ratelimit-interval-milliseconds'));
+      if (intervalMs > 0) return intervalMs;
+    }
+    return Math.min(this.retryBaseMs * Math.pow(2, attempt), MAX_BACKOFF_MS);
+  }
+
+  /**
+   * Richiesta autenticata
+   * @param {string} method - Metodo HTTP
+   * @param {string} path - Path API (es. /contacts/search)
+   * @param {Object} options
+   * @param {Object} options.query - Query string
+   * @param {Object|FormData} options.body - Body JSON o FormData
+   * @param {string} options.version - Header Version (default 2021-07-28)
+   * @param {boolean} options.retryable - Retry su 5xx / errori di rete (default: metodo diverso da POST)
+   * @returns {Promise<Object>} Risposta JSON
+   * @throws {GhlApiError}
+   */
+  async request(method, path, { query = null, body = undefined, version = API_VERSION, retryable = method !== 'POST' } = {}) {
+    const apiKey = this.getApiKey();
+    if (!apiKey) {
+      throw new GhlAuthError('GHL_API_KEY non configurata', { path });
+    }
+
+    const url = new URL(`${this.baseUrl}${path}`);
+    Object.entries(query || {}).forEach(([key, value]) => {
+      if (value !== undefined && value !== null) {
+        url.searchParams.append(key, value);
+      }
+    });
+
+    const isFormData = typeof FormData !== 'undefined' && body instanceof FormData;
+    const headers = {
+      'Authorization': `Bearer ${apiKey}`,
+      'Version': version,
+      'Accept': 'application/json'
+    };
+    if (body !== undefined && !isFormData) {
+      headers['Content-Type'] = 'application/json';
+    }
+
+    for (let attempt = 0; ; attempt++) {
+      const waitMs = this.rateLimitResetAt - Date.now();
+      if (waitMs > 0) {
+        await sleep(waitMs);
+      }
+
+      let response;
+      try {
+        response = await fetch(url, {
+          method,
+          headers,
+          body: body === undefined ? undefined : (isFormData ? body : JSON.stringify(body))
+        });
+      } catch (error) {
+        if (!retryable || attempt >= this.maxRetries) {
+          throw new GhlApiError(`GHL ${method} ${path}: ${error.message}`, { path });
+        }
+        const delay = this.getRetryDelay(null, attempt);
+        logError(`⚠️ GHL ${method} ${path} errore di rete (${error.message}), retry tra ${delay}ms`);
+        await sleep(delay);
+        continue;
+      }
+
+      this.trackRateLimit(response);
+
+      if (response.ok) {
+        const text = await response.text();
+        return text ? JSON.parse(text) : {};
+      }
+
+      const retry = response.status === 429 || (retryable && response.status >= 500);
+      if (retry && attempt < this.maxRetries) {
+        const delay = this.getRetryDelay(response, attempt);
+        logError(`⚠️ GHL ${method} ${path} → ${response.status}, retry ${attempt + 1}/${this.maxRetries} tra ${delay}ms`);
+        await sleep(delay);
+        continue;
+      }
+
+      const errorText = await response.text();
+      let errorBody = errorText;
+      try {
+        errorBody = JSON.parse(errorText);
+      } catch (parseError) {
+        // Body non JSON: si tiene il testo
+      }
+      throw createApiError(response.status, path, errorBody);
+    }
+  }
+
+  // ===== Contacts =====
+
+  async searchContacts(query, { pageLimit = 10 } = {}) {
+    const data = await this.request('POST', '/contacts/search', {
+      body: {
+        locationId: this.getLocationId(),
+        query: String(query).slice(0, 75), // GHL: query max 75 caratteri
+        pageLimit
+      },
+      retryable: true // sola lettura
+    });
+    return data.contacts || [];
+  }
+
+  /**
+   * Cerca un contatto per telefono (E.164). La ricerca GHL è full-text: viene
+   * restituito solo un risultato con lo stesso numero, mai un contatto diverso
+   * @returns {Promise<Object|null>}
+   */
+  async findContactByPhone(phone) {
+    const contacts = await this.searchContacts(normalizePhone(phone) || String(phone).trim());
+    return contacts.find(contact => phonesMatch(contact.phone, phone)) || null;
+  }
+
+  async getContact(contactId) {
+    const data = await this.request('GET', `/contacts/${contactId}`);
+    return data.contact || data;
+  }
+
+  async createContact(contactData) {
+    const data = await this.request('POST', '/contacts/', {
+      body: { locationId: this.getLocationId(), ...contactData }
+    });
+    return data.contact || data;
+  }
+
+  async updateContact(contactId, contactData) {
+    const data = await this.request('PUT', `/contacts/${contactId}`, { body: contactData });
+    return data.contact || data;
+  }
+
+  async addContactTags(contactId, tags) {
+    // Aggiungere tag già presenti non ha effetti: si può ripetere
+    return this.request('POST', `/contacts/${contactId}/tags`, { body: { tags }, retryable: true });
+  }
+
+  async removeContactTags(contactId, tags) {
+    return this.request('DELETE', `/contacts/${contactId}/tags`, { body: { tags } });
+  }
+
+  // ===== Notes =====
+
+  async getContactNotes(contactId) {
+    const data = await this.request('GET', `/contacts/${contactId}/notes`);
+    return data.notes || [];
+  }
+
+  async addContactNote(contactId, noteBody, userId = null) {
+    if (!contactId) throw new GhlValidationError('Contact ID è richiesto', { path: '/contacts/:id/notes' });
+    if (!noteBody) throw new GhlValidationError('Note body è richiesto', { path: `/contacts/${contactId}/notes` });
+
+    const data = await this.request('POST', `/contacts/${contactId}/notes`, {
+      body: userId ? { body: noteBody, userId } : { body: noteBody }
+    });
+    return data.note || data;
+  }
+
+  // ===== Opportunities =====
+
+  /**
+   * Cerca opportunità (per contatto, testo o pipeline)
+   * @param {Object} filters - { contactId, query, pipelineId, status, limit }
+   */
+  async searchOpportunities({ contactId, query, pipelineId, status, limit = 20 } = {}) {
+    const data = await this.request('GET', '/opportunities/search', {
+      query: {
+        location_id: this.getLocationId(),
+        contact_id: contactId,
+        q: query,
+        pipeline_id: pipelineId,
+        status,
+        limit
+      }
+    });
+    return data.opportunities || [];
+  }
+
+  async getOpportunity(opportunityId) {
+    const data = await this.request('GET', `/opportunities/${opportunityId}`);
+    return data.opportunity || data;
+  }
+
+  async updateOpportunity(opportunityId, opportunityData) {
+    const data = await this.request('PUT', `/opportunities/${opportunityId}`, { body: opportunityData });
+    return data.opportunity || data;
+  }
+
+  /**
+   * @param {string} status - open | won | lost | abandoned
+   */
+  async updateOpportunityStatus(opportunityId, status) {
+    return this.request('PUT', `/opportunities/${opportunityId}/status`, { body: { status } });
+  }
+
+  async getPipelines() {
+    const data = await this.request('GET', '/opportunities/pipelines', {
+      query: { locationId: this.getLocationId() }
+    });
+    return data.pipelines || [];
+  }
+
+  // ===== Conversations =====
+
+  async searchConversations(contactId) {
+    const data = await this.request('GET', '/conversations/search', {
+      query: { contactId, locationId: this.getLocationId() },
+      version: CONVERSATIONS_API_VERSION
+    });
+    return data.conversations || [];
+  }
+
+  async createConversation(contactId) {
+    const data = await this.request('POST', '/conversations/', {
+      body: { locationId: this.getLocationId(), contactId },
+      version: CONVERSATIONS_API_VERSION
+    });
+    return data.conversation || data;
+  }
+
+  async sendConversationMessage(message) {
+    return this.request('POST', '/conversations/messages', {
+      body: message,
+      version: CONVERSATIONS_API_VERSION
+    });
+  }
+
+  /**
+   * Messaggio in entrata registrato da un provider esterno (es. type 'Call')
+   */
+  async addInboundMessage(message) {
+    return this.request('POST', '/conversations/messages/inbound', {
+      body: message,
+      version: CONVERSATIONS_API_VERSION
+    });
+  }
+
+  /**
+   * Chiamata in uscita registrata da un provider esterno
+   */
+  async addOutboundCallMessage(message) {
+    return this.request('POST', '/conversations/messages/outbound', {
+      body: message,
+      version: CONVERSATIONS_API_VERSION
+    });
+  }
+
+  /**
+   * Upload allegato conversazione
+   * @param {FormData} formData - fileAttachment + conversationId
+   */
+  async uploadConversationAttachment(formData) {
+    return this.request('POST', '/conversations/messages/upload', {
+      body: formData,
+      version: CONVERSATIONS_API_VERSION
+    });
+  }
+
+  // ===== Users =====
+
+  async listUsers() {
+    const data = await this.request('GET', '/users/', {
+      query: { locationId: this.getLocationId() }
+    });
+    return data.users || [];
+  }
+
+  // ===== Custom fields =====
+
+  async getCustomFields() {
+    const data = await this.request('GET', `/locations/${this.getLocationId()}/customFields`);
+    return data.customFields || [];
+  }
+
+  /**
+   * Aggiorna i custom field di un contatto
+   * @param {Array<{id?: string, key?: string, field_value: any}>} customFields
+   */
+  async updateContactCustomFields(contactId, customFields) {
+    return this.updateContact(contactId, { customFields });
+  }
+
+  getRateLimitStatus() {
+    return this.lastRateLimit;
+  }
+}
+
+// Istanza condivisa configurata da ENV
+const ghlClient = new GhlClient();
+
+export default ghlClient;
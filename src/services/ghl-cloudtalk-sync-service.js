@@ -0,0 +1,254 @@
+import { log, logError } from '../logger.js';
+import cloudTalkClient from './cloudtalk-client.js';
+import ghlClient from './ghl-client.js';
+import { getContactByPhone, getCampaignIdByName } from './cloudtalk-campaign-automation.js';
+import { moveBetweenCampaigns } from './campaign-contact-management.js';
+import { getSyncMapping, mapTags, resolveStageAction, resolveStatusAction } from './ghl-sync-mapping.js';
+import { normalizePhone } from '../utils/phone-numbers.js';
+
+/**
+ * GHL → CloudTalk Sync Service
+ *
+ * Gestisce i webhook GHL che non creano lead:
+ * - new-tag: i tag GHL (tramite la tabella di mapping) vengono aggiunti ai tag del contatto CloudTalk
+ * - new-note: la nota GHL viene copiata come nota o activity CloudTalk
+ * - pipeline-stage-changed / opportunity-status-changed: spostamento di campagna
+ *   e/o blacklist secondo il mapping (default: won/lost in blacklist)
+ *
+ * Il contatto CloudTalk viene cercato per numero di telefono; se il payload GHL
+ * non contiene il telefono viene letto dal contatto GHL (contact_id).
+ * Ogni handler restituisce { success, action, skipped?, error?, ... }.
+ */
+
+function getCustomData(payload) {
+  return payload.customData || payload.custom_data || {};
+}
+
+function firstValue(...values) {
+  return values.find(value => value !== undefined && value !== null && String(value).trim() !== '');
+}
+
+/**
+ * Tag dal payload: tag singolo del trigger o lista completa (array o stringa separata da virgole)
+ */
+function getPayloadTags(payload) {
+  const customData = getCustomData(payload);
+  const raw = firstValue(payload.tag, customData.tag, payload.tags, customData.tags);
+  if (!raw) return [];
+
+  const list = Array.isArray(raw) ? raw : String(raw).split(',');
+  return list.map(tag => String(tag).trim()).filter(Boolean);
+}
+
+function getPayloadNote(payload) {
+  const customData = getCustomData(payload);
+  return firstValue(
+    payload.note?.body,
+    typeof payload.note === 'string' ? payload.note : undefined,
+    payload.note_body,
+    payload.body,
+    customData.note
+  ) || null;
+}
+
+function getPayloadOpportunity(payload) {
+  const customData = getCustomData(payload);
+  return {
+    id: firstValue(payload.opportunity_id, payload.opportunity?.id, customData.opportunity_id) || null,
+    name: firstValue(payload.opportunity_name, payload.opportunity?.name) || null,
+    // GHL invia il campo anche con il refuso "pipleline_stage"
+    stage: firstValue(payload.pipeline_stage, payload.pipleline_stage, payload.stage_name, payload.opportunity?.stage, customData.pipeline_stage) || null,
+    pipeline: firstValue(payload.pipeline_name, payload.pipeline?.name, customData.pipeline_name) || null,
+    status: firstValue(payload.status, payload.opportunity_status, payload.opportunity?.status, customData.status) || null
+  };
+}
+
+class GhlCloudTalkSyncService {
+  /**
+   * Telefono del contatto GHL (dal payload o dal contatto GHL)
+   */
+  async resolvePhone(payload) {
+    const phone = firstValue(payload.phone, payload.contact?.phone, getCustomData(payload).phone);
+    if (phone) return phone;
+
+    const contactId = firstValue(payload.contact_id, payload.contact?.id);
+    if (!contactId) return null;
+
+    const contact = await ghlClient.getContact(contactId);
+    return contact?.phone || null;
+  }
+
+  /**
+   * Contatto CloudTalk del payload GHL
+   * @returns {Promise<Object>} { contact, phone } o { error }
+   */
+  async resolveCloudTalkContact(payload, correlationId) {
+    const phone = await this.resolvePhone(payload);
+    if (!phone) {
+      return { error: 'MISSING_PHONE' };
+    }
+
+    const contact = await getContactByPhone(phone, correlationId);
+    if (!contact) {
+      log(`⚠️ Sync GHL → CloudTalk: nessun contatto CloudTalk per ${phone}`);
+      return { error: 'CLOUDTALK_CONTACT_NOT_FOUND', phone };
+    }
+
+    return { contact, phone: normalizePhone(phone) };
+  }
+
+  /**
+   * new-tag: aggiunge i tag mappati al contatto CloudTalk (addTags, i tag
+   * esistenti restano: nessuna sovrascrittura con una lista letta prima)
+   */
+  async handleNewTag(payload) {
+    const correlationId = `ghl-new-tag-${payload.contact_id || Date.now()}`;
+
+    try {
+      const ghlTags = getPayloadTags(payload);
+      const mappedTags = mapTags(ghlTags);
+      if (mappedTags.length === 0) {
+        return { success: true, action: 'tags', skipped: true, reason: 'NO_MAPPED_TAGS', ghlTags };
+      }
+
+      const { contact, error } = await this.resolveCloudTalkContact(payload, correlationId);
+      if (error) {
+        return { success: false, action: 'tags', error, ghlTags };
+      }
+
+      const currentTags = contact.tags || [];
+      const addedTags = mappedTags.filter(tag => !currentTags.includes(tag));
+      if (addedTags.length === 0) {
+        return { success: true, action: 'tags', skipped: true, reason: 'TAGS_ALREADY_PRESENT', contactId: contact.id, tags: currentTags };
+      }
+
+      await cloudTalkClient.addContactTags(contact.id, addedTags);
+
+      log(`🏷️ Sync GHL → CloudTalk: contatto ${contact.id} +[${addedTags.join(', ')}]`);
+      return { success: true, action: 'tags', contactId: contact.id, ghlTags, addedTags };
+
+    } catch (error) {
+      logError(`❌ Errore sync tag GHL → CloudTalk: ${error.message}`);
+      return { success: false, action: 'tags', error: error.message };
+    }
+  }
+
+  /**
+   * new-note: copia la nota GHL come nota o activity CloudTalk
+   */
+  async handleNewNote(payload) {
+    const correlationId = `ghl-new-note-${payload.contact_id || Date.now()}`;
+
+    try {
+      const { notes } = getSyncMapping();
+      if (notes.target === 'off') {
+        return { success: true, action: 'note', skipped: true, reason: 'NOTES_SYNC_DISABLED' };
+      }
+
+      const body = getPayloadNote(payload);
+      if (!body) {
+        return { success: true, action: 'note', skipped: true, reason: 'EMPTY_NOTE' };
+      }
+
+      // Le note scritte dall'integrazione CloudTalk → GHL non tornano indietro
+      const ignored = notes.ignorePatterns.find(pattern => body.toLowerCase().includes(pattern.toLowerCase()));
+      if (ignored) {
+        return { success: true, action: 'note', skipped: true, reason: 'NOTE_IGNORED', pattern: ignored };
+      }
+
+      const { contact, error } = await this.resolveCloudTalkContact(payload, correlationId);
+      if (error) {
+        return { success: false, action: 'note', error };
+      }
+
+      const author = firstValue(
+        [payload.user?.firstName, payload.user?.lastName].filter(Boolean).join(' '),
+        payload.note?.userName
+      ) || 'GoHighLevel';
+
+      if (notes.target === 'activity') {
+        await cloudTalkClient.addContactActivity(contact.id, {
+          name: 'Nota GoHighLevel',
+          type: notes.activityType,
+          activity_date: new Date().toISOString(),
+          description: body,
+          activity_author: author,
+          external_id: payload.note?.id || null
+        });
+      } else {
+        await cloudTalkClient.addContactNote(contact.id, `📝 Nota GHL (${author}):\n${body}`);
+      }
+
+      log(`📝 Sync GHL → CloudTalk: nota copiata su contatto ${contact.id} come ${notes.target}`);
+      return { success: true, action: 'note', target: notes.target, contactId: contact.id };
+
+    } catch (error) {
+      logError(`❌ Errore sync nota GHL → CloudTalk: ${error.message}`);
+      return { success: false, action: 'note', error: error.message };
+    }
+  }
+
+  /**
+   * pipeline-stage-changed / opportunity-status-changed: azione configurata per stage o status
+   * @param {Object} payload - Payload GHL
+   * @param {string} webhookType - pipeline-stage-changed | opportunity-status-changed
+   */
+  async handleOpportunityChange(payload, webhookType) {
+    const correlationId = `ghl-${webhookType}-${payload.contact_id || Date.now()}`;
+    const opportunity = getPayloadOpportunity(payload);
+
+    try {
+      const mappingAction = webhookType === 'pipeline-stage-changed'
+        ? resolveStageAction(opportunity.stage, opportunity.pipeline)
+        : resolveStatusAction(opportunity.status);
+
+      if (!mappingAction) {
+        return { success: true, action: 'opportunity', skipped: true, reason: 'NO_MAPPING', opportunity };
+      }
+
+      const { contact, phone, error } = await this.resolveCloudTalkContact(payload, correlationId);
+      if (error) {
+        return { success: false, action: 'opportunity', error, opportunity };
+      }
+
+      const results = {};
+
+      if (mappingAction.moveCampaign) {
+        const { from, to } = mappingAction.moveCampaign;
+        results.moveCampaign = await moveBetweenCampaigns(
+          contact.id,
+          from || null,
+          to,
+          correlationId,
+          (name, id) => (name ? getCampaignIdByName(name, id) : null)
+        );
+      }
+
+      if (mappingAction.blacklist) {
+        try {
+          await cloudTalkClient.addToBlacklist(phone, mappingAction.blacklist);
+          results.blacklist = { success: true, type: mappingAction.blacklist };
+          log(`🚫 Sync GHL → CloudTalk: ${phone} in blacklist (${mappingAction.blacklist}) per opportunità ${opportunity.status || opportunity.stage}`);
+        } catch (blacklistError) {
+          results.blacklist = { success: false, error: blacklistError.message };
+        }
+      }
+
+      const success = Object.values(results).every(result => result.success);
+      if (!success) {
+        logError(`❌ Sync opportunità GHL → CloudTalk parziale per contatto ${contact.id}: ${JSON.stringify(results)}`);
+      }
+
+      return { success, action: 'opportunity', contactId: contact.id, opportunity, results };
+
+    } catch (error) {
+      logError(`❌ Errore sync opportunità GHL → CloudTalk: ${error.message}`);
+      return { success: false, action: 'opportunity', error: error.message, opportunity };
+    }
+  }
+}
+
+// Istanza singleton
+const ghlCloudTalkSyncService = new GhlCloudTalkSyncService();
+
+export default ghlCloudTalkSyncService;
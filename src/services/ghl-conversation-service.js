@@ -1,9 +1,33 @@
 import 'dotenv/config';
 import { log, logError } from '../logger.js';
+import ghlClient from './ghl-client.js';
+import callMessageLog from './call-message-log.js';
+import { getCallDetails } from './cloudtalk-analytics-service.js';
+import { renderNote, buildCallContext } from './note-templates.js';
+import { normalizePhone, toE164 } from '../utils/phone-numbers.js';
 
-const GHL_API_BASE = 'https://services.leadconnectorhq.com';
-const GHL_API_KEY = process.env.GHL_API_KEY;
-const GHL_LOCATION_ID = process.env.GHL_LOCATION_ID;
+/**
+ * Answered calls logged in the GHL contact conversation.
+ * Mode (GHL_CONVERSATION_LOGGING):
+ * - webhook: transcription and audio URL sent to the GHL webhook trigger (only when transcription succeeded)
+ * - call: Call-type message (direction, duration, agent, recording as native audio player)
+ *   through the GHL_CONVERSATION_PROVIDER_ID conversation provider; the conversation is
+ *   created when the contact has none, and each call id is posted only once
+ * - off: calls are not logged in conversations
+ */
+
+const LOGGING_MODES = ['webhook', 'call', 'off'];
+
+// Call messages being posted, by call id (concurrent webhooks for the same call)
+const inflightCalls = new Map();
+
+function getConfig() {
+  const mode = (process.env.GHL_CONVERSATION_LOGGING || 'webhook').toLowerCase();
+  return {
+    mode: LOGGING_MODES.includes(mode) ? mode : 'webhook',
+    providerId: process.env.GHL_CONVERSATION_PROVIDER_ID || null
+  };
+}
 
 /**
  * Search for conversations by contact ID
@@ -14,36 +38,16 @@ export async function searchConversations(contactId) {
   try {
     log(`🔍 Searching conversations for contact: ${contactId}`);
 
-    const url = new URL(`${GHL_API_BASE}/conversations/search`);
-    url.searchParams.append('contactId', contactId);
-    url.searchParams.append('locationId', GHL_LOCATION_ID);
-
-    const response = await fetch(url, {
-      method: 'GET',
-      headers: {
-        'Authorization': `Bearer ${GHL_API_KEY}`,
-        'Version': '2021-04-15',
-        'Content-Type': 'application/json'
-      }
-    });
-
-    log(`Status: ${response.status}`);
-
-    if (!response.ok) {
-      const errorText = await response.text();
-      throw new Error(`HTTP ${response.status}: ${errorText}`);
-    }
-
-    const data = await response.json();
+    const conversations = await ghlClient.searchConversations(contactId);
 
-    log(`✅ Found ${data.conversations?.length || 0} conversations`);
-    if (data.conversations && data.conversations.length > 0) {
-      log(`🔍 First conversation details:`, JSON.stringify(data.conversations[0], null, 2));
+    log(`✅ Found ${conversations.length} conversations`);
+    if (conversations.length > 0) {
+      log(`🔍 First conversation details:`, JSON.stringify(conversations[0], null, 2));
     }
 
     return {
       success: true,
-      conversations: data.conversations || []
+      conversations
     };
 
   } catch (error) {
@@ -67,45 +71,16 @@ export async function uploadFileAttachment(fileBuffer, filename, conversationId,
   try {
     log(`📤 Uploading file: ${filename} (${fileBuffer.length} bytes) to conversation: ${conversationId}`);
 
-    // Save buffer to temp file and use fs.createReadStream()
-    const tempFilePath = `/tmp/ghl_upload_${Date.now()}_${filename}`;
-    await (await import('fs')).default.promises.writeFile(tempFilePath, fileBuffer);
-
+    // Native FormData needs a Blob (not a stream); boundary/Content-Type is set by fetch
     const formData = new FormData();
-    const fileStream = (await import('fs')).default.createReadStream(tempFilePath);
-    formData.append('fileAttachment', fileStream);
+    formData.append('fileAttachment', new Blob([fileBuffer], { type: contentType }), filename);
     formData.append('conversationId', conversationId);
 
-    const response = await fetch(`${GHL_API_BASE}/conversations/messages/upload`, {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${GHL_API_KEY}`,
-        'Version': '2021-04-15'
-        // Note: Don't set Content-Type for FormData, let browser set it with boundary
-      },
-      body: formData
-    });
-
-    log(`Upload status: ${response.status}`);
-
-    if (!response.ok) {
-      const errorText = await response.text();
-      throw new Error(`HTTP ${response.status}: ${errorText}`);
-    }
-
-    const data = await response.json();
+    const data = await ghlClient.uploadConversationAttachment(formData);
 
     log(`✅ File uploaded successfully`);
     log(`📎 File URL: ${data.url || data.fileUrl || 'URL not provided'}`);
 
-    // Clean up temp file
-    try {
-      await (await import('fs')).default.promises.unlink(tempFilePath);
-      log(`🗑️ Cleaned up temp file: ${tempFilePath}`);
-    } catch (cleanupError) {
-      log(`⚠️ Could not clean up temp file: ${cleanupError.message}`);
-    }
-
     return {
       success: true,
       fileUrl: data.url || data.fileUrl,
@@ -114,15 +89,6 @@ export async function uploadFileAttachment(fileBuffer, filename, conversationId,
 
   } catch (error) {
     logError(`❌ Error uploading file: ${error.message}`);
-
-    // Clean up temp file even on error
-    try {
-      await (await import('fs')).default.promises.unlink(tempFilePath);
-      log(`🗑️ Cleaned up temp file after error: ${tempFilePath}`);
-    } catch (cleanupError) {
-      log(`⚠️ Could not clean up temp file after error: ${cleanupError.message}`);
-    }
-
     return {
       success: false,
       error: error.message
@@ -141,35 +107,18 @@ export async function sendMessageWithAttachment(conversationId, message, fileUrl
   try {
     log(`💬 Sending message to conversation: ${conversationId}`);
 
-    const response = await fetch(`${GHL_API_BASE}/conversations/messages`, {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${GHL_API_KEY}`,
-        'Version': '2021-04-15',
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify({
-        type: 'text',
-        message: message,
-        conversationId: conversationId,
-        attachments: fileUrl ? [fileUrl] : []
-      })
+    const data = await ghlClient.sendConversationMessage({
+      type: 'text',
+      message: message,
+      conversationId: conversationId,
+      attachments: fileUrl ? [fileUrl] : []
     });
 
-    log(`Message status: ${response.status}`);
-
-    if (!response.ok) {
-      const errorText = await response.text();
-      throw new Error(`HTTP ${response.status}: ${errorText}`);
-    }
-
-    const data = await response.json();
-
     log(`✅ Message sent successfully`);
 
     return {
       success: true,
-      messageId: data.id,
+      messageId: data.id || data.messageId,
       response: data
     };
 
@@ -329,9 +278,228 @@ export async function uploadAudioToConversation(contactId, audioBuffer, transcri
   }
 }
 
+/**
+ * Find the contact's most recent conversation, creating one when none exists
+ * @param {string} contactId - GHL Contact ID
+ * @returns {Promise<{success: boolean, conversation?: object, created?: boolean, error?: string}>}
+ */
+export async function findOrCreateConversation(contactId) {
+  const conversationsResult = await searchConversations(contactId);
+  if (!conversationsResult.success) {
+    return {
+      success: false,
+      error: `Failed to search conversations: ${conversationsResult.error}`
+    };
+  }
+
+  if (conversationsResult.conversations.length > 0) {
+    return {
+      success: true,
+      conversation: conversationsResult.conversations[0],
+      created: false
+    };
+  }
+
+  try {
+    log(`🆕 No conversations for contact ${contactId}, creating one`);
+    const conversation = await ghlClient.createConversation(contactId);
+    log(`✅ Conversation created: ${conversation.id}`);
+
+    return {
+      success: true,
+      conversation,
+      created: true
+    };
+
+  } catch (error) {
+    logError(`❌ Error creating conversation: ${error.message}`);
+    return {
+      success: false,
+      error: `Failed to create conversation: ${error.message}`
+    };
+  }
+}
+
+/**
+ * Talking time as m:ss
+ * @param {number} seconds
+ * @returns {string|null}
+ */
+function formatCallDuration(seconds) {
+  const total = Math.round(Number(seconds));
+  if (!Number.isFinite(total) || total < 0) return null;
+  return `${Math.floor(total / 60)}:${String(total % 60).padStart(2, '0')}`;
+}
+
+/**
+ * E.164 number for the call record; CloudTalk sends international numbers without the leading +
+ */
+function toCallNumber(phone) {
+  if (phone === undefined || phone === null || String(phone).trim() === '') return null;
+  return toE164(phone) || toE164(`+${String(phone).trim().replace(/^\+/, '')}`) || normalizePhone(phone);
+}
+
+/**
+ * Direction and talking time of the call, from the webhook payload or the CloudTalk call details
+ * @param {Object} payload - CloudTalk webhook payload
+ * @returns {Promise<{direction: 'inbound'|'outbound', talkingTime: number|null}>}
+ */
+async function resolveCallDetails(payload) {
+  let direction = payload.direction || null;
+  let talkingTime = payload.talking_time ?? payload.duration ?? null;
+
+  if (!direction || talkingTime === null) {
+    const details = await getCallDetails(payload.call_id);
+    if (details.success) {
+      direction = direction || details.direction;
+      talkingTime = talkingTime ?? details.talkingTime;
+    }
+  }
+
+  return {
+    // CloudTalk: incoming | outgoing | internal; the team mostly calls out
+    direction: direction === 'incoming' || direction === 'inbound' ? 'inbound' : 'outbound',
+    talkingTime: talkingTime === null ? null : Number(talkingTime)
+  };
+}
+
+/**
+ * Post an answered call as a Call-type conversation message (idempotent per call id)
+ * @param {Object} contact - GHL contact ({ id, phone })
+ * @param {Object} payload - CloudTalk webhook payload (call_id, recording_url, numbers, agent, direction, talking_time)
+ * @returns {Promise<{success: boolean, skipped?: boolean, reason?: string, result?: object, error?: string}>}
+ */
+export async function sendCallLogMessage(contact, payload) {
+  const callId = payload.call_id;
+  if (!callId) {
+    return { success: false, error: 'Missing call_id' };
+  }
+
+  if (inflightCalls.has(String(callId))) {
+    return inflightCalls.get(String(callId));
+  }
+
+  const promise = (async () => {
+    try {
+      const existing = await callMessageLog.get(callId);
+      if (existing) {
+        log(`⏭️ Call ${callId} already logged in conversation ${existing.conversationId} (message ${existing.messageId || 'n/a'})`);
+        return {
+          success: true,
+          skipped: true,
+          reason: 'ALREADY_LOGGED',
+          result: { conversationId: existing.conversationId, messageId: existing.messageId }
+        };
+      }
+
+      const conversationResult = await findOrCreateConversation(contact.id);
+      if (!conversationResult.success) {
+        return { success: false, error: conversationResult.error };
+      }
+      const conversation = conversationResult.conversation;
+
+      const conversationProviderId = getConfig().providerId || conversation.lastMessageConversationProviderId;
+      if (!conversationProviderId) {
+        return { success: false, error: 'Missing conversation provider id (GHL_CONVERSATION_PROVIDER_ID)' };
+      }
+
+      const { direction, talkingTime } = await resolveCallDetails(payload);
+      const externalNumber = toCallNumber(payload.external_number) || contact.phone;
+      const internalNumber = toCallNumber(payload.internal_number);
+
+      const message = {
+        type: 'Call',
+        conversationId: conversation.id,
+        conversationProviderId,
+        altId: String(callId),
+        date: payload._receivedAt || new Date().toISOString(),
+        message: renderNote('call-message', {
+          ...buildCallContext(payload),
+          inbound: direction === 'inbound',
+          duration: talkingTime === null ? null : formatCallDuration(talkingTime),
+          recording_url: payload.recording_url
+        }),
+        attachments: payload.recording_url ? [payload.recording_url] : [],
+        call: {
+          to: direction === 'inbound' ? internalNumber : externalNumber,
+          from: direction === 'inbound' ? externalNumber : internalNumber,
+          status: 'completed'
+        }
+      };
+
+      log(`📞 Posting ${direction} call ${callId} to conversation ${conversation.id}`);
+
+      const data = direction === 'inbound'
+        ? await ghlClient.addInboundMessage({ ...message, direction: 'inbound' })
+        : await ghlClient.addOutboundCallMessage(message);
+      const messageId = data.messageId || data.id || null;
+
+      await callMessageLog.record({
+        callId,
+        contactId: contact.id,
+        conversationId: conversation.id,
+        messageId,
+        direction
+      });
+
+      log(`✅ Call ${callId} logged in conversation ${conversation.id} (message ${messageId || 'n/a'})`);
+
+      return {
+        success: true,
+        result: {
+          conversationId: conversation.id,
+          conversationCreated: conversationResult.created,
+          messageId,
+          direction,
+          duration: talkingTime,
+          audioUrl: payload.recording_url || null
+        }
+      };
+
+    } catch (error) {
+      logError(`❌ Error logging call ${callId} in conversation: ${error.message}`);
+      return { success: false, error: error.message };
+    }
+  })();
+
+  inflightCalls.set(String(callId), promise);
+  try {
+    return await promise;
+  } finally {
+    inflightCalls.delete(String(callId));
+  }
+}
+
+/**
+ * Log an answered call in the contact conversation according to GHL_CONVERSATION_LOGGING
+ * @param {Object} contact - GHL contact
+ * @param {Object} payload - CloudTalk webhook payload
+ * @param {Object} options - { transcriptionText, audioBuffer } (webhook mode only)
+ * @returns {Promise<{success: boolean, skipped?: boolean, reason?: string, result?: object, error?: string}>}
+ */
+export async function logCallToConversation(contact, payload, { transcriptionText = null, audioBuffer = null } = {}) {
+  const { mode } = getConfig();
+
+  if (mode === 'off') {
+    return { success: true, skipped: true, reason: 'CONVERSATION_LOGGING_DISABLED' };
+  }
+
+  if (mode === 'call') {
+    return sendCallLogMessage(contact, payload);
+  }
+
+  if (!transcriptionText) {
+    return { success: true, skipped: true, reason: 'NO_TRANSCRIPTION' };
+  }
+  return uploadAudioToConversation(contact.id, audioBuffer, transcriptionText, payload.call_id, payload.recording_url);
+}
+
 export default {
   searchConversations,
+  findOrCreateConversation,
   uploadFileAttachment,
   sendMessageWithAttachment,
+  sendCallLogMessage,
+  logCallToConversation,
   uploadAudioToConversation
-};
\ No newline at end of file
+};
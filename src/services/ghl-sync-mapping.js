@@ -0,0 +1,243 @@
+import path from 'path';
+import { createConfigFile } from '../utils/config-file.js';
+
+/**
+ * GHL → CloudTalk Sync Mapping
+ *
+ * Tabella di mapping usata dai webhook GHL new-tag, new-note,
+ * pipeline-stage-changed e opportunity-status-changed.
+ * File: GHL_SYNC_MAPPING_PATH (default config/ghl-sync-mapping.json)
+ *
+ * {
+ *   "tags": {
+ *     "map": { "appuntamento fissato": "Appuntamento", "caldo": ["Lead Caldo", "Priorità"] },
+ *     "passthroughUnmapped": false,     // true: i tag non mappati passano con lo stesso nome
+ *     "ignore": ["interno"]             // tag GHL mai sincronizzati
+ *   },
+ *   "notes": {
+ *     "target": "note",                 // "note" | "activity" | "off"
+ *     "activityType": "other",          // tipo activity CloudTalk (solo target "activity")
+ *     "ignorePatterns": ["CloudTalk"]   // note che contengono questi testi non vengono rimandate
+ *   },
+ *   "opportunities": {
+ *     "stages": {
+ *       "Appuntamento": { "moveCampaign": { "from": "Nuovi Lead", "to": "Appuntamenti" } },
+ *       "Da richiamare": { "pipeline": "Vendite", "moveCampaign": { "to": "Follow Up" } }
+ *     },
+ *     "status": {
+ *       "won": { "blacklist": "all" },
+ *       "lost": { "blacklist": "all" }
+ *     }
+ *   }
+ * }
+ *
+ * Azioni di stage e status: moveCampaign (from opzionale) e/o blacklist
+ * ("all" = entrambe le direzioni, "incoming" = solo in entrata).
+ * Stage, pipeline, status e tag sono confrontati senza distinzione di maiuscole.
+ * Senza file (o per le sezioni assenti) nessuna azione: tag non mappati ignorati,
+ * note non sincronizzate, nessuno spostamento o blacklist. Ogni effetto su
+ * CloudTalk va abilitato esplicitamente nel file.
+ */
+
+const NOTE_TARGETS = ['note', 'activity', 'off'];
+const BLACKLIST_TYPES = ['all', 'incoming'];
+const OPPORTUNITY_STATUSES = ['open', 'won', 'lost', 'abandoned'];
+
+function getMappingPath() {
+  return process.env.GHL_SYNC_MAPPING_PATH || path.join(process.cwd(), 'config', 'ghl-sync-mapping.json');
+}
+
+function normalizeKey(value) {
+  return String(value).trim().toLowerCase();
+}
+
+function isStringArray(value) {
+  return Array.isArray(value) && value.every(item => typeof item === 'string' && item.trim() !== '');
+}
+
+function buildDefaultMapping() {
+  return {
+    tags: { map: {}, passthroughUnmapped: false, ignore: [] },
+    notes: { target: 'off', activityType: 'other', ignorePatterns: ['CloudTalk'] },
+    opportunities: { stages: {}, status: {} },
+    source: 'defaults'
+  };
+}
+
+function validateAction(action, label, errors) {
+  if (!action || typeof action !== 'object' || Array.isArray(action)) {
+    errors.push(`${label} must be an object`);
+    return;
+  }
+
+  if (action.moveCampaign === undefined && action.blacklist === undefined) {
+    errors.push(`${label} needs moveCampaign and/or blacklist`);
+  }
+  if (action.moveCampaign !== undefined && (typeof action.moveCampaign?.to !== 'string' || !action.moveCampaign.to.trim())) {
+    errors.push(`${label}.moveCampaign.to must be a campaign name`);
+  }
+  if (action.moveCampaign?.from !== undefined && typeof action.moveCampaign.from !== 'string') {
+    errors.push(`${label}.moveCampaign.from must be a campaign name`);
+  }
+  if (action.blacklist !== undefined && !BLACKLIST_TYPES.includes(action.blacklist)) {
+    errors.push(`${label}.blacklist must be one of ${BLACKLIST_TYPES.join(', ')}`);
+  }
+  if (action.pipeline !== undefined && typeof action.pipeline !== 'string') {
+    errors.push(`${label}.pipeline must be a string`);
+  }
+}
+
+/**
+ * Valida la tabella di mapping
+ * @returns {string[]} Errori (vuoto se valida)
+ */
+function validateSyncMapping(mapping) {
+  const errors = [];
+
+  if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping)) {
+    return ['mapping must be an object'];
+  }
+
+  const { tags, notes, opportunities } = mapping;
+
+  if (tags !== undefined) {
+    Object.entries(tags.map || {}).forEach(([ghlTag, target]) => {
+      if (!(typeof target === 'string' && target.trim()) && !isStringArray(target)) {
+        errors.push(`tags.map.${ghlTag} must be a tag name or an array of tag names`);
+      }
+    });
+    if (tags.passthroughUnmapped !== undefined && typeof tags.passthroughUnmapped !== 'boolean') {
+      errors.push('tags.passthroughUnmapped must be a boolean');
+    }
+    if (tags.ignore !== undefined && !isStringArray(tags.ignore)) {
+      errors.push('tags.ignore must be an array of strings');
+    }
+  }
+
+  if (notes !== undefined) {
+    if (notes.target !== undefined && !NOTE_TARGETS.includes(notes.target)) {
+      errors.push(`notes.target must be one of ${NOTE_TARGETS.join(', ')}`);
+    }
+    if (notes.ignorePatterns !== undefined && !isStringArray(notes.ignorePatterns)) {
+      errors.push('notes.ignorePatterns must be an array of strings');
+    }
+  }
+
+  if (opportunities !== undefined) {
+    Object.entries(opportunities.stages || {}).forEach(([stage, action]) => {
+      validateAction(action, `opportunities.stages.${stage}`, errors);
+    });
+    Object.entries(opportunities.status || {}).forEach(([status, action]) => {
+      if (!OPPORTUNITY_STATUSES.includes(normalizeKey(status))) {
+        errors.push(`opportunities.status.${status}: status must be one of ${OPPORTUNITY_STATUSES.join(', ')}`);
+      }
+      validateAction(action, `opportunities.status.${status}`, errors);
+    });
+  }
+
+  return errors;
+}
+
+function normalizeKeys(object = {}) {
+  const normalized = {};
+  Object.entries(object).forEach(([key, value]) => {
+    normalized[normalizeKey(key)] = value;
+  });
+  return normalized;
+}
+
+/**
+ * Mapping attivo da un file valido
+ */
+function buildMapping(parsed, mappingPath) {
+  // Sezioni assenti: si usano quelle di default
+  const defaults = buildDefaultMapping();
+  const tags = { ...defaults.tags, ...parsed.tags };
+  const opportunities = { ...defaults.opportunities, ...parsed.opportunities };
+
+  return {
+    tags: {
+      map: normalizeKeys(tags.map),
+      passthroughUnmapped: tags.passthroughUnmapped,
+      ignore: tags.ignore.map(normalizeKey)
+    },
+    notes: { ...defaults.notes, ...parsed.notes },
+    opportunities: {
+      stages: normalizeKeys(opportunities.stages),
+      status: normalizeKeys(opportunities.status)
+    },
+    source: mappingPath
+  };
+}
+
+const mappingFile = createConfigFile({
+  name: 'Mapping sync GHL → CloudTalk',
+  getPath: getMappingPath,
+  buildDefault: buildDefaultMapping,
+  validate: validateSyncMapping,
+  build: buildMapping,
+  describe: (mapping, mappingPath) => `🔀 Mapping sync GHL → CloudTalk caricato da ${mappingPath}`
+});
+
+/**
+ * Mapping attivo, riletto quando il file cambia.
+ * Un file non valido viene segnalato e resta attivo il mapping precedente.
+ */
+function getSyncMapping() {
+  return mappingFile.get();
+}
+
+/**
+ * Tag CloudTalk corrispondenti ai tag GHL
+ * @param {string[]} ghlTags
+ * @returns {string[]} Tag CloudTalk (senza duplicati)
+ */
+function mapTags(ghlTags, mapping = getSyncMapping()) {
+  const result = new Set();
+
+  ghlTags.forEach(tag => {
+    const key = normalizeKey(tag);
+    if (!key || mapping.tags.ignore.includes(key)) return;
+
+    const target = mapping.tags.map[key];
+    if (target) {
+      [].concat(target).forEach(name => result.add(name));
+    } else if (mapping.tags.passthroughUnmapped) {
+      result.add(String(tag).trim());
+    }
+  });
+
+  return [...result];
+}
+
+/**
+ * Azione configurata per uno stage di pipeline
+ * @returns {Object|null} { moveCampaign?, blacklist? }
+ */
+function resolveStageAction(stageName, pipelineName = null, mapping = getSyncMapping()) {
+  if (!stageName) return null;
+
+  const action = mapping.opportunities.stages[normalizeKey(stageName)];
+  if (!action) return null;
+  if (action.pipeline && (!pipelineName || normalizeKey(action.pipeline) !== normalizeKey(pipelineName))) {
+    return null;
+  }
+  return action;
+}
+
+/**
+ * Azione configurata per uno status di opportunità (open, won, lost, abandoned)
+ * @returns {Object|null} { moveCampaign?, blacklist? }
+ */
+function resolveStatusAction(status, mapping = getSyncMapping()) {
+  if (!status) return null;
+  return mapping.opportunities.status[normalizeKey(status)] || null;
+}
+
+export {
+  validateSyncMapping,
+  getSyncMapping,
+  mapTags,
+  resolveStageAction,
+  resolveStatusAction
+};
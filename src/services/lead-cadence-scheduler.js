@@ -0,0 +1,379 @@
+import path from 'path';
+import { log, logError } from '../logger.js';
+import { createBusinessCalendar } from '../utils/business-hours.js';
+import { SqliteStore } from '../utils/sqlite-store.js';
+import { getCampaignRules } from './campaign-rules.js';
+
+/**
+ * Lead Cadence Scheduler
+ *
+ * Decide quando richiamare un lead che non ha risposto. Dopo ogni call-ended
+ * processCallEndedWebhook chiede al scheduler il prossimo tentativo:
+ * - la spaziatura viene dallo stage delle campaign rules (cadence.spacingMinutes)
+ * - il risultato viene spostato nel primo orario lavorativo (Europe/Rome,
+ *   weekend e festività italiane esclusi)
+ * - next_attempt_at viene salvato qui e nel campo custom CloudTalk: la data
+ *   del prossimo tentativo, oppure il valore configurato per lo stato
+ *   (NEXT_ATTEMPT_FIELD_OPTIONS, es. "answered=Risposto,stopped=Nessun tentativo"),
+ *   così i campi a opzioni ricevono solo valori previsti
+ *
+ * Un poller rimette in chiamata (processLeadToCall) i lead scaduti.
+ * Attivo solo con LEAD_CADENCE_ENABLED=true.
+ *
+ * Stato: scheduled → dialing → dialed (in attesa del prossimo call-ended)
+ *        answered / stopped (nessun altro tentativo)
+ * Un lead "dialed" senza call-ended entro LEAD_CADENCE_DIALED_TIMEOUT_MINUTES
+ * (webhook perso) torna "scheduled" e viene richiamato.
+ */
+
+const FIELD_OPTION_STATUSES = ['answered', 'stopped'];
+const warnedFieldOptions = new Set();
+
+/**
+ * Valori del campo per gli stati senza prossimo tentativo
+ * @param {string} value - "answered=Risposto,stopped=Nessun tentativo"
+ * @returns {{answered: string, stopped: string}} stringa vuota se non configurato
+ */
+function parseFieldOptions(value) {
+  const options = { answered: '', stopped: '' };
+  (value || '').split(',').map(entry => entry.trim()).filter(Boolean).forEach(entry => {
+    const separator = entry.indexOf('=');
+    const status = entry.slice(0, separator).trim();
+    if (separator > 0 && FIELD_OPTION_STATUSES.includes(status)) {
+      options[status] = entry.slice(separator + 1).trim();
+    } else if (!warnedFieldOptions.has(entry)) {
+      warnedFieldOptions.add(entry);
+      logError(`⚠️ NEXT_ATTEMPT_FIELD_OPTIONS: voce "${entry}" ignorata (formato stato=valore, stati ${FIELD_OPTION_STATUSES.join(', ')})`);
+    }
+  });
+  return options;
+}
+
+function getConfig() {
+  return {
+    enabled: process.env.LEAD_CADENCE_ENABLED === 'true',
+    dbPath: process.env.LEAD_CADENCE_DB_PATH || path.join(process.cwd(), 'data', 'lead-cadence.db'),
+    defaultSpacingMinutes: parseInt(process.env.LEAD_CADENCE_DEFAULT_SPACING_MINUTES) || 240,
+    retryMinutes: parseInt(process.env.LEAD_CADENCE_RETRY_MINUTES) || 15,
+    pollIntervalMs: parseInt(process.env.LEAD_CADENCE_POLL_INTERVAL_MS) || 60000,
+    dialedTimeoutMinutes: parseInt(process.env.LEAD_CADENCE_DIALED_TIMEOUT_MINUTES) || 120,
+    fieldKey: process.env.NEXT_ATTEMPT_FIELD_KEY || 'Prossimo tentativo',
+    fieldOptions: parseFieldOptions(process.env.NEXT_ATTEMPT_FIELD_OPTIONS)
+  };
+}
+
+class LeadCadenceScheduler extends SqliteStore {
+  constructor() {
+    super(() => getConfig().dbPath);
+    this.calendar = null;
+    this.timer = null;
+    this.polling = false;
+  }
+
+  isEnabled() {
+    return getConfig().enabled;
+  }
+
+  getFieldKey() {
+    return getConfig().fieldKey;
+  }
+
+  /**
+   * Calendario lavorativo (configurato via ENV)
+   */
+  getCalendar() {
+    if (!this.calendar) {
+      this.calendar = createBusinessCalendar({
+        timeZone: process.env.LEAD_CADENCE_TIMEZONE || 'Europe/Rome',
+        businessHours: process.env.LEAD_CADENCE_BUSINESS_HOURS || '09:00-13:00,14:00-19:00',
+        workingDays: (process.env.LEAD_CADENCE_WORKING_DAYS || '1,2,3,4,5').split(',').map(day => parseInt(day)),
+        extraHolidays: (process.env.LEAD_CADENCE_EXTRA_HOLIDAYS || '').split(',').map(day => day.trim()).filter(Boolean)
+      });
+    }
+    return this.calendar;
+  }
+
+  async setup() {
+    await this.run(`
+      CREATE TABLE IF NOT EXISTS lead_cadence (
+        contact_id TEXT PRIMARY KEY,
+        name TEXT,
+        phone TEXT NOT NULL,
+        funnel TEXT,
+        stage TEXT,
+        attempts INTEGER NOT NULL DEFAULT 0,
+        status TEXT NOT NULL,
+        next_attempt_at INTEGER,
+        last_result TEXT,
+        updated_at INTEGER NOT NULL
+      )
+    `);
+    await this.run('CREATE INDEX IF NOT EXISTS idx_lead_cadence_due ON lead_cadence (status, next_attempt_at)');
+
+    // Lead rimasti in "dialing" dopo un riavvio vengono ripresi
+    await this.run(`UPDATE lead_cadence SET status = 'scheduled' WHERE status = 'dialing'`);
+  }
+
+  /**
+   * Trova la definizione dello stage nelle campaign rules
+   */
+  findStage(funnelName, stageName) {
+    const funnel = getCampaignRules().funnels.find(candidate => candidate.name === funnelName);
+    return funnel?.stages.find(candidate => candidate.name === stageName) || null;
+  }
+
+  /**
+   * Calcola il prossimo tentativo per uno stage
+   * @returns {Date|null} null se lo stage non prevede altri tentativi
+   */
+  computeNextAttempt(stage, from = new Date()) {
+    if (stage?.cadence?.stop) {
+      return null;
+    }
+
+    const spacing = stage?.cadence?.spacingMinutes ?? getConfig().defaultSpacingMinutes;
+    return this.getCalendar().addSpacing(from, spacing);
+  }
+
+  /**
+   * Pianifica il prossimo tentativo dopo una chiamata terminata
+   * @param {Object} params
+   * @param {string|number} params.contactId - ID contatto CloudTalk
+   * @param {string} params.name - Nome contatto
+   * @param {string} params.phone - Numero da richiamare
+   * @param {number} params.attempts - Tentativi dopo questa chiamata
+   * @param {string|null} params.funnel - Funnel delle campaign rules
+   * @param {string|null} params.stage - Stage delle campaign rules
+   * @param {boolean} params.answered - true se la chiamata ha avuto risposta
+   * @returns {Promise<Object>} { status, nextAttemptAt, nextAttemptLabel, fieldValue }
+   */
+  async scheduleAfterCall({ contactId, name, phone, attempts, funnel, stage, answered = false }) {
+    await this.init();
+    const now = new Date();
+
+    let status;
+    let nextAttempt = null;
+
+    if (answered) {
+      status = 'answered';
+    } else {
+      nextAttempt = this.computeNextAttempt(this.findStage(funnel, stage), now);
+      status = nextAttempt ? 'scheduled' : 'stopped';
+    }
+
+    await this.run(
+      `INSERT INTO lead_cadence (contact_id, name, phone, funnel, stage, attempts, status, next_attempt_at, last_result, updated_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, NULL, ?)
+       ON CONFLICT(contact_id) DO UPDATE SET
+         name = excluded.name, phone = excluded.phone, funnel = excluded.funnel, stage = excluded.stage,
+         attempts = excluded.attempts, status = excluded.status, next_attempt_at = excluded.next_attempt_at,
+         updated_at = excluded.updated_at`,
+      [String(contactId), name || null, String(phone), funnel || null, stage || null, attempts, status,
+        nextAttempt ? nextAttempt.getTime() : null, now.getTime()]
+    );
+
+    const nextAttemptLabel = nextAttempt ? this.getCalendar().formatLocal(nextAttempt) : '';
+    // Valore per il campo CloudTalk: data o opzione configurata per lo stato
+    const fieldValue = nextAttempt ? nextAttemptLabel : getConfig().fieldOptions[status];
+
+    log(nextAttempt
+      ? `📅 Prossimo tentativo per ${name || contactId}: ${nextAttemptLabel} (stage ${stage || 'n/d'}, ${attempts} tentativi)`
+      : `📅 Nessun altro tentativo per ${name || contactId} (${status})`);
+
+    return {
+      success: true,
+      status,
+      nextAttemptAt: nextAttempt ? nextAttempt.toISOString() : null,
+      nextAttemptLabel,
+      fieldValue
+    };
+  }
+
+  /**
+   * Avvia il poller dei lead scaduti
+   */
+  async start() {
+    if (!this.isEnabled()) {
+      log('📅 Lead cadence scheduler disattivato (LEAD_CADENCE_ENABLED != true)');
+      return;
+    }
+    await this.init();
+    if (this.timer) return;
+
+    const { pollIntervalMs } = getConfig();
+    this.timer = setInterval(() => this.pollDueLeads(), pollIntervalMs);
+    this.timer.unref();
+    log(`📅 Lead cadence scheduler avviato (poll ${pollIntervalMs}ms)`);
+    this.pollDueLeads();
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Rimette in chiamata i lead con next_attempt_at scaduto
+   */
+  async pollDueLeads() {
+    if (this.polling) return;
+    this.polling = true;
+
+    try {
+      await this.requeueStaleDialed();
+
+      const now = new Date();
+      const calendar = this.getCalendar();
+
+      // Fuori orario (es. poller fermo durante la notte): si aspetta la prossima finestra
+      if (!calendar.isBusinessTime(now)) {
+        return;
+      }
+
+      const dueLeads = await this.all(
+        `SELECT * FROM lead_cadence WHERE status = 'scheduled' AND next_attempt_at <= ? ORDER BY next_attempt_at ASC LIMIT 20`,
+        [now.getTime()]
+      );
+
+      for (const lead of dueLeads) {
+        await this.dialLead(lead);
+      }
+    } catch (error) {
+      logError(`❌ Errore poller cadence: ${error.message}`);
+    } finally {
+      this.polling = false;
+    }
+  }
+
+  /**
+   * Lead "dialed" il cui call-ended non è mai arrivato: tornano "scheduled" per un nuovo tentativo
+   * @returns {Promise<number>} Lead ripianificati
+   */
+  async requeueStaleDialed() {
+    const { dialedTimeoutMinutes, retryMinutes } = getConfig();
+    const now = Date.now();
+    const retryAt = this.getCalendar().addSpacing(new Date(now), retryMinutes);
+
+    const requeued = await this.run(
+      `UPDATE lead_cadence SET status = 'scheduled', next_attempt_at = ?, last_result = 'DIALED_TIMEOUT', updated_at = ?
+       WHERE status = 'dialed' AND updated_at <= ?`,
+      [retryAt.getTime(), now, now - dialedTimeoutMinutes * 60 * 1000]
+    );
+
+    if (requeued > 0) {
+      logError(`⚠️ Cadence: ${requeued} lead senza call-ended da oltre ${dialedTimeoutMinutes} minuti, richiamo alle ${this.getCalendar().formatLocal(retryAt)}`);
+    }
+    return requeued;
+  }
+
+  async dialLead(lead) {
+    const claimed = await this.run(
+      `UPDATE lead_cadence SET status = 'dialing', updated_at = ? WHERE contact_id = ? AND status = 'scheduled'`,
+      [Date.now(), lead.contact_id]
+    );
+    if (claimed === 0) return;
+
+    log(`🔁 Cadence: richiamo ${lead.name || lead.contact_id} (${lead.phone}), tentativo ${lead.attempts + 1}`);
+
+    const { default: leadToCallService } = await import('./lead-to-call-service.js');
+    const leadData = {
+      id: lead.contact_id,
+      first_name: lead.name || '',
+      last_name: '',
+      phone: lead.phone,
+      source: 'cadence'
+    };
+
+    let result;
+    try {
+      result = await leadToCallService.processLeadToCall(leadData, { existingContactId: lead.contact_id });
+    } catch (error) {
+      result = { success: false, finalStatus: 'PROCESS_ERROR', error: error.message };
+    }
+
+    if (result.success) {
+      // Il prossimo call-ended ripianifica il lead
+      await this.run(
+        `UPDATE lead_cadence SET status = 'dialed', last_result = ?, updated_at = ? WHERE contact_id = ?`,
+        [result.finalStatus, Date.now(), lead.contact_id]
+      );
+      return;
+    }
+
+    // Nessun agente / errore: nuovo tentativo a breve, sempre in orario lavorativo
+    const retryAt = this.getCalendar().addSpacing(new Date(), getConfig().retryMinutes);
+    await this.run(
+      `UPDATE lead_cadence SET status = 'scheduled', next_attempt_at = ?, last_result = ?, updated_at = ? WHERE contact_id = ?`,
+      [retryAt.getTime(), `${result.finalStatus}: ${result.error}`, Date.now(), lead.contact_id]
+    );
+    logError(`⚠️ Cadence: richiamo fallito per ${lead.contact_id} (${result.finalStatus}), riprovo alle ${this.getCalendar().formatLocal(retryAt)}`);
+  }
+
+  /**
+   * Lista lead pianificati
+   * @param {Object} filters - { status, limit }
+   */
+  async listLeads({ status = null, limit = 50 } = {}) {
+    await this.init();
+    const rows = status
+      ? await this.all('SELECT * FROM lead_cadence WHERE status = ? ORDER BY next_attempt_at ASC LIMIT ?', [status, limit])
+      : await this.all('SELECT * FROM lead_cadence ORDER BY updated_at DESC LIMIT ?', [limit]);
+
+    return rows.map(row => ({
+      contactId: row.contact_id,
+      name: row.name,
+      phone: row.phone,
+      funnel: row.funnel,
+      stage: row.stage,
+      attempts: row.attempts,
+      status: row.status,
+      nextAttemptAt: row.next_attempt_at ? new Date(row.next_attempt_at).toISOString() : null,
+      lastResult: row.last_result,
+      updatedAt: new Date(row.updated_at).toISOString()
+    }));
+  }
+
+  async getStats() {
+    const config = getConfig();
+    if (!config.enabled) {
+      return { enabled: false };
+    }
+
+    await this.init();
+    const rows = await this.all('SELECT status, COUNT(*) AS count FROM lead_cadence GROUP BY status');
+    const byStatus = {};
+    rows.forEach(row => { byStatus[row.status] = row.count; });
+
+    const due = await this.all(
+      `SELECT COUNT(*) AS count FROM lead_cadence WHERE status = 'scheduled' AND next_attempt_at <= ?`,
+      [Date.now()]
+    );
+
+    return {
+      enabled: true,
+      pollerRunning: !!this.timer,
+      byStatus,
+      dueNow: due[0].count,
+      calendar: {
+        timeZone: this.getCalendar().timeZone,
+        businessHours: process.env.LEAD_CADENCE_BUSINESS_HOURS || '09:00-13:00,14:00-19:00',
+        workingDays: this.getCalendar().workingDays
+      },
+      configuration: {
+        defaultSpacingMinutes: config.defaultSpacingMinutes,
+        retryMinutes: config.retryMinutes,
+        pollIntervalMs: config.pollIntervalMs,
+        dialedTimeoutMinutes: config.dialedTimeoutMinutes,
+        fieldKey: config.fieldKey,
+        fieldOptions: config.fieldOptions
+      }
+    };
+  }
+}
+
+// Istanza singleton
+const leadCadenceScheduler = new LeadCadenceScheduler();
+
+export default leadCadenceScheduler;
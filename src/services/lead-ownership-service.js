@@ -0,0 +1,248 @@
+import path from 'path';
+import { log, logError } from '../logger.js';
+import { normalizePhone } from '../utils/phone-numbers.js';
+import { SqliteStore } from '../utils/sqlite-store.js';
+import ghlClient from './ghl-client.js';
+import contactIdCache from './contact-id-cache.js';
+import { getDistributionConfig } from './distribution-strategies.js';
+
+/**
+ * Lead Ownership Service
+ *
+ * Un lead che ha già parlato con un setter torna allo stesso setter.
+ * L'owner viene salvato per numero normalizzato e GHL contact id dopo ogni
+ * chiamata avviata, e resta valido per LEAD_OWNERSHIP_STICKY_DAYS dall'ultimo
+ * contatto. Se l'owner è offline, occupato o fuori turno (non compare tra gli
+ * agenti disponibili) la distribuzione torna alla strategia configurata.
+ *
+ * L'owner viene anche scritto su GHL come assignedTo del contatto: l'utente
+ * GHL si prende da agents.<id>.ghlUserId in config/agent-distribution.json
+ * oppure cercando l'email dell'agente CloudTalk tra gli utenti della location.
+ */
+
+const GHL_USERS_CACHE_MS = 60 * 60 * 1000;
+
+function getConfig() {
+  const stickyDays = parseFloat(process.env.LEAD_OWNERSHIP_STICKY_DAYS);
+  return {
+    dbPath: process.env.LEAD_OWNERSHIP_DB_PATH || path.join(process.cwd(), 'data', 'lead-ownership.db'),
+    stickyDays: Number.isNaN(stickyDays) ? 30 : stickyDays,
+    ghlWriteback: process.env.LEAD_OWNERSHIP_GHL_WRITEBACK !== 'false'
+  };
+}
+
+/**
+ * Chiave di ownership dal numero del lead (E.164)
+ */
+function toPhoneKey(phone) {
+  return normalizePhone(phone);
+}
+
+/**
+ * GHL contact id del lead (i payload GHL usano contact_id)
+ */
+function getGhlContactId(leadData = {}) {
+  return leadData.contact_id || leadData.ghl_contact_id || null;
+}
+
+class LeadOwnershipService extends SqliteStore {
+  constructor() {
+    super(() => getConfig().dbPath);
+    this.ghlUsers = null;
+    this.ghlUsersLoadedAt = 0;
+  }
+
+  isEnabled() {
+    return getConfig().stickyDays > 0;
+  }
+
+  async setup() {
+    await this.run(`
+      CREATE TABLE IF NOT EXISTS lead_owners (
+        phone TEXT PRIMARY KEY,
+        ghl_contact_id TEXT,
+        agent_id TEXT NOT NULL,
+        agent_name TEXT,
+        assigned_at INTEGER NOT NULL,
+        last_contact_at INTEGER NOT NULL,
+        ghl_user_id TEXT,
+        ghl_synced_at INTEGER
+      )
+    `);
+    await this.run('CREATE INDEX IF NOT EXISTS idx_lead_owners_ghl ON lead_owners (ghl_contact_id)');
+  }
+
+  /**
+   * Owner corrente del lead, se ancora nella finestra di stickiness
+   * @param {Object} leadData - Dati lead (phone, contact_id)
+   * @returns {Promise<Object|null>} { agentId, agentName, assignedAt, lastContactAt }
+   */
+  async getOwner(leadData) {
+    if (!this.isEnabled()) return null;
+
+    const phone = toPhoneKey(leadData?.phone);
+    const ghlContactId = getGhlContactId(leadData);
+    if (!phone && !ghlContactId) return null;
+
+    await this.init();
+    const since = Date.now() - getConfig().stickyDays * 24 * 60 * 60 * 1000;
+    const rows = await this.all(
+      `SELECT * FROM lead_owners WHERE (phone = ? OR ghl_contact_id = ?) AND last_contact_at >= ?
+       ORDER BY last_contact_at DESC LIMIT 1`,
+      [phone, ghlContactId, since]
+    );
+
+    if (rows.length === 0) return null;
+    return {
+      agentId: rows[0].agent_id,
+      agentName: rows[0].agent_name,
+      assignedAt: new Date(rows[0].assigned_at).toISOString(),
+      lastContactAt: new Date(rows[0].last_contact_at).toISOString()
+    };
+  }
+
+  /**
+   * Mette l'owner in testa alla lista agenti (per i fallback di makeAutomaticCallWithFallback)
+   * @returns {Promise<Array>} Agenti riordinati
+   */
+  async preferOwner(agents, leadData) {
+    try {
+      const owner = await this.getOwner(leadData);
+      const ownerAgent = owner && agents.find(agent => String(agent.id) === owner.agentId);
+      return ownerAgent ? [ownerAgent, ...agents.filter(agent => agent !== ownerAgent)] : agents;
+    } catch (error) {
+      logError(`⚠️ Errore lettura owner lead: ${error.message}`);
+      return agents;
+    }
+  }
+
+  /**
+   * Registra l'agente che ha chiamato il lead e lo scrive su GHL come assigned user
+   * Un cambio di owner (fallback) sostituisce il precedente.
+   * @param {Object} leadData - Dati lead (phone, contact_id)
+   * @param {Object} agent - Agente CloudTalk { id, name, email }
+   * @returns {Promise<Object>} { success, changed, ghl }
+   */
+  async assignOwner(leadData, agent) {
+    try {
+      if (!this.isEnabled()) {
+        return { success: true, skipped: true };
+      }
+
+      const phone = toPhoneKey(leadData?.phone);
+      if (!phone || !agent?.id) {
+        return { success: false, error: 'MISSING_PHONE_OR_AGENT' };
+      }
+
+      await this.init();
+      const now = Date.now();
+      const ghlContactId = getGhlContactId(leadData);
+      const current = await this.all('SELECT agent_id, ghl_user_id FROM lead_owners WHERE phone = ?', [phone]);
+      const changed = current.length === 0 || current[0].agent_id !== String(agent.id);
+
+      await this.run(
+        `INSERT INTO lead_owners (phone, ghl_contact_id, agent_id, agent_name, assigned_at, last_contact_at)
+         VALUES (?, ?, ?, ?, ?, ?)
+         ON CONFLICT(phone) DO UPDATE SET
+           ghl_contact_id = COALESCE(excluded.ghl_contact_id, ghl_contact_id),
+           agent_id = excluded.agent_id, agent_name = excluded.agent_name,
+           assigned_at = CASE WHEN agent_id = excluded.agent_id THEN assigned_at ELSE excluded.assigned_at END,
+           last_contact_at = excluded.last_contact_at`,
+        [phone, ghlContactId, String(agent.id), agent.name || null, now, now]
+      );
+
+      if (changed) {
+        log(`🤝 Owner lead ${phone}: ${agent.name} (${agent.id})`);
+      }
+
+      // GHL aggiornato solo al cambio di owner (o se il sync precedente non è riuscito)
+      let ghl = { skipped: true };
+      if (getConfig().ghlWriteback && (changed || !current[0].ghl_user_id)) {
+        ghl = await this.syncOwnerToGhl(phone, ghlContactId, agent);
+      }
+
+      return { success: true, changed, ghl };
+    } catch (error) {
+      logError(`❌ Errore assegnazione owner lead: ${error.message}`);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Utente GHL corrispondente all'agente CloudTalk
+   * @returns {Promise<string|null>} GHL user id
+   */
+  async resolveGhlUserId(agent) {
+    const configured = getDistributionConfig().agents[String(agent.id)]?.ghlUserId;
+    if (configured) return configured;
+    if (!agent.email) return null;
+
+    if (!this.ghlUsers || Date.now() - this.ghlUsersLoadedAt > GHL_USERS_CACHE_MS) {
+      this.ghlUsers = await ghlClient.listUsers();
+      this.ghlUsersLoadedAt = Date.now();
+    }
+
+    const email = agent.email.toLowerCase();
+    return this.ghlUsers.find(user => user.email?.toLowerCase() === email)?.id || null;
+  }
+
+  /**
+   * Imposta assignedTo sul contatto GHL
+   */
+  async syncOwnerToGhl(phone, ghlContactId, agent) {
+    try {
+      const ghlUserId = await this.resolveGhlUserId(agent);
+      if (!ghlUserId) {
+        log(`⚠️ Nessun utente GHL per l'agente ${agent.name} (${agent.id}): owner non sincronizzato`);
+        return { success: false, error: 'GHL_USER_NOT_FOUND' };
+      }
+
+      const contactId = ghlContactId || (await contactIdCache.findGhlContact(phone))?.id;
+      if (!contactId) {
+        return { success: false, error: 'GHL_CONTACT_NOT_FOUND' };
+      }
+
+      await ghlClient.updateContact(contactId, { assignedTo: ghlUserId });
+
+      await this.run(
+        'UPDATE lead_owners SET ghl_contact_id = ?, ghl_user_id = ?, ghl_synced_at = ? WHERE phone = ?',
+        [contactId, ghlUserId, Date.now(), phone]
+      );
+      log(`✅ GHL: contatto ${contactId} assegnato a ${agent.name} (user ${ghlUserId})`);
+      return { success: true, contactId, ghlUserId };
+    } catch (error) {
+      logError(`❌ Errore sync owner su GHL per ${phone}: ${error.message}`);
+      return { success: false, error: error.message };
+    }
+  }
+
+  async getStats() {
+    const config = getConfig();
+    if (!this.isEnabled()) {
+      return { enabled: false };
+    }
+
+    await this.init();
+    const since = Date.now() - config.stickyDays * 24 * 60 * 60 * 1000;
+    const rows = await this.all(
+      `SELECT COUNT(*) AS active, SUM(CASE WHEN ghl_user_id IS NOT NULL THEN 1 ELSE 0 END) AS syncedToGhl
+       FROM lead_owners WHERE last_contact_at >= ?`,
+      [since]
+    );
+
+    return {
+      enabled: true,
+      activeOwnerships: rows[0].active,
+      syncedToGhl: rows[0].syncedToGhl || 0,
+      configuration: {
+        stickyDays: config.stickyDays,
+        ghlWriteback: config.ghlWriteback
+      }
+    };
+  }
+}
+
+// Istanza singleton
+const leadOwnershipService = new LeadOwnershipService();
+
+export default leadOwnershipService;
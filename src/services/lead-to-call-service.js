@@ -1,7 +1,9 @@
-import { makeCloudTalkRequest } from '../../API CloudTalk/config.js';
+import cloudTalkClient from './cloudtalk-client.js';
 import agentDistributionService from './agent-distribution-service.js';
 import leadTrackingLogger from './lead-tracking-logger.js';
+import leadOwnershipService from './lead-ownership-service.js';
 import { log, logError } from '../logger.js';
+import { parsePhone, toE164 } from '../utils/phone-numbers.js';
 
 /**
  * Servizio per gestione completa del flusso Lead → Contatto → Chiamata
@@ -14,6 +16,13 @@ import { log, logError } from '../logger.js';
  * 5. Gestisce errori e retry
  */
 
+/**
+ * Errori sui dati del lead (MISSING_PHONE, INVALID_PHONE) restituiti come finalStatus
+ */
+function getInputErrorStatus(error) {
+  return error.message?.match(/^(MISSING_PHONE|INVALID_PHONE):/)?.[1] || null;
+}
+
 class LeadToCallService {
   constructor() {
     this.initialized = false;
@@ -48,7 +57,7 @@ class LeadToCallService {
         name: fullName || leadData.full_name || leadData.name || 'Lead Senza Nome',
         company: leadData.company || 'GoHighLevel Lead',
         ContactNumber: [
-          { public_number: leadData.phone || '' }
+          { public_number: toE164(leadData.phone) || leadData.phone || '' }
         ],
         ContactEmail: [
           { email: leadData.email || '' }
@@ -68,28 +77,24 @@ class LeadToCallService {
       console.log('🚨 DEBUG - PAYLOAD INVIATO A CLOUDTALK:');
       console.log(JSON.stringify(contactData, null, 2));
 
-      const response = await makeCloudTalkRequest('/contacts/add.json', {
-        method: 'PUT',
-        body: JSON.stringify(contactData)
-      });
+      const response = await cloudTalkClient.createContact(contactData);
       
       // DEBUG: Log della risposta completa
       console.log('🚨 DEBUG - RISPOSTA CLOUDTALK:');
       console.log(JSON.stringify(response, null, 2));
 
-      if (response?.data?.id) {
-        const contactId = response.data.id;
-        
+      const contactId = response?.data?.id || response?.id;
+      if (contactId) {
         log(`✅ Contatto creato con successo: ID ${contactId}`);
         
         return {
           success: true,
           contactId: contactId,
           commandId: commandId,
-          cloudTalkData: response.data
+          cloudTalkData: response
         };
       } else {
-        throw new Error(`Creazione contatto fallita: ${JSON.stringify(response.data)}`);
+        throw new Error(`Creazione contatto fallita: ${JSON.stringify(response)}`);
       }
 
     } catch (error) {
@@ -115,30 +120,19 @@ class LeadToCallService {
       log(`👤 Agente: ${agentId}`);
       log(`📱 Numero: ${phoneNumber}`);
 
-      const callData = {
-        agent_id: parseInt(agentId),
-        callee_number: phoneNumber
-      };
+      // Gli status di errore di CloudTalk arrivano come CloudTalkApiError
+      const response = await cloudTalkClient.createCall(agentId, phoneNumber);
 
-      const response = await makeCloudTalkRequest('/calls/create.json', {
-        method: 'POST',
-        body: JSON.stringify(callData)
-      });
+      log(`✅ Chiamata iniziata con successo!`);
+      log(`⏱️ L'agente riceverà la chiamata (max 20s), poi verrà chiamato il lead`);
 
-      if (response?.data?.responseData?.status === 200) {
-        log(`✅ Chiamata iniziata con successo!`);
-        log(`⏱️ L'agente riceverà la chiamata (max 20s), poi verrà chiamato il lead`);
-        
-        return {
-          success: true,
-          callInitiated: true,
-          agentId: agentId,
-          phoneNumber: phoneNumber,
-          apiResponse: response.data
-        };
-      } else {
-        throw new Error(`Chiamata fallita: ${JSON.stringify(response.data)}`);
-      }
+      return {
+        success: true,
+        callInitiated: true,
+        agentId: agentId,
+        phoneNumber: phoneNumber,
+        apiResponse: response
+      };
 
     } catch (error) {
       logError('Errore chiamata automatica:', error);
@@ -147,13 +141,13 @@ class LeadToCallService {
       let errorType = 'CALL_FAILED';
       let errorMessage = error.message;
 
-      if (error.message.includes('403')) {
+      if (error.status === 403) {
         errorType = 'AGENT_NOT_AVAILABLE';
         errorMessage = 'Agente non disponibile o non online';
-      } else if (error.message.includes('409')) {
+      } else if (error.status === 409) {
         errorType = 'AGENT_BUSY';
         errorMessage = 'Agente già impegnato in una chiamata';
-      } else if (error.message.includes('406')) {
+      } else if (error.status === 406) {
         errorType = 'INVALID_PHONE';
         errorMessage = 'Numero di telefono non valido';
       }
@@ -172,9 +166,11 @@ class LeadToCallService {
   /**
    * Processo completo: Lead → Contatto → Distribuzione → Chiamata
    * @param {Object} leadData Dati del lead da GHL
+   * @param {Object} options
+   * @param {string|number} options.existingContactId Contatto CloudTalk già esistente (es. richiamo da cadence): salta la creazione
    * @returns {Promise<Object>} Risultato completo del processo
    */
-  async processLeadToCall(leadData) {
+  async processLeadToCall(leadData, { existingContactId = null } = {}) {
     const startTime = Date.now();
     const processId = `lead_${leadData.id || Date.now()}`;
     
@@ -187,10 +183,16 @@ class LeadToCallService {
       }
 
       // Validazione dati lead - usa SOLO dati root level (il lead da chiamare)
-      const phoneNumber = leadData.phone;
-      if (!phoneNumber) {
+      if (!leadData.phone) {
         throw new Error('MISSING_PHONE: Numero telefono mancante nel lead');
       }
+      const parsedPhone = parsePhone(leadData.phone);
+      if (!parsedPhone.valid) {
+        throw new Error(`INVALID_PHONE: Numero telefono non valido "${leadData.phone}" (${parsedPhone.reason})`);
+      }
+      // Da qui in avanti (contatto, chiamata, owner) si usa il numero E.164
+      const phoneNumber = parsedPhone.e164;
+      leadData = { ...leadData, phone: phoneNumber };
 
       const result = {
         processId: processId,
@@ -205,9 +207,14 @@ class LeadToCallService {
         finalStatus: null
       };
 
-      // STEP 1: Crea contatto in CloudTalk
-      log(`📝 STEP 1: Creazione contatto CloudTalk`);
-      result.steps.contactCreation = await this.createContactInCloudTalk(leadData);
+      // STEP 1: Crea contatto in CloudTalk (se non esiste già)
+      if (existingContactId) {
+        log(`📝 STEP 1: Contatto CloudTalk esistente ${existingContactId}, creazione saltata`);
+        result.steps.contactCreation = { success: true, contactId: existingContactId, skipped: true };
+      } else {
+        log(`📝 STEP 1: Creazione contatto CloudTalk`);
+        result.steps.contactCreation = await this.createContactInCloudTalk(leadData);
+      }
       
       if (!result.steps.contactCreation.success) {
         result.finalStatus = 'CONTACT_CREATION_FAILED';
@@ -239,6 +246,9 @@ class LeadToCallService {
         result.success = true;
         result.finalStatus = 'CALL_INITIATED_SUCCESSFULLY';
         result.selectedAgent = selectedAgent;
+
+        // Owner del lead per i prossimi contatti (sync GHL in background)
+        leadOwnershipService.assignOwner(leadData, selectedAgent);
         
         const processingTime = Date.now() - startTime;
         log(`✅ PROCESSO COMPLETATO CON SUCCESSO in ${processingTime}ms`);
@@ -267,7 +277,7 @@ class LeadToCallService {
         startTime: new Date().toISOString(),
         leadData: leadData,
         success: false,
-        finalStatus: 'PROCESS_ERROR',
+        finalStatus: getInputErrorStatus(error) || 'PROCESS_ERROR',
         error: error.message,
         steps: (typeof result !== 'undefined' && result?.steps) || {
           contactCreation: null,
@@ -302,10 +312,16 @@ class LeadToCallService {
       }
 
       // Validate lead data
-      const phoneNumber = leadData.phone;
-      if (!phoneNumber) {
+      if (!leadData.phone) {
         throw new Error('MISSING_PHONE: Numero telefono mancante nel lead');
       }
+      const parsedPhone = parsePhone(leadData.phone);
+      if (!parsedPhone.valid) {
+        throw new Error(`INVALID_PHONE: Numero telefono non valido "${leadData.phone}" (${parsedPhone.reason})`);
+      }
+      // Da qui in avanti (contatto, chiamata, owner) si usa il numero E.164
+      const phoneNumber = parsedPhone.e164;
+      leadData = { ...leadData, phone: phoneNumber };
 
       const result = {
         processId: processId,
@@ -371,6 +387,9 @@ class LeadToCallService {
         result.selectedAgent = callResult.finalAgent;
         result.enhancedInfo.finalAgentUsedFallback = callResult.usedFallback;
 
+        // Owner del lead per i prossimi contatti (sync GHL in background)
+        leadOwnershipService.assignOwner(leadData, callResult.finalAgent);
+
         const processingTime = Date.now() - startTime;
         log(`✅ ENHANCED PROCESSO COMPLETATO in ${processingTime}ms`);
         log(`👤 Agente finale: ${callResult.finalAgent.name} ${callResult.usedFallback ? '(FALLBACK)' : '(PRIMARY)'}`);
@@ -397,7 +416,7 @@ class LeadToCallService {
         startTime: new Date().toISOString(),
         leadData: leadData,
         success: false,
-        finalStatus: 'PROCESS_ERROR',
+        finalStatus: getInputErrorStatus(error) || 'PROCESS_ERROR',
         error: error.message,
         steps: (typeof result !== 'undefined' && result?.steps) || {
           contactCreation: null,
@@ -0,0 +1,177 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { log } from '../logger.js';
+import { compileTemplate } from '../utils/template-engine.js';
+import { createConfigFile } from '../utils/config-file.js';
+
+/**
+ * Note Templates
+ *
+ * Testi delle note GHL per evento, in file modificabili (sintassi Handlebars ridotta,
+ * vedi src/utils/template-engine.js): templates/notes/<lingua>/<nome>.hbs
+ * - lingua: NOTE_LOCALE (it | en, default it)
+ * - NOTE_TEMPLATES_DIR: cartella con la stessa struttura; i file presenti sostituiscono
+ *   quelli di default, gli altri restano quelli del repository
+ *
+ * Ogni template può usare solo i campi del suo schema (TEMPLATE_FIELDS): all'avvio
+ * tutti i template di tutte le lingue vengono validati e un campo sconosciuto blocca
+ * l'avvio. Un file modificato a runtime viene ricaricato; se non è valido resta
+ * attiva la versione precedente.
+ */
+
+const BUILTIN_DIR = fileURLToPath(new URL('../../templates/notes', import.meta.url));
+
+const LOCALES = {
+  it: 'it-IT',
+  en: 'en-GB'
+};
+
+const CALL_FIELDS = {
+  call_id: 'string',
+  external_number: 'string',
+  internal_number: 'string',
+  agent_name: 'string',
+  timestamp: 'string'
+};
+
+// Output di extractKeyPoints (fase 1 + coaching della fase 2)
+const ANALYSIS_FIELDS = {
+  call_type: 'string',
+  call_summary: 'string',
+  speakers: { setter_identified: 'boolean', lead_identified: 'boolean', confidence: 'string' },
+  call_outcome: { appuntamento_fissato: 'boolean', motivo_se_non_fissato: 'string' },
+  lead_info: {
+    azienda: 'string',
+    settore: 'string',
+    software_attuale: 'string',
+    team_vendita: 'string',
+    fa_pubblicità: 'string'
+  },
+  sentiment: 'string',
+  note_aggiuntive: 'string',
+  coaching: {
+    riassunto: {
+      appuntamento: 'string',
+      categoria_lead: 'string',
+      bant: { budget: 'string', autorità: 'string', necessità: 'string', tempistica: 'string' }
+    },
+    coaching_feedback: 'string',
+    fasi_script_seguite: ['string'],
+    confidenza_analisi: 'string'
+  },
+  prompts: {
+    phase1: { version: 'string', variant: 'string', model: 'string', validation: 'string' },
+    phase2: { version: 'string', variant: 'string', model: 'string', validation: 'string' }
+  }
+};
+
+const TEMPLATE_FIELDS = {
+  'missed-call': { ...CALL_FIELDS, call_attempts: 'string' },
+  'voicemail': { ...CALL_FIELDS, recording_url: 'string', detection_method: 'string' },
+  'call-started': { ...CALL_FIELDS, call_type: 'string' },
+  'call-ended': { ...CALL_FIELDS, duration: 'string', status: 'string' },
+  'non-substantial': { ...CALL_FIELDS, transcription: 'string', processed_at: 'string', analysis: ANALYSIS_FIELDS },
+  'full-analysis': { ...CALL_FIELDS, transcription: 'string', processed_at: 'string', analysis: ANALYSIS_FIELDS },
+  'recording-available': { ...CALL_FIELDS, recording_url: 'string', error: 'string' },
+  'upload-failed': { error: 'string' },
+  'call-message': { ...CALL_FIELDS, inbound: 'string', duration: 'string', recording_url: 'string' }
+};
+
+const templateFiles = new Map();
+
+function getLocale() {
+  const locale = (process.env.NOTE_LOCALE || 'it').toLowerCase();
+  return LOCALES[locale] ? locale : 'it';
+}
+
+/**
+ * File del template: prima NOTE_TEMPLATES_DIR, poi i template del repository
+ */
+function resolveTemplatePath(locale, name) {
+  const file = path.join(locale, `${name}.hbs`);
+  const overrideDir = process.env.NOTE_TEMPLATES_DIR;
+  if (overrideDir && fs.existsSync(path.join(overrideDir, file))) {
+    return path.join(overrideDir, file);
+  }
+  return path.join(BUILTIN_DIR, file);
+}
+
+/**
+ * Compila un template (riletto se il file è cambiato)
+ * @throws {Error} se il template non è valido e non c'è una versione precedente
+ */
+function loadTemplate(locale, name) {
+  const key = `${locale}/${name}`;
+  if (!templateFiles.has(key)) {
+    templateFiles.set(key, createConfigFile({
+      name: `Template nota ${key}`,
+      getPath: () => resolveTemplatePath(locale, name),
+      parse: text => compileTemplate(text, TEMPLATE_FIELDS[name], { dateLocale: LOCALES[locale] }),
+      describe: (template, templatePath, previous) => (previous ? `📝 Template nota ${key} ricaricato da ${templatePath}` : null)
+    }));
+  }
+  return templateFiles.get(key).get();
+}
+
+/**
+ * Valida tutti i template di tutte le lingue
+ * @throws {Error} con l'elenco degli errori se un template non è valido
+ */
+function initNoteTemplates() {
+  const errors = [];
+
+  Object.keys(LOCALES).forEach(locale => {
+    Object.keys(TEMPLATE_FIELDS).forEach(name => {
+      try {
+        loadTemplate(locale, name);
+      } catch (error) {
+        errors.push(error.message);
+      }
+    });
+  });
+
+  if (errors.length > 0) {
+    throw new Error(`❌ Template note non validi:\n${errors.join('\n')}`);
+  }
+
+  log(`📝 Template note validati: ${Object.keys(TEMPLATE_FIELDS).length} per ${Object.keys(LOCALES).join(', ')} (lingua attiva: ${getLocale()})`);
+}
+
+/**
+ * Testo della nota per un evento
+ * @param {string} name - missed-call | voicemail | call-started | call-ended | non-substantial | full-analysis | recording-available | upload-failed | call-message
+ * @param {Object} context - Campi del template (vedi TEMPLATE_FIELDS)
+ * @param {Object} options - { locale }
+ * @returns {string}
+ */
+function renderNote(name, context, { locale = getLocale() } = {}) {
+  if (!TEMPLATE_FIELDS[name]) {
+    throw new Error(`Template nota sconosciuto: ${name}`);
+  }
+  return loadTemplate(LOCALES[locale] ? locale : 'it', name).render({
+    timestamp: new Date().toISOString(),
+    ...context
+  });
+}
+
+/**
+ * Campi comuni di una chiamata CloudTalk per i template
+ */
+function buildCallContext(payload = {}) {
+  return {
+    call_id: payload.call_id ?? null,
+    external_number: payload.external_number ?? null,
+    internal_number: payload.internal_number ?? null,
+    agent_name: payload.agent_name ||
+      [payload.agent_first_name, payload.agent_last_name].filter(Boolean).join(' ') ||
+      payload.agent_id || null
+  };
+}
+
+export {
+  TEMPLATE_FIELDS,
+  initNoteTemplates,
+  renderNote,
+  buildCallContext
+};
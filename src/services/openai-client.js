@@ -0,0 +1,34 @@
+import OpenAI from 'openai';
+
+/**
+ * OpenAI Client
+ *
+ * Client condiviso creato alla prima richiesta: senza OPENAI_API_KEY il modulo
+ * si importa lo stesso e fallisce solo chi usa davvero OpenAI (le trascrizioni
+ * possono andare su un altro provider).
+ */
+
+let client = null;
+
+function isOpenAIConfigured() {
+  return !!process.env.OPENAI_API_KEY;
+}
+
+/**
+ * @returns {OpenAI}
+ * @throws {Error} se OPENAI_API_KEY non è configurata
+ */
+function getOpenAIClient() {
+  if (!isOpenAIConfigured()) {
+    throw new Error('OPENAI_API_KEY non configurata');
+  }
+  if (!client) {
+    client = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+  }
+  return client;
+}
+
+export {
+  isOpenAIConfigured,
+  getOpenAIClient
+};
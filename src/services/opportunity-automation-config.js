@@ -0,0 +1,179 @@
+import path from 'path';
+import { createConfigFile } from '../utils/config-file.js';
+
+/**
+ * Opportunity Automation Config
+ *
+ * Regole che trasformano l'esito dell'analisi AI della chiamata in modifiche
+ * all'opportunità GHL del contatto.
+ * File: OPPORTUNITY_AUTOMATION_CONFIG_PATH (default config/opportunity-automation.json)
+ *
+ * {
+ *   "pipeline": "Vendite",                        // nome o id: limita la ricerca dell'opportunità
+ *   "appointmentStage": "Appuntamento fissato",   // nome o id dello stage quando l'appuntamento è fissato
+ *   "categoryTags": { "1": "Categoria 1", "4": ["Categoria 4", "Da nutrire"] },
+ *   "monetaryValue": { "1": 3000, "2": 2000, "3": 1000, "default": 500 },
+ *   "overwriteMonetaryValue": false,              // true: sovrascrive anche un valore già impostato
+ *   "customFields": {
+ *     "<customFieldId>": "lead_info.azienda",
+ *     "<customFieldId>": "sentiment"
+ *   }
+ * }
+ *
+ * Le categorie sono il numero di "categoria_lead" del coaching (🟢 Categoria 1 → "1").
+ * I tag vanno sul contatto: le API GHL non hanno tag sulle opportunità.
+ * customFields: id del campo personalizzato dell'opportunità → percorso nell'analisi
+ * (call_outcome.*, lead_info.*, sentiment, coaching.riassunto.*).
+ * Senza file: solo i tag "Categoria N", nessuno spostamento di stage né valore.
+ */
+
+const CATEGORY_KEYS = ['1', '2', '3', '4', 'default'];
+
+function getConfigPath() {
+  return process.env.OPPORTUNITY_AUTOMATION_CONFIG_PATH || path.join(process.cwd(), 'config', 'opportunity-automation.json');
+}
+
+function isNonEmptyString(value) {
+  return typeof value === 'string' && value.trim() !== '';
+}
+
+function buildDefaultConfig() {
+  return {
+    pipeline: null,
+    appointmentStage: null,
+    categoryTags: {
+      1: 'Categoria 1',
+      2: 'Categoria 2',
+      3: 'Categoria 3',
+      4: 'Categoria 4'
+    },
+    monetaryValue: {},
+    overwriteMonetaryValue: false,
+    customFields: {},
+    source: 'defaults'
+  };
+}
+
+/**
+ * Valida la configurazione
+ * @returns {string[]} Errori (vuoto se valida)
+ */
+function validateOpportunityConfig(config) {
+  const errors = [];
+
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    return ['config must be an object'];
+  }
+
+  if (config.pipeline !== undefined && config.pipeline !== null && !isNonEmptyString(config.pipeline)) {
+    errors.push('pipeline must be a pipeline name or id');
+  }
+  if (config.appointmentStage !== undefined && config.appointmentStage !== null && !isNonEmptyString(config.appointmentStage)) {
+    errors.push('appointmentStage must be a stage name or id');
+  }
+
+  Object.entries(config.categoryTags || {}).forEach(([category, tags]) => {
+    if (!CATEGORY_KEYS.includes(category)) {
+      errors.push(`categoryTags.${category}: category must be one of ${CATEGORY_KEYS.join(', ')}`);
+    }
+    if (!isNonEmptyString(tags) && !(Array.isArray(tags) && tags.length > 0 && tags.every(isNonEmptyString))) {
+      errors.push(`categoryTags.${category} must be a tag name or an array of tag names`);
+    }
+  });
+
+  Object.entries(config.monetaryValue || {}).forEach(([category, value]) => {
+    if (!CATEGORY_KEYS.includes(category)) {
+      errors.push(`monetaryValue.${category}: category must be one of ${CATEGORY_KEYS.join(', ')}`);
+    }
+    if (typeof value !== 'number' || !Number.isFinite(value) || value < 0) {
+      errors.push(`monetaryValue.${category} must be a non-negative number`);
+    }
+  });
+
+  if (config.overwriteMonetaryValue !== undefined && typeof config.overwriteMonetaryValue !== 'boolean') {
+    errors.push('overwriteMonetaryValue must be a boolean');
+  }
+
+  Object.entries(config.customFields || {}).forEach(([fieldId, sourcePath]) => {
+    if (!isNonEmptyString(sourcePath)) {
+      errors.push(`customFields.${fieldId} must be an analysis path (e.g. lead_info.azienda)`);
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Configurazione da un file valido
+ */
+function buildConfig(parsed, configPath) {
+  const defaults = buildDefaultConfig();
+  return {
+    pipeline: parsed.pipeline || null,
+    appointmentStage: parsed.appointmentStage || null,
+    categoryTags: parsed.categoryTags || defaults.categoryTags,
+    monetaryValue: parsed.monetaryValue || {},
+    overwriteMonetaryValue: parsed.overwriteMonetaryValue === true,
+    customFields: parsed.customFields || {},
+    source: configPath
+  };
+}
+
+const configFile = createConfigFile({
+  name: 'Configurazione automazione opportunità',
+  getPath: getConfigPath,
+  buildDefault: buildDefaultConfig,
+  validate: validateOpportunityConfig,
+  build: buildConfig,
+  describe: (config, configPath) => `💼 Automazione opportunità caricata da ${configPath}`
+});
+
+/**
+ * Configurazione attiva, riletta quando il file cambia.
+ * Un file non valido viene segnalato e resta attiva la configurazione precedente.
+ */
+function getOpportunityAutomationConfig() {
+  return configFile.get();
+}
+
+/**
+ * Numero di categoria dal testo del coaching ("🟢 Categoria 1" → "1")
+ * @returns {string|null}
+ */
+function parseLeadCategory(categoriaLead) {
+  const match = String(categoriaLead || '').match(/categoria\s*([1-4])/i);
+  return match ? match[1] : null;
+}
+
+/**
+ * Tag del contatto per la categoria
+ * @returns {string[]}
+ */
+function resolveCategoryTags(category, config = getOpportunityAutomationConfig()) {
+  const tags = config.categoryTags[category] ?? (category ? config.categoryTags.default : undefined);
+  return tags ? [].concat(tags) : [];
+}
+
+/**
+ * Valore monetario per la categoria (null se non configurato)
+ */
+function resolveMonetaryValue(category, config = getOpportunityAutomationConfig()) {
+  const value = config.monetaryValue[category] ?? config.monetaryValue.default;
+  return typeof value === 'number' ? value : null;
+}
+
+/**
+ * Valore di un percorso dell'analisi (es. "lead_info.azienda")
+ */
+function readAnalysisPath(analysis, sourcePath) {
+  return sourcePath.split('.').reduce((value, key) => (value == null ? undefined : value[key]), analysis);
+}
+
+export {
+  validateOpportunityConfig,
+  getOpportunityAutomationConfig,
+  parseLeadCategory,
+  resolveCategoryTags,
+  resolveMonetaryValue,
+  readAnalysisPath
+};
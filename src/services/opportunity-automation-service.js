@@ -0,0 +1,203 @@
+import { log, logError } from '../logger.js';
+import ghlClient from './ghl-client.js';
+import {
+  getOpportunityAutomationConfig,
+  parseLeadCategory,
+  resolveCategoryTags,
+  resolveMonetaryValue,
+  readAnalysisPath
+} from './opportunity-automation-config.js';
+
+/**
+ * Opportunity Automation Service
+ *
+ * Dopo l'analisi AI di una registrazione (processRecordingReady) aggiorna
+ * l'opportunità GHL aperta del contatto:
+ * - appuntamento fissato (call_outcome.appuntamento_fissato) → stage configurato
+ * - categoria lead del coaching → tag sul contatto
+ * - valore monetario per categoria e campi personalizzati dall'analisi (lead_info, sentiment...)
+ *
+ * Attivo con OPPORTUNITY_AUTOMATION_ENABLED=true, regole in config/opportunity-automation.json.
+ * Non lancia eccezioni: un errore qui non deve far perdere la nota della chiamata.
+ */
+
+const PIPELINES_CACHE_MS = 10 * 60 * 1000;
+
+function getConfig() {
+  return {
+    enabled: process.env.OPPORTUNITY_AUTOMATION_ENABLED === 'true'
+  };
+}
+
+function sameName(a, b) {
+  return String(a).trim().toLowerCase() === String(b).trim().toLowerCase();
+}
+
+function isEmptyValue(value) {
+  return value === undefined || value === null || String(value).trim() === '';
+}
+
+class OpportunityAutomationService {
+  constructor() {
+    this.pipelines = null;
+    this.pipelinesLoadedAt = 0;
+  }
+
+  isEnabled() {
+    return getConfig().enabled;
+  }
+
+  /**
+   * Pipeline della location (in memoria per 10 minuti)
+   */
+  async getPipelines() {
+    if (!this.pipelines || Date.now() - this.pipelinesLoadedAt > PIPELINES_CACHE_MS) {
+      this.pipelines = await ghlClient.getPipelines();
+      this.pipelinesLoadedAt = Date.now();
+    }
+    return this.pipelines;
+  }
+
+  /**
+   * Pipeline per nome o id
+   * @returns {Promise<Object|null>}
+   */
+  async findPipeline(nameOrId) {
+    const pipelines = await this.getPipelines();
+    return pipelines.find(pipeline => pipeline.id === nameOrId) ||
+      pipelines.find(pipeline => sameName(pipeline.name, nameOrId)) ||
+      null;
+  }
+
+  /**
+   * Stage per nome o id all'interno di una pipeline
+   * @returns {Promise<Object|null>}
+   */
+  async findStage(pipelineId, nameOrId) {
+    const pipelines = await this.getPipelines();
+    const pipeline = pipelines.find(candidate => candidate.id === pipelineId);
+    const stages = pipeline?.stages || [];
+    return stages.find(stage => stage.id === nameOrId) ||
+      stages.find(stage => sameName(stage.name, nameOrId)) ||
+      null;
+  }
+
+  /**
+   * Opportunità aperta più recente del contatto (nella pipeline configurata)
+   * @returns {Promise<Object|null>}
+   */
+  async findOpenOpportunity(contactId, pipelineId = null) {
+    const opportunities = await ghlClient.searchOpportunities({ contactId, pipelineId, status: 'open' });
+    if (opportunities.length === 0) return null;
+
+    return [...opportunities].sort((a, b) =>
+      new Date(b.updatedAt || b.createdAt || 0) - new Date(a.updatedAt || a.createdAt || 0)
+    )[0];
+  }
+
+  /**
+   * Campi personalizzati dell'opportunità dai percorsi configurati
+   * @returns {Object[]} [{ id, field_value }]
+   */
+  buildCustomFields(analysis, config) {
+    return Object.entries(config.customFields)
+      .map(([id, sourcePath]) => ({ id, value: readAnalysisPath(analysis, sourcePath) }))
+      .filter(({ value }) => !isEmptyValue(value) && typeof value !== 'object')
+      .map(({ id, value }) => ({ id, field_value: String(value) }));
+  }
+
+  /**
+   * Aggiorna opportunità e tag del contatto dall'analisi della chiamata
+   * @param {Object} contact - Contatto GHL ({ id, tags })
+   * @param {Object} analysis - Analisi AI (call_outcome, lead_info, sentiment, coaching)
+   * @param {Object} options - { callId }
+   * @returns {Promise<Object>} { success, skipped?, reason?, opportunityId?, stage?, addedTags?, ... }
+   */
+  async applyCallOutcome(contact, analysis, { callId = null } = {}) {
+    if (!this.isEnabled()) {
+      return { success: true, skipped: true, reason: 'OPPORTUNITY_AUTOMATION_DISABLED' };
+    }
+    if (!analysis || analysis.call_type !== 'sostanziosa') {
+      return { success: true, skipped: true, reason: 'CALL_NOT_SUBSTANTIAL' };
+    }
+
+    const config = getOpportunityAutomationConfig();
+    const category = parseLeadCategory(analysis.coaching?.riassunto?.categoria_lead);
+    const appointmentBooked = analysis.call_outcome?.appuntamento_fissato === true;
+    const result = { success: true, callId, category, appointmentBooked };
+
+    try {
+      // Tag di categoria sul contatto
+      const categoryTags = resolveCategoryTags(category, config);
+      const currentTags = (contact.tags || []).map(tag => String(tag).toLowerCase());
+      const addedTags = categoryTags.filter(tag => !currentTags.includes(tag.toLowerCase()));
+      if (addedTags.length > 0) {
+        await ghlClient.addContactTags(contact.id, addedTags);
+        log(`🏷️ Opportunità: contatto ${contact.id} +[${addedTags.join(', ')}]`);
+      }
+      result.addedTags = addedTags;
+
+      let pipelineId = null;
+      if (config.pipeline) {
+        const pipeline = await this.findPipeline(config.pipeline);
+        if (!pipeline) {
+          return { ...result, success: false, error: `PIPELINE_NOT_FOUND: ${config.pipeline}` };
+        }
+        pipelineId = pipeline.id;
+      }
+
+      const opportunity = await this.findOpenOpportunity(contact.id, pipelineId);
+      if (!opportunity) {
+        log(`⚠️ Opportunità: nessuna opportunità aperta per contatto ${contact.id}`);
+        return { ...result, skipped: true, reason: 'NO_OPEN_OPPORTUNITY' };
+      }
+      result.opportunityId = opportunity.id;
+
+      const update = {};
+
+      if (appointmentBooked && config.appointmentStage) {
+        const stage = await this.findStage(opportunity.pipelineId, config.appointmentStage);
+        if (!stage) {
+          logError(`❌ Opportunità ${opportunity.id}: stage "${config.appointmentStage}" non trovato nella pipeline ${opportunity.pipelineId}`);
+          result.stageError = `STAGE_NOT_FOUND: ${config.appointmentStage}`;
+        } else if (stage.id !== opportunity.pipelineStageId) {
+          update.pipelineId = opportunity.pipelineId;
+          update.pipelineStageId = stage.id;
+          result.stage = stage.name;
+        }
+      }
+
+      const monetaryValue = resolveMonetaryValue(category, config);
+      if (monetaryValue !== null && monetaryValue !== opportunity.monetaryValue &&
+          (config.overwriteMonetaryValue || !opportunity.monetaryValue)) {
+        update.monetaryValue = monetaryValue;
+        result.monetaryValue = monetaryValue;
+      }
+
+      const customFields = this.buildCustomFields(analysis, config);
+      if (customFields.length > 0) {
+        update.customFields = customFields;
+        result.customFields = customFields.map(field => field.id);
+      }
+
+      if (Object.keys(update).length > 0) {
+        await ghlClient.updateOpportunity(opportunity.id, update);
+        log(`💼 Opportunità ${opportunity.id} aggiornata${result.stage ? ` → stage "${result.stage}"` : ''} (categoria ${category || 'n/d'}, chiamata ${callId || 'n/d'})`);
+      } else {
+        result.reason = 'NO_CHANGES';
+      }
+
+      // Stage configurato ma inesistente: il resto è applicato, l'esito resta un errore
+      return result.stageError ? { ...result, success: false, error: result.stageError } : result;
+
+    } catch (error) {
+      logError(`❌ Errore automazione opportunità per contatto ${contact.id}: ${error.message}`);
+      return { ...result, success: false, error: error.message };
+    }
+  }
+}
+
+// Istanza singleton
+const opportunityAutomationService = new OpportunityAutomationService();
+
+export default opportunityAutomationService;
@@ -0,0 +1,386 @@
+import path from 'path';
+import { log, logError } from '../logger.js';
+import { SqliteStore } from '../utils/sqlite-store.js';
+import { getEventDestinations, renderTemplate } from './outbound-webhooks-config.js';
+
+/**
+ * Outbound Webhook Dispatcher
+ *
+ * Invia gli eventi del middleware (missed_call, voicemail, appointment_booked,
+ * lead_stage_changed) alle destinazioni configurate in config/outbound-webhooks.json.
+ * Ogni invio è registrato nel delivery log SQLite: il primo tentativo parte subito,
+ * quelli falliti vengono ritentati dal worker con backoff esponenziale.
+ * Le risposte 4xx (tranne 408 e 429) non vengono ritentate.
+ *
+ * Stato delivery: pending → sending → delivered | pending (retry) | failed
+ */
+
+const MAX_BACKOFF_MS = 30 * 60 * 1000;
+const MAX_RESPONSE_LENGTH = 1000;
+const USER_AGENT = 'CloudTalk-Middleware/1.0';
+
+function getConfig() {
+  return {
+    dbPath: process.env.OUTBOUND_WEBHOOKS_DB_PATH || path.join(process.cwd(), 'data', 'outbound-webhooks.db'),
+    maxAttempts: parseInt(process.env.OUTBOUND_WEBHOOKS_MAX_ATTEMPTS) || 5,
+    baseBackoffMs: parseInt(process.env.OUTBOUND_WEBHOOKS_BACKOFF_MS) || 30000,
+    timeoutMs: parseInt(process.env.OUTBOUND_WEBHOOKS_TIMEOUT_MS) || 10000,
+    pollIntervalMs: parseInt(process.env.OUTBOUND_WEBHOOKS_POLL_INTERVAL_MS) || 15000
+  };
+}
+
+function isRetryableStatus(status) {
+  return status === 408 || status === 429 || status >= 500;
+}
+
+class OutboundWebhookDispatcher extends SqliteStore {
+  constructor() {
+    super(() => getConfig().dbPath);
+    this.timer = null;
+    this.processing = false;
+  }
+
+  /**
+   * Schema e recupero dei delivery rimasti in "sending" dopo un crash
+   */
+  async setup() {
+    await this.run(`
+      CREATE TABLE IF NOT EXISTS outbound_deliveries (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        event TEXT NOT NULL,
+        destination TEXT NOT NULL,
+        url TEXT NOT NULL,
+        headers TEXT,
+        payload TEXT NOT NULL,
+        correlation_id TEXT,
+        status TEXT NOT NULL DEFAULT 'pending',
+        attempts INTEGER NOT NULL DEFAULT 0,
+        max_attempts INTEGER NOT NULL,
+        next_attempt_at INTEGER NOT NULL,
+        response_status INTEGER,
+        response_body TEXT,
+        last_error TEXT,
+        created_at INTEGER NOT NULL,
+        updated_at INTEGER NOT NULL,
+        delivered_at INTEGER
+      )
+    `);
+    await this.run('CREATE INDEX IF NOT EXISTS idx_outbound_deliveries_due ON outbound_deliveries (status, next_attempt_at)');
+    await this.run('CREATE INDEX IF NOT EXISTS idx_outbound_deliveries_correlation ON outbound_deliveries (correlation_id, event)');
+
+    const recovered = await this.run(
+      `UPDATE outbound_deliveries SET status = 'pending', updated_at = ? WHERE status = 'sending'`,
+      [Date.now()]
+    );
+    if (recovered > 0) {
+      log(`♻️ Recuperati ${recovered} webhook in uscita interrotti`);
+    }
+  }
+
+  /**
+   * Invia un evento a tutte le sue destinazioni
+   * @param {string} event - missed_call | voicemail | appointment_booked | lead_stage_changed
+   * @param {Object} data - Payload dell'evento (inviato così com'è se la destinazione non ha template)
+   * @param {Object} options - { extraDestinations: [{ name, url }], correlationId }
+   *   correlationId: un secondo dispatch con lo stesso id non reinvia le destinazioni già registrate
+   * @returns {Promise<Object>} { success, event, skipped?, deliveries: [{ id, destination, status, error? }] }
+   */
+  async dispatch(event, data, { extraDestinations = [], correlationId = null } = {}) {
+    try {
+      const destinations = [...getEventDestinations(event), ...extraDestinations];
+      if (destinations.length === 0) {
+        log(`📡 Evento ${event}: nessuna destinazione configurata`);
+        return { success: true, event, skipped: true, reason: 'NO_DESTINATIONS', deliveries: [] };
+      }
+
+      await this.init();
+      const context = { ...data, event };
+      const deliveries = [];
+
+      for (const destination of destinations) {
+        // Retry del job che ha generato l'evento: stesso delivery, nessun doppio invio
+        const existing = correlationId ? await this.findDelivery(event, destination.name, correlationId) : null;
+        if (existing) {
+          deliveries.push(existing.status === 'pending' ? await this.attemptDelivery(existing.id) : summarize(existing));
+          continue;
+        }
+
+        const payload = destination.payload ? renderTemplate(destination.payload, context) : data;
+        const id = await this.enqueue(event, destination, payload, correlationId);
+        deliveries.push(await this.attemptDelivery(id));
+      }
+
+      const success = deliveries.every(delivery => delivery.status === 'delivered');
+      return { success, event, deliveries };
+
+    } catch (error) {
+      logError(`❌ Errore dispatch evento ${event}: ${error.message}`);
+      return { success: false, event, error: error.message, deliveries: [] };
+    }
+  }
+
+  async findDelivery(event, destination, correlationId) {
+    const rows = await this.all(
+      'SELECT * FROM outbound_deliveries WHERE event = ? AND destination = ? AND correlation_id = ? ORDER BY id DESC LIMIT 1',
+      [event, destination, correlationId]
+    );
+    return rows[0] || null;
+  }
+
+  async enqueue(event, destination, payload, correlationId) {
+    const now = Date.now();
+    return this.insert(
+      `INSERT INTO outbound_deliveries (event, destination, url, headers, payload, correlation_id, status, attempts, max_attempts, next_attempt_at, created_at, updated_at)
+       VALUES (?, ?, ?, ?, ?, ?, 'pending', 0, ?, ?, ?, ?)`,
+      [
+        event,
+        destination.name,
+        destination.url,
+        destination.headers ? JSON.stringify(destination.headers) : null,
+        JSON.stringify(payload),
+        correlationId,
+        destination.maxAttempts || getConfig().maxAttempts,
+        now, now, now
+      ]
+    );
+  }
+
+  /**
+   * Prende in carico il delivery (se ancora pending) ed esegue un tentativo
+   * @returns {Promise<Object>} { id, destination, status, attempts, responseStatus?, error? }
+   */
+  async attemptDelivery(id) {
+    const now = Date.now();
+    const claimed = await this.run(
+      `UPDATE outbound_deliveries SET status = 'sending', attempts = attempts + 1, updated_at = ? WHERE id = ? AND status = 'pending'`,
+      [now, id]
+    );
+    const [row] = await this.all('SELECT * FROM outbound_deliveries WHERE id = ?', [id]);
+    if (claimed === 0) {
+      return summarize(row);
+    }
+
+    const { timeoutMs, baseBackoffMs } = getConfig();
+    let responseStatus = null;
+    let responseBody = null;
+    let retryable = true;
+
+    try {
+      const response = await fetch(row.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': USER_AGENT,
+          ...(row.headers ? JSON.parse(row.headers) : {})
+        },
+        body: row.payload,
+        signal: AbortSignal.timeout(timeoutMs)
+      });
+
+      responseStatus = response.status;
+      responseBody = (await response.text()).slice(0, MAX_RESPONSE_LENGTH);
+
+      if (!response.ok) {
+        retryable = isRetryableStatus(response.status);
+        throw new Error(`HTTP ${response.status}: ${responseBody}`);
+      }
+
+      const deliveredAt = Date.now();
+      await this.run(
+        `UPDATE outbound_deliveries SET status = 'delivered', response_status = ?, response_body = ?, last_error = NULL, updated_at = ?, delivered_at = ? WHERE id = ?`,
+        [responseStatus, responseBody, deliveredAt, deliveredAt, id]
+      );
+      log(`📡 Webhook ${row.event} → ${row.destination} consegnato (HTTP ${responseStatus}, tentativo ${row.attempts})`);
+      return summarize({ ...row, status: 'delivered', response_status: responseStatus, last_error: null });
+
+    } catch (error) {
+      const failedAt = Date.now();
+
+      if (!retryable || row.attempts >= row.max_attempts) {
+        await this.run(
+          `UPDATE outbound_deliveries SET status = 'failed', response_status = ?, response_body = ?, last_error = ?, updated_at = ? WHERE id = ?`,
+          [responseStatus, responseBody, error.message, failedAt, id]
+        );
+        logError(`☠️ Webhook ${row.event} → ${row.destination} fallito definitivamente dopo ${row.attempts} tentativi: ${error.message}`);
+        return summarize({ ...row, status: 'failed', response_status: responseStatus, last_error: error.message });
+      }
+
+      const delay = Math.min(baseBackoffMs * Math.pow(2, row.attempts - 1), MAX_BACKOFF_MS);
+      await this.run(
+        `UPDATE outbound_deliveries SET status = 'pending', response_status = ?, response_body = ?, last_error = ?, next_attempt_at = ?, updated_at = ? WHERE id = ?`,
+        [responseStatus, responseBody, error.message, failedAt + delay, failedAt, id]
+      );
+      logError(`🔁 Webhook ${row.event} → ${row.destination} fallito (${error.message}), retry tra ${Math.round(delay / 1000)}s`);
+      return summarize({ ...row, status: 'pending', response_status: responseStatus, last_error: error.message });
+    }
+  }
+
+  /**
+   * Avvia il worker dei retry
+   */
+  async start() {
+    await this.init();
+    if (this.timer) return;
+
+    const { pollIntervalMs, maxAttempts } = getConfig();
+    this.timer = setInterval(() => this.tick(), pollIntervalMs);
+    this.timer.unref();
+    log(`📡 Worker webhook in uscita avviato (poll ${pollIntervalMs}ms, max ${maxAttempts} tentativi)`);
+    this.tick();
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Ritenta i delivery scaduti, uno alla volta
+   */
+  async tick() {
+    if (this.processing || !this.timer) return;
+    this.processing = true;
+
+    try {
+      const due = await this.all(
+        `SELECT id FROM outbound_deliveries WHERE status = 'pending' AND next_attempt_at <= ? ORDER BY next_attempt_at ASC, id ASC LIMIT 50`,
+        [Date.now()]
+      );
+      for (const { id } of due) {
+        await this.attemptDelivery(id);
+      }
+    } catch (error) {
+      logError(`❌ Errore worker webhook in uscita: ${error.message}`);
+    } finally {
+      this.processing = false;
+    }
+  }
+
+  /**
+   * Delivery log
+   * @param {Object} filters - { status, event, destination, limit, offset }
+   */
+  async listDeliveries(filters = {}) {
+    await this.init();
+    let sql = 'SELECT * FROM outbound_deliveries WHERE 1=1';
+    const params = [];
+
+    if (filters.status) {
+      sql += ' AND status = ?';
+      params.push(filters.status);
+    }
+    if (filters.event) {
+      sql += ' AND event = ?';
+      params.push(filters.event);
+    }
+    if (filters.destination) {
+      sql += ' AND destination = ?';
+      params.push(filters.destination);
+    }
+
+    sql += ' ORDER BY id DESC LIMIT ? OFFSET ?';
+    params.push(filters.limit || 50, filters.offset || 0);
+
+    const rows = await this.all(sql, params);
+    return rows.map(deserializeDelivery);
+  }
+
+  async getDelivery(id) {
+    await this.init();
+    const rows = await this.all('SELECT * FROM outbound_deliveries WHERE id = ?', [id]);
+    return rows.length > 0 ? deserializeDelivery(rows[0]) : null;
+  }
+
+  /**
+   * Rimette in coda un delivery fallito
+   * @returns {Promise<boolean>} true se il delivery è stato rimesso in coda
+   */
+  async retryDelivery(id) {
+    await this.init();
+    const now = Date.now();
+    const changes = await this.run(
+      `UPDATE outbound_deliveries SET status = 'pending', attempts = 0, next_attempt_at = ?, updated_at = ? WHERE id = ? AND status = 'failed'`,
+      [now, now, id]
+    );
+
+    if (changes > 0) {
+      log(`🔄 Webhook in uscita #${id} rimesso in coda`);
+      setImmediate(() => this.tick());
+    }
+    return changes > 0;
+  }
+
+  /**
+   * Statistiche per health/admin
+   */
+  async getStats() {
+    await this.init();
+    const rows = await this.all('SELECT event, status, COUNT(*) AS count FROM outbound_deliveries GROUP BY event, status');
+
+    const byStatus = { pending: 0, sending: 0, delivered: 0, failed: 0 };
+    const byEvent = {};
+    rows.forEach(row => {
+      byStatus[row.status] = (byStatus[row.status] || 0) + row.count;
+      byEvent[row.event] = byEvent[row.event] || {};
+      byEvent[row.event][row.status] = row.count;
+    });
+
+    const { dbPath, ...configuration } = getConfig();
+    return {
+      workerRunning: !!this.timer,
+      byStatus,
+      byEvent,
+      configuration
+    };
+  }
+}
+
+function summarize(row) {
+  return {
+    id: row.id,
+    destination: row.destination,
+    status: row.status,
+    attempts: row.attempts,
+    responseStatus: row.response_status ?? null,
+    error: row.last_error || null
+  };
+}
+
+function deserializeDelivery(row) {
+  const parse = (value) => {
+    if (value == null) return null;
+    try {
+      return JSON.parse(value);
+    } catch (e) {
+      return value;
+    }
+  };
+
+  return {
+    id: row.id,
+    event: row.event,
+    destination: row.destination,
+    url: row.url,
+    // Solo i nomi: i valori possono contenere chiavi API
+    headers: row.headers ? Object.keys(parse(row.headers) || {}) : [],
+    payload: parse(row.payload),
+    correlationId: row.correlation_id,
+    status: row.status,
+    attempts: row.attempts,
+    maxAttempts: row.max_attempts,
+    nextAttemptAt: row.status === 'pending' ? new Date(row.next_attempt_at).toISOString() : null,
+    responseStatus: row.response_status,
+    responseBody: row.response_body,
+    lastError: row.last_error,
+    createdAt: new Date(row.created_at).toISOString(),
+    updatedAt: new Date(row.updated_at).toISOString(),
+    deliveredAt: row.delivered_at ? new Date(row.delivered_at).toISOString() : null
+  };
+}
+
+// Istanza singleton
+const outboundWebhookDispatcher = new OutboundWebhookDispatcher();
+
+export default outboundWebhookDispatcher;
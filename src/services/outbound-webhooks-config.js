@@ -0,0 +1,186 @@
+import path from 'path';
+import { createConfigFile } from '../utils/config-file.js';
+
+/**
+ * Outbound Webhooks Config
+ *
+ * Destinazioni dei webhook in uscita per evento (trigger GHL, Zapier, Make...).
+ * File: OUTBOUND_WEBHOOKS_CONFIG_PATH (default config/outbound-webhooks.json)
+ *
+ * {
+ *   "events": {
+ *     "missed_call": [
+ *       { "name": "ghl-missed-call", "url": "https://services.leadconnectorhq.com/hooks/.../webhook-trigger/..." }
+ *     ],
+ *     "appointment_booked": [{
+ *       "name": "slack",
+ *       "url": "https://hooks.slack.com/services/...",
+ *       "headers": { "x-api-key": "..." },           // opzionale
+ *       "payload": { "text": "Appuntamento fissato con {{contact_name}} ({{external_number}})" },
+ *       "maxAttempts": 3                             // opzionale, default OUTBOUND_WEBHOOKS_MAX_ATTEMPTS
+ *     }]
+ *   }
+ * }
+ *
+ * Eventi: missed_call, voicemail, appointment_booked, lead_stage_changed.
+ * Senza "payload" viene inviato il payload dell'evento così com'è.
+ * Nel template "{{percorso}}" è sostituito con il valore del payload dell'evento
+ * (es. {{call_id}}, {{analysis.sentiment}}, {{event}}); un valore che è solo
+ * "{{percorso}}" mantiene il tipo originale (numero, booleano, oggetto).
+ * Senza file missed_call e voicemail vanno al trigger GHL usato prima della
+ * configurazione (LEGACY_GHL_TRIGGER_URL), gli altri eventi non hanno destinazioni.
+ * Un file presente sostituisce questi default: gli eventi non elencati non vengono inviati.
+ */
+
+const EVENTS = ['missed_call', 'voicemail', 'appointment_booked', 'lead_stage_changed'];
+
+// Workflow GHL che riceveva chiamate perse e segreterie prima di OUTBOUND_WEBHOOKS_CONFIG_PATH
+const LEGACY_GHL_TRIGGER_URL = 'https://services.leadconnectorhq.com/hooks/DfxGoORmPoL5Z1OcfYJM/webhook-trigger/873baa5c-928e-428a-ac68-498d954a9ff7';
+
+function getConfigPath() {
+  return process.env.OUTBOUND_WEBHOOKS_CONFIG_PATH || path.join(process.cwd(), 'config', 'outbound-webhooks.json');
+}
+
+function isHttpUrl(value) {
+  return typeof value === 'string' && /^https?:\/\//.test(value);
+}
+
+function buildDefaultConfig() {
+  return {
+    events: {
+      missed_call: [{ name: 'ghl-missed-call', url: LEGACY_GHL_TRIGGER_URL }],
+      voicemail: [{ name: 'ghl-voicemail', url: LEGACY_GHL_TRIGGER_URL }]
+    },
+    source: 'defaults'
+  };
+}
+
+/**
+ * Valida la configurazione
+ * @returns {string[]} Errori (vuoto se valida)
+ */
+function validateOutboundWebhooks(config) {
+  const errors = [];
+
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    return ['config must be an object'];
+  }
+  if (!config.events || typeof config.events !== 'object' || Array.isArray(config.events)) {
+    return ['events must be an object'];
+  }
+
+  Object.entries(config.events).forEach(([event, destinations]) => {
+    if (!EVENTS.includes(event)) {
+      errors.push(`events.${event}: event must be one of ${EVENTS.join(', ')}`);
+    }
+    if (!Array.isArray(destinations)) {
+      errors.push(`events.${event} must be an array of destinations`);
+      return;
+    }
+
+    destinations.forEach((destination, index) => {
+      const where = `events.${event}[${index}]`;
+      if (!isHttpUrl(destination?.url)) {
+        errors.push(`${where}.url must be an http(s) URL`);
+      }
+      if (destination?.name !== undefined && typeof destination.name !== 'string') {
+        errors.push(`${where}.name must be a string`);
+      }
+      if (destination?.headers !== undefined &&
+          (typeof destination.headers !== 'object' || Array.isArray(destination.headers) ||
+           !Object.values(destination.headers).every(value => typeof value === 'string'))) {
+        errors.push(`${where}.headers must be an object of strings`);
+      }
+      if (destination?.payload !== undefined && (typeof destination.payload !== 'object' || destination.payload === null)) {
+        errors.push(`${where}.payload must be an object or an array`);
+      }
+      if (destination?.maxAttempts !== undefined && !(Number.isInteger(destination.maxAttempts) && destination.maxAttempts > 0)) {
+        errors.push(`${where}.maxAttempts must be a positive integer`);
+      }
+    });
+  });
+
+  return errors;
+}
+
+/**
+ * Destinazioni da un file valido, con nome di default "<evento>-<n>"
+ */
+function buildConfig(parsed, configPath) {
+  const events = {};
+  Object.entries(parsed.events).forEach(([event, destinations]) => {
+    events[event] = destinations.map((destination, index) => ({
+      ...destination,
+      name: destination.name || `${event}-${index + 1}`
+    }));
+  });
+
+  return { events, source: configPath };
+}
+
+const configFile = createConfigFile({
+  name: 'Configurazione webhook in uscita',
+  getPath: getConfigPath,
+  buildDefault: buildDefaultConfig,
+  validate: validateOutboundWebhooks,
+  build: buildConfig,
+  describe: (config, configPath) => {
+    const total = Object.values(config.events).reduce((sum, destinations) => sum + destinations.length, 0);
+    return `📡 Webhook in uscita caricati da ${configPath}: ${total} destinazioni`;
+  }
+});
+
+/**
+ * Configurazione attiva, riletta quando il file cambia.
+ * Un file non valido viene segnalato e resta attiva la configurazione precedente.
+ */
+function getOutboundWebhooksConfig() {
+  return configFile.get();
+}
+
+/**
+ * Destinazioni configurate per un evento
+ * @returns {Object[]} [{ name, url, headers?, payload?, maxAttempts? }]
+ */
+function getEventDestinations(event, config = getOutboundWebhooksConfig()) {
+  return config.events[event] || [];
+}
+
+function readPath(data, sourcePath) {
+  return sourcePath.split('.').reduce((value, key) => (value == null ? undefined : value[key]), data);
+}
+
+/**
+ * Applica il template al payload dell'evento
+ * @param {*} template - Oggetto, array o stringa con segnaposto {{percorso}}
+ * @param {Object} data - Payload dell'evento
+ */
+function renderTemplate(template, data) {
+  if (typeof template === 'string') {
+    const single = template.match(/^\{\{\s*([\w.]+)\s*\}\}$/);
+    if (single) {
+      return readPath(data, single[1]) ?? null;
+    }
+    return template.replace(/\{\{\s*([\w.]+)\s*\}\}/g, (match, sourcePath) => {
+      const value = readPath(data, sourcePath);
+      if (value === undefined || value === null) return '';
+      return typeof value === 'object' ? JSON.stringify(value) : String(value);
+    });
+  }
+  if (Array.isArray(template)) {
+    return template.map(item => renderTemplate(item, data));
+  }
+  if (template && typeof template === 'object') {
+    return Object.fromEntries(Object.entries(template).map(([key, value]) => [key, renderTemplate(value, data)]));
+  }
+  return template;
+}
+
+export {
+  EVENTS,
+  LEGACY_GHL_TRIGGER_URL,
+  validateOutboundWebhooks,
+  getOutboundWebhooksConfig,
+  getEventDestinations,
+  renderTemplate
+};
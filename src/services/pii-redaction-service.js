@@ -0,0 +1,227 @@
+import path from 'path';
+import { log, logError } from '../logger.js';
+import piiVault from './pii-vault.js';
+import { BUILTIN_DETECTORS, createRedactor } from '../utils/pii-redaction.js';
+import { createConfigFile } from '../utils/config-file.js';
+
+/**
+ * PII Redaction Service
+ *
+ * Redazione delle trascrizioni prima che lascino il middleware (analisi OpenAI,
+ * note GHL, /api/recordings/:callId/transcript), vedi src/utils/pii-redaction.js.
+ * - PII_REDACTION_MODE: off (default) | masked | tokenized
+ * - rilevatori: PII_REDACTION_CONFIG_PATH (default config/pii-redaction.json)
+ *   {
+ *     "detectors": ["iban", "codice_fiscale", "card", "email"],
+ *     "custom": [{ "name": "partita_iva", "pattern": "\\bIT ?\\d{11}\\b", "flags": "i" }]
+ *   }
+ *   Senza file tutti i rilevatori integrati, nessuno personalizzato.
+ * - copia non redatta cifrata in locale (PII_ENCRYPTION_KEY, vedi pii-vault.js),
+ *   obbligatoria con la redazione attiva: initPiiRedaction() blocca l'avvio senza chiave
+ */
+
+const MODES = ['off', 'masked', 'tokenized'];
+
+function getConfigPath() {
+  return process.env.PII_REDACTION_CONFIG_PATH || path.join(process.cwd(), 'config', 'pii-redaction.json');
+}
+
+function getMode() {
+  const mode = (process.env.PII_REDACTION_MODE || 'off').toLowerCase();
+  return MODES.includes(mode) ? mode : 'off';
+}
+
+function buildDefaultConfig() {
+  return {
+    detectors: [...BUILTIN_DETECTORS],
+    custom: [],
+    source: 'defaults'
+  };
+}
+
+/**
+ * Valida la configurazione dei rilevatori
+ * @returns {string[]} Errori (vuoto se valida)
+ */
+function validatePiiRedactionConfig(config) {
+  const errors = [];
+
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    return ['config must be an object'];
+  }
+
+  if (config.detectors !== undefined) {
+    if (!Array.isArray(config.detectors)) {
+      errors.push('detectors must be an array');
+    } else {
+      config.detectors
+        .filter(name => !BUILTIN_DETECTORS.includes(name))
+        .forEach(name => errors.push(`detectors: unknown detector "${name}" (${BUILTIN_DETECTORS.join(', ')})`));
+    }
+  }
+
+  if (config.custom !== undefined) {
+    if (!Array.isArray(config.custom)) {
+      errors.push('custom must be an array');
+    } else {
+      config.custom.forEach((detector, index) => {
+        const where = `custom[${index}]`;
+        if (typeof detector?.name !== 'string' || !/^[a-z][a-z0-9_]*$/.test(detector.name)) {
+          errors.push(`${where}.name must be a lowercase identifier`);
+        } else if (BUILTIN_DETECTORS.includes(detector.name)) {
+          errors.push(`${where}.name "${detector.name}" is a built-in detector`);
+        }
+        if (detector?.flags !== undefined && (typeof detector.flags !== 'string' || !/^[imsu]*$/.test(detector.flags))) {
+          errors.push(`${where}.flags may only contain i, m, s, u`);
+        }
+        if (typeof detector?.pattern !== 'string' || detector.pattern === '') {
+          errors.push(`${where}.pattern must be a non-empty string`);
+        } else {
+          try {
+            new RegExp(detector.pattern);
+          } catch (error) {
+            errors.push(`${where}.pattern is not a valid regex: ${error.message}`);
+          }
+        }
+      });
+    }
+  }
+
+  return errors;
+}
+
+function describeDetectors(config) {
+  return [...config.detectors, ...config.custom.map(detector => detector.name)].join(', ');
+}
+
+const configFile = createConfigFile({
+  name: 'Configurazione redazione PII',
+  getPath: getConfigPath,
+  buildDefault: buildDefaultConfig,
+  validate: validatePiiRedactionConfig,
+  build: (parsed, configPath) => ({
+    detectors: parsed.detectors || [...BUILTIN_DETECTORS],
+    custom: parsed.custom || [],
+    source: configPath
+  }),
+  describe: (config, configPath) => `🛡️ Rilevatori PII caricati da ${configPath}: ${describeDetectors(config)}`
+});
+
+/**
+ * Configurazione attiva, riletta quando il file cambia.
+ * Un file non valido viene segnalato e resta attiva la configurazione precedente.
+ */
+function getPiiRedactionConfig() {
+  return configFile.get();
+}
+
+/**
+ * Verifica all'avvio modalità, chiave di cifratura e file dei rilevatori.
+ * Con la redazione attiva senza chiave la trascrizione originale (e in
+ * tokenized la mappa dei token) andrebbe persa a ogni chiamata.
+ * @throws {Error} con l'elenco degli errori
+ */
+function initPiiRedaction() {
+  const errors = [];
+  const mode = (process.env.PII_REDACTION_MODE || 'off').toLowerCase();
+
+  if (!MODES.includes(mode)) {
+    errors.push(`PII_REDACTION_MODE "${mode}" must be one of ${MODES.join(', ')}`);
+  } else if (mode !== 'off') {
+    try {
+      if (!piiVault.checkKey()) {
+        errors.push(`PII_REDACTION_MODE=${mode} requires PII_ENCRYPTION_KEY (64 hex chars or base64 of 32 bytes)`);
+      }
+    } catch (error) {
+      errors.push(error.message);
+    }
+  }
+
+  const configPath = getConfigPath();
+  configFile.check().forEach(error => errors.push(`${configPath}: ${error}`));
+
+  if (errors.length > 0) {
+    throw new Error(`❌ Redazione PII non configurata correttamente:\n${errors.join('\n')}`);
+  }
+
+  if (mode !== 'off') {
+    const config = getPiiRedactionConfig();
+    log(`🛡️ Redazione PII attiva (${mode}): ${describeDetectors(config)}`);
+  }
+}
+
+/**
+ * Redige i segmenti come testo continuo per ogni speaker: un dato dettato
+ * su più segmenti (anche intervallati dall'altro speaker) viene trovato per intero
+ */
+function redactSegments(redactor, segments) {
+  const groups = new Map();
+  segments.forEach((segment, index) => {
+    const speaker = segment.speaker ?? null;
+    if (!groups.has(speaker)) groups.set(speaker, []);
+    groups.get(speaker).push(index);
+  });
+
+  const texts = segments.map(segment => segment.text);
+  groups.forEach(indexes => {
+    const redacted = redactor.redactSequence(indexes.map(index => texts[index]));
+    indexes.forEach((index, position) => { texts[index] = redacted[position]; });
+  });
+
+  return segments.map((segment, index) => ({ ...segment, text: texts[index] }));
+}
+
+/**
+ * Redige testo e trascrizione strutturata di una chiamata e salva la copia
+ * originale cifrata. Con PII_REDACTION_MODE=off restituisce i dati invariati.
+ * @param {string|number|null} callId - Senza call id la copia cifrata non viene salvata
+ * @param {Object} data - { transcription, transcript }
+ * @returns {Promise<{transcription: string, transcript: Object, redaction: Object}>}
+ */
+async function redactTranscription(callId, { transcription, transcript }) {
+  const mode = getMode();
+  if (mode === 'off') {
+    return { transcription, transcript, redaction: { mode } };
+  }
+
+  const config = getPiiRedactionConfig();
+  const redactor = createRedactor({ mode, detectors: config.detectors, custom: config.custom });
+
+  const redactedText = redactor.redact(transcription).text;
+  // Conteggi dal testo completo (i segmenti contengono gli stessi dati)
+  const counts = redactor.getCounts();
+  const redacted = {
+    transcription: redactedText,
+    transcript: transcript && {
+      ...transcript,
+      segments: redactSegments(redactor, transcript.segments)
+    }
+  };
+
+  const total = Object.values(counts).reduce((sum, count) => sum + count, 0);
+  const redaction = { mode, counts, vaulted: false };
+
+  if (total > 0) {
+    log(`🛡️ Chiamata ${callId || 'n/d'}: ${total} dati personali redatti (${Object.entries(counts).map(([type, count]) => `${type}: ${count}`).join(', ')})`);
+  }
+
+  if (callId) {
+    try {
+      redaction.vaulted = await piiVault.store(callId, { transcription, transcript, tokens: redactor.getTokens() });
+      if (!redaction.vaulted && total > 0) {
+        logError(`⚠️ PII_ENCRYPTION_KEY non configurata: la trascrizione originale della chiamata ${callId} non è conservata`);
+      }
+    } catch (error) {
+      logError(`❌ Errore salvataggio copia cifrata chiamata ${callId}: ${error.message}`);
+    }
+  }
+
+  return { ...redacted, redaction };
+}
+
+export {
+  initPiiRedaction,
+  validatePiiRedactionConfig,
+  getPiiRedactionConfig,
+  redactTranscription
+};
@@ -0,0 +1,120 @@
+import crypto from 'crypto';
+import path from 'path';
+import { SqliteStore } from '../utils/sqlite-store.js';
+
+/**
+ * PII Vault
+ *
+ * Copia non redatta delle trascrizioni (testo, segmenti e mappa dei token),
+ * cifrata con AES-256-GCM e salvata solo in locale. Chiave: PII_ENCRYPTION_KEY
+ * (32 byte in hex o base64); senza chiave la copia non viene salvata.
+ * Lettura solo da /api/admin/transcripts/:callId/unredacted.
+ */
+
+function getConfig() {
+  return {
+    dbPath: process.env.PII_VAULT_DB_PATH || path.join(process.cwd(), 'data', 'pii-vault.db'),
+    key: process.env.PII_ENCRYPTION_KEY || null
+  };
+}
+
+/**
+ * Chiave AES-256 dalla configurazione
+ * @returns {Buffer|null}
+ * @throws {Error} se la chiave non è di 32 byte
+ */
+function loadKey() {
+  const { key } = getConfig();
+  if (!key) return null;
+
+  const buffer = /^[0-9a-f]{64}$/i.test(key) ? Buffer.from(key, 'hex') : Buffer.from(key, 'base64');
+  if (buffer.length !== 32) {
+    throw new Error('PII_ENCRYPTION_KEY deve essere di 32 byte (64 caratteri hex o base64)');
+  }
+  return buffer;
+}
+
+class PiiVault extends SqliteStore {
+  constructor() {
+    super(() => getConfig().dbPath);
+  }
+
+  isConfigured() {
+    return !!getConfig().key;
+  }
+
+  /**
+   * Verifica la chiave di cifratura
+   * @returns {boolean} false se PII_ENCRYPTION_KEY non è configurata
+   * @throws {Error} se la chiave non è di 32 byte
+   */
+  checkKey() {
+    return loadKey() !== null;
+  }
+
+  async setup() {
+    await this.run(`
+      CREATE TABLE IF NOT EXISTS unredacted_transcripts (
+        call_id TEXT PRIMARY KEY,
+        iv TEXT NOT NULL,
+        auth_tag TEXT NOT NULL,
+        ciphertext TEXT NOT NULL,
+        created_at TEXT NOT NULL
+      )
+    `);
+  }
+
+  /**
+   * Cifra e salva (o sostituisce) la copia non redatta
+   * @param {string|number} callId
+   * @param {Object} data - { transcription, transcript, tokens }
+   * @returns {Promise<boolean>} false se la chiave non è configurata
+   */
+  async store(callId, data) {
+    const key = loadKey();
+    if (!key) return false;
+
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+    const ciphertext = Buffer.concat([cipher.update(JSON.stringify(data), 'utf8'), cipher.final()]);
+
+    await this.init();
+    await this.run(
+      `INSERT OR REPLACE INTO unredacted_transcripts (call_id, iv, auth_tag, ciphertext, created_at)
+       VALUES (?, ?, ?, ?, ?)`,
+      [String(callId), iv.toString('base64'), cipher.getAuthTag().toString('base64'), ciphertext.toString('base64'), new Date().toISOString()]
+    );
+    return true;
+  }
+
+  /**
+   * Copia non redatta decifrata
+   * @returns {Promise<Object|null>} { callId, createdAt, transcription, transcript, tokens }
+   * @throws {Error} senza chiave o se la chiave non corrisponde
+   */
+  async get(callId) {
+    const key = loadKey();
+    if (!key) {
+      throw new Error('PII_ENCRYPTION_KEY non configurata');
+    }
+
+    await this.init();
+    const [row] = await this.all('SELECT * FROM unredacted_transcripts WHERE call_id = ?', [String(callId)]);
+    if (!row) return null;
+
+    const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(row.iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(row.auth_tag, 'base64'));
+    const plaintext = Buffer.concat([decipher.update(Buffer.from(row.ciphertext, 'base64')), decipher.final()]);
+
+    return {
+      callId: row.call_id,
+      createdAt: row.created_at,
+      ...JSON.parse(plaintext.toString('utf8'))
+    };
+  }
+}
+
+// Istanza singleton
+const piiVault = new PiiVault();
+
+export default piiVault;
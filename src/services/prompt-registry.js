@@ -0,0 +1,357 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+import { log, logError } from '../logger.js';
+import { compileTemplate } from '../utils/template-engine.js';
+import { checkSchemaDefinition } from '../utils/json-schema.js';
+import { createConfigFile } from '../utils/config-file.js';
+
+/**
+ * Prompt Registry
+ *
+ * Prompt dell'analisi chiamate (fase 1: dati della chiamata, fase 2: coaching) in
+ * file versionati: prompts/<fase>/<versione>/
+ * - prompt.json: { description, model, temperature, max_tokens, output_mode, schema }
+ *   schema = JSON Schema della risposta (sottoinsieme di src/utils/json-schema.js);
+ *   output_mode = json_schema (structured output, default) | json_object | text, secondo il modello
+ * - system.hbs, user.hbs: messaggi (sintassi di src/utils/template-engine.js, campi in PHASES)
+ * PROMPTS_DIR: cartella con la stessa struttura; aggiunge versioni o sostituisce
+ * quelle del repository, senza deploy.
+ *
+ * Versione attiva e A/B (PROMPT_REGISTRY_CONFIG_PATH, default config/prompt-registry.json):
+ * {
+ *   "phase1": { "active": "v1" },
+ *   "phase2": { "active": "v1", "candidate": "v2", "candidatePercent": 20 }
+ * }
+ * Il 20% delle chiamate usa la candidata; la scelta dipende dal call id, quindi
+ * rielaborare la stessa chiamata usa sempre la stessa versione.
+ * Senza file: v1 per entrambe le fasi. File modificati a runtime vengono ricaricati;
+ * se non sono validi resta attiva la versione precedente.
+ */
+
+const BUILTIN_DIR = fileURLToPath(new URL('../../prompts', import.meta.url));
+
+const PHASES = {
+  phase1: { transcription: 'string', diarized: 'string' },
+  phase2: { transcription: 'string', diarized: 'string', phase1_json: 'string' }
+};
+
+const PROMPT_FILES = ['prompt.json', 'system.hbs', 'user.hbs'];
+const OUTPUT_MODES = ['json_schema', 'json_object', 'text'];
+const VERSION_PATTERN = /^[\w.-]+$/;
+
+function getConfigPath() {
+  return process.env.PROMPT_REGISTRY_CONFIG_PATH || path.join(process.cwd(), 'config', 'prompt-registry.json');
+}
+
+function getSearchDirs() {
+  return [process.env.PROMPTS_DIR, BUILTIN_DIR].filter(Boolean);
+}
+
+/**
+ * Versioni disponibili per una fase (repository + PROMPTS_DIR)
+ * @returns {string[]}
+ */
+function listVersions(phase) {
+  const versions = new Set();
+  getSearchDirs().forEach(dir => {
+    try {
+      fs.readdirSync(path.join(dir, phase), { withFileTypes: true })
+        .filter(entry => entry.isDirectory() && VERSION_PATTERN.test(entry.name))
+        .forEach(entry => versions.add(entry.name));
+    } catch (error) {
+      // Cartella assente
+    }
+  });
+  return [...versions].sort();
+}
+
+/**
+ * Cartella della versione: prima PROMPTS_DIR, poi il repository
+ */
+function resolveVersionDir(phase, version) {
+  return getSearchDirs()
+    .map(dir => path.join(dir, phase, version))
+    .find(dir => fs.existsSync(path.join(dir, 'prompt.json'))) || null;
+}
+
+/**
+ * Valida i metadati di una versione
+ * @returns {string[]} Errori (vuoto se validi)
+ */
+function validatePromptMetadata(metadata) {
+  const errors = [];
+
+  if (!metadata || typeof metadata !== 'object' || Array.isArray(metadata)) {
+    return ['prompt.json must be an object'];
+  }
+  if (typeof metadata.model !== 'string' || metadata.model.trim() === '') {
+    errors.push('model must be a non-empty string');
+  }
+  if (typeof metadata.temperature !== 'number' || metadata.temperature < 0 || metadata.temperature > 2) {
+    errors.push('temperature must be a number between 0 and 2');
+  }
+  if (metadata.max_tokens !== undefined && !(Number.isInteger(metadata.max_tokens) && metadata.max_tokens > 0)) {
+    errors.push('max_tokens must be a positive integer');
+  }
+  if (metadata.output_mode !== undefined && !OUTPUT_MODES.includes(metadata.output_mode)) {
+    errors.push(`output_mode must be one of ${OUTPUT_MODES.join(', ')}`);
+  }
+  if (metadata.schema?.type !== 'object') {
+    errors.push('schema must be a JSON Schema with type "object"');
+  } else {
+    checkSchemaDefinition(metadata.schema).forEach(error => errors.push(error));
+  }
+  if (metadata.description !== undefined && typeof metadata.description !== 'string') {
+    errors.push('description must be a string');
+  }
+  return errors;
+}
+
+const promptCache = new Map();
+
+/**
+ * Compila una versione (riletta se uno dei file è cambiato)
+ * @throws {Error} se la versione non è valida e non c'è una copia precedente
+ */
+function loadPrompt(phase, version) {
+  const key = `${phase}/${version}`;
+  const cached = promptCache.get(key);
+  const dir = resolveVersionDir(phase, version);
+
+  if (!dir) {
+    if (cached) return cached.prompt;
+    throw new Error(`Prompt ${key} non trovato`);
+  }
+
+  let signature;
+  try {
+    signature = PROMPT_FILES.map(file => fs.statSync(path.join(dir, file)).mtimeMs).join(':');
+  } catch (error) {
+    if (cached) return cached.prompt;
+    throw new Error(`Prompt ${key} incompleto (${dir}): servono ${PROMPT_FILES.join(', ')}`);
+  }
+
+  if (cached && cached.dir === dir && cached.signature === signature) {
+    return cached.prompt;
+  }
+
+  try {
+    const metadata = JSON.parse(fs.readFileSync(path.join(dir, 'prompt.json'), 'utf8'));
+    const errors = validatePromptMetadata(metadata);
+    if (errors.length > 0) {
+      throw new Error(errors.join('; '));
+    }
+
+    const system = compileTemplate(fs.readFileSync(path.join(dir, 'system.hbs'), 'utf8'), PHASES[phase]);
+    const user = compileTemplate(fs.readFileSync(path.join(dir, 'user.hbs'), 'utf8'), PHASES[phase]);
+
+    const prompt = {
+      phase,
+      version,
+      description: metadata.description || null,
+      model: metadata.model,
+      temperature: metadata.temperature,
+      maxTokens: metadata.max_tokens || null,
+      outputMode: metadata.output_mode || 'json_schema',
+      schema: metadata.schema,
+      source: dir,
+      render: (context) => ({ system: system.render(context), user: user.render(context) })
+    };
+
+    promptCache.set(key, { dir, signature, prompt });
+    if (cached) {
+      log(`🧠 Prompt ${key} ricaricato da ${dir}`);
+    }
+    return prompt;
+
+  } catch (error) {
+    const message = `Prompt ${key} non valido (${dir}): ${error.message}`;
+    if (!cached) throw new Error(message);
+
+    logError(`❌ ${message} - resta attiva la versione precedente`);
+    cached.signature = signature;
+    return cached.prompt;
+  }
+}
+
+function buildDefaultConfig() {
+  return {
+    phase1: { active: 'v1', candidate: null, candidatePercent: 0 },
+    phase2: { active: 'v1', candidate: null, candidatePercent: 0 },
+    source: 'defaults'
+  };
+}
+
+/**
+ * Valida la configurazione di versioni attive e A/B
+ * @returns {string[]} Errori (vuoto se valida)
+ */
+function validatePromptRegistryConfig(config) {
+  const errors = [];
+
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    return ['config must be an object'];
+  }
+
+  Object.entries(config).forEach(([phase, phaseConfig]) => {
+    if (!PHASES[phase]) {
+      errors.push(`${phase}: phase must be one of ${Object.keys(PHASES).join(', ')}`);
+      return;
+    }
+    const versions = listVersions(phase);
+    ['active', 'candidate'].forEach(field => {
+      const version = phaseConfig?.[field];
+      if (version === undefined || (field === 'candidate' && version === null)) {
+        if (field === 'active') errors.push(`${phase}.active is required`);
+        return;
+      }
+      if (!versions.includes(version)) {
+        errors.push(`${phase}.${field}: version "${version}" not found (${versions.join(', ') || 'none'})`);
+      }
+    });
+    const percent = phaseConfig?.candidatePercent;
+    if (percent !== undefined && !(typeof percent === 'number' && percent >= 0 && percent <= 100)) {
+      errors.push(`${phase}.candidatePercent must be a number between 0 and 100`);
+    }
+    if (phaseConfig?.candidate && percent === undefined) {
+      errors.push(`${phase}.candidatePercent is required with a candidate`);
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Configurazione da un file valido: le fasi non elencate restano su v1
+ */
+function buildConfig(parsed, configPath) {
+  const config = buildDefaultConfig();
+  Object.entries(parsed).forEach(([phase, phaseConfig]) => {
+    config[phase] = {
+      active: phaseConfig.active,
+      candidate: phaseConfig.candidate || null,
+      candidatePercent: phaseConfig.candidate ? phaseConfig.candidatePercent : 0
+    };
+  });
+  config.source = configPath;
+  return config;
+}
+
+const configFile = createConfigFile({
+  name: 'Configurazione prompt registry',
+  getPath: getConfigPath,
+  buildDefault: buildDefaultConfig,
+  validate: validatePromptRegistryConfig,
+  build: buildConfig,
+  describe: (config, configPath) => `🧠 Prompt registry caricato da ${configPath}: ${Object.keys(PHASES).map(phase => describePhase(phase, config)).join(', ')}`
+});
+
+/**
+ * Configurazione attiva, riletta quando il file cambia.
+ * Un file non valido viene segnalato e resta attiva la configurazione precedente.
+ */
+function getPromptRegistryConfig() {
+  return configFile.get();
+}
+
+function describePhase(phase, config) {
+  const { active, candidate, candidatePercent } = config[phase];
+  return candidate ? `${phase} ${active} / ${candidate} ${candidatePercent}%` : `${phase} ${active}`;
+}
+
+/**
+ * Bucket 0-99 della chiamata: stabile per call id, casuale senza
+ */
+function getBucket(callId) {
+  if (callId === null || callId === undefined) {
+    return Math.floor(Math.random() * 100);
+  }
+  return crypto.createHash('sha256').update(String(callId)).digest().readUInt32BE(0) % 100;
+}
+
+/**
+ * Prompt da usare per una chiamata
+ * @param {string} phase - phase1 | phase2
+ * @param {Object} options - { callId }
+ * @returns {{prompt: Object, variant: 'active'|'candidate'}}
+ */
+function selectPrompt(phase, { callId = null } = {}) {
+  if (!PHASES[phase]) {
+    throw new Error(`Fase prompt sconosciuta: ${phase}`);
+  }
+
+  const { active, candidate, candidatePercent } = getPromptRegistryConfig()[phase];
+  if (candidate && getBucket(callId) < candidatePercent) {
+    try {
+      return { prompt: loadPrompt(phase, candidate), variant: 'candidate' };
+    } catch (error) {
+      logError(`❌ Prompt candidato ${phase}/${candidate} non utilizzabile, uso ${active}: ${error.message}`);
+    }
+  }
+  return { prompt: loadPrompt(phase, active), variant: 'active' };
+}
+
+/**
+ * Valida configurazione e tutte le versioni di tutte le fasi
+ * @throws {Error} con l'elenco degli errori
+ */
+function initPromptRegistry() {
+  const errors = [];
+
+  const configPath = getConfigPath();
+  configFile.check().forEach(error => errors.push(`${configPath}: ${error}`));
+
+  Object.keys(PHASES).forEach(phase => {
+    listVersions(phase).forEach(version => {
+      try {
+        loadPrompt(phase, version);
+      } catch (error) {
+        errors.push(error.message);
+      }
+    });
+  });
+
+  if (errors.length > 0) {
+    throw new Error(`❌ Prompt analisi non validi:\n${errors.join('\n')}`);
+  }
+
+  const config = getPromptRegistryConfig();
+  log(`🧠 Prompt analisi validati: ${Object.keys(PHASES).map(phase => describePhase(phase, config)).join(', ')}`);
+}
+
+/**
+ * Stato per /api/admin/prompts
+ */
+function getPromptRegistryStatus() {
+  const config = getPromptRegistryConfig();
+  const phases = {};
+
+  Object.keys(PHASES).forEach(phase => {
+    phases[phase] = {
+      ...config[phase],
+      versions: listVersions(phase).map(version => {
+        try {
+          const prompt = loadPrompt(phase, version);
+          return { version, description: prompt.description, model: prompt.model, temperature: prompt.temperature, source: prompt.source };
+        } catch (error) {
+          return { version, error: error.message };
+        }
+      })
+    };
+  });
+
+  return { source: config.source, phases };
+}
+
+export {
+  PHASES,
+  listVersions,
+  validatePromptMetadata,
+  validatePromptRegistryConfig,
+  getPromptRegistryConfig,
+  selectPrompt,
+  initPromptRegistry,
+  getPromptRegistryStatus
+};
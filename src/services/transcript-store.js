@@ -0,0 +1,72 @@
+import path from 'path';
+import { SqliteStore } from '../utils/sqlite-store.js';
+
+/**
+ * Transcript Store
+ *
+ * Trascrizioni strutturate per call id (segmenti con tempi e speaker, vedi
+ * src/utils/transcript-format.js), esposte da /api/recordings/:callId/transcript.
+ * Una nuova elaborazione della stessa chiamata sostituisce la trascrizione.
+ */
+
+function getConfig() {
+  return {
+    dbPath: process.env.TRANSCRIPTS_DB_PATH || path.join(process.cwd(), 'data', 'transcripts.db')
+  };
+}
+
+class TranscriptStore extends SqliteStore {
+  constructor() {
+    super(() => getConfig().dbPath);
+  }
+
+  async setup() {
+    await this.run(`
+      CREATE TABLE IF NOT EXISTS transcripts (
+        call_id TEXT PRIMARY KEY,
+        transcript TEXT NOT NULL,
+        provider TEXT,
+        diarized INTEGER NOT NULL DEFAULT 0,
+        recording_url TEXT,
+        created_at TEXT NOT NULL
+      )
+    `);
+  }
+
+  /**
+   * Salva (o sostituisce) la trascrizione della chiamata
+   * @param {string|number} callId
+   * @param {Object} transcript - Trascrizione strutturata
+   * @param {Object} options - { recordingUrl }
+   */
+  async save(callId, transcript, { recordingUrl = null } = {}) {
+    await this.init();
+    await this.run(
+      `INSERT OR REPLACE INTO transcripts (call_id, transcript, provider, diarized, recording_url, created_at)
+       VALUES (?, ?, ?, ?, ?, ?)`,
+      [String(callId), JSON.stringify(transcript), transcript.provider, transcript.diarized ? 1 : 0, recordingUrl, new Date().toISOString()]
+    );
+  }
+
+  /**
+   * Trascrizione della chiamata
+   * @returns {Promise<Object|null>} { callId, recordingUrl, createdAt, transcript }
+   */
+  async get(callId) {
+    await this.init();
+    const [row] = await this.all('SELECT * FROM transcripts WHERE call_id = ?', [String(callId)]);
+    if (!row) return null;
+
+    return {
+      callId: row.call_id,
+      recordingUrl: row.recording_url,
+      createdAt: row.created_at,
+      transcript: JSON.parse(row.transcript)
+    };
+  }
+}
+
+// Istanza singleton
+const transcriptStore = new TranscriptStore();
+
+export default transcriptStore;
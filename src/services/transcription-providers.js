@@ -0,0 +1,232 @@
+import fs from 'fs';
+import fsPromises from 'fs/promises';
+import path from 'path';
+import os from 'os';
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import { log, logError } from '../logger.js';
+import { isOpenAIConfigured, getOpenAIClient } from './openai-client.js';
+
+const execFileAsync = promisify(execFile);
+
+/**
+ * Transcription Providers
+ *
+ * Ogni provider trascrive un file audio:
+ *   transcribe(filePath, { language, vocabulary }) → { text, segments: [{ start, end, text }] }
+ *   isConfigured() → { ok, reason? }
+ *
+ * Provider disponibili:
+ * - openai: Whisper API (whisper-1); vocabolario nel prompt
+ * - local:  whisper.cpp o faster-whisper da riga di comando, offline;
+ *           vocabolario come prompt iniziale (--prompt / --initial_prompt)
+ * - fake:   testo fisso (FAKE_TRANSCRIPTION_TEXT), una frase ogni 4 secondi,
+ *           per test e sviluppo; il vocabolario è ignorato
+ *
+ * Ordine (TRANSCRIPTION_PROVIDERS, default "openai"): es. "openai,local" usa il
+ * modello locale quando OpenAI non è configurato o la richiesta fallisce.
+ */
+
+const DEFAULT_PROVIDERS = 'openai';
+const LOCAL_TIMEOUT_MS = 10 * 60 * 1000;
+
+const DEFAULT_FAKE_TRANSCRIPTION = 'Buongiorno, sono Marco di Squadd. La chiamo per la richiesta che ha lasciato sul nostro sito. ' +
+  'Sì, buongiorno. Ci interessa capire come funziona il CRM per il nostro team vendita. ' +
+  'Perfetto, le propongo un appuntamento per una demo giovedì alle 15. Va benissimo, grazie.';
+
+// Configurazione letta in modo lazy: il modulo può essere importato prima di dotenv
+function getConfig() {
+  const engine = (process.env.LOCAL_WHISPER_ENGINE || 'whisper.cpp').toLowerCase();
+  const timeoutMs = parseInt(process.env.LOCAL_WHISPER_TIMEOUT_MS, 10);
+  return {
+    providers: (process.env.TRANSCRIPTION_PROVIDERS || DEFAULT_PROVIDERS)
+      .split(',')
+      .map(name => name.trim().toLowerCase())
+      .filter(Boolean),
+    local: {
+      engine,
+      command: process.env.LOCAL_WHISPER_COMMAND || (engine === 'faster-whisper' ? 'whisper-ctranslate2' : 'whisper-cli'),
+      model: process.env.LOCAL_WHISPER_MODEL || (engine === 'faster-whisper' ? 'small' : null),
+      timeoutMs: Number.isNaN(timeoutMs) ? LOCAL_TIMEOUT_MS : timeoutMs
+    },
+    fakeText: process.env.FAKE_TRANSCRIPTION_TEXT || DEFAULT_FAKE_TRANSCRIPTION
+  };
+}
+
+/**
+ * Prompt iniziale con il vocabolario (Whisper lo usa come contesto, non come vincolo)
+ */
+function buildVocabularyPrompt(vocabulary = []) {
+  const base = 'Trascrizione di una chiamata telefonica aziendale.';
+  return vocabulary.length > 0 ? `${base} Vocabolario: ${vocabulary.join(', ')}` : base;
+}
+
+const openaiProvider = {
+  name: 'openai',
+
+  isConfigured() {
+    return isOpenAIConfigured() ? { ok: true } : { ok: false, reason: 'OPENAI_API_KEY non configurata' };
+  },
+
+  async transcribe(filePath, { language, vocabulary }) {
+    const response = await getOpenAIClient().audio.transcriptions.create({
+      file: fs.createReadStream(filePath),
+      model: 'whisper-1',
+      language,
+      prompt: buildVocabularyPrompt(vocabulary),
+      response_format: 'verbose_json',
+      timestamp_granularities: ['segment']
+    });
+    return {
+      text: response.text,
+      segments: (response.segments || []).map(({ start, end, text }) => ({ start, end, text }))
+    };
+  }
+};
+
+const localProvider = {
+  name: 'local',
+
+  isConfigured() {
+    const { local } = getConfig();
+    if (!['whisper.cpp', 'faster-whisper'].includes(local.engine)) {
+      return { ok: false, reason: `LOCAL_WHISPER_ENGINE non valido: ${local.engine} (whisper.cpp | faster-whisper)` };
+    }
+    if (local.engine === 'whisper.cpp' && (!local.model || !fs.existsSync(local.model))) {
+      return { ok: false, reason: `modello whisper.cpp non trovato (LOCAL_WHISPER_MODEL=${local.model || ''})` };
+    }
+    return { ok: true };
+  },
+
+  async transcribe(filePath, { language, vocabulary }) {
+    const { local } = getConfig();
+    const workDir = await fsPromises.mkdtemp(path.join(os.tmpdir(), 'whisper-'));
+    const execOptions = { timeout: local.timeoutMs, maxBuffer: 20 * 1024 * 1024 };
+
+    try {
+      if (local.engine === 'whisper.cpp') {
+        // whisper.cpp accetta solo WAV 16 kHz mono
+        const wavPath = path.join(workDir, 'audio.wav');
+        await execFileAsync('ffmpeg', ['-y', '-i', filePath, '-ar', '16000', '-ac', '1', '-c:a', 'pcm_s16le', wavPath], execOptions);
+
+        const outputBase = path.join(workDir, 'transcript');
+        await execFileAsync(local.command, [
+          '-m', local.model,
+          '-f', wavPath,
+          '-l', language,
+          '--prompt', buildVocabularyPrompt(vocabulary),
+          '-oj', '-of', outputBase
+        ], execOptions);
+
+        // Tempi in millisecondi in offsets.from / offsets.to
+        const output = JSON.parse(await fsPromises.readFile(`${outputBase}.json`, 'utf8'));
+        const segments = (output.transcription || []).map(item => ({
+          start: item.offsets.from / 1000,
+          end: item.offsets.to / 1000,
+          text: item.text
+        }));
+        return { text: segments.map(segment => segment.text.trim()).join(' '), segments };
+      }
+
+      await execFileAsync(local.command, [
+        filePath,
+        '--model', local.model,
+        '--language', language,
+        '--initial_prompt', buildVocabularyPrompt(vocabulary),
+        '--output_format', 'json',
+        '--output_dir', workDir
+      ], execOptions);
+
+      const outputName = `${path.basename(filePath, path.extname(filePath))}.json`;
+      const output = JSON.parse(await fsPromises.readFile(path.join(workDir, outputName), 'utf8'));
+      return {
+        text: String(output.text || '').trim(),
+        segments: (output.segments || []).map(({ start, end, text }) => ({ start, end, text }))
+      };
+
+    } finally {
+      await fsPromises.rm(workDir, { recursive: true, force: true });
+    }
+  }
+};
+
+const fakeProvider = {
+  name: 'fake',
+
+  isConfigured() {
+    return { ok: true };
+  },
+
+  async transcribe() {
+    const text = getConfig().fakeText;
+    const sentences = text.split(/(?<=[.!?])\s+/).filter(sentence => sentence.trim() !== '');
+    return {
+      text,
+      segments: sentences.map((sentence, index) => ({ start: index * 4, end: index * 4 + 4, text: sentence.trim() }))
+    };
+  }
+};
+
+const PROVIDERS = {
+  [openaiProvider.name]: openaiProvider,
+  [localProvider.name]: localProvider,
+  [fakeProvider.name]: fakeProvider
+};
+
+/**
+ * Provider nell'ordine configurato (i nomi sconosciuti sono segnalati e saltati)
+ * @returns {Object[]}
+ */
+function getProviderChain() {
+  return getConfig().providers.filter(name => {
+    if (PROVIDERS[name]) return true;
+    logError(`❌ Provider di trascrizione sconosciuto "${name}" (${Object.keys(PROVIDERS).join(', ')})`);
+    return false;
+  }).map(name => PROVIDERS[name]);
+}
+
+/**
+ * Trascrive con il primo provider disponibile, passando al successivo se non è
+ * configurato o se la trascrizione fallisce
+ * @param {string} filePath - File audio
+ * @param {Object} options - { language, vocabulary }
+ * @returns {Promise<{success: boolean, transcription?: string, segments?: Object[], provider?: string, attempts: Object[], error?: string}>}
+ */
+async function transcribeWithFallback(filePath, { language = 'it', vocabulary = [] } = {}) {
+  const attempts = [];
+
+  for (const provider of getProviderChain()) {
+    const status = provider.isConfigured();
+    if (!status.ok) {
+      attempts.push({ provider: provider.name, skipped: true, error: status.reason });
+      continue;
+    }
+
+    try {
+      const { text, segments } = await provider.transcribe(filePath, { language, vocabulary });
+      if (attempts.length > 0) {
+        log(`🔁 Trascrizione con provider di riserva "${provider.name}" (${attempts.map(attempt => attempt.provider).join(', ')} non disponibili)`);
+      }
+      attempts.push({ provider: provider.name, success: true });
+      return { success: true, transcription: text, segments, provider: provider.name, attempts };
+    } catch (error) {
+      logError(`❌ Trascrizione con "${provider.name}" fallita: ${error.message}`);
+      attempts.push({ provider: provider.name, error: error.message });
+    }
+  }
+
+  return {
+    success: false,
+    attempts,
+    error: attempts.length > 0
+      ? attempts.map(attempt => `${attempt.provider}: ${attempt.error}`).join('; ')
+      : 'Nessun provider di trascrizione configurato (TRANSCRIPTION_PROVIDERS)'
+  };
+}
+
+export {
+  PROVIDERS,
+  buildVocabularyPrompt,
+  getProviderChain,
+  transcribeWithFallback
+};
@@ -1,16 +1,18 @@
-import OpenAI from 'openai';
 import fs from 'fs/promises';
 import path from 'path';
 import fetch from 'node-fetch';
 import { log, logError } from '../logger.js';
+import { renderNote } from './note-templates.js';
+import { getOpenAIClient } from './openai-client.js';
+import { transcribeWithFallback } from './transcription-providers.js';
+import transcriptStore from './transcript-store.js';
+import { redactTranscription } from './pii-redaction-service.js';
+import { selectPrompt } from './prompt-registry.js';
+import { validateJson, applySchemaDefaults, toStrictSchema } from '../utils/json-schema.js';
+import { normalizeSegments, buildTranscript, toPlainText } from '../utils/transcript-format.js';
 import { execSync } from 'child_process';
 
-// Initialize OpenAI client
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY
-});
-
-// Custom vocabulary for Squadd call transcription accuracy
+// Custom vocabulary for Squadd call transcription accuracy (passed to every transcription provider)
 const CUSTOM_VOCABULARY = [
   // Squadd specific terms
   'Squadd', 'CRM', 'Workflow', 'Automazioni', 'Appuntamento',
@@ -75,7 +77,7 @@ async function downloadAudio(audioUrl) {
 /**
  * Check and convert audio file format if needed
  * @param {string} filePath - Path to audio file
- * @returns {Promise<{success: boolean, convertedPath?: string, error?: string}>}
+ * @returns {Promise<{success: boolean, convertedPath?: string, channels?: number, error?: string}>}
  */
 async function checkAndConvertAudio(filePath) {
   try {
@@ -91,10 +93,12 @@ async function checkAndConvertAudio(filePath) {
 
     // Try to get audio info with ffprobe (if available)
     let needsConversion = false;
+    let channels = null;
     try {
-      const ffprobeOutput = execSync(`ffprobe -v quiet -print_format json -show_format "${filePath}"`, { encoding: 'utf8' });
+      const ffprobeOutput = execSync(`ffprobe -v quiet -print_format json -show_format -show_streams "${filePath}"`, { encoding: 'utf8' });
       const audioInfo = JSON.parse(ffprobeOutput);
-      log(`🎵 Audio format: ${audioInfo.format.format_name}`);
+      channels = (audioInfo.streams || []).find(stream => stream.codec_type === 'audio')?.channels || null;
+      log(`🎵 Audio format: ${audioInfo.format.format_name} (${channels || '?'} channels)`);
 
       // Check if it's a supported format
       const supportedFormats = ['wav', 'mp3', 'flac', 'm4a', 'ogg'];
@@ -119,13 +123,15 @@ async function checkAndConvertAudio(filePath) {
 
       return {
         success: true,
-        convertedPath: convertedPath
+        convertedPath: convertedPath,
+        channels: channels
       };
     }
 
     return {
       success: true,
-      convertedPath: filePath // No conversion needed
+      convertedPath: filePath, // No conversion needed
+      channels: channels
     };
 
   } catch (error) {
@@ -138,11 +144,75 @@ async function checkAndConvertAudio(filePath) {
 }
 
 /**
- * Transcribe audio file using OpenAI Whisper
+ * Speaker of each stereo channel: CloudTalk records the agent on one channel and the
+ * other party on the other (TRANSCRIPT_SETTER_CHANNEL=left|right, default left)
+ */
+function getChannelSpeakers() {
+  return (process.env.TRANSCRIPT_SETTER_CHANNEL || 'left').toLowerCase() === 'right'
+    ? { left: 'lead', right: 'setter' }
+    : { left: 'setter', right: 'lead' };
+}
+
+/**
+ * Split a stereo recording into one mono file per channel
+ * @param {string} filePath - Path to stereo audio file
+ * @returns {{left: string, right: string}} Paths of the channel files
+ */
+function splitStereoChannels(filePath) {
+  const leftPath = filePath.replace(/\.[^/.]+$/, '_left.wav');
+  const rightPath = filePath.replace(/\.[^/.]+$/, '_right.wav');
+
+  execSync(`ffmpeg -y -i "${filePath}" -filter_complex "[0:a]channelsplit=channel_layout=stereo[left][right]" ` +
+    `-map "[left]" -acodec pcm_s16le -ar 16000 "${leftPath}" -map "[right]" -acodec pcm_s16le -ar 16000 "${rightPath}"`, {
+    stdio: 'pipe'
+  });
+
+  log(`🔀 Stereo recording split into ${leftPath} and ${rightPath}`);
+  return { left: leftPath, right: rightPath };
+}
+
+/**
+ * Transcribe one file or, for diarization, one file per channel
+ * @param {Object[]} sources - [{ filePath, speaker }]
+ * @returns {Promise<Object>} Structured transcript (see src/utils/transcript-format.js)
+ */
+async function transcribeSources(sources) {
+  const segments = [];
+  const providers = [];
+
+  for (const source of sources) {
+    const result = await transcribeWithFallback(source.filePath, {
+      language: 'it', // Italian
+      vocabulary: CUSTOM_VOCABULARY
+    });
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+
+    const channelSegments = result.segments?.length > 0
+      ? result.segments
+      : [{ start: 0, end: 0, text: result.transcription }];
+    segments.push(...normalizeSegments(channelSegments, source.speaker));
+    providers.push(result.provider);
+  }
+
+  return buildTranscript({
+    segments,
+    language: 'it',
+    provider: [...new Set(providers)].join(','),
+    diarized: sources.some(source => source.speaker)
+  });
+}
+
+/**
+ * Transcribe audio file with the configured providers (TRANSCRIPTION_PROVIDERS, in fallback order).
+ * Stereo recordings are split per channel so every segment has its speaker.
  * @param {string} filePath - Path to audio file
- * @returns {Promise<{success: boolean, transcription?: string, error?: string}>}
+ * @returns {Promise<{success: boolean, transcription?: string, transcript?: object, provider?: string, error?: string}>}
  */
 async function transcribeAudio(filePath) {
+  const tempFiles = [];
+
   try {
     log(`🎤 Transcribing audio file: ${filePath}`);
 
@@ -155,33 +225,35 @@ async function transcribeAudio(filePath) {
     } else if (!conversionResult.success) {
       log(`⚠️ Audio conversion failed, trying original file: ${conversionResult.error}`);
     }
-
-    // Create a readable stream for the audio file
-    const fileStream = (await import('fs')).default.createReadStream(audioFileToUse);
-
-    const transcription = await openai.audio.transcriptions.create({
-      file: fileStream,
-      model: 'whisper-1',
-      language: 'it', // Italian
-      prompt: `Trascrizione di una chiamata telefonica aziendale. Vocabolario: ${CUSTOM_VOCABULARY.join(', ')}`,
-      response_format: 'text'
-    });
-
-    // Clean up converted file if it was created
     if (audioFileToUse !== filePath) {
+      tempFiles.push(audioFileToUse);
+    }
+
+    let sources = [{ filePath: audioFileToUse, speaker: null }];
+    if (conversionResult.channels === 2 && process.env.TRANSCRIPT_DIARIZATION !== 'false') {
       try {
-        await fs.unlink(audioFileToUse);
-        log(`🗑️ Cleaned up converted file: ${audioFileToUse}`);
+        const channelFiles = splitStereoChannels(audioFileToUse);
+        tempFiles.push(channelFiles.left, channelFiles.right);
+        const speakers = getChannelSpeakers();
+        sources = [
+          { filePath: channelFiles.left, speaker: speakers.left },
+          { filePath: channelFiles.right, speaker: speakers.right }
+        ];
       } catch (error) {
-        log(`⚠️ Could not clean up converted file: ${error.message}`);
+        log(`⚠️ Could not split stereo channels, transcribing without speakers: ${error.message}`);
       }
     }
 
-    log(`✅ Transcription completed: ${transcription.length} characters`);
+    const transcript = await transcribeSources(sources);
+    const transcription = toPlainText(transcript);
+
+    log(`✅ Transcription completed with ${transcript.provider}: ${transcript.segments.length} segments, ${transcription.length} characters${transcript.diarized ? ' (diarized)' : ''}`);
 
     return {
       success: true,
-      transcription: transcription
+      transcription: transcription,
+      transcript: transcript,
+      provider: transcript.provider
     };
 
   } catch (error) {
@@ -190,20 +262,32 @@ async function transcribeAudio(filePath) {
       success: false,
       error: error.message
     };
+
+  } finally {
+    // Clean up converted and channel files
+    for (const tempFile of tempFiles) {
+      try {
+        await fs.unlink(tempFile);
+        log(`🗑️ Cleaned up converted file: ${tempFile}`);
+      } catch (error) {
+        log(`⚠️ Could not clean up converted file: ${error.message}`);
+      }
+    }
   }
 }
 
 /**
  * Two-phase analysis system for Squadd sales calls
  * @param {string} transcription - The transcribed text
+ * @param {Object} options - { diarized: lines already labelled SETTER:/LEAD: from the audio channels, callId: A/B prompt routing }
  * @returns {Promise<{success: boolean, analysis?: object, error?: string}>}
  */
-export async function extractKeyPoints(transcription) {
+export async function extractKeyPoints(transcription, { diarized = false, callId = null } = {}) {
   try {
     log(`🔍 Starting two-phase Squadd call analysis...`);
 
     // PHASE 1: Initial analysis and speaker identification
-    const phase1Result = await performPhase1Analysis(transcription);
+    const phase1Result = await performPhase1Analysis(transcription, { diarized, callId });
     if (!phase1Result.success) {
       return phase1Result;
     }
@@ -216,7 +300,8 @@ export async function extractKeyPoints(transcription) {
         success: true,
         analysis: {
           ...phase1Result.analysis,
-          coaching: null // No coaching for non-substantial calls
+          coaching: null, // No coaching for non-substantial calls
+          prompts: { phase1: phase1Result.prompt }
         }
       };
     }
@@ -228,13 +313,14 @@ export async function extractKeyPoints(transcription) {
         success: true,
         analysis: {
           ...phase1Result.analysis,
-          coaching: null // No coaching for voicemail calls
+          coaching: null, // No coaching for voicemail calls
+          prompts: { phase1: phase1Result.prompt }
         }
       };
     }
 
     // PHASE 2: Validation and coaching feedback (only for substantial calls)
-    const phase2Result = await performPhase2Coaching(transcription, phase1Result.analysis);
+    const phase2Result = await performPhase2Coaching(transcription, phase1Result.analysis, { diarized, callId });
     if (!phase2Result.success) {
       return phase2Result;
     }
@@ -245,7 +331,8 @@ export async function extractKeyPoints(transcription) {
       success: true,
       analysis: {
         ...phase1Result.analysis,
-        coaching: phase2Result.coaching
+        coaching: phase2Result.coaching,
+        prompts: { phase1: phase1Result.prompt, phase2: phase2Result.prompt }
       }
     };
 
@@ -259,71 +346,144 @@ export async function extractKeyPoints(transcription) {
 }
 
 /**
- * Phase 1: Speaker identification and basic call analysis
+ * response_format for the prompt's output_mode (json_schema = OpenAI structured output, strict)
  */
-async function performPhase1Analysis(transcription) {
+function buildResponseFormat(prompt) {
+  if (prompt.outputMode === 'json_schema') {
+    return {
+      type: 'json_schema',
+      json_schema: {
+        name: `${prompt.phase}_${prompt.version}`.replace(/[^\w-]/g, '_'),
+        strict: true,
+        schema: toStrictSchema(prompt.schema)
+      }
+    };
+  }
+  if (prompt.outputMode === 'json_object') {
+    return { type: 'json_object' };
+  }
+  return null;
+}
+
+/**
+ * Parse and validate a model response; prose around the JSON object and code fences are tolerated
+ * @returns {{output: Object|null, errors: string[]}}
+ */
+function parseModelOutput(content, schema) {
+  if (!content) {
+    return { output: null, errors: ['empty response'] };
+  }
+
+  const start = content.indexOf('{');
+  const end = content.lastIndexOf('}');
+  let output;
   try {
-    log(`📋 Phase 1: Analyzing speakers and extracting call data...`);
-
-    const completion = await openai.chat.completions.create({
-      model: 'gpt-4.1',
-      messages: [
-        {
-          role: 'system',
-          content: `Sei un analista esperto di chiamate commerciali per Squadd (CRM SaaS B2B).
-
-CONTESTO: I setter di Squadd chiamano lead aziendali per qualificarli e fissare appuntamenti demo.
-
-IDENTIFICAZIONE SPEAKER:
-- SETTER: Si presenta come Squadd, fa domande sul business del lead, propone appuntamenti
-- LEAD: Risponde a domande sulla propria azienda, chiede informazioni su Squadd
-
-IMPORTANTE: Rileva il tipo di chiamata:
-- SOSTANZIOSA: Dialogo reale tra setter e lead con contenuto commerciale significativo
-- NON AVVENUTA: Chiamate brevi, accordi per ricontattarsi, rifiuti immediati, note tecniche, test
-- SEGRETERIA: Messaggio registrato di segreteria telefonica, nessuna conversazione reale
-
-ANALIZZA e rispondi in JSON:
-{
-  "call_type": "sostanziosa/non_sostanziosa/segreteria",
-  "call_summary": "Se non sostanziosa, riassunto veloce di cosa è successo nella chiamata (es: 'Lead e setter si sono accordati per risentirsi domani alle 15:00' oppure 'Lead ha mostrato disinteresse immediato')",
-  "speakers": {
-    "setter_identified": true/false,
-    "lead_identified": true/false,
-    "confidence": "Alta/Media/Bassa"
-  },
-  "call_outcome": {
-    "appuntamento_fissato": true/false,
-    "motivo_se_non_fissato": "spiegazione breve"
-  },
-  "lead_info": {
-    "azienda": "nome azienda se menzionato",
-    "settore": "settore business se chiaro",
-    "software_attuale": "software già in uso",
-    "team_vendita": "sì/no/non chiaro",
-    "fa_pubblicità": "sì/no/non chiaro"
-  },
-  "sentiment": "Positivo/Neutro/Negativo",
-  "note_aggiuntive": "osservazioni importanti"
-}`
-        },
-        {
-          role: 'user',
-          content: `Analizza questa chiamata Squadd:\n\n${transcription}`
-        }
-      ],
-      temperature: 0.2,
-      max_tokens: 800
+    output = JSON.parse(content);
+  } catch (error) {
+    try {
+      if (start === -1 || end <= start) throw error;
+      output = JSON.parse(content.slice(start, end + 1));
+    } catch (innerError) {
+      return { output: null, errors: [`not valid JSON: ${innerError.message}`] };
+    }
+  }
+
+  return { output, errors: validateJson(output, schema) };
+}
+
+/**
+ * Chat completion for a prompt version from the registry (model, temperature and messages come from the prompt files).
+ * An output that does not match the prompt schema gets one repair round-trip; if it is still invalid
+ * the missing or invalid fields fall back to the schema defaults, so the result always matches the schema.
+ * @returns {Promise<{output: Object, validation: 'valid'|'repaired'|'defaults'}>}
+ */
+async function runPrompt(prompt, context) {
+  const { system, user } = prompt.render(context);
+  const responseFormat = buildResponseFormat(prompt);
+  const label = `${prompt.phase}/${prompt.version}`;
+
+  const complete = async (messages) => {
+    const completion = await getOpenAIClient().chat.completions.create({
+      model: prompt.model,
+      messages,
+      temperature: prompt.temperature,
+      ...(prompt.maxTokens ? { max_tokens: prompt.maxTokens } : {}),
+      ...(responseFormat ? { response_format: responseFormat } : {})
     });
+    const choice = completion.choices[0];
+    if (choice.finish_reason === 'length') {
+      log(`⚠️ ${label}: response truncated at max_tokens`);
+    }
+    return choice.message.content;
+  };
+
+  const messages = [
+    { role: 'system', content: system },
+    { role: 'user', content: user }
+  ];
+
+  const content = await complete(messages);
+  const first = parseModelOutput(content, prompt.schema);
+  if (first.errors.length === 0) {
+    return { output: first.output, validation: 'valid' };
+  }
+
+  log(`⚠️ ${label}: output does not match the schema (${first.errors.slice(0, 5).join('; ')}), requesting a repair`);
+
+  let repaired = { output: null, errors: ['repair request failed'] };
+  try {
+    const repairContent = await complete([
+      ...messages,
+      { role: 'assistant', content: content || '' },
+      {
+        role: 'user',
+        content: `La risposta precedente non rispetta lo schema richiesto:
+${first.errors.map(error => `- ${error}`).join('\n')}
+
+Rispondi di nuovo solo con l'oggetto JSON completo e corretto, senza altro testo. Schema:
+${JSON.stringify(prompt.schema)}`
+      }
+    ]);
+    repaired = parseModelOutput(repairContent, prompt.schema);
+  } catch (error) {
+    logError(`❌ ${label}: repair request failed: ${error.message}`);
+  }
 
-    const response = completion.choices[0].message.content;
-    const analysis = JSON.parse(response);
+  if (repaired.errors.length === 0) {
+    log(`🔧 ${label}: output repaired`);
+    return { output: repaired.output, validation: 'repaired' };
+  }
+
+  const fallback = [repaired.output, first.output].find(output => output && typeof output === 'object') || {};
+  logError(`❌ ${label}: output still invalid after repair (${repaired.errors.slice(0, 5).join('; ')}), using schema defaults`);
+  return { output: applySchemaDefaults(fallback, prompt.schema), validation: 'defaults' };
+}
+
+/**
+ * Prompt version details stored with the analysis
+ */
+function describePrompt({ prompt, variant }, validation) {
+  return { version: prompt.version, variant, model: prompt.model, validation };
+}
+
+/**
+ * Phase 1: Speaker identification and basic call analysis
+ * With a diarized transcript the speakers come from the recording channels instead of being guessed
+ * @param {Object} options - { diarized, callId: picks the A/B variant (see prompt-registry.js) }
+ */
+async function performPhase1Analysis(transcription, { diarized = false, callId = null } = {}) {
+  try {
+    const selected = selectPrompt('phase1', { callId });
+    log(`📋 Phase 1: Analyzing speakers and extracting call data (prompt ${selected.prompt.version}, ${selected.variant})...`);
+
+    const { output: analysis, validation } = await runPrompt(selected.prompt, { transcription, diarized });
 
     log(`✅ Phase 1 completed - speakers identified: ${analysis.speakers.confidence}`);
 
     return {
       success: true,
-      analysis: analysis
+      analysis: analysis,
+      prompt: describePrompt(selected, validation)
     };
 
   } catch (error) {
@@ -337,82 +497,25 @@ ANALIZZA e rispondi in JSON:
 
 /**
  * Phase 2: BANT analysis and coaching feedback according to Squadd framework
+ * @param {Object} options - { diarized, callId: picks the A/B variant (see prompt-registry.js) }
  */
-async function performPhase2Coaching(transcription, phase1Analysis) {
+async function performPhase2Coaching(transcription, phase1Analysis, { diarized = false, callId = null } = {}) {
   try {
-    log(`🎯 Phase 2: BANT analysis and coaching feedback...`);
-
-    const completion = await openai.chat.completions.create({
-      model: 'gpt-4.1',
-      messages: [
-        {
-          role: 'system',
-          content: `Sei un coach di chiamata esperto per Squadd.
-Dal trascritto di chiamata che ricevi, e basandoti sulle regole che hai, dai un verdetto alla chiamata.
-
-# Ruolo e Obiettivo
-L'obiettivo è assicurarsi che il setter segua lo script, faccia un'analisi corretta, e non lasci spazio a dubbi.
-
-Prima di dare qualsiasi feedback (scritto normalmente, a mo' di paragrafo), dai un riassunto:
-
-## Categorie di lead:
-🟢 Categoria 1 - Conosce già il software GoHighLevel oppure uno dei competitor: Delera, Leadfather, Arcanis, Growi, Unique.ai
-🔵 Categoria 2 - Usa già software di marketing, CRM o automazioni.
-🟡 Categoria 3 - Non usa nessuno strumento, o al massimo fogli Google e similari, ma riconsoce di avere un problema ed è chiaro che sia alla ricerca di una soluzione.
-🔴 Categoria 4 - Non usa strumenti di nessun tipo, e non gli è chiaro il tipo di problema che ha. L'obiettivo qui è capire se la persona vuole comunque migliorare la propria azienda/operatività.
-
-## B.A.N.T Framework:
-Budget -> il budget non deve essere esplicitamente nominato dal setter
-Autorità -> l'autorità solitamente è impliciata; se però hai dubbi, dalla per incerta o non esplorata.
-Necessità -> La necessità deriva dall'urgenza e dalla presenza di un problema reale che possiamo risolvere
-Tempistica -> La tempistica invece si rivolge alla tempistica di adozione della nostra soluzione; solitamente implicita quando c'è la necessità
-
-## Fasi dello script:
-Fase 1 - Introduzione, benvenuto, piacere di conoscerti
-Fase 2 - Analisi della situazione ed estrapolazione del bisogno
-Fase 3 - Contestualizzo la mia soluzione e la contrappongo ai suoi problemi
-Fase 4 - Presa appuntamento
-
-Rispondi in questo formato JSON:
-{
-  "riassunto": {
-    "appuntamento": "✅ Fissato / ❌ Non fissato",
-    "categoria_lead": "🟢 Categoria 1 / 🔵 Categoria 2 / 🟡 Categoria 3 / 🔴 Categoria 4",
-    "bant": {
-      "budget": "✅ presente / ⚠️ incerto / ❌ non esplorato",
-      "autorità": "✅ presente / ⚠️ incerto / ❌ non esplorato",
-      "necessità": "✅ presente / ⚠️ incerto / ❌ non esplorato",
-      "tempistica": "✅ presente / ⚠️ incerto / ❌ non esplorato"
-    }
-  },
-  "coaching_feedback": "Paragrafo di feedback caldo, empatico e contestualizzato per il setter. Massimo 200 parole. Indica passaggi specifici della chiamata. Dai feedback sinceri su cosa migliorare.",
-  "fasi_script_seguite": ["Fase 1", "Fase 2", "Fase 3", "Fase 4"],
-  "confidenza_analisi": "Alta/Media/Bassa"
-}`
-        },
-        {
-          role: 'user',
-          content: `Analizza questa chiamata per coaching:
-
-DATI FASE 1:
-${JSON.stringify(phase1Analysis, null, 2)}
-
-TRASCRIZIONE COMPLETA:
-${transcription}`
-        }
-      ],
-      temperature: 0.3,
-      max_tokens: 1000
-    });
+    const selected = selectPrompt('phase2', { callId });
+    log(`🎯 Phase 2: BANT analysis and coaching feedback (prompt ${selected.prompt.version}, ${selected.variant})...`);
 
-    const response = completion.choices[0].message.content;
-    const coaching = JSON.parse(response);
+    const { output: coaching, validation } = await runPrompt(selected.prompt, {
+      transcription,
+      diarized,
+      phase1_json: JSON.stringify(phase1Analysis, null, 2)
+    });
 
     log(`✅ Phase 2 completed - coaching generated`);
 
     return {
       success: true,
-      coaching: coaching
+      coaching: coaching,
+      prompt: describePrompt(selected, validation)
     };
 
   } catch (error) {
@@ -440,9 +543,10 @@ async function cleanupAudioFile(filePath) {
 /**
  * Complete transcription pipeline
  * @param {string} audioUrl - URL of the recording to transcribe
+ * @param {Object} options - { callId: stores the structured transcript for /api/recordings/:callId/transcript }
  * @returns {Promise<{success: boolean, result?: object, error?: string}>}
  */
-export async function processRecordingTranscription(audioUrl) {
+export async function processRecordingTranscription(audioUrl, { callId = null } = {}) {
   let tempFilePath = null;
 
   try {
@@ -468,8 +572,27 @@ export async function processRecordingTranscription(audioUrl) {
       };
     }
 
+    // PII redaction (PII_REDACTION_MODE): nothing below sees the original text,
+    // which is kept encrypted in the local vault
+    const redacted = await redactTranscription(callId, {
+      transcription: transcriptionResult.transcription,
+      transcript: transcriptionResult.transcript
+    });
+
+    // Structured transcript saved before the analysis, so it is available even if the analysis fails
+    if (callId) {
+      try {
+        await transcriptStore.save(callId, redacted.transcript, { recordingUrl: audioUrl });
+      } catch (error) {
+        logError(`⚠️ Could not save transcript for call ${callId}: ${error.message}`);
+      }
+    }
+
     // Step 3: Extract key points
-    const analysisResult = await extractKeyPoints(transcriptionResult.transcription);
+    const analysisResult = await extractKeyPoints(redacted.transcription, {
+      diarized: redacted.transcript.diarized,
+      callId
+    });
     if (!analysisResult.success) {
       return {
         success: false,
@@ -482,7 +605,10 @@ export async function processRecordingTranscription(audioUrl) {
 
     // Step 5: Format result
     const result = {
-      transcription: transcriptionResult.transcription,
+      transcription: redacted.transcription,
+      transcript: redacted.transcript,
+      transcriptionProvider: transcriptionResult.provider,
+      redaction: redacted.redaction,
       analysis: analysisResult.analysis,
       audioUrl: audioUrl,
       audioBuffer: audioBuffer,
@@ -513,10 +639,12 @@ export async function processRecordingTranscription(audioUrl) {
 
 /**
  * Format transcription for GoHighLevel note
+ * Voicemail, non-substantial and full analysis use the note templates (templates/notes)
  * @param {object} transcriptionResult - Result from processRecordingTranscription
+ * @param {object} callContext - Call fields for the templates (buildCallContext)
  * @returns {string} Formatted note content
  */
-export function formatTranscriptionForGHL(transcriptionResult) {
+export function formatTranscriptionForGHL(transcriptionResult, callContext = {}) {
   const { transcription, analysis, processedAt } = transcriptionResult;
 
   // Fallback for old format compatibility (only if analysis completely failed)
@@ -533,54 +661,22 @@ ${transcription}
 ⏰ Elaborata: ${new Date(processedAt).toLocaleString('it-IT')}`;
   }
 
-  // Check if this is voicemail
+  const context = {
+    ...callContext,
+    transcription,
+    processed_at: processedAt,
+    analysis
+  };
+
   if (analysis.call_type === 'segreteria') {
-    return `📵 SEGRETERIA - CLOUDTALK`;
+    return renderNote('voicemail', context);
   }
 
-  // Check if this is a non-substantial call
   if (analysis.call_type === 'non_sostanziosa') {
-    return `✔︎ Risposto - conversazione non avvenuta
-
-📋 Riassunto:
-${analysis.call_summary || 'Chiamata tecnica o senza dialogo commerciale'}
-
-📝 Trascrizione:
-${transcription}`;
+    return renderNote('non-substantial', context);
   }
 
-  // Full analysis format for substantial calls
-  const { coaching, speakers, call_outcome, lead_info, sentiment } = analysis;
-
-  return `✔︎ Conversazione effettuata
-
-${coaching.riassunto.appuntamento}
-
-${coaching.riassunto.categoria_lead}
-
-📊 B.A.N.T. Framework:
-• Budget: ${coaching.riassunto.bant.budget}
-• Autorità: ${coaching.riassunto.bant.autorità}
-• Necessità: ${coaching.riassunto.bant.necessità}
-• Tempistica: ${coaching.riassunto.bant.tempistica}
-
-🎯 COACHING FEEDBACK:
-${coaching.coaching_feedback}
-
-📋 DETTAGLI CHIAMATA:
-• Sentiment: ${sentiment}
-• Speaker identificati: ${speakers.confidence}
-• Lead: ${lead_info.azienda || 'Non specificato'} (${lead_info.settore || 'Settore non chiaro'})
-• Software attuale: ${lead_info.software_attuale || 'Non specificato'}
-• Team vendita: ${lead_info.team_vendita || 'Non chiaro'}
-
-🔄 Fasi script seguite: ${coaching.fasi_script_seguite.join(', ')}
-
-📝 Trascrizione completa:
-${transcription}
-
-⏰ Elaborata: ${new Date(processedAt).toLocaleString('it-IT')}
-🤖 Confidenza analisi: ${coaching.confidenza_analisi}`;
+  return renderNote('full-analysis', context);
 }
 
 export default {
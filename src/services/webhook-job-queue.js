@@ -0,0 +1,366 @@
+import path from 'path';
+import { log, logError } from '../logger.js';
+import { SqliteStore } from '../utils/sqlite-store.js';
+
+/**
+ * Durable Webhook Job Queue
+ *
+ * Inbound webhooks are acknowledged immediately and stored in a SQLite job table.
+ * A single in-process worker picks up due jobs and runs the handler registered
+ * for the job provider, retrying with exponential backoff. Jobs that exhaust
+ * their attempts are moved to the dead-letter list (status "dead"), from where
+ * they can be inspected and replayed via /api/admin.
+ * Terminal errors (TerminalJobError, or API errors with a 4xx status such as
+ * contact not found or validation) go to the dead-letter list on the first failure:
+ * retrying them cannot change the outcome.
+ *
+ * Job status: pending → processing → completed | pending (retry) | dead
+ */
+
+const MAX_BACKOFF_MS = 30 * 60 * 1000;
+
+// 4xx che possono riuscire ripetendo la richiesta (timeout, rate limit)
+const RETRYABLE_CLIENT_STATUSES = [408, 425, 429];
+
+/**
+ * Errore definitivo: il job va subito in dead-letter, senza altri tentativi
+ */
+export class TerminalJobError extends Error {
+  constructor(message, options) {
+    super(message, options);
+    this.name = 'TerminalJobError';
+    this.terminal = true;
+  }
+}
+
+/**
+ * Errore definitivo: TerminalJobError o errore API con status 4xx (GhlApiError,
+ * CloudTalkApiError), anche come cause di un errore rilanciato
+ */
+export function isTerminalError(error) {
+  for (let current = error; current; current = current.cause) {
+    if (current.terminal) return true;
+    const status = current.status;
+    if (Number.isInteger(status) && status >= 400 && status < 500 && !RETRYABLE_CLIENT_STATUSES.includes(status)) {
+      return true;
+    }
+  }
+  return false;
+}
+
+function getConfig() {
+  return {
+    maxAttempts: parseInt(process.env.WEBHOOK_QUEUE_MAX_ATTEMPTS) || 5,
+    baseBackoffMs: parseInt(process.env.WEBHOOK_QUEUE_BACKOFF_MS) || 10000,
+    pollIntervalMs: parseInt(process.env.WEBHOOK_QUEUE_POLL_INTERVAL_MS) || 2000
+  };
+}
+
+class WebhookJobQueue extends SqliteStore {
+  constructor(dbPath = null) {
+    super(() => dbPath || process.env.WEBHOOK_QUEUE_DB_PATH || path.join(process.cwd(), 'data', 'webhook-jobs.db'));
+    this.handlers = new Map();
+    this.timer = null;
+    this.processing = false;
+  }
+
+  /**
+   * Schema e recupero dei job rimasti in "processing" dopo un crash
+   */
+  async setup() {
+    await this.run(`
+      CREATE TABLE IF NOT EXISTS webhook_jobs (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        provider TEXT NOT NULL,
+        webhook_type TEXT NOT NULL,
+        call_id TEXT,
+        payload TEXT NOT NULL,
+        status TEXT NOT NULL DEFAULT 'pending',
+        attempts INTEGER NOT NULL DEFAULT 0,
+        max_attempts INTEGER NOT NULL,
+        next_attempt_at INTEGER NOT NULL,
+        last_error TEXT,
+        result TEXT,
+        created_at INTEGER NOT NULL,
+        updated_at INTEGER NOT NULL,
+        completed_at INTEGER
+      )
+    `);
+    await this.run('CREATE INDEX IF NOT EXISTS idx_webhook_jobs_due ON webhook_jobs (status, next_attempt_at)');
+
+    const recovered = await this.run(
+      `UPDATE webhook_jobs SET status = 'pending', updated_at = ? WHERE status = 'processing'`,
+      [Date.now()]
+    );
+    if (recovered > 0) {
+      log(`♻️ Recuperati ${recovered} job webhook interrotti`);
+    }
+  }
+
+  /**
+   * Registra l'handler per un provider
+   * @param {string} provider - es. 'cloudtalk'
+   * @param {Function} handler - async (payload, webhookType, job) => result; deve lanciare in caso di errore
+   */
+  registerHandler(provider, handler) {
+    this.handlers.set(provider, handler);
+  }
+
+  /**
+   * Inserisce un job in coda
+   * @param {Object} job
+   * @param {string} job.provider
+   * @param {string} job.webhookType
+   * @param {Object} job.payload
+   * @param {number} [job.maxAttempts]
+   * @returns {Promise<number>} ID del job
+   */
+  async enqueue({ provider, webhookType, payload, maxAttempts = getConfig().maxAttempts }) {
+    await this.init();
+    const now = Date.now();
+
+    const jobId = await this.insert(
+      `INSERT INTO webhook_jobs (provider, webhook_type, call_id, payload, status, attempts, max_attempts, next_attempt_at, created_at, updated_at)
+       VALUES (?, ?, ?, ?, 'pending', 0, ?, ?, ?, ?)`,
+      [provider, webhookType, payload?.call_id != null ? String(payload.call_id) : null, JSON.stringify(payload), maxAttempts, now, now, now]
+    );
+
+    log(`📥 Job webhook #${jobId} in coda: ${provider}/${webhookType}`);
+
+    // Sveglia il worker senza aspettare il prossimo poll
+    setImmediate(() => this.tick());
+
+    return jobId;
+  }
+
+  /**
+   * Avvia il worker
+   */
+  async start() {
+    await this.init();
+    if (this.timer) return;
+
+    const { pollIntervalMs, maxAttempts } = getConfig();
+    this.timer = setInterval(() => this.tick(), pollIntervalMs);
+    this.timer.unref();
+    log(`⚙️ Webhook job worker avviato (poll ${pollIntervalMs}ms, max ${maxAttempts} tentativi)`);
+    this.tick();
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Processa tutti i job scaduti, uno alla volta
+   */
+  async tick() {
+    // Solo il processo che ha avviato il worker esegue i job (es. non la CLI di replay)
+    if (this.processing || !this.timer) return;
+    this.processing = true;
+
+    try {
+      let job = await this.claimNextJob();
+      while (job) {
+        await this.executeJob(job);
+        job = await this.claimNextJob();
+      }
+    } catch (error) {
+      logError(`❌ Errore worker job webhook: ${error.message}`);
+    } finally {
+      this.processing = false;
+    }
+  }
+
+  async claimNextJob() {
+    const now = Date.now();
+    const rows = await this.all(
+      `SELECT * FROM webhook_jobs WHERE status = 'pending' AND next_attempt_at <= ? ORDER BY next_attempt_at ASC, id ASC LIMIT 1`,
+      [now]
+    );
+    if (rows.length === 0) return null;
+
+    const row = rows[0];
+    const claimed = await this.run(
+      `UPDATE webhook_jobs SET status = 'processing', attempts = attempts + 1, updated_at = ? WHERE id = ? AND status = 'pending'`,
+      [now, row.id]
+    );
+    if (claimed === 0) return null;
+
+    return deserializeJob({ ...row, status: 'processing', attempts: row.attempts + 1 });
+  }
+
+  async executeJob(job) {
+    const handler = this.handlers.get(job.provider);
+    log(`🔧 Job webhook #${job.id} ${job.provider}/${job.webhookType} - tentativo ${job.attempts}/${job.maxAttempts}`);
+
+    try {
+      if (!handler) {
+        throw new Error(`Nessun handler registrato per provider ${job.provider}`);
+      }
+
+      const result = await handler(job.payload, job.webhookType, job);
+      const now = Date.now();
+
+      await this.run(
+        `UPDATE webhook_jobs SET status = 'completed', result = ?, last_error = NULL, updated_at = ?, completed_at = ? WHERE id = ?`,
+        [JSON.stringify(result ?? null), now, now, job.id]
+      );
+      log(`✅ Job webhook #${job.id} completato`);
+
+    } catch (error) {
+      const now = Date.now();
+      const terminal = isTerminalError(error);
+
+      if (terminal || job.attempts >= job.maxAttempts) {
+        await this.run(
+          `UPDATE webhook_jobs SET status = 'dead', last_error = ?, updated_at = ? WHERE id = ?`,
+          [error.message, now, job.id]
+        );
+        logError(terminal
+          ? `☠️ Job webhook #${job.id} spostato in dead-letter, errore definitivo: ${error.message}`
+          : `☠️ Job webhook #${job.id} spostato in dead-letter dopo ${job.attempts} tentativi: ${error.message}`);
+        return;
+      }
+
+      const delay = Math.min(getConfig().baseBackoffMs * Math.pow(2, job.attempts - 1), MAX_BACKOFF_MS);
+      await this.run(
+        `UPDATE webhook_jobs SET status = 'pending', last_error = ?, next_attempt_at = ?, updated_at = ? WHERE id = ?`,
+        [error.message, now + delay, now, job.id]
+      );
+      logError(`🔁 Job webhook #${job.id} fallito (${error.message}), retry tra ${Math.round(delay / 1000)}s`);
+    }
+  }
+
+  /**
+   * Lista job
+   * @param {Object} filters - { status, provider, webhookType, limit, offset }
+   */
+  async listJobs(filters = {}) {
+    await this.init();
+    let sql = 'SELECT * FROM webhook_jobs WHERE 1=1';
+    const params = [];
+
+    if (filters.status) {
+      sql += ' AND status = ?';
+      params.push(filters.status);
+    }
+    if (filters.provider) {
+      sql += ' AND provider = ?';
+      params.push(filters.provider);
+    }
+    if (filters.webhookType) {
+      sql += ' AND webhook_type = ?';
+      params.push(filters.webhookType);
+    }
+
+    sql += ' ORDER BY id DESC LIMIT ? OFFSET ?';
+    params.push(filters.limit || 50, filters.offset || 0);
+
+    const rows = await this.all(sql, params);
+    return rows.map(deserializeJob);
+  }
+
+  async getJob(jobId) {
+    await this.init();
+    const rows = await this.all('SELECT * FROM webhook_jobs WHERE id = ?', [jobId]);
+    return rows.length > 0 ? deserializeJob(rows[0]) : null;
+  }
+
+  /**
+   * Rimette in coda un job (tipicamente dal dead-letter)
+   * @returns {Promise<boolean>} true se il job è stato rimesso in coda
+   */
+  async replayJob(jobId) {
+    await this.init();
+    const now = Date.now();
+    const changes = await this.run(
+      `UPDATE webhook_jobs SET status = 'pending', attempts = 0, next_attempt_at = ?, updated_at = ? WHERE id = ? AND status IN ('dead', 'completed')`,
+      [now, now, jobId]
+    );
+
+    if (changes > 0) {
+      log(`🔄 Job webhook #${jobId} rimesso in coda`);
+      setImmediate(() => this.tick());
+    }
+    return changes > 0;
+  }
+
+  async replayAllDead() {
+    await this.init();
+    const now = Date.now();
+    const changes = await this.run(
+      `UPDATE webhook_jobs SET status = 'pending', attempts = 0, next_attempt_at = ?, updated_at = ? WHERE status = 'dead'`,
+      [now, now]
+    );
+
+    if (changes > 0) {
+      log(`🔄 ${changes} job dead-letter rimessi in coda`);
+      setImmediate(() => this.tick());
+    }
+    return changes;
+  }
+
+  async discardJob(jobId) {
+    await this.init();
+    return (await this.run(`DELETE FROM webhook_jobs WHERE id = ? AND status = 'dead'`, [jobId])) > 0;
+  }
+
+  /**
+   * Statistiche coda per health/admin
+   */
+  async getStats() {
+    await this.init();
+    const rows = await this.all('SELECT status, COUNT(*) AS count FROM webhook_jobs GROUP BY status');
+    const byStatus = { pending: 0, processing: 0, completed: 0, dead: 0 };
+    rows.forEach(row => { byStatus[row.status] = row.count; });
+
+    const oldestPending = await this.all(
+      `SELECT MIN(created_at) AS oldest FROM webhook_jobs WHERE status = 'pending'`
+    );
+    const oldest = oldestPending[0]?.oldest;
+
+    return {
+      workerRunning: !!this.timer,
+      byStatus,
+      oldestPendingAgeSeconds: oldest ? Math.round((Date.now() - oldest) / 1000) : null,
+      configuration: getConfig()
+    };
+  }
+}
+
+function deserializeJob(row) {
+  const parse = (value) => {
+    if (value == null) return null;
+    try {
+      return JSON.parse(value);
+    } catch (e) {
+      return value;
+    }
+  };
+
+  return {
+    id: row.id,
+    provider: row.provider,
+    webhookType: row.webhook_type,
+    callId: row.call_id,
+    payload: parse(row.payload),
+    status: row.status,
+    attempts: row.attempts,
+    maxAttempts: row.max_attempts,
+    nextAttemptAt: new Date(row.next_attempt_at).toISOString(),
+    lastError: row.last_error,
+    result: parse(row.result),
+    createdAt: new Date(row.created_at).toISOString(),
+    updatedAt: new Date(row.updated_at).toISOString(),
+    completedAt: row.completed_at ? new Date(row.completed_at).toISOString() : null
+  };
+}
+
+// Istanza singleton
+const webhookJobQueue = new WebhookJobQueue();
+
+export default webhookJobQueue;
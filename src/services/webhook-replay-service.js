@@ -0,0 +1,327 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { log, logError } from '../logger.js';
+import { getWebhookFiles, parseWebhookEntries, resolveWebhookFile } from '../utils/webhook-payload-logger.js';
+import { validateAndEnhanceWebhookPayload } from '../utils/webhook-validation.js';
+import { isWebhookAlreadyProcessed } from '../utils/webhook-deduplication.js';
+import webhookJobQueue from './webhook-job-queue.js';
+
+/**
+ * Webhook Replay Service
+ *
+ * Reads the payloads stored by saveWebhookPayload (webhook-payloads/<provider>/<type>.txt)
+ * and pushes them back through the live pipeline:
+ * - CloudTalk: enqueued on the durable webhook job queue, like a fresh webhook
+ * - GHL new-contact: Lead-to-Call process
+ * - Google Sheets call-data: Google Sheets service
+ *
+ * In dry-run mode nothing external is called: each entry is validated and the
+ * report lists what the handler would have done.
+ */
+
+// webhook-payloads/squadd contains GHL payloads saved by the generic GHL handler
+const REPLAY_PROVIDERS = ['cloudtalk', 'ghl', 'squadd', 'google-sheets'];
+
+/**
+ * Estrae il numero di telefono come fa processCloudTalkWebhook
+ */
+function extractPhone(payload) {
+  return payload.external_number ||
+    payload.external_phone ||
+    payload.phone_number ||
+    payload.phone ||
+    payload.caller_number ||
+    null;
+}
+
+const CLOUDTALK_ACTIONS = {
+  'call-started': () => ['Solo logging (nessuna chiamata esterna)'],
+  'call-ended': () => [
+    'Analisi chiamata via CloudTalk Analytics API',
+    'Se persa: webhook GHL missed call + campaign automation + nota "TENTATIVO SENZA RISPOSTA"',
+    'Se risposta: solo campaign automation (in attesa della registrazione)'
+  ],
+  'call-recording-ready': (phone) => [
+    `Ricerca contatto GHL per ${phone}`,
+    'Download registrazione, trascrizione AI e nota sul contatto GHL'
+  ],
+  'transcription-ready': (phone) => [`Ricerca contatto GHL per ${phone}`, 'Nota con trascrizione sul contatto GHL'],
+  'new-tag': (phone) => [`Ricerca contatto GHL per ${phone}`, 'Sincronizzazione tag su GHL'],
+  'new-note': (phone) => [`Ricerca contatto GHL per ${phone}`, 'Sincronizzazione nota su GHL'],
+  'contact-updated': (phone) => [`Ricerca contatto GHL per ${phone}`, 'Aggiornamento contatto GHL']
+};
+
+/**
+ * Handler di replay per provider: plan() per dry-run, run() per replay reale
+ * Entrambi ritornano { status: 'planned'|'replayed'|'skipped'|'failed', ... }
+ */
+const REPLAY_HANDLERS = {
+  cloudtalk: {
+    async plan(payload, webhookType) {
+      const validation = validateAndEnhanceWebhookPayload(payload, webhookType);
+      const actionsFor = CLOUDTALK_ACTIONS[webhookType];
+
+      if (!actionsFor) {
+        return { status: 'skipped', reason: `Webhook type non supportato: ${webhookType}` };
+      }
+      if (!validation.isValid && webhookType !== 'call-ended' && webhookType !== 'call-started') {
+        return { status: 'skipped', reason: 'Payload non valido', validationErrors: validation.errors };
+      }
+
+      const callId = validation.enhancedPayload.call_id;
+      return {
+        status: 'planned',
+        callId: callId,
+        phone: extractPhone(validation.enhancedPayload),
+        alreadyProcessed: callId ? await isWebhookAlreadyProcessed(callId, webhookType) : false,
+        validationWarnings: validation.warnings,
+        actions: [
+          webhookType === 'call-started' ? 'Nessun job (webhook di solo logging)' : 'Job sulla webhook job queue (deduplicazione ignorata)',
+          ...actionsFor(extractPhone(validation.enhancedPayload))
+        ]
+      };
+    },
+
+    async run(payload, webhookType) {
+      if (webhookType === 'call-started') {
+        return { status: 'skipped', reason: 'call-started è solo logging' };
+      }
+      if (!CLOUDTALK_ACTIONS[webhookType]) {
+        return { status: 'skipped', reason: `Webhook type non supportato: ${webhookType}` };
+      }
+
+      const validation = validateAndEnhanceWebhookPayload(payload, webhookType);
+      if (!validation.isValid && webhookType !== 'call-ended') {
+        return { status: 'skipped', reason: 'Payload non valido', validationErrors: validation.errors };
+      }
+
+      const jobId = await webhookJobQueue.enqueue({
+        provider: 'cloudtalk',
+        webhookType: webhookType,
+        payload: {
+          ...validation.enhancedPayload,
+          _receivedAt: new Date().toISOString(),
+          _validationWarnings: validation.warnings,
+          _replay: true
+        }
+      });
+
+      return { status: 'replayed', callId: validation.enhancedPayload.call_id, jobId: jobId };
+    }
+  },
+
+  ghl: {
+    async plan(payload, webhookType) {
+      if (webhookType !== 'new-contact') {
+        return { status: 'skipped', reason: `Nessun handler attivo per GHL ${webhookType}` };
+      }
+      if (!payload.phone) {
+        return { status: 'planned', phone: null, actions: ['Lead-to-Call fallirebbe: MISSING_PHONE'] };
+      }
+
+      return {
+        status: 'planned',
+        phone: payload.phone,
+        actions: [
+          `Creazione contatto CloudTalk per ${[payload.first_name, payload.last_name].filter(Boolean).join(' ') || 'lead'} (${payload.phone})`,
+          'Selezione agente disponibile (distribuzione lead)',
+          'Chiamata automatica CloudTalk con fallback su altri agenti'
+        ]
+      };
+    },
+
+    async run(payload, webhookType) {
+      if (webhookType !== 'new-contact') {
+        return { status: 'skipped', reason: `Nessun handler attivo per GHL ${webhookType}` };
+      }
+
+      const { default: leadToCallService } = await import('./lead-to-call-service.js');
+      const result = await leadToCallService.processLeadToCallEnhanced(payload);
+
+      return {
+        status: result.success ? 'replayed' : 'failed',
+        processId: result.processId,
+        selectedAgent: result.selectedAgent?.name,
+        error: result.success ? undefined : result.error
+      };
+    }
+  },
+
+  'google-sheets': {
+    async plan(payload, webhookType) {
+      if (webhookType !== 'call-data') {
+        return { status: 'skipped', reason: `Nessun handler di replay per Google Sheets ${webhookType}` };
+      }
+      if (!payload.call_uuid) {
+        return { status: 'skipped', reason: 'call_uuid mancante' };
+      }
+
+      const hasCallEndData = payload.talking_time !== undefined || payload.call_ended || payload.duration;
+      return {
+        status: 'planned',
+        callUuid: payload.call_uuid,
+        actions: [hasCallEndData
+          ? `Aggiornamento riga call-ended per ${payload.call_uuid}`
+          : `Inserimento nuova riga call-started per ${payload.call_uuid}`]
+      };
+    },
+
+    async run(payload, webhookType) {
+      const plan = await this.plan(payload, webhookType);
+      if (plan.status === 'skipped') {
+        return plan;
+      }
+
+      const { default: googleSheetsService } = await import('./google-sheets-service.js');
+      const result = await googleSheetsService.processCallData(payload);
+
+      return {
+        status: result && result.success === false ? 'failed' : 'replayed',
+        callUuid: payload.call_uuid,
+        error: result?.success === false ? (result.error || result.reason) : undefined
+      };
+    }
+  }
+};
+
+REPLAY_HANDLERS.squadd = REPLAY_HANDLERS.ghl;
+
+class WebhookReplayService {
+  /**
+   * Raccoglie le entry da ripetere
+   * @param {Object} options - { provider, webhookType, from, to, files, limit }
+   * @returns {Promise<{entries: Array, errors: Array}>}
+   */
+  async collectEntries({ provider = null, webhookType = null, from = null, to = null, files = null, limit = null } = {}) {
+    const errors = [];
+    let filepaths = [];
+
+    if (files && files.length > 0) {
+      for (const file of files) {
+        const filepath = resolveWebhookFile(file);
+        if (filepath) {
+          filepaths.push(filepath);
+        } else {
+          errors.push({ file, error: 'File fuori dalla cartella webhook-payloads' });
+        }
+      }
+    } else {
+      const providers = provider ? [provider] : REPLAY_PROVIDERS;
+      for (const prov of providers) {
+        const result = await getWebhookFiles(prov, webhookType);
+        if (result.success) {
+          filepaths.push(...result.files.map(file => file.filepath));
+        } else {
+          errors.push({ provider: prov, error: result.error });
+        }
+      }
+    }
+
+    const fromMs = from ? Date.parse(from) : null;
+    // Una data senza orario come "to" include tutta la giornata
+    const toMs = to ? Date.parse(/^\d{4}-\d{2}-\d{2}$/.test(to) ? `${to}T23:59:59.999Z` : to) : null;
+
+    let entries = [];
+    for (const filepath of filepaths) {
+      let content;
+      try {
+        content = await fs.readFile(filepath, 'utf8');
+      } catch (error) {
+        errors.push({ file: filepath, error: error.message });
+        continue;
+      }
+
+      const fileProvider = path.basename(path.dirname(filepath));
+      const fileType = path.basename(filepath, '.txt');
+
+      for (const entry of parseWebhookEntries(content)) {
+        const receivedMs = Date.parse(entry.receivedAt);
+        if (fromMs !== null && !(receivedMs >= fromMs)) continue;
+        if (toMs !== null && !(receivedMs <= toMs)) continue;
+
+        const entryProvider = entry.provider || fileProvider;
+        const entryType = entry.webhookType || fileType;
+        if (provider && entryProvider !== provider) continue;
+        if (webhookType && entryType !== webhookType) continue;
+
+        entries.push({ ...entry, provider: entryProvider, webhookType: entryType, file: filepath });
+      }
+    }
+
+    // Ordine cronologico, come sono arrivati
+    entries.sort((a, b) => Date.parse(a.receivedAt) - Date.parse(b.receivedAt));
+    if (limit) {
+      entries = entries.slice(0, limit);
+    }
+
+    return { entries, errors };
+  }
+
+  /**
+   * Esegue il replay (o il dry-run) delle entry selezionate
+   * @param {Object} options - { provider, webhookType, from, to, files, limit, dryRun }
+   * @returns {Promise<Object>} Report per entry e totali
+   */
+  async replay(options = {}) {
+    const dryRun = options.dryRun !== false;
+    const { entries, errors } = await this.collectEntries(options);
+
+    log(`🔁 Replay webhook ${dryRun ? '(DRY-RUN) ' : ''}- ${entries.length} payload selezionati`);
+
+    const results = [];
+    const totals = { entries: entries.length, planned: 0, replayed: 0, skipped: 0, failed: 0 };
+
+    for (const entry of entries) {
+      const base = {
+        file: entry.file,
+        index: entry.index,
+        receivedAt: entry.receivedAt,
+        provider: entry.provider,
+        webhookType: entry.webhookType
+      };
+
+      let outcome;
+      if (entry.parseError) {
+        outcome = { status: 'failed', error: `Payload non leggibile: ${entry.parseError}` };
+      } else if (!REPLAY_HANDLERS[entry.provider]) {
+        outcome = { status: 'skipped', reason: `Nessun handler per provider ${entry.provider}` };
+      } else {
+        const handler = REPLAY_HANDLERS[entry.provider];
+        try {
+          outcome = dryRun
+            ? await handler.plan(entry.payload, entry.webhookType)
+            : await handler.run(entry.payload, entry.webhookType);
+        } catch (error) {
+          logError(`❌ Replay fallito per ${entry.provider}/${entry.webhookType} (${entry.receivedAt}): ${error.message}`);
+          outcome = { status: 'failed', error: error.message };
+        }
+      }
+
+      totals[outcome.status]++;
+      results.push({ ...base, ...outcome });
+    }
+
+    log(`✅ Replay completato: ${JSON.stringify(totals)}`);
+
+    return {
+      success: true,
+      dryRun: dryRun,
+      filters: {
+        provider: options.provider || null,
+        webhookType: options.webhookType || null,
+        from: options.from || null,
+        to: options.to || null,
+        files: options.files || null,
+        limit: options.limit || null
+      },
+      totals,
+      errors,
+      results
+    };
+  }
+}
+
+// Istanza singleton
+const webhookReplayService = new WebhookReplayService();
+
+export default webhookReplayService;
@@ -0,0 +1,47 @@
+import crypto from 'crypto';
+import { logError } from '../logger.js';
+
+/**
+ * Admin token authentication
+ * Shared by /api/admin and the operational endpoints of the other routers.
+ * Token via x-admin-token header or Authorization: Bearer (ADMIN_API_TOKEN)
+ */
+
+/**
+ * Admin token middleware
+ * Without ADMIN_API_TOKEN configured every admin request is refused.
+ */
+export function requireAdminToken(req, res, next) {
+  const expected = process.env.ADMIN_API_TOKEN;
+  const authHeader = req.headers['authorization'] || '';
+  const received = req.headers['x-admin-token'] || (authHeader.startsWith('Bearer ') ? authHeader.slice(7) : null);
+
+  if (!expected) {
+    return res.status(503).json({
+      success: false,
+      error: 'ADMIN_NOT_CONFIGURED',
+      message: 'Set ADMIN_API_TOKEN to enable the admin API',
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  const valid = received &&
+    Buffer.byteLength(received) === Buffer.byteLength(expected) &&
+    crypto.timingSafeEqual(Buffer.from(received), Buffer.from(expected));
+
+  if (!valid) {
+    logError(`🔒 Richiesta admin rifiutata: ${req.method} ${req.originalUrl}`);
+    return res.status(401).json({
+      success: false,
+      error: 'UNAUTHORIZED',
+      message: 'Missing or invalid admin token',
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  next();
+}
+
+export default {
+  requireAdminToken
+};
@@ -0,0 +1,247 @@
+/**
+ * Business Hours Calendar
+ *
+ * Calcola orari lavorativi in un fuso orario (default Europe/Rome), saltando
+ * weekend, festività nazionali italiane e festività aggiuntive configurate.
+ * Usato dal cadence scheduler per decidere quando richiamare un lead.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Data di Pasqua (algoritmo gregoriano anonimo)
+ * @returns {{month: number, day: number}}
+ */
+function getEasterDate(year) {
+  const a = year % 19;
+  const b = Math.floor(year / 100);
+  const c = year % 100;
+  const d = Math.floor(b / 4);
+  const e = b % 4;
+  const f = Math.floor((b + 8) / 25);
+  const g = Math.floor((b - f + 1) / 3);
+  const h = (19 * a + b - d - g + 15) % 30;
+  const i = Math.floor(c / 4);
+  const k = c % 4;
+  const l = (32 + 2 * e + 2 * i - h - k) % 7;
+  const m = Math.floor((a + 11 * h + 22 * l) / 451);
+  const month = Math.floor((h + l - 7 * m + 114) / 31);
+  const day = ((h + l - 7 * m + 114) % 31) + 1;
+  return { month, day };
+}
+
+function formatDay(year, month, day) {
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+/**
+ * Festività nazionali italiane per un anno
+ * @param {number} year
+ * @returns {string[]} Date in formato YYYY-MM-DD
+ */
+export function getItalianHolidays(year) {
+  const easter = getEasterDate(year);
+  const easterMonday = new Date(Date.UTC(year, easter.month - 1, easter.day) + DAY_MS);
+
+  return [
+    formatDay(year, 1, 1),    // Capodanno
+    formatDay(year, 1, 6),    // Epifania
+    formatDay(year, easter.month, easter.day), // Pasqua
+    formatDay(year, easterMonday.getUTCMonth() + 1, easterMonday.getUTCDate()), // Lunedì dell'Angelo
+    formatDay(year, 4, 25),   // Festa della Liberazione
+    formatDay(year, 5, 1),    // Festa dei Lavoratori
+    formatDay(year, 6, 2),    // Festa della Repubblica
+    formatDay(year, 8, 15),   // Ferragosto
+    formatDay(year, 11, 1),   // Ognissanti
+    formatDay(year, 12, 8),   // Immacolata
+    formatDay(year, 12, 25),  // Natale
+    formatDay(year, 12, 26)   // Santo Stefano
+  ];
+}
+
+/**
+ * Parsa finestre orarie "09:00-13:00,14:00-19:00"
+ * @returns {Array<{start: number, end: number}>} Minuti dalla mezzanotte
+ */
+export function parseBusinessWindows(value) {
+  return String(value)
+    .split(',')
+    .map(range => range.trim())
+    .filter(Boolean)
+    .map(range => {
+      const match = range.match(/^(\d{1,2}):(\d{2})-(\d{1,2}):(\d{2})$/);
+      if (!match) {
+        throw new Error(`Invalid business hours window: "${range}" (expected HH:MM-HH:MM)`);
+      }
+      const start = parseInt(match[1]) * 60 + parseInt(match[2]);
+      const end = parseInt(match[3]) * 60 + parseInt(match[4]);
+      if (end <= start || end > 24 * 60) {
+        throw new Error(`Invalid business hours window: "${range}"`);
+      }
+      return { start, end };
+    })
+    .sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Componenti data/ora locali nel fuso indicato
+ */
+function getZonedParts(date, timeZone) {
+  const parts = {};
+  new Intl.DateTimeFormat('en-GB', {
+    timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(date).forEach(part => {
+    if (part.type !== 'literal') {
+      parts[part.type] = parseInt(part.value);
+    }
+  });
+  return parts;
+}
+
+/**
+ * Data, giorno della settimana e minuti dalla mezzanotte nel fuso indicato
+ * @param {Date} date
+ * @param {string} timeZone - Fuso orario IANA
+ * @returns {{date: string, weekday: number, minutes: number}} date YYYY-MM-DD, weekday ISO 1=lunedì
+ */
+export function getLocalDateTime(date, timeZone = 'Europe/Rome') {
+  const parts = getZonedParts(date, timeZone);
+  return {
+    date: formatDay(parts.year, parts.month, parts.day),
+    weekday: new Date(Date.UTC(parts.year, parts.month - 1, parts.day)).getUTCDay() || 7,
+    minutes: parts.hour * 60 + parts.minute
+  };
+}
+
+function getTimeZoneOffset(date, timeZone) {
+  const parts = getZonedParts(date, timeZone);
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+/**
+ * Converte un orario locale (fuso timeZone) in Date UTC, gestendo l'ora legale
+ */
+function zonedTimeToUtc(year, month, day, minutes, timeZone) {
+  const guess = Date.UTC(year, month - 1, day, 0, minutes);
+  const offset = getTimeZoneOffset(new Date(guess), timeZone);
+  let result = guess - offset;
+  const correctedOffset = getTimeZoneOffset(new Date(result), timeZone);
+  if (correctedOffset !== offset) {
+    result = guess - correctedOffset;
+  }
+  return new Date(result);
+}
+
+/**
+ * Crea un calendario lavorativo
+ * @param {Object} options
+ * @param {string} options.timeZone - Fuso orario IANA (default Europe/Rome)
+ * @param {string} options.businessHours - Finestre "HH:MM-HH:MM,..." (default 09:00-13:00,14:00-19:00)
+ * @param {number[]} options.workingDays - Giorni ISO 1=lunedì ... 7=domenica (default lun-ven)
+ * @param {string[]} options.extraHolidays - Festività aggiuntive YYYY-MM-DD (es. santo patrono)
+ * @param {boolean} options.italianHolidays - Includi festività nazionali italiane (default true)
+ */
+export function createBusinessCalendar({
+  timeZone = 'Europe/Rome',
+  businessHours = '09:00-13:00,14:00-19:00',
+  workingDays = [1, 2, 3, 4, 5],
+  extraHolidays = [],
+  italianHolidays = true
+} = {}) {
+  const windows = parseBusinessWindows(businessHours);
+  const holidayCache = new Map();
+
+  function isHoliday(year, month, day) {
+    if (!holidayCache.has(year)) {
+      const holidays = new Set(italianHolidays ? getItalianHolidays(year) : []);
+      extraHolidays.forEach(holiday => holidays.add(holiday));
+      holidayCache.set(year, holidays);
+    }
+    return holidayCache.get(year).has(formatDay(year, month, day));
+  }
+
+  function isWorkingDay(year, month, day) {
+    const weekday = new Date(Date.UTC(year, month - 1, day)).getUTCDay() || 7;
+    return workingDays.includes(weekday) && !isHoliday(year, month, day);
+  }
+
+  /**
+   * Primo istante lavorativo >= date
+   * @param {Date} date
+   * @returns {Date}
+   */
+  function nextBusinessTime(date) {
+    const local = getZonedParts(date, timeZone);
+
+    for (let offset = 0; offset < 366; offset++) {
+      const day = new Date(Date.UTC(local.year, local.month - 1, local.day) + offset * DAY_MS);
+      const year = day.getUTCFullYear();
+      const month = day.getUTCMonth() + 1;
+      const dayOfMonth = day.getUTCDate();
+
+      if (!isWorkingDay(year, month, dayOfMonth)) {
+        continue;
+      }
+
+      for (const window of windows) {
+        const start = zonedTimeToUtc(year, month, dayOfMonth, window.start, timeZone);
+        const end = zonedTimeToUtc(year, month, dayOfMonth, window.end, timeZone);
+        if (date < end) {
+          return date > start ? date : start;
+        }
+      }
+    }
+
+    throw new Error('No business time found in the next 366 days - check working days configuration');
+  }
+
+  function isBusinessTime(date) {
+    return nextBusinessTime(date).getTime() === date.getTime();
+  }
+
+  /**
+   * Aggiunge una spaziatura e riporta il risultato in orario lavorativo
+   * @param {Date} from
+   * @param {number} minutes
+   * @returns {Date}
+   */
+  function addSpacing(from, minutes) {
+    return nextBusinessTime(new Date(from.getTime() + minutes * 60 * 1000));
+  }
+
+  /**
+   * Formatta una data nel fuso del calendario (DD/MM/YYYY HH:MM)
+   */
+  function formatLocal(date) {
+    const parts = getZonedParts(date, timeZone);
+    const pad = value => String(value).padStart(2, '0');
+    return `${pad(parts.day)}/${pad(parts.month)}/${parts.year} ${pad(parts.hour)}:${pad(parts.minute)}`;
+  }
+
+  return {
+    timeZone,
+    windows,
+    workingDays,
+    isHoliday,
+    isWorkingDay,
+    isBusinessTime,
+    nextBusinessTime,
+    addSpacing,
+    formatLocal
+  };
+}
+
+export default {
+  getItalianHolidays,
+  parseBusinessWindows,
+  getLocalDateTime,
+  createBusinessCalendar
+};
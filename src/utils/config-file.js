@@ -0,0 +1,178 @@
+import fs from 'fs';
+import path from 'path';
+import YAML from 'yaml';
+import { log, logError } from '../logger.js';
+
+/**
+ * Config File
+ *
+ * File di configurazione opzionali, riletti quando cambiano (mtime) senza riavvio:
+ * - file assente: configurazione di default (senza default resta la versione precedente)
+ * - file non valido: errore nel log e resta attiva la configurazione precedente,
+ *   o quella di default se il file non è mai stato valido
+ * - senza buildDefault, un file assente o non valido senza versione precedente lancia
+ * - formato dall'estensione: YAML per .yaml/.yml, altrimenti JSON
+ *
+ * Uso: const mappingFile = createConfigFile({ name, getPath, buildDefault, validate, build, describe });
+ *      mappingFile.get()
+ */
+
+/**
+ * Legge il contenuto di un file di configurazione in base all'estensione
+ * @param {string} text - Contenuto del file
+ * @param {string} configPath - Path del file (.yaml/.yml → YAML, altrimenti JSON)
+ * @returns {*} Valore letto
+ */
+export function parseConfigText(text, configPath) {
+  const extension = path.extname(configPath).toLowerCase();
+  return extension === '.yaml' || extension === '.yml' ? YAML.parse(text) : JSON.parse(text);
+}
+
+/**
+ * @param {Object} options
+ * @param {string} options.name - Nome nei messaggi di log ("Mapping sync GHL → CloudTalk")
+ * @param {Function} options.getPath - () => path del file, risolto a ogni lettura
+ * @param {Function} [options.buildDefault] - () => configurazione senza file
+ * @param {Function} [options.parse] - (contenuto, path) => valore letto (default parseConfigText)
+ * @param {Function} [options.validate] - valore => errori (string[], vuoto se valido)
+ * @param {Function} [options.build] - (valore, path) => configurazione attiva
+ * @param {Function} [options.describe] - (configurazione, path, precedente) => messaggio di log del caricamento, null per nessun log
+ * @returns {{get: Function, reload: Function, check: Function, getStatus: Function}}
+ */
+export function createConfigFile({
+  name,
+  getPath,
+  buildDefault = null,
+  parse = parseConfigText,
+  validate = () => [],
+  build = value => value,
+  describe = null
+}) {
+  const state = {
+    path: null,
+    mtimeMs: null,
+    config: null,
+    fromFile: false,
+    loadedAt: null,
+    lastError: null
+  };
+
+  const read = (configPath) => {
+    const value = parse(fs.readFileSync(configPath, 'utf8'), configPath);
+    const errors = validate(value);
+    if (errors.length > 0) {
+      const error = new Error(errors.join('; '));
+      error.errors = errors;
+      throw error;
+    }
+    return build(value, configPath);
+  };
+
+  const useDefault = (configPath) => {
+    Object.assign(state, {
+      path: configPath,
+      mtimeMs: null,
+      config: buildDefault(),
+      fromFile: false,
+      loadedAt: new Date().toISOString(),
+      lastError: null
+    });
+    return state.config;
+  };
+
+  const load = ({ force = false } = {}) => {
+    const configPath = getPath();
+
+    let mtimeMs = null;
+    try {
+      mtimeMs = fs.statSync(configPath).mtimeMs;
+    } catch (error) {
+      // Nessun file
+    }
+
+    if (mtimeMs === null) {
+      if (buildDefault) {
+        const cached = state.config && !state.fromFile && state.path === configPath;
+        return cached && !force ? state.config : useDefault(configPath);
+      }
+      if (state.config) return state.config;
+      throw new Error(`${name}: file mancante (${configPath})`);
+    }
+
+    if (!force && state.config && state.path === configPath && state.mtimeMs === mtimeMs) {
+      return state.config;
+    }
+
+    try {
+      const previous = state.fromFile ? state.config : null;
+      Object.assign(state, {
+        path: configPath,
+        mtimeMs,
+        config: read(configPath),
+        fromFile: true,
+        loadedAt: new Date().toISOString(),
+        lastError: null
+      });
+
+      const message = describe ? describe(state.config, configPath, previous) : null;
+      if (message) log(message);
+    } catch (error) {
+      if (!state.config && !buildDefault) {
+        throw new Error(`${name}: file non valido (${configPath}): ${error.message}`);
+      }
+
+      logError(`❌ ${name}: file non valido (${configPath}), resta attiva la configurazione precedente: ${error.message}`);
+      if (!state.config) useDefault(configPath);
+      state.path = configPath;
+      state.mtimeMs = mtimeMs;
+      state.lastError = { errors: error.errors || [error.message], at: new Date().toISOString() };
+    }
+
+    return state.config;
+  };
+
+  return {
+    /**
+     * Configurazione attiva, riletta se il file è cambiato
+     */
+    get: () => load(),
+
+    /**
+     * Rilegge il file anche se non è cambiato
+     * @returns {{success: boolean, errors?: string[]}}
+     */
+    reload: () => {
+      try {
+        load({ force: true });
+      } catch (error) {
+        return { success: false, errors: [error.message] };
+      }
+      return state.lastError ? { success: false, errors: state.lastError.errors } : { success: true };
+    },
+
+    /**
+     * Errori del file attuale, senza attivarlo (validazione all'avvio)
+     * @returns {string[]} Vuoto se il file è valido o assente con un default
+     */
+    check: () => {
+      const configPath = getPath();
+      if (!fs.existsSync(configPath)) {
+        return buildDefault ? [] : [`file mancante (${configPath})`];
+      }
+      try {
+        return validate(parse(fs.readFileSync(configPath, 'utf8'), configPath));
+      } catch (error) {
+        return [error.message];
+      }
+    },
+
+    /**
+     * @returns {{path: string|null, loadedAt: string|null, lastError: Object|null}} path null = configurazione di default
+     */
+    getStatus: () => ({
+      path: state.fromFile ? state.path : null,
+      loadedAt: state.loadedAt,
+      lastError: state.lastError
+    })
+  };
+}
@@ -0,0 +1,231 @@
+/**
+ * JSON Schema
+ *
+ * Sottoinsieme di JSON Schema per l'output dei prompt di analisi (prompt.json):
+ * - type: object | array | string | number | integer | boolean
+ * - properties, required, additionalProperties (solo false) per gli oggetti
+ * - items per le liste, enum, default, description
+ * null nei campi facoltativi equivale a campo assente (gli structured output
+ * OpenAI in modalità strict restituiscono null per i campi non obbligatori).
+ *
+ * Valori predefiniti tipizzati: default dello schema, altrimenti il primo valore
+ * di enum, '' per le stringhe, 0 per i numeri, false, [] e oggetti con i soli
+ * campi obbligatori (o con default).
+ */
+
+const TYPES = ['object', 'array', 'string', 'number', 'integer', 'boolean'];
+const KEYWORDS = ['type', 'properties', 'required', 'additionalProperties', 'items', 'enum', 'default', 'description'];
+
+function matchesType(value, type) {
+  switch (type) {
+    case 'object':
+      return value !== null && typeof value === 'object' && !Array.isArray(value);
+    case 'array':
+      return Array.isArray(value);
+    case 'integer':
+      return Number.isInteger(value);
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value);
+    default:
+      return typeof value === type;
+  }
+}
+
+function isAbsent(value) {
+  return value === undefined || value === null;
+}
+
+/**
+ * Verifica che uno schema usi solo il sottoinsieme supportato
+ * @returns {string[]} Errori (vuoto se valido)
+ */
+function checkSchemaDefinition(schema, where = 'schema', errors = []) {
+  if (!matchesType(schema, 'object')) {
+    errors.push(`${where} must be an object`);
+    return errors;
+  }
+
+  Object.keys(schema)
+    .filter(keyword => !KEYWORDS.includes(keyword))
+    .forEach(keyword => errors.push(`${where}: unsupported keyword "${keyword}"`));
+
+  if (!TYPES.includes(schema.type)) {
+    errors.push(`${where}.type must be one of ${TYPES.join(', ')}`);
+    return errors;
+  }
+
+  if (schema.enum !== undefined) {
+    if (!Array.isArray(schema.enum) || schema.enum.length === 0) {
+      errors.push(`${where}.enum must be a non-empty array`);
+    } else if (!schema.enum.every(value => matchesType(value, schema.type))) {
+      errors.push(`${where}.enum values must be of type ${schema.type}`);
+    }
+  }
+
+  if (schema.type === 'object') {
+    if (!matchesType(schema.properties, 'object')) {
+      errors.push(`${where}.properties must be an object`);
+    } else {
+      Object.entries(schema.properties).forEach(([key, property]) => {
+        checkSchemaDefinition(property, `${where}.properties.${key}`, errors);
+      });
+    }
+    if (schema.required !== undefined) {
+      if (!Array.isArray(schema.required)) {
+        errors.push(`${where}.required must be an array`);
+      } else {
+        schema.required
+          .filter(key => !schema.properties?.[key])
+          .forEach(key => errors.push(`${where}.required: "${key}" is not in properties`));
+      }
+    }
+    if (schema.additionalProperties !== undefined && schema.additionalProperties !== false) {
+      errors.push(`${where}.additionalProperties may only be false`);
+    }
+  }
+
+  if (schema.type === 'array') {
+    if (schema.items === undefined) {
+      errors.push(`${where}.items is required for arrays`);
+    } else {
+      checkSchemaDefinition(schema.items, `${where}.items`, errors);
+    }
+  }
+
+  if (schema.default !== undefined && errors.length === 0) {
+    validateJson(schema.default, schema, `${where}.default`)
+      .forEach(error => errors.push(error));
+  }
+
+  return errors;
+}
+
+/**
+ * Valida un valore contro lo schema
+ * @returns {string[]} Errori con il percorso del campo (vuoto se valido)
+ */
+function validateJson(value, schema, where = '$', errors = []) {
+  if (!matchesType(value, schema.type)) {
+    errors.push(`${where}: expected ${schema.type}`);
+    return errors;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${where}: must be one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}`);
+  }
+
+  if (schema.type === 'object') {
+    const properties = schema.properties || {};
+    const required = schema.required || [];
+
+    Object.entries(properties).forEach(([key, property]) => {
+      if (isAbsent(value[key])) {
+        if (required.includes(key)) errors.push(`${where}.${key}: required`);
+        return;
+      }
+      validateJson(value[key], property, `${where}.${key}`, errors);
+    });
+
+    if (schema.additionalProperties === false) {
+      Object.keys(value)
+        .filter(key => !properties[key])
+        .forEach(key => errors.push(`${where}.${key}: not allowed`));
+    }
+  }
+
+  if (schema.type === 'array') {
+    value.forEach((item, index) => validateJson(item, schema.items, `${where}[${index}]`, errors));
+  }
+
+  return errors;
+}
+
+function defaultFor(schema) {
+  if (schema.default !== undefined) return structuredClone(schema.default);
+  if (schema.enum) return schema.enum[0];
+
+  switch (schema.type) {
+    case 'object':
+      return applySchemaDefaults({}, schema);
+    case 'array':
+      return [];
+    case 'string':
+      return '';
+    case 'boolean':
+      return false;
+    default:
+      return 0;
+  }
+}
+
+/**
+ * Completa un valore: campi validi invariati, campi obbligatori mancanti o non
+ * validi sostituiti dal valore predefinito. Il risultato è sempre valido.
+ * @returns {*} Nuovo valore (l'originale non viene modificato)
+ */
+function applySchemaDefaults(value, schema) {
+  if (!matchesType(value, schema.type) || (schema.enum && !schema.enum.includes(value))) {
+    return defaultFor(schema);
+  }
+
+  if (schema.type === 'object') {
+    const properties = schema.properties || {};
+    const required = schema.required || [];
+    const result = {};
+
+    Object.entries(value)
+      .filter(([key]) => !properties[key] && schema.additionalProperties !== false)
+      .forEach(([key, extra]) => { result[key] = extra; });
+
+    Object.entries(properties).forEach(([key, property]) => {
+      if (!isAbsent(value[key])) {
+        result[key] = applySchemaDefaults(value[key], property);
+      } else if (required.includes(key) || property.default !== undefined) {
+        result[key] = defaultFor(property);
+      }
+    });
+    return result;
+  }
+
+  if (schema.type === 'array') {
+    return value
+      .filter(item => matchesType(item, schema.items.type))
+      .map(item => applySchemaDefaults(item, schema.items));
+  }
+
+  return value;
+}
+
+/**
+ * Schema nel formato strict degli structured output OpenAI: tutti i campi
+ * obbligatori (i facoltativi ammettono null), additionalProperties false, niente default
+ */
+function toStrictSchema(schema, nullable = false) {
+  const strict = { type: nullable ? [schema.type, 'null'] : schema.type };
+
+  if (schema.description) strict.description = schema.description;
+  if (schema.enum) strict.enum = nullable ? [...schema.enum, null] : [...schema.enum];
+
+  if (schema.type === 'object') {
+    const properties = schema.properties || {};
+    const required = schema.required || [];
+    strict.properties = Object.fromEntries(
+      Object.entries(properties).map(([key, property]) => [key, toStrictSchema(property, !required.includes(key))])
+    );
+    strict.required = Object.keys(properties);
+    strict.additionalProperties = false;
+  }
+
+  if (schema.type === 'array') {
+    strict.items = toStrictSchema(schema.items);
+  }
+
+  return strict;
+}
+
+export {
+  checkSchemaDefinition,
+  validateJson,
+  applySchemaDefaults,
+  toStrictSchema
+};
@@ -0,0 +1,322 @@
+/**
+ * Phone Numbers
+ *
+ * Parsing, validazione e formattazione E.164 dei numeri di telefono, condivisa da
+ * route, servizi e script di import.
+ * - numeri con + o 00: prefisso internazionale riconosciuto dalla tabella dei paesi
+ * - numeri nazionali: interpretati nella regione di default (PHONE_DEFAULT_REGION, default IT)
+ * - numeri con prefisso internazionale senza + (es. 393331234567, 41791234567)
+ *   riconosciuti quando non sono validi come numeri nazionali
+ * - tipo: mobile, landline o unknown (paesi senza distinzione o numeri speciali)
+ *
+ * Paesi con regole di lunghezza e tipo: IT, CH, ES, FR, DE, AT, GB, PT, US.
+ * Gli altri prefissi internazionali sono accettati se la lunghezza è plausibile (8-15 cifre).
+ */
+
+/**
+ * Regole per paese sul numero nazionale significativo (senza prefisso di trunk)
+ * trunkPrefix: cifra da togliere dal formato nazionale (CH 079... → +4179...)
+ */
+const REGIONS = {
+  IT: {
+    countryCode: '39',
+    trunkPrefix: null, // In Italia lo 0 dei fissi fa parte del numero (+39 02...)
+    mobile: /^3\d{8,9}$/,
+    landline: /^0\d{5,10}$/,
+    other: /^(80\d{4,7}|89\d{4,7})$/
+  },
+  CH: {
+    countryCode: '41',
+    trunkPrefix: '0',
+    mobile: /^7[5-9]\d{7}$/,
+    landline: /^[2-6]\d{8}$|^9[1]\d{7}$/,
+    other: /^(8[0-9]|90)\d{7}$/
+  },
+  ES: {
+    countryCode: '34',
+    trunkPrefix: null,
+    mobile: /^([67]\d{8})$/,
+    landline: /^[89][1-8]\d{7}$/,
+    other: /^[89]0\d{7}$/
+  },
+  FR: {
+    countryCode: '33',
+    trunkPrefix: '0',
+    mobile: /^[67]\d{8}$/,
+    landline: /^[1-59]\d{8}$/,
+    other: /^8\d{8}$/
+  },
+  DE: {
+    countryCode: '49',
+    trunkPrefix: '0',
+    mobile: /^1[5-7]\d{8,9}$/,
+    landline: /^[2-9]\d{5,10}$/,
+    other: /^1[0-48-9]\d{4,10}$/
+  },
+  AT: {
+    countryCode: '43',
+    trunkPrefix: '0',
+    mobile: /^6[5-9]\d{6,11}$/,
+    landline: /^[1-57-9]\d{3,12}$/,
+    other: null
+  },
+  GB: {
+    countryCode: '44',
+    trunkPrefix: '0',
+    mobile: /^7[1-9]\d{8}$/,
+    landline: /^[12]\d{8,9}$/,
+    other: /^[358]\d{9}$/
+  },
+  PT: {
+    countryCode: '351',
+    trunkPrefix: null,
+    mobile: /^9[1236]\d{7}$/,
+    landline: /^2\d{8}$/,
+    other: /^[78]\d{8}$/
+  },
+  US: {
+    countryCode: '1',
+    trunkPrefix: '1',
+    mobile: null,
+    landline: null,
+    // NANP non distingue mobile e fisso dal numero
+    other: /^[2-9]\d{2}[2-9]\d{6}$/
+  }
+};
+
+const COUNTRY_CODES = Object.entries(REGIONS).reduce((map, [region, rules]) => {
+  map[rules.countryCode] = region;
+  return map;
+}, {});
+
+const MIN_E164_DIGITS = 8;
+const MAX_E164_DIGITS = 15;
+
+/**
+ * Regione di default per i numeri senza prefisso internazionale
+ */
+export function getDefaultRegion() {
+  const region = (process.env.PHONE_DEFAULT_REGION || 'IT').toUpperCase();
+  return REGIONS[region] ? region : 'IT';
+}
+
+export function getSupportedRegions() {
+  return Object.keys(REGIONS);
+}
+
+/**
+ * Tipo del numero nazionale per una regione
+ * @returns {string|null} mobile | landline | unknown, null se non valido
+ */
+function classifyNational(region, national) {
+  const rules = REGIONS[region];
+  if (rules.mobile?.test(national)) return 'mobile';
+  if (rules.landline?.test(national)) return 'landline';
+  if (rules.other?.test(national)) return 'unknown';
+  return null;
+}
+
+function buildResult(input, region, countryCode, national, type) {
+  return {
+    input,
+    valid: true,
+    e164: `+${countryCode}${national}`,
+    countryCode,
+    region,
+    nationalNumber: national,
+    type
+  };
+}
+
+function invalid(input, reason) {
+  return { input, valid: false, e164: null, countryCode: null, region: null, nationalNumber: null, type: null, reason };
+}
+
+/**
+ * Numero dopo il prefisso internazionale (senza + o 00)
+ */
+function parseInternational(input, digits) {
+  for (const length of [1, 2, 3]) {
+    const countryCode = digits.slice(0, length);
+    const region = COUNTRY_CODES[countryCode];
+    if (!region) continue;
+
+    let national = digits.slice(length);
+    // Formato "+41 (0)79 ..." con lo 0 di trunk ripetuto
+    const { trunkPrefix } = REGIONS[region];
+    if (trunkPrefix && national.startsWith(trunkPrefix) && !classifyNational(region, national)) {
+      national = national.slice(trunkPrefix.length);
+    }
+
+    const type = classifyNational(region, national);
+    return type
+      ? buildResult(input, region, countryCode, national, type)
+      : invalid(input, `INVALID_${region}_NUMBER`);
+  }
+
+  // Prefisso senza regole: basta una lunghezza plausibile
+  if (digits.length < MIN_E164_DIGITS || digits.length > MAX_E164_DIGITS || digits.startsWith('0')) {
+    return invalid(input, 'INVALID_LENGTH');
+  }
+  return { input, valid: true, e164: `+${digits}`, countryCode: null, region: null, nationalNumber: null, type: 'unknown' };
+}
+
+/**
+ * Numero nazionale nella regione indicata
+ */
+function parseNational(input, digits, region) {
+  const { countryCode, trunkPrefix } = REGIONS[region];
+  const national = trunkPrefix && digits.startsWith(trunkPrefix) ? digits.slice(trunkPrefix.length) : digits;
+
+  const type = classifyNational(region, national);
+  return type
+    ? buildResult(input, region, countryCode, national, type)
+    : invalid(input, `INVALID_${region}_NUMBER`);
+}
+
+/**
+ * Analizza un numero di telefono
+ * @param {string|number} rawPhone - Numero in qualsiasi formato (+39 333 123 4567, 0041 79..., 3331234567)
+ * @param {Object} options - { defaultRegion }
+ * @returns {Object} { input, valid, e164, countryCode, region, nationalNumber, type, reason? }
+ */
+export function parsePhone(rawPhone, { defaultRegion = getDefaultRegion() } = {}) {
+  if (rawPhone === undefined || rawPhone === null || String(rawPhone).trim() === '') {
+    return invalid(rawPhone ?? null, 'EMPTY');
+  }
+
+  const input = String(rawPhone).trim();
+  if (!/^[+\d\s().\-/]+$/.test(input)) {
+    return invalid(input, 'INVALID_CHARACTERS');
+  }
+
+  const compact = input.replace(/[\s().\-/]/g, '');
+  if (compact.indexOf('+') > 0 || (compact.match(/\+/g) || []).length > 1) {
+    return invalid(input, 'INVALID_CHARACTERS');
+  }
+
+  if (compact.startsWith('+')) {
+    return parseInternational(input, compact.slice(1));
+  }
+  if (compact.startsWith('00')) {
+    return parseInternational(input, compact.slice(2));
+  }
+
+  const region = REGIONS[String(defaultRegion).toUpperCase()] ? String(defaultRegion).toUpperCase() : getDefaultRegion();
+  const national = parseNational(input, compact, region);
+  if (national.valid) {
+    return national;
+  }
+
+  // Prefisso internazionale scritto senza + (es. 393331234567 da CloudTalk o CSV)
+  const international = parseInternational(input, compact);
+  if (international.valid && international.region) {
+    return international;
+  }
+
+  return national;
+}
+
+/**
+ * E.164 del numero, null se non valido
+ */
+export function toE164(rawPhone, options) {
+  return parsePhone(rawPhone, options).e164;
+}
+
+/**
+ * Numero confrontabile anche quando non è valido: E.164 se valido,
+ * altrimenti le sole cifre (con + se il numero era internazionale).
+ * Da usare per chiavi e ricerche, non per chiamare.
+ */
+export function normalizePhone(rawPhone, options) {
+  if (rawPhone === undefined || rawPhone === null || String(rawPhone).trim() === '') return null;
+
+  const parsed = parsePhone(rawPhone, options);
+  if (parsed.valid) return parsed.e164;
+
+  const compact = String(rawPhone).trim().replace(/[^\d+]/g, '');
+  if (compact.startsWith('00')) return `+${compact.slice(2)}`;
+  return compact || null;
+}
+
+export function isValidPhone(rawPhone, options) {
+  return parsePhone(rawPhone, options).valid;
+}
+
+/**
+ * mobile | landline | unknown, null se non valido
+ */
+export function getPhoneType(rawPhone, options) {
+  return parsePhone(rawPhone, options).type;
+}
+
+/**
+ * Formatta un numero valido
+ * @param {string} format - e164 | international (+39 333 1234567) | national (333 1234567) | digits (393331234567)
+ * @returns {string|null} null se non valido
+ */
+export function formatPhone(rawPhone, format = 'e164', options) {
+  const parsed = parsePhone(rawPhone, options);
+  if (!parsed.valid) return null;
+
+  const digits = parsed.e164.slice(1);
+  switch (format) {
+    case 'digits':
+      return digits;
+    case 'international':
+      return parsed.countryCode
+        ? `+${parsed.countryCode} ${groupNational(parsed.nationalNumber)}`
+        : parsed.e164;
+    case 'national': {
+      if (!parsed.region) return parsed.e164;
+      const trunk = REGIONS[parsed.region].trunkPrefix === '0' ? '0' : '';
+      return groupNational(`${trunk}${parsed.nationalNumber}`);
+    }
+    default:
+      return parsed.e164;
+  }
+}
+
+function groupNational(national) {
+  return national.length > 6 ? `${national.slice(0, 3)} ${national.slice(3)}` : national;
+}
+
+function hasInternationalPrefix(rawPhone) {
+  const compact = String(rawPhone).trim();
+  return compact.startsWith('+') || compact.startsWith('00');
+}
+
+/**
+ * Confronto tollerante tra due numeri: stesso E.164, oppure stesse ultime 9 cifre
+ * quando almeno uno dei due è scritto senza prefisso internazionale
+ * (0791234567 di un lead svizzero e +41791234567 sono lo stesso numero).
+ */
+export function phonesMatch(a, b, options) {
+  if (!a || !b) return false;
+
+  const parsedA = parsePhone(a, options);
+  const parsedB = parsePhone(b, options);
+  if (parsedA.valid && parsedB.valid && parsedA.e164 === parsedB.e164) {
+    return true;
+  }
+
+  const digitsA = String(a).replace(/\D/g, '');
+  const digitsB = String(b).replace(/\D/g, '');
+  if (digitsA === digitsB) return digitsA.length > 0;
+
+  // Due numeri con prefisso esplicito e E.164 diverso sono numeri diversi
+  if (hasInternationalPrefix(a) && hasInternationalPrefix(b)) {
+    return false;
+  }
+  return digitsA.length >= 9 && digitsB.length >= 9 && digitsA.slice(-9) === digitsB.slice(-9);
+}
+
+/**
+ * Numero mascherato per i log (+39******4567)
+ */
+export function maskPhone(rawPhone) {
+  const normalized = normalizePhone(rawPhone);
+  if (!normalized) return null;
+  return normalized.replace(/\d(?=\d{4})/g, '*');
+}
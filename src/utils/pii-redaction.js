@@ -0,0 +1,359 @@
+/**
+ * PII Redaction
+ *
+ * Rilevatori di dati personali nelle trascrizioni (numeri dettati a voce, quindi
+ * con spazi tra i gruppi di cifre):
+ * - iban:           IBAN con lunghezza del paese e checksum mod 97
+ * - codice_fiscale: codice fiscale (anche omocodico) con carattere di controllo
+ * - card:           numero di carta 13-19 cifre (prima cifra 2-6) con checksum di Luhn,
+ *                   anche seguito da altre cifre dettate
+ * - email:          indirizzo email, anche dettato ("mario punto rossi chiocciola gmail punto com")
+ * più rilevatori personalizzati a regex: { name, pattern, flags? }.
+ *
+ * Modalità:
+ * - masked:    il valore resta riconoscibile solo nelle ultime cifre (IT** **** ... 3456, m***@gmail.com)
+ * - tokenized: il valore diventa un segnaposto stabile nella trascrizione ([IBAN_1], [EMAIL_2]);
+ *              la mappa token → valore resta nella copia cifrata
+ */
+
+const IBAN_LENGTHS = {
+  AT: 20, BE: 16, CH: 21, DE: 22, ES: 24, FR: 27, GB: 22, IE: 22, IT: 27,
+  LU: 20, MC: 27, NL: 18, PT: 25, SM: 27, VA: 22
+};
+
+const CF_ODD_VALUES = {
+  0: 1, 1: 0, 2: 5, 3: 7, 4: 9, 5: 13, 6: 15, 7: 17, 8: 19, 9: 21,
+  A: 1, B: 0, C: 5, D: 7, E: 9, F: 13, G: 15, H: 17, I: 19, J: 21, K: 2, L: 4, M: 18,
+  N: 20, O: 11, P: 3, Q: 6, R: 8, S: 12, T: 14, U: 16, V: 10, W: 22, X: 25, Y: 24, Z: 23
+};
+
+// Cifre e lettere per omocodia (LMNPQRSTUV al posto di 0-9)
+const CF_DIGIT = '[0-9LMNPQRSTUV]';
+const CF_CLASSES = [
+  ...Array(6).fill('[A-Z]'), CF_DIGIT, CF_DIGIT, '[ABCDEHLMPRST]', CF_DIGIT, CF_DIGIT,
+  '[A-Z]', CF_DIGIT, CF_DIGIT, CF_DIGIT, '[A-Z]'
+];
+
+const BUILTIN_DETECTORS = ['iban', 'codice_fiscale', 'card', 'email'];
+
+const TOKEN_LABELS = {
+  iban: 'IBAN',
+  codice_fiscale: 'CF',
+  card: 'CARTA',
+  email: 'EMAIL'
+};
+
+function compact(value) {
+  return value.replace(/[\s-]/g, '').toUpperCase();
+}
+
+function isValidIban(iban) {
+  const length = IBAN_LENGTHS[iban.slice(0, 2)];
+  if (length && iban.length !== length) return false;
+  if (iban.length < 15 || iban.length > 34) return false;
+
+  const rearranged = iban.slice(4) + iban.slice(0, 4);
+  const numeric = rearranged.replace(/[A-Z]/g, letter => String(letter.charCodeAt(0) - 55));
+  let remainder = 0;
+  for (const digit of numeric) {
+    remainder = (remainder * 10 + Number(digit)) % 97;
+  }
+  return remainder === 1;
+}
+
+function isValidCodiceFiscale(cf) {
+  if (cf.length !== 16) return false;
+  const sum = [...cf.slice(0, 15)].reduce((total, char, index) => {
+    // Posizioni dispari (1-based) con la tabella dei dispari
+    if (index % 2 === 0) return total + CF_ODD_VALUES[char];
+    return total + (/\d/.test(char) ? Number(char) : char.charCodeAt(0) - 65);
+  }, 0);
+  return String.fromCharCode(65 + (sum % 26)) === cf[15];
+}
+
+function isValidLuhn(number) {
+  let sum = 0;
+  [...number].reverse().forEach((char, index) => {
+    let digit = Number(char);
+    if (index % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  });
+  return sum % 10 === 0;
+}
+
+/**
+ * Fine del match originale dopo `count` caratteri alfanumerici (gli spazi dettati non contano)
+ */
+function endAfterAlphanumerics(text, start, count) {
+  let seen = 0;
+  for (let index = start; index < text.length; index++) {
+    if (/[A-Za-z0-9]/.test(text[index])) seen++;
+    if (seen === count) return index + 1;
+  }
+  return null;
+}
+
+/**
+ * IBAN: il match può includere parole successive ("... 3456 grazie"), quindi si
+ * prova la lunghezza del paese o, per paesi non in tabella, la più lunga valida
+ */
+function findIbans(text) {
+  const findings = [];
+  const pattern = /\b[A-Z]{2}\s?\d{2}(?:[\s-]?[A-Z0-9]){11,30}/gi;
+  let match;
+
+  while ((match = pattern.exec(text)) !== null) {
+    const candidate = compact(match[0]);
+    const knownLength = IBAN_LENGTHS[candidate.slice(0, 2)];
+    const lengths = knownLength ? [knownLength] : Array.from({ length: 20 }, (_, index) => 34 - index);
+
+    for (const length of lengths) {
+      if (candidate.length < length) continue;
+      const iban = candidate.slice(0, length);
+      if (isValidIban(iban)) {
+        const end = endAfterAlphanumerics(text, match.index, length);
+        findings.push({ type: 'iban', start: match.index, end, value: iban });
+        pattern.lastIndex = end;
+        break;
+      }
+    }
+  }
+  return findings;
+}
+
+function findCodiciFiscali(text) {
+  const findings = [];
+  const pattern = new RegExp(`\\b${CF_CLASSES.join('\\s?')}\\b`, 'gi');
+  let match;
+
+  while ((match = pattern.exec(text)) !== null) {
+    const cf = compact(match[0]);
+    if (isValidCodiceFiscale(cf)) {
+      findings.push({ type: 'codice_fiscale', start: match.index, end: match.index + match[0].length, value: cf });
+    }
+  }
+  return findings;
+}
+
+/**
+ * Lunghezze dei circuiti per le prime cifre: Amex 15, Diners/JCB 14/16,
+ * Visa 13/16/19, Maestro/Discover 16/19, Mastercard 16
+ */
+function cardLengths(number) {
+  if (/^3[47]/.test(number)) return [15];
+  if (number[0] === '3') return [16, 14];
+  if (number[0] === '4') return [19, 16, 13];
+  if (number[0] === '6') return [19, 16];
+  return [16];
+}
+
+/**
+ * Carte: come per gli IBAN il match può includere altre cifre dettate dopo il numero
+ * ("4111 1111 1111 1111 12"), quindi se il match intero non supera Luhn si provano
+ * le lunghezze del circuito
+ */
+function findCards(text) {
+  const findings = [];
+  const pattern = /\b[2-6](?:[\s-]?\d){12,18}\b/g;
+  let match;
+
+  while ((match = pattern.exec(text)) !== null) {
+    const candidate = compact(match[0]);
+    const lengths = [candidate.length, ...cardLengths(candidate).filter(length => length < candidate.length)];
+
+    for (const length of lengths) {
+      const number = candidate.slice(0, length);
+      if (isValidLuhn(number)) {
+        const end = endAfterAlphanumerics(text, match.index, length);
+        findings.push({ type: 'card', start: match.index, end, value: number });
+        pattern.lastIndex = end;
+        break;
+      }
+    }
+  }
+  return findings;
+}
+
+function findEmails(text) {
+  const findings = [];
+  const patterns = [
+    /\b[\w.+-]+@[\w-]+(?:\.[\w-]+)+\b/g,
+    /\b\w+(?: (?:punto|trattino|underscore) \w+)* chiocciola \w+(?: punto \w+)+\b/gi
+  ];
+
+  patterns.forEach(pattern => {
+    let match;
+    while ((match = pattern.exec(text)) !== null) {
+      findings.push({ type: 'email', start: match.index, end: match.index + match[0].length, value: match[0] });
+    }
+  });
+  return findings;
+}
+
+const FINDERS = {
+  iban: findIbans,
+  codice_fiscale: findCodiciFiscali,
+  card: findCards,
+  email: findEmails
+};
+
+function findCustom(text, detector) {
+  const findings = [];
+  const pattern = new RegExp(detector.pattern, `${detector.flags || ''}g`);
+  let match;
+
+  while ((match = pattern.exec(text)) !== null) {
+    if (match[0] === '') {
+      pattern.lastIndex++;
+      continue;
+    }
+    findings.push({ type: detector.name, start: match.index, end: match.index + match[0].length, value: match[0] });
+  }
+  return findings;
+}
+
+/**
+ * Valore mascherato: restano visibili le ultime 4 cifre (IBAN, carte) o il dominio (email)
+ */
+function maskValue(finding, original) {
+  if (finding.type === 'email') {
+    const at = original.search(/@| chiocciola /i);
+    return at > 0 ? `${original[0]}***${original.slice(at)}` : '***';
+  }
+  if (finding.type === 'codice_fiscale') {
+    return `${finding.value.slice(0, 3)}*************`;
+  }
+
+  const alphanumericPositions = [...original].flatMap((char, index) => (/[A-Za-z0-9]/.test(char) ? [index] : []));
+  const visible = new Set([
+    ...alphanumericPositions.slice(-4),
+    ...(finding.type === 'iban' ? alphanumericPositions.slice(0, 2) : [])
+  ]);
+  return [...original].map((char, index) =>
+    (/[A-Za-z0-9]/.test(char) && !visible.has(index) ? '*' : char)
+  ).join('');
+}
+
+/**
+ * Redattore con stato condiviso: lo stesso valore ha lo stesso token in tutti i testi
+ * redatti con la stessa istanza (testo completo e segmenti della trascrizione)
+ * @param {Object} options - { mode: masked|tokenized, detectors: nomi dei rilevatori integrati, custom: [{ name, pattern, flags }] }
+ * @returns {{redact: Function, redactSequence: Function, getTokens: Function, getCounts: Function}}
+ */
+function createRedactor({ mode = 'masked', detectors = BUILTIN_DETECTORS, custom = [] } = {}) {
+  const tokens = new Map();
+  const counters = {};
+  const counts = {};
+
+  const tokenFor = (finding) => {
+    const key = `${finding.type}:${finding.type === 'email' ? finding.value.toLowerCase() : finding.value}`;
+    if (!tokens.has(key)) {
+      counters[finding.type] = (counters[finding.type] || 0) + 1;
+      const label = TOKEN_LABELS[finding.type] || finding.type.toUpperCase();
+      tokens.set(key, { token: `[${label}_${counters[finding.type]}]`, type: finding.type, value: finding.value });
+    }
+    return tokens.get(key).token;
+  };
+
+  /**
+   * Dati trovati nel testo, senza sovrapposizioni, con il testo sostitutivo
+   */
+  const findAll = (text) => {
+    const findings = [
+      ...detectors.filter(name => FINDERS[name]).flatMap(name => FINDERS[name](text)),
+      ...custom.flatMap(detector => findCustom(text, detector))
+    ].sort((a, b) => a.start - b.start || b.end - a.end);
+
+    // Match sovrapposti: vince il primo (a parità di inizio il più lungo)
+    const accepted = [];
+    findings.forEach(finding => {
+      const last = accepted[accepted.length - 1];
+      if (!last || finding.start >= last.end) accepted.push(finding);
+    });
+
+    return accepted.map(finding => {
+      counts[finding.type] = (counts[finding.type] || 0) + 1;
+      const replacement = mode === 'tokenized'
+        ? tokenFor(finding)
+        : maskValue(finding, text.slice(finding.start, finding.end));
+      return { ...finding, replacement };
+    });
+  };
+
+  /**
+   * @param {string} text
+   * @returns {{text: string, findings: number}}
+   */
+  const redact = (text) => {
+    if (!text) return { text, findings: 0 };
+
+    const accepted = findAll(text);
+    let result = '';
+    let cursor = 0;
+    accepted.forEach(finding => {
+      result += text.slice(cursor, finding.start) + finding.replacement;
+      cursor = finding.end;
+    });
+    result += text.slice(cursor);
+
+    return { text: result, findings: accepted.length };
+  };
+
+  /**
+   * Redige testi consecutivi (segmenti di una trascrizione) come un testo unico,
+   * così un dato dettato a cavallo di due segmenti viene trovato comunque.
+   * Il valore redatto resta nel primo segmento che lo contiene, la parte
+   * restante viene tolta dai segmenti successivi.
+   * @param {string[]} texts
+   * @returns {string[]} Testi redatti, nello stesso ordine
+   */
+  const redactSequence = (texts) => {
+    const ranges = [];
+    let joined = '';
+    texts.forEach((text, index) => {
+      if (index > 0) joined += ' ';
+      ranges.push({ start: joined.length, end: joined.length + (text || '').length });
+      joined += text || '';
+    });
+
+    const accepted = findAll(joined);
+    const placed = new Set();
+
+    return texts.map((text, index) => {
+      if (!text) return text;
+      const { start, end } = ranges[index];
+
+      let result = '';
+      let cursor = start;
+      accepted
+        .filter(finding => finding.start < end && finding.end > start)
+        .forEach(finding => {
+          result += joined.slice(cursor, Math.max(finding.start, start));
+          if (!placed.has(finding)) {
+            result += finding.replacement;
+            placed.add(finding);
+          }
+          cursor = Math.min(finding.end, end);
+        });
+      return result + joined.slice(cursor, end);
+    });
+  };
+
+  return {
+    redact,
+    redactSequence,
+    getTokens: () => Object.fromEntries([...tokens.values()].map(({ token, type, value }) => [token, { type, value }])),
+    getCounts: () => ({ ...counts })
+  };
+}
+
+export {
+  BUILTIN_DETECTORS,
+  isValidIban,
+  isValidCodiceFiscale,
+  isValidLuhn,
+  createRedactor
+};
@@ -3,7 +3,7 @@
  * Handles CloudTalk recording URLs and integration with GoHighLevel
  */
 
-import { makeCloudTalkRequest } from '../../API CloudTalk/config.js';
+import cloudTalkClient from '../services/cloudtalk-client.js';
 
 /**
  * Extract recording information from CloudTalk payload
@@ -29,12 +29,13 @@ export async function getCloudTalkRecordingUrl(callId) {
         console.log(`📼 Fetching recording URL for call ${callId} from CloudTalk API...`);
         
         // CloudTalk API endpoint for call recordings
-        const response = await makeCloudTalkRequest(`/calls/${callId}/recording`);
+        const response = await cloudTalkClient.request('GET', `/calls/${callId}/recording`);
+        const recordingUrl = response.responseData?.data?.recording_url;
         
-        if (response.data?.responseData?.data?.recording_url) {
+        if (recordingUrl) {
             return {
                 success: true,
-                url: response.data.responseData.data.recording_url,
+                url: recordingUrl,
                 available: true
             };
         }
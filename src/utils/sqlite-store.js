@@ -0,0 +1,134 @@
+import sqlite3 from 'sqlite3';
+import fs from 'fs';
+import path from 'path';
+import { AsyncLocalStorage } from 'async_hooks';
+
+// Store della transazione in corso nel contesto async corrente
+const transactionContext = new AsyncLocalStorage();
+
+/**
+ * SQLite Store
+ *
+ * Base dei servizi singleton con un database SQLite locale (code, cache, log):
+ * - il path del database è risolto al primo init(), non all'import
+ *   (i moduli possono essere importati prima di dotenv)
+ * - init() crea la cartella, apre il database ed esegue setup() una sola volta;
+ *   le chiamate concorrenti condividono la stessa promise
+ * - run → righe modificate, insert → id della riga inserita, all → righe
+ * - tutte le query passano da un'unica coda: una query fuori transazione non può
+ *   finire dentro la transazione aperta da un'altra richiesta (e sparire con il suo ROLLBACK);
+ *   le query eseguite dentro transaction(work) non vengono accodate
+ *
+ * Uso: class MyLog extends SqliteStore { constructor() { super(() => getConfig().dbPath); } async setup() { ... } }
+ */
+export class SqliteStore {
+  /**
+   * @param {Function} resolveDbPath - () => path del database
+   */
+  constructor(resolveDbPath) {
+    this.resolveDbPath = resolveDbPath;
+    this.db = null;
+    this.initPromise = null;
+    this.queue = Promise.resolve();
+  }
+
+  /**
+   * Schema e migrazioni, eseguito una volta dopo l'apertura del database
+   */
+  async setup() {}
+
+  async init() {
+    if (!this.initPromise) {
+      this.initPromise = (async () => {
+        const dbPath = this.resolveDbPath();
+        fs.mkdirSync(path.dirname(dbPath), { recursive: true });
+
+        await new Promise((resolve, reject) => {
+          this.db = new sqlite3.Database(dbPath, (err) => {
+            if (err) {
+              reject(err);
+            } else {
+              resolve();
+            }
+          });
+        });
+
+        await this.setup();
+      })();
+    }
+
+    return this.initPromise;
+  }
+
+  /**
+   * Esegue operation dopo le operazioni già in coda (subito se siamo dentro una transazione di questo store)
+   * @param {Function} operation - () => Promise
+   */
+  enqueue(operation) {
+    if (transactionContext.getStore() === this) {
+      return operation();
+    }
+    const next = this.queue.then(operation);
+    this.queue = next.catch(() => {});
+    return next;
+  }
+
+  run(sql, params = []) {
+    return this.enqueue(() => new Promise((resolve, reject) => {
+      this.db.run(sql, params, function(err) {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(this.changes);
+        }
+      });
+    }));
+  }
+
+  insert(sql, params = []) {
+    return this.enqueue(() => new Promise((resolve, reject) => {
+      this.db.run(sql, params, function(err) {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(this.lastID);
+        }
+      });
+    }));
+  }
+
+  all(sql, params = []) {
+    return this.enqueue(() => new Promise((resolve, reject) => {
+      this.db.all(sql, params, (err, rows) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(rows);
+        }
+      });
+    }));
+  }
+
+  /**
+   * Esegue work in una transazione (BEGIN IMMEDIATE ... COMMIT, ROLLBACK su errore).
+   * Le altre query dello store restano in coda fino alla fine della transazione:
+   * work non deve attendere operazioni esterne lente (chiamate API).
+   * @param {Function} work - async () => risultato
+   */
+  transaction(work) {
+    if (transactionContext.getStore() === this) {
+      return work();
+    }
+    return this.enqueue(() => transactionContext.run(this, async () => {
+      await this.run('BEGIN IMMEDIATE');
+      try {
+        const result = await work();
+        await this.run('COMMIT');
+        return result;
+      } catch (error) {
+        await this.run('ROLLBACK').catch(() => {});
+        throw error;
+      }
+    }));
+  }
+}
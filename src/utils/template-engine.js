@@ -0,0 +1,326 @@
+/**
+ * Template Engine
+ *
+ * Sottoinsieme di Handlebars per testi semplici (note GHL), senza escaping HTML:
+ * - {{percorso}}                         valore (es. {{call_id}}, {{analysis.lead_info.azienda}})
+ * - {{#if percorso}}...{{else}}...{{/if}}  e {{#unless percorso}}...{{/unless}}
+ * - {{#each lista}}{{this}}{{/each}}       con {{@index}} (da 0) e {{this.campo}}
+ * - {{default percorso "testo"}}           valore o testo se vuoto
+ * - {{join lista ", "}}                    elementi della lista separati
+ * - {{date percorso}}                      data formattata nella lingua del template
+ * - {{upper percorso}}                     maiuscolo
+ * - {{! commento }}
+ * I tag di blocco da soli su una riga non lasciano righe vuote.
+ * I percorsi fuori da {{this}} si risolvono sempre dalla radice del contesto.
+ *
+ * compileTemplate valida i percorsi contro uno schema dei campi:
+ * { call_id: 'string', tags: ['string'], analysis: { sentiment: 'string', booked: 'boolean' } }
+ * ('string' = valore, 'boolean' = solo in {{#if}} / {{#unless}}, array = lista,
+ * oggetto = campi annidati).
+ */
+
+const HELPERS = {
+  default: { args: ['path', 'string'] },
+  join: { args: ['path', 'string'], list: true },
+  date: { args: ['path'] },
+  upper: { args: ['path'] }
+};
+
+const PATH_PATTERN = /^(@index|this(\.[\p{L}\p{N}_]+)*|[\p{L}\p{N}_]+(\.[\p{L}\p{N}_]+)*)$/u;
+
+class TemplateError extends Error {
+  constructor(message, line = null) {
+    super(line ? `line ${line}: ${message}` : message);
+    this.name = 'TemplateError';
+    this.line = line;
+  }
+}
+
+function lineAt(source, index) {
+  return source.slice(0, index).split('\n').length;
+}
+
+/**
+ * Argomenti di un tag: percorsi e stringhe tra virgolette
+ */
+function splitArgs(expression, line) {
+  const args = [];
+  const pattern = /"([^"]*)"|(\S+)/g;
+  let match;
+  while ((match = pattern.exec(expression)) !== null) {
+    if (match[1] !== undefined) {
+      args.push({ type: 'string', value: match[1] });
+    } else {
+      if (!PATH_PATTERN.test(match[2])) {
+        throw new TemplateError(`invalid expression "${match[2]}"`, line);
+      }
+      args.push({ type: 'path', value: match[2] });
+    }
+  }
+  return args;
+}
+
+function isBlockTag(content) {
+  return /^[#/!]/.test(content) || content === 'else';
+}
+
+/**
+ * Analizza il template
+ * @returns {Object[]} Nodi
+ */
+function parseTemplate(source) {
+  const root = { body: [] };
+  const stack = [{ node: root, branch: 'body', line: null }];
+  const tagPattern = /\{\{([\s\S]*?)\}\}/g;
+  let cursor = 0;
+  let match;
+
+  const current = () => stack[stack.length - 1];
+  const pushText = (text) => {
+    if (text) current().node[current().branch].push({ type: 'text', value: text });
+  };
+
+  while ((match = tagPattern.exec(source)) !== null) {
+    const content = match[1].trim();
+    const line = lineAt(source, match.index);
+    let text = source.slice(cursor, match.index);
+    let end = match.index + match[0].length;
+
+    // Tag di blocco da solo sulla riga: la riga sparisce dall'output
+    if (isBlockTag(content)) {
+      const lineStart = source.lastIndexOf('\n', match.index - 1) + 1;
+      const after = source.slice(end).match(/^[ \t]*(\r?\n|$)/);
+      if (after && lineStart >= cursor && source.slice(lineStart, match.index).trim() === '') {
+        text = source.slice(cursor, lineStart);
+        end += after[0].length;
+      }
+    }
+
+    pushText(text);
+    cursor = end;
+    tagPattern.lastIndex = end;
+
+    if (content.startsWith('!')) continue;
+
+    if (content.startsWith('#')) {
+      const [keyword, ...rest] = content.slice(1).trim().split(/\s+/);
+      if (!['if', 'unless', 'each'].includes(keyword)) {
+        throw new TemplateError(`unknown block "#${keyword}"`, line);
+      }
+      const args = splitArgs(rest.join(' '), line);
+      if (args.length !== 1 || args[0].type !== 'path') {
+        throw new TemplateError(`#${keyword} needs exactly one field`, line);
+      }
+      const node = { type: keyword, path: args[0].value, body: [], inverse: [], line };
+      current().node[current().branch].push(node);
+      stack.push({ node, branch: 'body', line });
+      continue;
+    }
+
+    if (content === 'else') {
+      if (stack.length === 1 || current().branch === 'inverse') {
+        throw new TemplateError('{{else}} outside of a block', line);
+      }
+      current().branch = 'inverse';
+      continue;
+    }
+
+    if (content.startsWith('/')) {
+      const keyword = content.slice(1).trim();
+      if (stack.length === 1) {
+        throw new TemplateError(`{{/${keyword}}} without an open block`, line);
+      }
+      if (current().node.type !== keyword) {
+        throw new TemplateError(`{{/${keyword}}} closes {{#${current().node.type}}} opened at line ${current().line}`, line);
+      }
+      stack.pop();
+      continue;
+    }
+
+    const args = splitArgs(content, line);
+    if (args.length === 0) {
+      throw new TemplateError('empty tag', line);
+    }
+    if (args.length === 1) {
+      if (args[0].type !== 'path') {
+        throw new TemplateError('a tag with only a string is not allowed', line);
+      }
+      current().node[current().branch].push({ type: 'var', path: args[0].value, line });
+      continue;
+    }
+
+    const [name, ...helperArgs] = args;
+    const helper = HELPERS[name.value];
+    if (name.type !== 'path' || !helper) {
+      throw new TemplateError(`unknown helper "${name.value}"`, line);
+    }
+    if (helperArgs.length !== helper.args.length || helperArgs.some((arg, index) => arg.type !== helper.args[index])) {
+      throw new TemplateError(`${name.value} expects: ${helper.args.join(', ')}`, line);
+    }
+    current().node[current().branch].push({ type: 'helper', name: name.value, args: helperArgs, line });
+  }
+
+  if (stack.length > 1) {
+    throw new TemplateError(`{{#${current().node.type}}} is never closed`, current().line);
+  }
+
+  pushText(source.slice(cursor));
+  return root.body;
+}
+
+/**
+ * Tipo di un percorso nello schema
+ * @returns {*} 'string', 'boolean', array o oggetto dello schema; undefined se il campo non esiste
+ */
+function resolveSchema(schema, path, itemSchema) {
+  if (path === '@index') return itemSchema === undefined ? undefined : 'string';
+
+  let node;
+  let segments;
+  if (path === 'this' || path.startsWith('this.')) {
+    if (itemSchema === undefined) return undefined;
+    node = itemSchema;
+    segments = path.split('.').slice(1);
+  } else {
+    node = schema;
+    segments = path.split('.');
+  }
+
+  for (const segment of segments) {
+    if (!node || typeof node !== 'object' || Array.isArray(node) || !(segment in node)) {
+      return undefined;
+    }
+    node = node[segment];
+  }
+  return node;
+}
+
+/**
+ * Verifica che il template usi solo campi dello schema
+ * @returns {string[]} Errori
+ */
+function validateNodes(nodes, schema, itemSchema = undefined, errors = []) {
+  nodes.forEach(node => {
+    if (node.type === 'text') return;
+
+    const path = node.type === 'helper' ? node.args[0].value : node.path;
+    const fieldSchema = resolveSchema(schema, path, itemSchema);
+    if (fieldSchema === undefined) {
+      errors.push(new TemplateError(`unknown field "${path}"`, node.line).message);
+      return;
+    }
+
+    if (node.type === 'each' || (node.type === 'helper' && HELPERS[node.name].list)) {
+      if (!Array.isArray(fieldSchema)) {
+        errors.push(new TemplateError(`"${path}" is not a list`, node.line).message);
+        return;
+      }
+    }
+
+    // Un booleano stampato darebbe "true" / "false" nel testo della nota
+    if (fieldSchema === 'boolean' && node.type !== 'if' && node.type !== 'unless') {
+      errors.push(new TemplateError(`"${path}" is a boolean: use {{#if ${path}}}`, node.line).message);
+      return;
+    }
+
+    if (node.type === 'each') {
+      validateNodes(node.body, schema, fieldSchema[0], errors);
+      validateNodes(node.inverse, schema, itemSchema, errors);
+    } else if (node.type === 'if' || node.type === 'unless') {
+      validateNodes(node.body, schema, itemSchema, errors);
+      validateNodes(node.inverse, schema, itemSchema, errors);
+    }
+  });
+  return errors;
+}
+
+function readPath(context, path, scope) {
+  if (path === '@index') return scope?.index;
+  let value;
+  let segments;
+  if (path === 'this' || path.startsWith('this.')) {
+    value = scope?.item;
+    segments = path.split('.').slice(1);
+  } else {
+    value = context;
+    segments = path.split('.');
+  }
+  return segments.reduce((current, segment) => (current == null ? undefined : current[segment]), value);
+}
+
+function isTruthy(value) {
+  if (Array.isArray(value)) return value.length > 0;
+  if (typeof value === 'string') return value.trim() !== '';
+  return !!value;
+}
+
+function toText(value) {
+  if (value === undefined || value === null) return '';
+  if (Array.isArray(value)) return value.map(toText).join(', ');
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+}
+
+function renderNodes(nodes, context, options, scope = null) {
+  return nodes.map(node => {
+    switch (node.type) {
+      case 'text':
+        return node.value;
+      case 'var':
+        return toText(readPath(context, node.path, scope));
+      case 'helper': {
+        const value = readPath(context, node.args[0].value, scope);
+        if (node.name === 'default') return isTruthy(value) ? toText(value) : node.args[1].value;
+        if (node.name === 'join') return Array.isArray(value) ? value.map(toText).join(node.args[1].value) : toText(value);
+        if (node.name === 'upper') return toText(value).toUpperCase();
+        if (node.name === 'date') {
+          if (!value) return '';
+          const date = new Date(value);
+          return Number.isNaN(date.getTime()) ? toText(value) : date.toLocaleString(options.dateLocale);
+        }
+        return '';
+      }
+      case 'if':
+      case 'unless': {
+        const truthy = isTruthy(readPath(context, node.path, scope));
+        const branch = (node.type === 'if' ? truthy : !truthy) ? node.body : node.inverse;
+        return renderNodes(branch, context, options, scope);
+      }
+      case 'each': {
+        const list = readPath(context, node.path, scope);
+        if (!Array.isArray(list) || list.length === 0) {
+          return renderNodes(node.inverse, context, options, scope);
+        }
+        return list.map((item, index) => renderNodes(node.body, context, options, { item, index })).join('');
+      }
+      default:
+        return '';
+    }
+  }).join('');
+}
+
+/**
+ * Compila e valida un template
+ * @param {string} source - Testo del template
+ * @param {Object} schema - Campi disponibili
+ * @param {Object} options - { dateLocale }
+ * @returns {{render: Function}} render(context) → testo
+ * @throws {TemplateError} se la sintassi o i campi non sono validi
+ */
+function compileTemplate(source, schema, { dateLocale = 'it-IT' } = {}) {
+  const nodes = parseTemplate(source);
+  const errors = validateNodes(nodes, schema);
+  if (errors.length > 0) {
+    throw new TemplateError(errors.join('; '));
+  }
+
+  return {
+    render: (context) => renderNodes(nodes, context || {}, { dateLocale }).trim()
+  };
+}
+
+export {
+  TemplateError,
+  parseTemplate,
+  compileTemplate
+};
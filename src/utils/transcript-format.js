@@ -0,0 +1,128 @@
+/**
+ * Transcript Format
+ *
+ * Trascrizione strutturata di una chiamata:
+ * {
+ *   version: 1,
+ *   language: 'it',
+ *   provider: 'openai',
+ *   diarized: true,                     // speaker dai canali della registrazione stereo
+ *   duration: 84.2,                     // secondi (fine dell'ultimo segmento)
+ *   speakers: ['setter', 'lead'],
+ *   segments: [{ id: 1, start: 0.0, end: 3.4, speaker: 'setter', text: '...' }]
+ * }
+ * Senza diarizzazione speaker è null e speakers è vuoto.
+ * Esportazione come testo (per l'analisi AI e le note), SRT e WebVTT.
+ */
+
+const SPEAKERS = ['setter', 'lead'];
+
+const SPEAKER_LABELS = {
+  setter: 'SETTER',
+  lead: 'LEAD'
+};
+
+function roundSeconds(value) {
+  return Math.round(Number(value) * 1000) / 1000;
+}
+
+/**
+ * Segmenti di un provider ripuliti: tempi numerici, testo non vuoto
+ * @param {Object[]} segments - [{ start, end, text }]
+ * @param {string|null} speaker
+ */
+function normalizeSegments(segments = [], speaker = null) {
+  return segments
+    .map(segment => ({
+      start: roundSeconds(segment.start) || 0,
+      end: roundSeconds(segment.end) || 0,
+      speaker,
+      text: String(segment.text || '').trim()
+    }))
+    .filter(segment => segment.text !== '')
+    .map(segment => ({ ...segment, end: Math.max(segment.end, segment.start) }));
+}
+
+/**
+ * Trascrizione strutturata da segmenti di uno o più canali
+ * @param {Object} options - { segments, language, provider, diarized }
+ * @returns {Object}
+ */
+function buildTranscript({ segments, language = 'it', provider = null, diarized = false }) {
+  const ordered = [...segments]
+    .sort((a, b) => a.start - b.start || a.end - b.end)
+    .map((segment, index) => ({ id: index + 1, ...segment }));
+
+  return {
+    version: 1,
+    language,
+    provider,
+    diarized,
+    duration: ordered.reduce((max, segment) => Math.max(max, segment.end), 0),
+    speakers: diarized ? SPEAKERS.filter(speaker => ordered.some(segment => segment.speaker === speaker)) : [],
+    segments: ordered
+  };
+}
+
+/**
+ * Testo semplice; con la diarizzazione ogni battuta ha il suo speaker
+ * (battute consecutive dello stesso speaker unite):
+ *   SETTER: Buongiorno, sono Marco di Squadd.
+ *   LEAD: Buongiorno.
+ */
+function toPlainText(transcript) {
+  if (!transcript.diarized) {
+    return transcript.segments.map(segment => segment.text).join(' ');
+  }
+
+  const turns = [];
+  transcript.segments.forEach(segment => {
+    const last = turns[turns.length - 1];
+    if (last && last.speaker === segment.speaker) {
+      last.text += ` ${segment.text}`;
+    } else {
+      turns.push({ speaker: segment.speaker, text: segment.text });
+    }
+  });
+  return turns.map(turn => `${SPEAKER_LABELS[turn.speaker] || turn.speaker}: ${turn.text}`).join('\n');
+}
+
+function formatTimestamp(seconds, separator) {
+  const totalMs = Math.round(seconds * 1000);
+  const hours = Math.floor(totalMs / 3600000);
+  const minutes = Math.floor((totalMs % 3600000) / 60000);
+  const secs = Math.floor((totalMs % 60000) / 1000);
+  const ms = totalMs % 1000;
+  const pad = (value, size = 2) => String(value).padStart(size, '0');
+  return `${pad(hours)}:${pad(minutes)}:${pad(secs)}${separator}${pad(ms, 3)}`;
+}
+
+/**
+ * Sottotitoli SRT (speaker come prefisso della battuta)
+ */
+function toSrt(transcript) {
+  return transcript.segments.map((segment, index) => {
+    const label = segment.speaker ? `${SPEAKER_LABELS[segment.speaker] || segment.speaker}: ` : '';
+    return `${index + 1}\n${formatTimestamp(segment.start, ',')} --> ${formatTimestamp(segment.end, ',')}\n${label}${segment.text}\n`;
+  }).join('\n');
+}
+
+/**
+ * WebVTT (speaker come voice tag <v SETTER>)
+ */
+function toVtt(transcript) {
+  const cues = transcript.segments.map(segment => {
+    const text = segment.speaker ? `<v ${SPEAKER_LABELS[segment.speaker] || segment.speaker}>${segment.text}` : segment.text;
+    return `${segment.id}\n${formatTimestamp(segment.start, '.')} --> ${formatTimestamp(segment.end, '.')}\n${text}\n`;
+  });
+  return ['WEBVTT\n', ...cues].join('\n');
+}
+
+export {
+  SPEAKERS,
+  normalizeSegments,
+  buildTranscript,
+  toPlainText,
+  toSrt,
+  toVtt
+};
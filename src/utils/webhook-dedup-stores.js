@@ -0,0 +1,125 @@
+// Webhook deduplication storage backends
+// Both stores expose the same async interface so the deduplication utility
+// can switch between them via WEBHOOK_DEDUP_BACKEND.
+
+import path from 'path';
+import { SqliteStore } from './sqlite-store.js';
+
+/**
+ * In-memory store (lost on restart)
+ */
+export class MemoryDedupStore {
+  constructor() {
+    this.name = 'memory';
+    this.entries = new Map();
+  }
+
+  async init() {}
+
+  /**
+   * @param {string} key - Deduplication key
+   * @param {number} now - Current timestamp
+   * @returns {Promise<object|null>} Entry if present and not expired
+   */
+  async get(key, now = Date.now()) {
+    const entry = this.entries.get(key);
+    if (!entry || entry.expiresAt <= now) {
+      return null;
+    }
+    return entry;
+  }
+
+  async set(entry) {
+    this.entries.set(entry.key, entry);
+  }
+
+  /**
+   * Remove expired entries
+   * @returns {Promise<number>} Number of removed entries
+   */
+  async cleanup(now = Date.now()) {
+    let cleanedCount = 0;
+
+    for (const [key, entry] of this.entries.entries()) {
+      if (entry.expiresAt <= now) {
+        this.entries.delete(key);
+        cleanedCount++;
+      }
+    }
+
+    return cleanedCount;
+  }
+
+  async list() {
+    return Array.from(this.entries.values()).sort((a, b) => b.processedAt - a.processedAt);
+  }
+}
+
+/**
+ * SQLite store (survives restarts and deploys)
+ */
+export class SqliteDedupStore extends SqliteStore {
+  constructor(dbPath = path.join(process.cwd(), 'data', 'webhook-dedup.db')) {
+    super(() => dbPath);
+    this.name = 'sqlite';
+  }
+
+  async setup() {
+    await this.run(`
+      CREATE TABLE IF NOT EXISTS processed_webhooks (
+        key TEXT PRIMARY KEY,
+        call_id TEXT,
+        webhook_type TEXT,
+        processed_at INTEGER NOT NULL,
+        expires_at INTEGER NOT NULL
+      )
+    `);
+    await this.run('CREATE INDEX IF NOT EXISTS idx_processed_webhooks_expires ON processed_webhooks (expires_at)');
+  }
+
+  async get(key, now = Date.now()) {
+    const rows = await this.all(
+      'SELECT * FROM processed_webhooks WHERE key = ? AND expires_at > ?',
+      [key, now]
+    );
+    return rows.length > 0 ? fromRow(rows[0]) : null;
+  }
+
+  async set(entry) {
+    await this.run(
+      `INSERT OR REPLACE INTO processed_webhooks (key, call_id, webhook_type, processed_at, expires_at)
+       VALUES (?, ?, ?, ?, ?)`,
+      [entry.key, String(entry.callId), entry.webhookType, entry.processedAt, entry.expiresAt]
+    );
+  }
+
+  async cleanup(now = Date.now()) {
+    return this.run('DELETE FROM processed_webhooks WHERE expires_at <= ?', [now]);
+  }
+
+  async list() {
+    const rows = await this.all('SELECT * FROM processed_webhooks ORDER BY processed_at DESC');
+    return rows.map(fromRow);
+  }
+}
+
+function fromRow(row) {
+  return {
+    key: row.key,
+    callId: row.call_id,
+    webhookType: row.webhook_type,
+    processedAt: row.processed_at,
+    expiresAt: row.expires_at
+  };
+}
+
+/**
+ * Create a store for the given backend name
+ * @param {string} backend - 'sqlite' or 'memory'
+ */
+export function createDedupStore(backend) {
+  if (backend === 'memory') {
+    return new MemoryDedupStore();
+  }
+  return new SqliteDedupStore(process.env.WEBHOOK_DEDUP_DB_PATH || undefined);
+}
@@ -1,34 +1,89 @@
 // Webhook deduplication utility
 // Prevents processing the same webhook multiple times
 
-import { log } from '../logger.js';
+import { log, logError } from '../logger.js';
+import { createDedupStore, MemoryDedupStore } from './webhook-dedup-stores.js';
 
-// In-memory cache of recently processed webhooks
-const processedWebhooks = new Map();
+// Backend: 'sqlite' (default, survives restarts) or 'memory'
+const DEDUP_BACKEND = process.env.WEBHOOK_DEDUP_BACKEND || 'sqlite';
 
-// Cache duration in milliseconds (5 minutes)
-const CACHE_DURATION = 5 * 60 * 1000;
+// Default cache duration in minutes
+const DEFAULT_TTL_MINUTES = parseInt(process.env.WEBHOOK_DEDUP_TTL_MINUTES) || 5;
+
+// Per-type cache duration in minutes.
+// call-ended increments "# di tentativi di chiamata", so CloudTalk retries
+// must be caught for much longer than the default window.
+const DEFAULT_TTLS_BY_TYPE = {
+  'call-ended': 24 * 60,
+  'call-recording-ready': 24 * 60
+};
+
+let store = null;
+let initPromise = null;
+
+/**
+ * Get the TTL for a webhook type in milliseconds.
+ * Override via WEBHOOK_DEDUP_TTL_<TYPE> (minutes), e.g. WEBHOOK_DEDUP_TTL_CALL_ENDED=1440
+ * @param {string} webhookType - Type of webhook
+ * @returns {number} TTL in milliseconds
+ */
+export function getWebhookTtl(webhookType) {
+  const envKey = `WEBHOOK_DEDUP_TTL_${webhookType.toUpperCase().replace(/-/g, '_')}`;
+  const minutes = parseInt(process.env[envKey]) || DEFAULT_TTLS_BY_TYPE[webhookType] || DEFAULT_TTL_MINUTES;
+  return minutes * 60 * 1000;
+}
+
+/**
+ * Lazily initialize the configured store, falling back to memory on failure
+ */
+async function getStore() {
+  if (store) return store;
+
+  if (!initPromise) {
+    initPromise = (async () => {
+      const candidate = createDedupStore(DEDUP_BACKEND);
+      try {
+        await candidate.init();
+        log(`🗄️ Webhook dedup store initialized: ${candidate.name}`);
+        store = candidate;
+      } catch (error) {
+        logError(`❌ Webhook dedup store "${candidate.name}" failed, falling back to memory: ${error.message}`);
+        store = new MemoryDedupStore();
+      }
+      return store;
+    })();
+  }
+
+  return initPromise;
+}
 
 /**
  * Check if a webhook has already been processed recently
  * @param {string} callId - The call ID from the webhook
  * @param {string} webhookType - Type of webhook
- * @returns {boolean} true if already processed, false if new
+ * @returns {Promise<boolean>} true if already processed, false if new
  */
-export function isWebhookAlreadyProcessed(callId, webhookType) {
+export async function isWebhookAlreadyProcessed(callId, webhookType) {
   const key = `${callId}_${webhookType}`;
   const now = Date.now();
 
-  // Clean up old entries
-  cleanupOldEntries(now);
+  try {
+    const dedupStore = await getStore();
+
+    // Clean up old entries
+    await cleanupOldEntries(dedupStore, now);
 
-  // Check if this webhook was already processed
-  if (processedWebhooks.has(key)) {
-    const processedAt = processedWebhooks.get(key);
-    const timeSince = now - processedAt;
+    // Check if this webhook was already processed
+    const entry = await dedupStore.get(key, now);
+    if (entry) {
+      const timeSince = now - entry.processedAt;
 
-    log(`🔄 Webhook already processed ${Math.round(timeSince/1000)}s ago: ${key}`);
-    return true;
+      log(`🔄 Webhook already processed ${Math.round(timeSince/1000)}s ago: ${key}`);
+      return true;
+    }
+  } catch (error) {
+    // Never block webhook processing because the dedup store is unavailable
+    logError(`❌ Errore controllo deduplicazione ${key}: ${error.message}`);
   }
 
   return false;
@@ -39,28 +94,32 @@ export function isWebhookAlreadyProcessed(callId, webhookType) {
  * @param {string} callId - The call ID from the webhook
  * @param {string} webhookType - Type of webhook
  */
-export function markWebhookAsProcessed(callId, webhookType) {
+export async function markWebhookAsProcessed(callId, webhookType) {
   const key = `${callId}_${webhookType}`;
   const now = Date.now();
 
-  processedWebhooks.set(key, now);
-  log(`✅ Marked webhook as processed: ${key}`);
+  try {
+    const dedupStore = await getStore();
+    await dedupStore.set({
+      key,
+      callId,
+      webhookType,
+      processedAt: now,
+      expiresAt: now + getWebhookTtl(webhookType)
+    });
+    log(`✅ Marked webhook as processed: ${key}`);
+  } catch (error) {
+    logError(`❌ Errore salvando deduplicazione ${key}: ${error.message}`);
+  }
 }
 
 /**
- * Clean up old entries from the cache
+ * Clean up old entries from the store
+ * @param {object} dedupStore - Active store
  * @param {number} now - Current timestamp
  */
-function cleanupOldEntries(now) {
-  const cutoff = now - CACHE_DURATION;
-  let cleanedCount = 0;
-
-  for (const [key, timestamp] of processedWebhooks.entries()) {
-    if (timestamp < cutoff) {
-      processedWebhooks.delete(key);
-      cleanedCount++;
-    }
-  }
+async function cleanupOldEntries(dedupStore, now) {
+  const cleanedCount = await dedupStore.cleanup(now);
 
   if (cleanedCount > 0) {
     log(`🧹 Cleaned up ${cleanedCount} old webhook entries`);
@@ -69,18 +128,34 @@ function cleanupOldEntries(now) {
 
 /**
  * Get current cache stats
- * @returns {object} Cache statistics
+ * @returns {Promise<object>} Cache statistics
  */
-export function getWebhookCacheStats() {
+export async function getWebhookCacheStats() {
   const now = Date.now();
-  cleanupOldEntries(now);
+  const dedupStore = await getStore();
+  await cleanupOldEntries(dedupStore, now);
+
+  const entries = await dedupStore.list();
+  const byType = {};
+  entries.forEach(entry => {
+    byType[entry.webhookType] = (byType[entry.webhookType] || 0) + 1;
+  });
 
   return {
-    totalEntries: processedWebhooks.size,
-    entries: Array.from(processedWebhooks.entries()).map(([key, timestamp]) => ({
-      key,
-      processedAt: new Date(timestamp).toISOString(),
-      ageMinutes: Math.round((now - timestamp) / 60000)
+    backend: dedupStore.name,
+    totalEntries: entries.length,
+    byType,
+    ttlMinutes: Object.fromEntries(
+      [...new Set([...Object.keys(DEFAULT_TTLS_BY_TYPE), ...Object.keys(byType)])]
+        .map(type => [type, getWebhookTtl(type) / 60000])
+    ),
+    defaultTtlMinutes: DEFAULT_TTL_MINUTES,
+    entries: entries.map(entry => ({
+      key: entry.key,
+      webhookType: entry.webhookType,
+      processedAt: new Date(entry.processedAt).toISOString(),
+      expiresAt: new Date(entry.expiresAt).toISOString(),
+      ageMinutes: Math.round((now - entry.processedAt) / 60000)
     }))
   };
 }
@@ -88,5 +163,6 @@ export function getWebhookCacheStats() {
 export default {
   isWebhookAlreadyProcessed,
   markWebhookAsProcessed,
-  getWebhookCacheStats
-};
\ No newline at end of file
+  getWebhookCacheStats,
+  getWebhookTtl
+};
@@ -7,6 +7,24 @@ import { log } from '../logger.js';
 
 const WEBHOOK_PAYLOADS_DIR = path.join(process.cwd(), 'webhook-payloads');
 
+// Credentials that must never reach the logs or the payload files
+const SECRET_HEADERS = ['x-webhook-token', 'x-webhook-signature', 'authorization'];
+
+/**
+ * Copy of the request headers with webhook credentials redacted
+ * @param {object} headers - Request headers (lowercase names, as in Express)
+ * @returns {object}
+ */
+export function redactWebhookHeaders(headers = {}) {
+  const redacted = { ...headers };
+  SECRET_HEADERS.forEach(name => {
+    if (redacted[name] !== undefined) {
+      redacted[name] = '[REDACTED]';
+    }
+  });
+  return redacted;
+}
+
 /**
  * Save webhook payload to text file
  * @param {string} provider - 'cloudtalk' or 'squadd'
@@ -30,7 +48,7 @@ export async function saveWebhookPayload(provider, webhookType, payload, headers
 === WEBHOOK RECEIVED: ${timestamp} ===
 Provider: ${provider}
 Webhook Type: ${webhookType}
-Headers: ${JSON.stringify(headers, null, 2)}
+Headers: ${JSON.stringify(redactWebhookHeaders(headers), null, 2)}
 User-Agent: ${headers['user-agent'] || 'N/A'}
 Content-Type: ${headers['content-type'] || 'N/A'}
 IP: ${headers['x-forwarded-for'] || headers['x-real-ip'] || 'N/A'}
@@ -160,6 +178,50 @@ export async function readWebhookPayload(filepath) {
   }
 }
 
+/**
+ * Parse the entries of a .txt webhook file back into payloads
+ * @param {string} content - Raw file content as written by saveWebhookPayload
+ * @returns {Array<{receivedAt: string, provider: string|null, webhookType: string|null, payload: object|null, parseError?: string}>}
+ */
+export function parseWebhookEntries(content) {
+  const blocks = content.split('=== WEBHOOK RECEIVED: ').slice(1);
+
+  return blocks.map((block, index) => {
+    const receivedAt = block.slice(0, block.indexOf(' ===')).trim();
+    const provider = block.match(/^Provider: (.+)$/m)?.[1].trim() || null;
+    const webhookType = block.match(/^Webhook Type: (.+)$/m)?.[1].trim() || null;
+
+    const payloadStart = block.indexOf('\nPAYLOAD:\n');
+    const payloadEnd = block.lastIndexOf('\n==============================');
+    const entry = { index, receivedAt, provider, webhookType, payload: null };
+
+    if (payloadStart === -1 || payloadEnd <= payloadStart) {
+      entry.parseError = 'PAYLOAD section not found';
+      return entry;
+    }
+
+    try {
+      entry.payload = JSON.parse(block.slice(payloadStart + '\nPAYLOAD:\n'.length, payloadEnd));
+    } catch (error) {
+      entry.parseError = error.message;
+    }
+    return entry;
+  });
+}
+
+/**
+ * Resolve a webhook file path, refusing anything outside the webhook-payloads directory
+ * @param {string} file - Absolute path or path relative to webhook-payloads (e.g. 'cloudtalk/call-ended.txt')
+ * @returns {string|null} Absolute path, or null if outside the payloads directory
+ */
+export function resolveWebhookFile(file) {
+  const filepath = path.resolve(WEBHOOK_PAYLOADS_DIR, file);
+  if (!filepath.startsWith(WEBHOOK_PAYLOADS_DIR + path.sep)) {
+    return null;
+  }
+  return filepath;
+}
+
 /**
  * Clean old webhook files (older than specified days)
  * @param {number} daysToKeep - Number of days to keep files
@@ -0,0 +1,235 @@
+/**
+ * Webhook Signature Verification Middleware
+ *
+ * Authenticates inbound webhooks before any processing happens:
+ * 1. HMAC-SHA256 over the raw request body with one shared secret per provider
+ * 2. Required timestamp header, signed together with the body and checked
+ *    against a tolerance window to block replays
+ * 3. Static token fallback (header only, never the query string, which ends up
+ *    in access logs) for automations that can't sign
+ *
+ * Providers without any secret/token configured are rejected. Only an explicit
+ * WEBHOOK_AUTH_REQUIRED=false lets them through (with a warning), e.g. for local testing.
+ */
+
+import crypto from 'crypto';
+import { log, logError } from '../logger.js';
+
+const SIGNATURE_HEADER = 'x-webhook-signature';
+const TIMESTAMP_HEADER = 'x-webhook-timestamp';
+const TOKEN_HEADER = 'x-webhook-token';
+
+// Shared secret / static token environment variables per provider
+const PROVIDERS = {
+  cloudtalk: {
+    secretEnv: 'CLOUDTALK_WEBHOOK_SECRET',
+    tokenEnv: 'CLOUDTALK_WEBHOOK_TOKEN'
+  },
+  ghl: {
+    secretEnv: 'GHL_WEBHOOK_SECRET',
+    tokenEnv: null
+  },
+  'google-sheets': {
+    secretEnv: 'GOOGLE_SHEETS_WEBHOOK_SECRET',
+    tokenEnv: 'GOOGLE_SHEETS_WEBHOOK_TOKEN'
+  }
+};
+
+// Rejection counters per provider (exposed in health endpoints)
+const authStats = {};
+const warnedProviders = new Set();
+
+function getStats(provider) {
+  if (!authStats[provider]) {
+    authStats[provider] = {
+      accepted: 0,
+      rejected: 0,
+      unauthenticatedPassthrough: 0,
+      rejectionsByReason: {},
+      lastRejection: null
+    };
+  }
+  return authStats[provider];
+}
+
+function isAuthRequired() {
+  return process.env.WEBHOOK_AUTH_REQUIRED !== 'false';
+}
+
+function getToleranceSeconds() {
+  return parseInt(process.env.WEBHOOK_SIGNATURE_TOLERANCE_SECONDS) || 300;
+}
+
+/**
+ * Constant-time string comparison
+ */
+function safeEqual(a, b) {
+  const bufferA = Buffer.from(String(a));
+  const bufferB = Buffer.from(String(b));
+  if (bufferA.length !== bufferB.length) {
+    return false;
+  }
+  return crypto.timingSafeEqual(bufferA, bufferB);
+}
+
+/**
+ * Compute the expected signature for a payload
+ * @param {string} secret - Provider shared secret
+ * @param {Buffer|string} rawBody - Raw request body
+ * @param {string|null} timestamp - Timestamp header value (signed as "<timestamp>.<body>")
+ * @returns {string} Hex-encoded HMAC-SHA256
+ */
+export function computeWebhookSignature(secret, rawBody, timestamp = null) {
+  const hmac = crypto.createHmac('sha256', secret);
+  if (timestamp) {
+    hmac.update(`${timestamp}.`);
+  }
+  hmac.update(rawBody || '');
+  return hmac.digest('hex');
+}
+
+/**
+ * Parse a timestamp header in seconds or milliseconds
+ * @returns {number|null} Epoch milliseconds
+ */
+function parseTimestamp(value) {
+  const numeric = Number(value);
+  if (Number.isFinite(numeric)) {
+    return numeric > 1e12 ? numeric : numeric * 1000;
+  }
+  const parsed = Date.parse(value);
+  return Number.isNaN(parsed) ? null : parsed;
+}
+
+/**
+ * Verify a request against a provider configuration
+ * @returns {{valid: boolean, method?: string, reason?: string, message?: string}}
+ */
+export function verifyWebhookRequest(provider, req) {
+  const config = PROVIDERS[provider] || {};
+  const secret = config.secretEnv ? process.env[config.secretEnv] : null;
+  const token = config.tokenEnv ? process.env[config.tokenEnv] : null;
+
+  if (!secret && !token) {
+    if (isAuthRequired()) {
+      return { valid: false, reason: 'AUTH_NOT_CONFIGURED', message: `No webhook secret configured for ${provider}` };
+    }
+    return { valid: true, method: 'none' };
+  }
+
+  const signatureHeader = req.headers[SIGNATURE_HEADER];
+
+  // 1. HMAC signature
+  if (secret && signatureHeader) {
+    const timestampHeader = req.headers[TIMESTAMP_HEADER] || null;
+
+    // Without a signed timestamp a captured request could be replayed forever
+    if (!timestampHeader) {
+      return { valid: false, reason: 'MISSING_TIMESTAMP', message: `Missing ${TIMESTAMP_HEADER} header` };
+    }
+
+    const timestampMs = parseTimestamp(timestampHeader);
+    const skewSeconds = timestampMs === null ? Infinity : Math.abs(Date.now() - timestampMs) / 1000;
+
+    if (skewSeconds > getToleranceSeconds()) {
+      return {
+        valid: false,
+        reason: 'TIMESTAMP_OUT_OF_TOLERANCE',
+        message: `Timestamp outside the ${getToleranceSeconds()}s tolerance window`
+      };
+    }
+
+    const received = String(signatureHeader).replace(/^sha256=/, '').trim().toLowerCase();
+    const expected = computeWebhookSignature(secret, req.rawBody, timestampHeader);
+
+    if (!safeEqual(received, expected)) {
+      return { valid: false, reason: 'INVALID_SIGNATURE', message: 'Webhook signature does not match' };
+    }
+
+    return { valid: true, method: 'hmac' };
+  }
+
+  // 2. Static token fallback
+  const receivedToken = req.headers[TOKEN_HEADER];
+  if (token && receivedToken) {
+    if (!safeEqual(receivedToken, token)) {
+      return { valid: false, reason: 'INVALID_TOKEN', message: 'Webhook token is not valid' };
+    }
+    return { valid: true, method: 'token' };
+  }
+
+  return {
+    valid: false,
+    reason: 'MISSING_CREDENTIALS',
+    message: `Missing ${SIGNATURE_HEADER}${token ? ` or ${TOKEN_HEADER}` : ''} header`
+  };
+}
+
+/**
+ * Express middleware factory
+ * Only POST requests are verified, so health/stats GET endpoints stay open.
+ * @param {string} provider - 'cloudtalk', 'ghl' or 'google-sheets'
+ */
+export function verifyWebhookSignature(provider) {
+  return (req, res, next) => {
+    if (req.method !== 'POST') {
+      return next();
+    }
+
+    const stats = getStats(provider);
+    const result = verifyWebhookRequest(provider, req);
+
+    if (result.valid) {
+      if (result.method === 'none') {
+        stats.unauthenticatedPassthrough++;
+        if (!warnedProviders.has(provider)) {
+          warnedProviders.add(provider);
+          log(`⚠️ Nessun secret webhook configurato per ${provider} - richieste accettate senza autenticazione (WEBHOOK_AUTH_REQUIRED=false)`);
+        }
+      } else {
+        stats.accepted++;
+      }
+      req.webhookAuth = { provider, method: result.method };
+      return next();
+    }
+
+    const timestamp = new Date().toISOString();
+    stats.rejected++;
+    stats.rejectionsByReason[result.reason] = (stats.rejectionsByReason[result.reason] || 0) + 1;
+    stats.lastRejection = { reason: result.reason, path: req.originalUrl, timestamp };
+
+    logError(`🔒 Webhook ${provider} rifiutato (${result.reason}): ${req.method} ${req.originalUrl} da ${req.headers['x-forwarded-for'] || req.ip}`);
+
+    res.status(401).json({
+      success: false,
+      error: result.reason,
+      message: result.message,
+      provider: provider,
+      timestamp: timestamp
+    });
+  };
+}
+
+/**
+ * Get authentication stats for a provider
+ * @param {string} provider
+ * @returns {object}
+ */
+export function getWebhookAuthStats(provider) {
+  const config = PROVIDERS[provider] || {};
+
+  return {
+    hmacConfigured: !!(config.secretEnv && process.env[config.secretEnv]),
+    tokenConfigured: !!(config.tokenEnv && process.env[config.tokenEnv]),
+    required: isAuthRequired(),
+    toleranceSeconds: getToleranceSeconds(),
+    ...getStats(provider)
+  };
+}
+
+export default {
+  verifyWebhookSignature,
+  verifyWebhookRequest,
+  computeWebhookSignature,
+  getWebhookAuthStats
+};
@@ -8,6 +8,7 @@
  */
 
 import { log, logError } from '../logger.js';
+import { parsePhone } from './phone-numbers.js';
 
 /**
  * Validate and enhance webhook payload
@@ -42,6 +43,7 @@ export function validateAndEnhanceWebhookPayload(payload, webhookType) {
 
   // Validate phone number
   const phoneValidation = validatePhoneNumber(payload);
+  validationResult.enhancedPayload = { ...validationResult.enhancedPayload, ...phoneValidation.enhancedPayload };
   validationResult.errors.push(...phoneValidation.errors);
   validationResult.warnings.push(...phoneValidation.warnings);
 
@@ -184,25 +186,24 @@ function validateRequiredFields(payload, webhookType) {
 function validatePhoneNumber(payload) {
   const result = {
     errors: [],
-    warnings: []
+    warnings: [],
+    enhancedPayload: {}
   };
 
   const phone = payload.external_number;
 
   if (!phone) {
     result.errors.push('Missing external_number (phone)');
+  } else if (typeof phone !== 'string' && typeof phone !== 'number') {
+    result.errors.push('Invalid phone number format - must be string or number');
   } else {
-    // Basic phone validation
-    if (typeof phone !== 'string' && typeof phone !== 'number') {
-      result.errors.push('Invalid phone number format - must be string or number');
-    } else {
-      const phoneStr = phone.toString();
-      if (phoneStr.length < 10) {
-        result.warnings.push('Phone number seems too short');
-      }
-      if (!phoneStr.match(/^[+\d\s()-]+$/)) {
-        result.warnings.push('Phone number contains unusual characters');
-      }
+    const parsed = parsePhone(phone);
+    if (!parsed.valid) {
+      result.warnings.push(`Phone number ${phone} is not valid (${parsed.reason})`);
+    } else if (parsed.e164 !== String(phone)) {
+      // Downstream lookups (GHL, CloudTalk, cache) use the E.164 number
+      result.enhancedPayload.external_number = parsed.e164;
+      result.enhancedPayload._originalExternalNumber = phone;
     }
   }
 
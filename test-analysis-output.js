@@ -0,0 +1,76 @@
+#!/usr/bin/env node
+
+/**
+ * Fixture test per src/utils/json-schema.js e per la nota GHL di un'analisi
+ * ricostruita con i soli default dello schema (output del modello non valido
+ * anche dopo la riparazione, vedi runPrompt in transcription-service.js)
+ * Casi in test-fixtures/analysis-output.json
+ * Uso: npm run test:analysis
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { validateJson, applySchemaDefaults } from './src/utils/json-schema.js';
+import { formatTranscriptionForGHL } from './src/services/transcription-service.js';
+
+const rootDir = path.dirname(fileURLToPath(import.meta.url));
+const readJson = (...parts) => JSON.parse(fs.readFileSync(path.join(rootDir, ...parts), 'utf8'));
+
+const fixtures = readJson('test-fixtures', 'analysis-output.json');
+const phase1Schema = readJson('prompts', 'phase1', 'v1', 'prompt.json').schema;
+const phase2Schema = readJson('prompts', 'phase2', 'v1', 'prompt.json').schema;
+
+process.env.NOTE_LOCALE = 'it';
+
+let passed = 0;
+const failures = [];
+
+function check(group, label, actual, expected) {
+  if (JSON.stringify(actual) === JSON.stringify(expected)) {
+    passed++;
+  } else {
+    failures.push(`${group} ${label}: expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
+  }
+}
+
+for (const fixture of fixtures.validate) {
+  check('validate', fixture.label, validateJson(fixture.value, fixtures.schema), fixture.errors);
+}
+
+for (const fixture of fixtures.defaults) {
+  const value = structuredClone(fixture.value);
+  const completed = applySchemaDefaults(value, fixtures.schema);
+  check('defaults', fixture.label, completed, fixture.expected);
+  check('defaults', `${fixture.label} valid`, validateJson(completed, fixtures.schema), []);
+  check('defaults', `${fixture.label} input untouched`, value, fixture.value);
+}
+
+for (const fixture of fixtures.notes.cases) {
+  const phase1 = applySchemaDefaults(fixture.phase1, phase1Schema);
+  const coaching = fixture.phase2 ? applySchemaDefaults(fixture.phase2, phase2Schema) : null;
+  check('notes', `${fixture.label} phase1 valid`, validateJson(phase1, phase1Schema), []);
+  if (coaching) {
+    check('notes', `${fixture.label} phase2 valid`, validateJson(coaching, phase2Schema), []);
+  }
+
+  const note = formatTranscriptionForGHL({
+    transcription: 'SETTER: Buongiorno\nLEAD: Buongiorno',
+    analysis: { ...phase1, coaching },
+    processedAt: '2026-01-15T10:30:00.000Z'
+  });
+
+  for (const text of fixture.contains) {
+    check('notes', `${fixture.label} contains "${text}"`, note.includes(text), true);
+  }
+  for (const text of fixtures.notes.forbidden) {
+    check('notes', `${fixture.label} without "${text}"`, note.includes(text), false);
+  }
+}
+
+failures.forEach(failure => console.log(`❌ ${failure}`));
+console.log(`\n🧪 Analysis output: ${passed} passed, ${failures.length} failed`);
+
+if (failures.length > 0) {
+  process.exit(1);
+}
@@ -0,0 +1,100 @@
+#!/usr/bin/env node
+
+/**
+ * Test per src/services/outbound-webhooks-config.js
+ * File mancante, non valido e valido (destinazioni per evento)
+ * Uso: npm run test:outbound-webhooks
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import {
+  LEGACY_GHL_TRIGGER_URL,
+  validateOutboundWebhooks,
+  getOutboundWebhooksConfig,
+  getEventDestinations
+} from './src/services/outbound-webhooks-config.js';
+
+const rootDir = path.dirname(fileURLToPath(import.meta.url));
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'outbound-webhooks-'));
+
+let passed = 0;
+const failures = [];
+
+function check(group, label, actual, expected) {
+  if (JSON.stringify(actual) === JSON.stringify(expected)) {
+    passed++;
+  } else {
+    failures.push(`${group} ${label}: expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
+  }
+}
+
+let mtime = Date.now() / 1000;
+
+/**
+ * Scrive il file di configurazione con un mtime sempre diverso (la cache confronta l'mtime)
+ */
+function useConfigFile(name, content) {
+  const configPath = path.join(tmpDir, name);
+  if (content !== undefined) {
+    fs.writeFileSync(configPath, typeof content === 'string' ? content : JSON.stringify(content));
+    mtime += 10;
+    fs.utimesSync(configPath, mtime, mtime);
+  }
+  process.env.OUTBOUND_WEBHOOKS_CONFIG_PATH = configPath;
+}
+
+function urls(event) {
+  return getEventDestinations(event).map(destination => destination.url);
+}
+
+try {
+  // File mancante: missed_call e voicemail al trigger GHL storico
+  useConfigFile('missing.json');
+  check('missing', 'source', getOutboundWebhooksConfig().source, 'defaults');
+  check('missing', 'missed_call', urls('missed_call'), [LEGACY_GHL_TRIGGER_URL]);
+  check('missing', 'voicemail', urls('voicemail'), [LEGACY_GHL_TRIGGER_URL]);
+  check('missing', 'appointment_booked', urls('appointment_booked'), []);
+  check('missing', 'lead_stage_changed', urls('lead_stage_changed'), []);
+  check('missing', 'defaults valid', validateOutboundWebhooks(getOutboundWebhooksConfig()), []);
+
+  // File non valido senza configurazione precedente: restano i default
+  useConfigFile('invalid.json', { events: { missed_call: [{ url: 'ftp://example.com' }] } });
+  check('invalid', 'source', getOutboundWebhooksConfig().source, 'defaults');
+  check('invalid', 'missed_call', urls('missed_call'), [LEGACY_GHL_TRIGGER_URL]);
+
+  // File valido: sostituisce i default, gli eventi non elencati non hanno destinazioni
+  useConfigFile('valid.json', {
+    events: {
+      missed_call: [{ url: 'https://hooks.example.com/missed' }],
+      appointment_booked: [{ name: 'crm', url: 'https://hooks.example.com/appointment' }]
+    }
+  });
+  check('valid', 'missed_call', urls('missed_call'), ['https://hooks.example.com/missed']);
+  check('valid', 'missed_call name', getEventDestinations('missed_call')[0].name, 'missed_call-1');
+  check('valid', 'voicemail', urls('voicemail'), []);
+  check('valid', 'appointment_booked', urls('appointment_booked'), ['https://hooks.example.com/appointment']);
+
+  // File non valido dopo uno valido: resta la configurazione precedente
+  useConfigFile('broken.json', '{ "events": ');
+  check('broken', 'missed_call', urls('missed_call'), ['https://hooks.example.com/missed']);
+
+  // File rimosso: di nuovo i default
+  useConfigFile('missing.json');
+  check('removed', 'missed_call', urls('missed_call'), [LEGACY_GHL_TRIGGER_URL]);
+
+  // Il file di esempio deve restare valido
+  const example = JSON.parse(fs.readFileSync(path.join(rootDir, 'config', 'outbound-webhooks.example.json'), 'utf8'));
+  check('example', 'valid', validateOutboundWebhooks(example), []);
+} finally {
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+}
+
+failures.forEach(failure => console.log(`❌ ${failure}`));
+console.log(`\n📡 Outbound webhooks config: ${passed} passed, ${failures.length} failed`);
+
+if (failures.length > 0) {
+  process.exit(1);
+}
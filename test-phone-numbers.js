@@ -0,0 +1,65 @@
+#!/usr/bin/env node
+
+/**
+ * Fixture test per src/utils/phone-numbers.js
+ * Casi in test-fixtures/phone-numbers.json (parse, normalize, format, match)
+ * Uso: npm run test:phone
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { parsePhone, normalizePhone, formatPhone, phonesMatch } from './src/utils/phone-numbers.js';
+
+const fixturesPath = path.join(path.dirname(fileURLToPath(import.meta.url)), 'test-fixtures', 'phone-numbers.json');
+const fixtures = JSON.parse(fs.readFileSync(fixturesPath, 'utf8'));
+
+// I casi senza defaultRegion usano IT, indipendentemente dall'ambiente
+const DEFAULT_REGION = 'IT';
+
+let passed = 0;
+const failures = [];
+
+function check(group, label, actual, expected) {
+  if (JSON.stringify(actual) === JSON.stringify(expected)) {
+    passed++;
+  } else {
+    failures.push(`${group} ${label}: expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
+  }
+}
+
+for (const fixture of fixtures.parse) {
+  const options = { defaultRegion: fixture.defaultRegion || DEFAULT_REGION };
+  const result = parsePhone(fixture.input, options);
+  const label = `${JSON.stringify(fixture.input)}${fixture.defaultRegion ? ` (${fixture.defaultRegion})` : ''}`;
+
+  if (fixture.valid === false) {
+    check('parse', `${label} valid`, result.valid, false);
+    if (fixture.reason) check('parse', `${label} reason`, result.reason, fixture.reason);
+    continue;
+  }
+
+  check('parse', `${label} valid`, result.valid, true);
+  check('parse', `${label} e164`, result.e164, fixture.e164);
+  check('parse', `${label} region`, result.region, fixture.region);
+  check('parse', `${label} type`, result.type, fixture.type);
+}
+
+for (const fixture of fixtures.normalize) {
+  check('normalize', JSON.stringify(fixture.input), normalizePhone(fixture.input, { defaultRegion: DEFAULT_REGION }), fixture.expected);
+}
+
+for (const fixture of fixtures.format) {
+  check('format', `${fixture.input} ${fixture.format}`, formatPhone(fixture.input, fixture.format, { defaultRegion: DEFAULT_REGION }), fixture.expected);
+}
+
+for (const fixture of fixtures.match) {
+  check('match', `${fixture.a} ~ ${fixture.b}`, phonesMatch(fixture.a, fixture.b, { defaultRegion: DEFAULT_REGION }), fixture.expected);
+}
+
+failures.forEach(failure => console.log(`❌ ${failure}`));
+console.log(`\n📞 Phone numbers: ${passed} passed, ${failures.length} failed`);
+
+if (failures.length > 0) {
+  process.exit(1);
+}
@@ -0,0 +1,64 @@
+#!/usr/bin/env node
+
+/**
+ * Fixture test per src/utils/pii-redaction.js
+ * Casi in test-fixtures/pii-redaction.json (IBAN mod 97, carattere di controllo
+ * del codice fiscale, Luhn, redazione di testi e segmenti)
+ * Uso: npm run test:pii
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { isValidIban, isValidCodiceFiscale, isValidLuhn, createRedactor } from './src/utils/pii-redaction.js';
+
+const fixturesPath = path.join(path.dirname(fileURLToPath(import.meta.url)), 'test-fixtures', 'pii-redaction.json');
+const fixtures = JSON.parse(fs.readFileSync(fixturesPath, 'utf8'));
+
+let passed = 0;
+const failures = [];
+
+function check(group, label, actual, expected) {
+  if (JSON.stringify(actual) === JSON.stringify(expected)) {
+    passed++;
+  } else {
+    failures.push(`${group} ${label}: expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
+  }
+}
+
+function redactorFor(fixture) {
+  return createRedactor({
+    mode: fixture.mode,
+    ...(fixture.detectors && { detectors: fixture.detectors }),
+    ...(fixture.custom && { custom: fixture.custom })
+  });
+}
+
+for (const fixture of fixtures.iban) {
+  check('iban', fixture.input, isValidIban(fixture.input), fixture.valid);
+}
+
+for (const fixture of fixtures.codiceFiscale) {
+  check('codice_fiscale', fixture.input, isValidCodiceFiscale(fixture.input), fixture.valid);
+}
+
+for (const fixture of fixtures.luhn) {
+  check('luhn', fixture.input, isValidLuhn(fixture.input), fixture.valid);
+}
+
+for (const fixture of fixtures.redact) {
+  const redactor = redactorFor(fixture);
+  check('redact', `${fixture.label} text`, redactor.redact(fixture.input).text, fixture.expected);
+  check('redact', `${fixture.label} counts`, redactor.getCounts(), fixture.counts);
+}
+
+for (const fixture of fixtures.sequence) {
+  check('sequence', fixture.label, redactorFor(fixture).redactSequence(fixture.input), fixture.expected);
+}
+
+failures.forEach(failure => console.log(`❌ ${failure}`));
+console.log(`\n🛡️ PII redaction: ${passed} passed, ${failures.length} failed`);
+
+if (failures.length > 0) {
+  process.exit(1);
+}
@@ -81,9 +81,10 @@ async function analyzeWebhookDeduplication() {
   console.log('\n🔍 === WEBHOOK DEDUPLICATION ANALYSIS ===\n');
 
   // Get current cache stats
-  const cacheStats = getWebhookCacheStats();
+  const cacheStats = await getWebhookCacheStats();
 
   console.log('📊 Current Webhook Cache State:');
+  console.log(`   Backend: ${cacheStats.backend}`);
   console.log(`   Total entries: ${cacheStats.totalEntries}`);
 
   if (cacheStats.entries.length > 0) {
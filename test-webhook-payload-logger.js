@@ -0,0 +1,87 @@
+#!/usr/bin/env node
+
+/**
+ * Test per src/utils/webhook-payload-logger.js
+ * Una richiesta firmata (HMAC o token statico) salvata in webhook-payloads/
+ * non deve lasciare credenziali nel file
+ * Uso: npm run test:webhook-payloads
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'webhook-payloads-'));
+const originalCwd = process.cwd();
+
+let passed = 0;
+const failures = [];
+
+function check(group, label, actual, expected) {
+  if (JSON.stringify(actual) === JSON.stringify(expected)) {
+    passed++;
+  } else {
+    failures.push(`${group} ${label}: expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
+  }
+}
+
+const SECRET = 'test-cloudtalk-secret';
+const TOKEN = 'test-cloudtalk-token';
+
+try {
+  // La cartella dei payload (e quella dei log) è risolta dalla cwd all'import
+  process.chdir(tmpDir);
+  process.env.CLOUDTALK_WEBHOOK_SECRET = SECRET;
+  process.env.CLOUDTALK_WEBHOOK_TOKEN = TOKEN;
+
+  const { saveWebhookPayload, redactWebhookHeaders } = await import('./src/utils/webhook-payload-logger.js');
+  const { computeWebhookSignature, verifyWebhookRequest } = await import('./src/utils/webhook-signature.js');
+
+  const payload = { call_id: 12345, external_number: '+393331234567' };
+  const rawBody = JSON.stringify(payload);
+  const timestamp = String(Math.floor(Date.now() / 1000));
+  const signature = computeWebhookSignature(SECRET, rawBody, timestamp);
+
+  const requests = {
+    hmac: {
+      'content-type': 'application/json',
+      'x-webhook-signature': `sha256=${signature}`,
+      'x-webhook-timestamp': timestamp
+    },
+    token: {
+      'content-type': 'application/json',
+      'x-webhook-token': TOKEN,
+      authorization: `Bearer ${TOKEN}`
+    }
+  };
+
+  for (const [method, headers] of Object.entries(requests)) {
+    check(method, 'verified', verifyWebhookRequest('cloudtalk', { headers, rawBody }), { valid: true, method });
+
+    const result = await saveWebhookPayload('cloudtalk', `call-ended-${method}`, payload, headers);
+    check(method, 'saved', result.success, true);
+
+    const content = fs.readFileSync(result.filepath, 'utf8');
+    check(method, 'no secret', content.includes(SECRET), false);
+    check(method, 'no token', content.includes(TOKEN), false);
+    check(method, 'no signature', content.includes(signature), false);
+    check(method, 'payload kept', content.includes('"external_number": "+393331234567"'), true);
+  }
+
+  const redacted = redactWebhookHeaders({ ...requests.hmac, ...requests.token });
+  check('redact', 'x-webhook-signature', redacted['x-webhook-signature'], '[REDACTED]');
+  check('redact', 'x-webhook-token', redacted['x-webhook-token'], '[REDACTED]');
+  check('redact', 'authorization', redacted.authorization, '[REDACTED]');
+  check('redact', 'x-webhook-timestamp', redacted['x-webhook-timestamp'], timestamp);
+  check('redact', 'original untouched', requests.token['x-webhook-token'], TOKEN);
+} finally {
+  process.chdir(originalCwd);
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+}
+
+failures.forEach(failure => console.log(`❌ ${failure}`));
+console.log(`\n🔒 Webhook payload logger: ${passed} passed, ${failures.length} failed`);
+
+if (failures.length > 0) {
+  process.exit(1);
+}